@@ -0,0 +1,50 @@
+// Anti-spam settings for public submissions
+// ------------------------------------------------------------
+// BOOKING_RATE_LIMIT_PER_IP      bookings per IP per 15 minutes (default 5)
+// BOOKING_RATE_LIMIT_PER_EMAIL   bookings per client email per hour (default 3)
+// TEST_EMAIL_RATE_LIMIT          test emails per IP / recipient per hour (default 5)
+// PORTAL_LINK_RATE_LIMIT         portal link emails per IP / address per hour (default 5)
+// SPAM_HONEYPOT_FIELD            hidden form field real visitors leave empty
+// SPAM_MIN_FILL_SECONDS          fastest plausible form fill (default 4)
+// DISPOSABLE_EMAIL_DOMAINS       extra blocked domains, e.g. "spam.test,junk.io"
+// ------------------------------------------------------------
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function parseCount(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < 1 ? fallback : parsed;
+}
+
+const minFillSeconds = Number(process.env.SPAM_MIN_FILL_SECONDS);
+
+module.exports = {
+  rateLimits: {
+    bookingsPerIp: {
+      windowMs: 15 * 60 * 1000,
+      limit: parseCount(process.env.BOOKING_RATE_LIMIT_PER_IP, 5)
+    },
+    bookingsPerEmail: {
+      windowMs: 60 * 60 * 1000,
+      limit: parseCount(process.env.BOOKING_RATE_LIMIT_PER_EMAIL, 3)
+    },
+    testEmail: {
+      windowMs: 60 * 60 * 1000,
+      limit: parseCount(process.env.TEST_EMAIL_RATE_LIMIT, 5)
+    },
+    portalLinks: {
+      windowMs: 60 * 60 * 1000,
+      limit: parseCount(process.env.PORTAL_LINK_RATE_LIMIT, 5)
+    }
+  },
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD || 'companyWebsite',
+  // The booking form sends formStartedAt (ms timestamp or ISO date) when it renders
+  formStartedField: 'formStartedAt',
+  minFillSeconds: isNaN(minFillSeconds) ? 4 : minFillSeconds,
+  extraDisposableDomains: parseList(process.env.DISPOSABLE_EMAIL_DOMAINS)
+};
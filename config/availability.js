@@ -0,0 +1,35 @@
+// Monthly booking capacity
+// ------------------------------------------------------------
+// BOOKING_MONTHLY_CAPACITY    default number of projects we take per month
+// BOOKING_CAPACITY_OVERRIDES  per-month capacity, e.g. "2025-11:2,2025-12:1"
+// BOOKING_BLACKOUT_MONTHS     months closed to new bookings, e.g. "2025-12,2026-01"
+// ------------------------------------------------------------
+
+function parseList(value) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function parseOverrides(value) {
+  const overrides = {};
+  parseList(value).forEach(entry => {
+    const [month, capacity] = entry.split(':').map(s => s.trim());
+    const parsed = parseInt(capacity, 10);
+    if (month && !isNaN(parsed) && parsed >= 0) {
+      overrides[month] = parsed;
+    }
+  });
+  return overrides;
+}
+
+const defaultCapacity = parseInt(process.env.BOOKING_MONTHLY_CAPACITY, 10);
+
+module.exports = {
+  defaultCapacity: isNaN(defaultCapacity) ? 4 : defaultCapacity,
+  overrides: parseOverrides(process.env.BOOKING_CAPACITY_OVERRIDES),
+  blackoutMonths: parseList(process.env.BOOKING_BLACKOUT_MONTHS),
+  // How far ahead we look when suggesting the next open month
+  lookaheadMonths: 24
+};
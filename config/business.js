@@ -0,0 +1,22 @@
+// Seller details printed on tax invoices
+// ------------------------------------------------------------
+// BUSINESS_NAME      trading name (default Cocoa Code)
+// BUSINESS_ABN       Australian Business Number - required on tax invoices
+// BUSINESS_ADDRESS   postal address, use "\n" for line breaks
+// BUSINESS_EMAIL     contact address (default hello@cocoacode.dev)
+// GST_REGISTERED     'false' issues plain invoices with no GST (default true)
+// INVOICE_PREFIX     invoice number prefix (default INV-)
+// Prices are GST inclusive, so GST is 1/11 of each total.
+// ------------------------------------------------------------
+
+module.exports = {
+  name: process.env.BUSINESS_NAME || 'Cocoa Code',
+  abn: (process.env.BUSINESS_ABN || '').replace(/\s+/g, '') || null,
+  address: (process.env.BUSINESS_ADDRESS || '').replace(/\\n/g, '\n') || null,
+  email: process.env.BUSINESS_EMAIL || 'hello@cocoacode.dev',
+  website: 'cocoacode.dev',
+  gstRegistered: String(process.env.GST_REGISTERED ?? 'true').toLowerCase() !== 'false',
+  gstRate: 10,
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV-',
+  currency: 'AUD'
+};
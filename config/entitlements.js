@@ -0,0 +1,21 @@
+// What every build includes after approval
+// ------------------------------------------------------------
+// SUPPORT_SESSIONS_INCLUDED      support sessions granted on approval (default 4)
+// SUPPORT_SESSION_VALID_MONTHS   months after completion unused sessions last (default 12)
+// SUPPORT_LOW_BALANCE            email the client when this many are left (default 1)
+// WARRANTY_MONTHS                bug-fix warranty after completion (default 1)
+// WARRANTY_REMINDER_DAYS         warn the client this many days before it ends (default 7)
+// ------------------------------------------------------------
+
+function parseCount(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+module.exports = {
+  sessionsIncluded: parseCount(process.env.SUPPORT_SESSIONS_INCLUDED, 4),
+  sessionValidMonths: parseCount(process.env.SUPPORT_SESSION_VALID_MONTHS, 12),
+  lowBalance: parseCount(process.env.SUPPORT_LOW_BALANCE, 1),
+  warrantyMonths: parseCount(process.env.WARRANTY_MONTHS, 1),
+  warrantyReminderDays: parseCount(process.env.WARRANTY_REMINDER_DAYS, 7)
+};
@@ -0,0 +1,46 @@
+// How a project total is split into installments
+// ------------------------------------------------------------
+// Keys are what Project.paymentSchedule stores ('custom' when an admin sets
+// the installments by hand). Percentages must add up to 100.
+// The first installment is the deposit - work starts once it clears.
+// dueOn: kickoff   - as soon as the booking is approved
+//        milestone - when the linked Milestone is completed
+//        launch    - when the project is completed
+// DEFAULT_PAYMENT_SCHEDULE picks the schedule new bookings get (default 50-50)
+// ------------------------------------------------------------
+
+const DUE_ON = ['kickoff', 'milestone', 'launch'];
+
+const schedules = {
+  full: {
+    name: 'Pay in full',
+    installments: [
+      { label: 'Full payment', percent: 100, dueOn: 'kickoff' }
+    ]
+  },
+  '50-50': {
+    name: '50% deposit, 50% at launch',
+    installments: [
+      { label: 'Deposit', percent: 50, dueOn: 'kickoff' },
+      { label: 'Balance', percent: 50, dueOn: 'launch' }
+    ]
+  },
+  '30-40-30': {
+    name: '30% deposit, 40% at a milestone, 30% at launch',
+    installments: [
+      { label: 'Deposit', percent: 30, dueOn: 'kickoff' },
+      { label: 'Progress payment', percent: 40, dueOn: 'milestone' },
+      { label: 'Balance', percent: 30, dueOn: 'launch' }
+    ]
+  }
+};
+
+const defaultSchedule = schedules[process.env.DEFAULT_PAYMENT_SCHEDULE]
+  ? process.env.DEFAULT_PAYMENT_SCHEDULE
+  : '50-50';
+
+module.exports = {
+  DUE_ON,
+  defaultSchedule,
+  schedules
+};
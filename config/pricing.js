@@ -0,0 +1,37 @@
+// Price catalog (AUD, GST inclusive)
+// ------------------------------------------------------------
+// projectTypes  base package price for each Project.projectType
+// addOns        line items the booking form can add, keyed by id
+// rushFeePercent surcharge on the subtotal for rush bookings
+// Bump `version` whenever prices change so stored breakdowns stay traceable.
+// ------------------------------------------------------------
+
+module.exports = {
+  version: '2025-01',
+  currency: 'AUD',
+
+  projectTypes: {
+    landing: { name: 'Landing Page', price: 499 },
+    business: { name: 'Business Website', price: 1299 },
+    ecommerce: { name: 'E-commerce Store', price: 2499 },
+    webapp: { name: 'Web Application', price: 3999 },
+    custom: { name: 'Custom Project', price: 1999 },
+    'service-only': { name: 'Services Only', price: 0 }
+  },
+
+  addOns: {
+    'extra-page': { name: 'Extra Page', price: 99 },
+    'contact-form': { name: 'Contact Form', price: 49 },
+    'blog': { name: 'Blog Setup', price: 199 },
+    'seo-setup': { name: 'SEO Setup', price: 199 },
+    'copywriting': { name: 'Copywriting (per page)', price: 149 },
+    'logo-design': { name: 'Logo Design', price: 249 },
+    'booking-system': { name: 'Booking System', price: 399 },
+    'payment-integration': { name: 'Payment Integration', price: 299 },
+    'analytics': { name: 'Analytics Setup', price: 79 },
+    'content-upload': { name: 'Content Upload', price: 99 },
+    'hosting-setup': { name: 'Domain & Hosting Setup', price: 79 }
+  },
+
+  rushFeePercent: 25
+};
@@ -0,0 +1,19 @@
+// Shared Stripe client
+// ------------------------------------------------------------
+// STRIPE_SECRET_KEY     API key (sk_test_... / sk_live_...)
+// STRIPE_API_HOST       override the API host, e.g. "localhost" to run
+//                       against stripe-mock
+// STRIPE_API_PORT       port for the override host (default 12111)
+// STRIPE_API_PROTOCOL   "http" or "https" for the override host (default http)
+// ------------------------------------------------------------
+
+const Stripe = require('stripe');
+
+const options = {};
+if (process.env.STRIPE_API_HOST) {
+  options.host = process.env.STRIPE_API_HOST;
+  options.port = Number(process.env.STRIPE_API_PORT) || 12111;
+  options.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+}
+
+module.exports = Stripe(process.env.STRIPE_SECRET_KEY, options);
@@ -0,0 +1,30 @@
+// Maintenance and hosting plans (AUD, GST inclusive)
+// ------------------------------------------------------------
+// Keys are what Project.subscription stores ('none' opts out).
+// Each plan maps to a recurring Stripe Price: set STRIPE_PRICE_<KEY>
+// (e.g. STRIPE_PRICE_HOSTING_PLUS) to use an existing price, otherwise one is
+// found or created by its lookup key the first time the plan is used. The
+// amount is part of the lookup key, so changing it here starts a new price.
+// ------------------------------------------------------------
+
+function priceFromEnv(key) {
+  return process.env[`STRIPE_PRICE_${key.toUpperCase().replace(/-/g, '_')}`] || null;
+}
+
+const plans = {
+  basic: { name: 'Basic Care', kind: 'maintenance', amount: 49, interval: 'month' },
+  standard: { name: 'Standard Care', kind: 'maintenance', amount: 99, interval: 'month' },
+  premium: { name: 'Premium Care', kind: 'maintenance', amount: 199, interval: 'month' },
+  hosting: { name: 'Managed Hosting', kind: 'hosting', amount: 25, interval: 'month' },
+  'hosting-plus': { name: 'Hosting + Daily Backups', kind: 'hosting', amount: 45, interval: 'month' }
+};
+
+Object.keys(plans).forEach(key => {
+  plans[key].priceId = priceFromEnv(key);
+  plans[key].lookupKey = `cocoa-${key}-${plans[key].amount}-${plans[key].interval}`;
+});
+
+module.exports = {
+  currency: 'AUD',
+  plans
+};
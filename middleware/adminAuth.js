@@ -0,0 +1,71 @@
+// adminAuth.js
+// ------------------------------------------------------------
+// Authentication for admin-only endpoints
+// - Every admin has their own API key, configured as
+//   ADMIN_API_KEYS="sam:<key>,alex:<key>"
+// - Sent as `Authorization: Bearer <key>`; requireAdmin sets
+//   req.admin = { name } and routes record that name as the actor
+//   (refund issued by, credit granted by, ...) - never a body field or
+//   header the caller chooses
+// - With no keys configured every admin request is refused
+// ------------------------------------------------------------
+
+const crypto = require('crypto');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function parseKeys(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator).trim(), key: digest(entry.slice(separator + 1).trim()) }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+const ADMIN_KEYS = parseKeys(process.env.ADMIN_API_KEYS);
+if (!ADMIN_KEYS.length) {
+  console.warn('⚠️  ADMIN_API_KEYS not set. Admin-only endpoints will refuse every request.');
+}
+
+// The admin a bearer key belongs to, or null. Every configured key is
+// compared (in constant time) so the answer doesn't leak through timing.
+function adminForKey(key) {
+  if (!key) return null;
+  const candidate = digest(key);
+  let match = null;
+  ADMIN_KEYS.forEach(admin => {
+    if (crypto.timingSafeEqual(candidate, admin.key) && !match) match = admin;
+  });
+  return match ? { name: match.name } : null;
+}
+
+// The admin signed in on this request, or null - for routes that clients
+// and admins share
+function adminFromRequest(req) {
+  const header = req.get('authorization') || '';
+  return adminForKey(header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+}
+
+function requireAdmin(req, res, next) {
+  const admin = adminFromRequest(req);
+  if (!admin) {
+    res.set('WWW-Authenticate', 'Bearer realm="admin"');
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+
+  req.admin = admin;
+  next();
+}
+
+module.exports = {
+  adminFromRequest,
+  requireAdmin
+};
@@ -0,0 +1,136 @@
+// idempotency.js
+// ------------------------------------------------------------
+// Idempotency-Key support for POST endpoints
+// - First request with a key runs normally and its response is stored
+// - A replay with the same key and body gets the stored response back
+//   (with Idempotent-Replayed: true) without running the handler again
+// - Reusing a key with a different body is rejected with 422
+// - Keys are kept for IDEMPOTENCY_KEY_TTL_HOURS (default 24)
+// ------------------------------------------------------------
+
+const crypto = require('crypto');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const IN_FLIGHT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Responses worth replaying. 5xx, 409 and 429 release the key so the
+// client can retry once the underlying problem has gone away.
+function isReplayable(status) {
+  return status < 500 && status !== 409 && status !== 429;
+}
+
+// JSON with sorted keys so {a,b} and {b,a} hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+function idempotent({ scope }) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    const requestHash = hashRequest(req.body);
+
+    try {
+      let record = await IdempotencyKey.findOne({ where: { scope, key } });
+
+      // Expired keys, and keys whose original request died mid-flight, start over
+      const abandoned = record && record.responseStatus === null &&
+        Date.now() - new Date(record.createdAt).getTime() > IN_FLIGHT_TIMEOUT_MS;
+      if (record && (record.expiresAt < new Date() || abandoned)) {
+        await record.destroy();
+        record = null;
+      }
+
+      if (record) {
+        if (record.requestHash !== requestHash) {
+          console.warn(`⚠️ Idempotency-Key reused with a different body (${scope})`);
+          return res.status(422).json({
+            error: 'Idempotency-Key has already been used with a different request body'
+          });
+        }
+
+        if (record.responseStatus === null) {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        console.log(`🔂 Replaying stored response for Idempotency-Key (${scope})`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(JSON.parse(record.responseBody));
+      }
+
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          scope,
+          requestHash,
+          expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        // Another request with the same key got there first
+        if (error instanceof UniqueConstraintError) {
+          return res.status(409).json({
+            error: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+        throw error;
+      }
+
+      // Store the response before it goes out so an immediate retry can replay it
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const status = res.statusCode;
+        const save = isReplayable(status)
+          ? record.update({ responseStatus: status, responseBody: JSON.stringify(body) })
+          : record.destroy();
+
+        save
+          .catch(error => console.error('❌ Failed to store idempotent response:', error.message))
+          .then(() => sendJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      console.error('❌ Idempotency check failed:', error);
+      res.status(500).json({
+        error: 'Failed to process Idempotency-Key',
+        details: error.message
+      });
+    }
+  };
+}
+
+async function purgeExpiredIdempotencyKeys() {
+  const removed = await IdempotencyKey.destroy({
+    where: { expiresAt: { [Op.lt]: new Date() } }
+  });
+  if (removed) {
+    console.log(`🧹 Removed ${removed} expired idempotency keys`);
+  }
+  return removed;
+}
+
+module.exports = {
+  idempotent,
+  hashRequest,
+  purgeExpiredIdempotencyKeys
+};
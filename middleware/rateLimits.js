@@ -0,0 +1,75 @@
+// rateLimits.js
+// ------------------------------------------------------------
+// Rate limits for public endpoints that send email
+// - Counted per IP and per email address (whichever trips first)
+// - In-memory store, so limits are per server process and reset on restart
+// - Limits are configured in config/antiSpam.js
+// ------------------------------------------------------------
+
+const rateLimit = require('express-rate-limit');
+const { rateLimits } = require('../config/antiSpam');
+
+function limiter({ windowMs, limit }, { error, keyGenerator, skip }) {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    keyGenerator,
+    skip,
+    handler: (req, res, next, options) => {
+      console.warn(`🚦 Rate limit hit: ${req.method} ${req.originalUrl} from ${req.ip}`);
+      res.status(options.statusCode).json({
+        error,
+        retryAfterSeconds: Math.ceil(options.windowMs / 1000)
+      });
+    }
+  });
+}
+
+function emailKey(field) {
+  return (req) => `email:${String((req.body && req.body[field]) || '').trim().toLowerCase()}`;
+}
+
+function withoutEmail(field) {
+  return (req) => !(req.body && req.body[field]);
+}
+
+const bookingLimits = [
+  limiter(rateLimits.bookingsPerIp, {
+    error: 'Too many booking requests from this connection - please try again later'
+  }),
+  limiter(rateLimits.bookingsPerEmail, {
+    error: 'Too many booking requests for this email address - please try again later',
+    keyGenerator: emailKey('clientEmail'),
+    skip: withoutEmail('clientEmail')
+  })
+];
+
+const testEmailLimits = [
+  limiter(rateLimits.testEmail, {
+    error: 'Too many test emails - please try again later'
+  }),
+  limiter(rateLimits.testEmail, {
+    error: 'Too many test emails to this address - please try again later',
+    keyGenerator: emailKey('to'),
+    skip: withoutEmail('to')
+  })
+];
+
+const portalLinkLimits = [
+  limiter(rateLimits.portalLinks, {
+    error: 'Too many link requests - please try again later'
+  }),
+  limiter(rateLimits.portalLinks, {
+    error: 'Too many link requests for this email address - please try again later',
+    keyGenerator: emailKey('email'),
+    skip: withoutEmail('email')
+  })
+];
+
+module.exports = {
+  bookingLimits,
+  testEmailLimits,
+  portalLinkLimits
+};
@@ -0,0 +1,62 @@
+// uploads.js
+// ------------------------------------------------------------
+// File uploads for attachment endpoints
+// - multipart/form-data (any field name) is parsed into memory by multer
+// - JSON bodies can carry base64 files instead, within the 10mb JSON limit:
+//     { "files": [{ "filename": "logo.png", "contentType": "image/png", "data": "<base64>" }] }
+//   or a single file at the top level: { "filename", "contentType", "data" }
+// ------------------------------------------------------------
+
+const multer = require('multer');
+const { MAX_BYTES, MAX_FILES_PER_UPLOAD } = require('../services/attachmentService');
+
+const multipart = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: MAX_FILES_PER_UPLOAD }
+}).any();
+
+function acceptUploads(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  multipart(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files must be smaller than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`
+          : error.message,
+        code: error.code
+      });
+    }
+    next(error);
+  });
+}
+
+// Normalised [{ originalName, contentType, buffer }] from either upload style
+function filesFromRequest(req) {
+  if (Array.isArray(req.files) && req.files.length) {
+    return req.files.map(file => ({
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      buffer: file.buffer
+    }));
+  }
+
+  const body = req.body || {};
+  const jsonFiles = Array.isArray(body.files) ? body.files : (body.data ? [body] : []);
+  return jsonFiles.map(file => {
+    const data = String(file.data || '').replace(/^data:[^;]+;base64,/, '');
+    return {
+      originalName: file.filename || file.name,
+      contentType: file.contentType || file.type,
+      buffer: Buffer.from(data, 'base64')
+    };
+  });
+}
+
+module.exports = {
+  acceptUploads,
+  filesFromRequest
+};
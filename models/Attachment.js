@@ -0,0 +1,84 @@
+module.exports = (sequelize, DataTypes) => {
+    const Attachment = sequelize.define('Attachment', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      originalName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      contentType: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      // Progress photos and screenshots belong to a ProgressUpdate
+      progressUpdateId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'progress_updates',
+          key: 'id'
+        }
+      },
+      // Screenshots and files on a bug ticket
+      ticketId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'tickets',
+          key: 'id'
+        }
+      },
+      category: {
+        type: DataTypes.ENUM('logo', 'brand', 'brief', 'content', 'other', 'progress', 'ticket'),
+        allowNull: false,
+        defaultValue: 'other'
+      },
+      storageDriver: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      storageKey: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      checksum: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+      },
+      uploadedBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'admin'
+      },
+      uploadedByType: {
+        type: DataTypes.ENUM('client', 'admin'),
+        allowNull: false,
+        defaultValue: 'admin'
+      }
+    }, {
+      tableName: 'attachments',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['projectId']
+        }
+      ]
+    });
+  
+    return Attachment;
+  };
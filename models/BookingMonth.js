@@ -0,0 +1,18 @@
+module.exports = (sequelize, DataTypes) => {
+    // One row per month anyone has booked. Bookings, reschedules, waitlist
+    // claims and quote acceptances lock it (availabilityService.lockMonth)
+    // so they take a month's last slot one at a time - even a month with
+    // no bookings yet has a row to lock
+    const BookingMonth = sequelize.define('BookingMonth', {
+      // Normalised YYYY-MM
+      month: {
+        type: DataTypes.STRING(7),
+        primaryKey: true
+      }
+    }, {
+      tableName: 'booking_months',
+      timestamps: true
+    });
+  
+    return BookingMonth;
+  };
@@ -0,0 +1,97 @@
+module.exports = (sequelize, DataTypes) => {
+    const jsonField = (name) => ({
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue(name);
+        return value ? JSON.parse(value) : null;
+      },
+      set(value) {
+        this.setDataValue(name, value ? JSON.stringify(value) : null);
+      }
+    });
+
+    const ChangeRequest = sequelize.define('ChangeRequest', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      // Version the proposal was made against
+      baseVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      proposed: jsonField('proposed'),
+      diff: jsonField('diff'),
+      proposedBreakdown: jsonField('proposedBreakdown'),
+      currentTotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      },
+      proposedTotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      },
+      priceDelta: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'approved', 'rejected', 'superseded'),
+        defaultValue: 'pending'
+      },
+      note: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      requestedBy: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      requestedByType: {
+        type: DataTypes.ENUM('client', 'admin'),
+        allowNull: false,
+        defaultValue: 'admin'
+      },
+      decidedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      decisionNote: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      decidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Version created when the request was approved
+      resultingVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      tableName: 'change_requests',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['projectId']
+        },
+        {
+          fields: ['status']
+        }
+      ]
+    });
+  
+    return ChangeRequest;
+  };
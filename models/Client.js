@@ -28,6 +28,11 @@ module.exports = (sequelize, DataTypes) => {
         validate: {
           len: [0, 20]
         }
+      },
+      // Created the first time the client starts a subscription
+      stripeCustomerId: {
+        type: DataTypes.STRING,
+        allowNull: true
       }
     }, {
       tableName: 'clients',
@@ -0,0 +1,100 @@
+module.exports = (sequelize, DataTypes) => {
+    const CreditLedgerEntry = sequelize.define('CreditLedgerEntry', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'clients',
+          key: 'id'
+        }
+      },
+      // grant: credit issued by us, goodwill: an apology / thank-you,
+      // refund: a refund paid out as credit, redemption: credit spent on a
+      // project, adjustment: admin correction
+      type: {
+        type: DataTypes.ENUM('grant', 'goodwill', 'refund', 'redemption', 'adjustment'),
+        allowNull: false
+      },
+      // Signed change to the balance
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      // Balance once this entry was added
+      balanceAfter: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0
+        }
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      paymentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        }
+      },
+      refundId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'refunds',
+          key: 'id'
+        }
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      recordedBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'system'
+      }
+    }, {
+      tableName: 'credit_ledger_entries',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['clientId', 'createdAt']
+        },
+        {
+          fields: ['paymentId']
+        }
+      ],
+      // Entries are never edited or removed - mistakes are fixed with an
+      // adjustment entry so the history always adds up
+      hooks: {
+        beforeUpdate() {
+          throw new Error('Credit ledger entries cannot be changed - add an adjustment instead');
+        },
+        beforeBulkUpdate() {
+          throw new Error('Credit ledger entries cannot be changed - add an adjustment instead');
+        },
+        beforeDestroy() {
+          throw new Error('Credit ledger entries cannot be removed - add an adjustment instead');
+        },
+        beforeBulkDestroy() {
+          throw new Error('Credit ledger entries cannot be removed - add an adjustment instead');
+        }
+      }
+    });
+
+    return CreditLedgerEntry;
+  };
@@ -0,0 +1,72 @@
+module.exports = (sequelize, DataTypes) => {
+    const Dispute = sequelize.define('Dispute', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      paymentId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'payments',
+          key: 'id'
+        }
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      // Stripe dispute (dp_...) and the charge it is against
+      stripeDisputeId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      stripeChargeId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      // The card network's reason, e.g. fraudulent, product_not_received
+      reason: {
+        type: DataTypes.STRING(60),
+        allowNull: true
+      },
+      // Stripe's dispute status (needs_response, under_review, won, lost,
+      // warning_* for inquiries)
+      status: {
+        type: DataTypes.STRING(40),
+        allowNull: false
+      },
+      // Last day to submit evidence in the Stripe dashboard
+      evidenceDueBy: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'disputes',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['paymentId']
+        },
+        {
+          fields: ['status']
+        }
+      ]
+    });
+
+    return Dispute;
+  };
@@ -0,0 +1,60 @@
+module.exports = (sequelize, DataTypes) => {
+    const EntitlementEntry = sequelize.define('EntitlementEntry', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      // grant: included sessions, session: one used, adjustment: admin
+      // correction, expiry: unused sessions lapsing
+      type: {
+        type: DataTypes.ENUM('grant', 'session', 'adjustment', 'expiry'),
+        allowNull: false
+      },
+      // Signed change to the session balance
+      sessions: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      minutes: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: 0
+        }
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      recordedBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'system'
+      }
+    }, {
+      tableName: 'entitlement_entries',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['projectId', 'occurredAt']
+        }
+      ]
+    });
+
+    return EntitlementEntry;
+  };
@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+    const IdempotencyKey = sequelize.define('IdempotencyKey', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      key: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+      },
+      scope: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+      },
+      requestHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+      },
+      // NULL while the original request is still being processed
+      responseStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      responseBody: {
+        type: DataTypes.TEXT('long'),
+        allowNull: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    }, {
+      tableName: 'idempotency_keys',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['scope', 'key']
+        },
+        {
+          fields: ['expiresAt']
+        }
+      ]
+    });
+  
+    return IdempotencyKey;
+  };
@@ -0,0 +1,137 @@
+module.exports = (sequelize, DataTypes) => {
+    const Invoice = sequelize.define('Invoice', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // Gapless counter behind the printed number
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true
+      },
+      number: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        unique: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'clients',
+          key: 'id'
+        }
+      },
+      // One invoice per payment received
+      paymentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        unique: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        }
+      },
+      status: {
+        type: DataTypes.ENUM('paid', 'void'),
+        allowNull: false,
+        defaultValue: 'paid'
+      },
+      // Buyer and seller details as they were when the invoice was issued
+      billTo: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        get() {
+          const raw = this.getDataValue('billTo');
+          return raw ? JSON.parse(raw) : {};
+        },
+        set(value) {
+          this.setDataValue('billTo', JSON.stringify(value || {}));
+        }
+      },
+      seller: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        get() {
+          const raw = this.getDataValue('seller');
+          return raw ? JSON.parse(raw) : {};
+        },
+        set(value) {
+          this.setDataValue('seller', JSON.stringify(value || {}));
+        }
+      },
+      // [{ description, quantity, unitPrice, amount }] - GST inclusive
+      lineItems: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        get() {
+          const raw = this.getDataValue('lineItems');
+          return raw ? JSON.parse(raw) : [];
+        },
+        set(value) {
+          this.setDataValue('lineItems', JSON.stringify(value || []));
+        }
+      },
+      // Full project scope, printed for reference on installment invoices
+      scopeItems: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+          const raw = this.getDataValue('scopeItems');
+          return raw ? JSON.parse(raw) : [];
+        },
+        set(value) {
+          this.setDataValue('scopeItems', value && value.length ? JSON.stringify(value) : null);
+        }
+      },
+      subtotal: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      gst: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      total: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'AUD'
+      },
+      issuedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      voidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'invoices',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['projectId']
+        },
+        {
+          fields: ['issuedAt']
+        }
+      ]
+    });
+
+    return Invoice;
+  };
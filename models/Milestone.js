@@ -0,0 +1,61 @@
+module.exports = (sequelize, DataTypes) => {
+    const Milestone = sequelize.define('Milestone', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('planned', 'in_progress', 'completed'),
+        allowNull: false,
+        defaultValue: 'planned'
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Internal notes, not shown to the client
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      sortOrder: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }
+    }, {
+      tableName: 'milestones',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['projectId', 'sortOrder']
+        }
+      ]
+    });
+
+    return Milestone;
+  };
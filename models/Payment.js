@@ -24,10 +24,55 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.ENUM('stripe', 'paypal', 'afterpay', 'credit'),
         allowNull: false
       },
+      // processing: the provider is still clearing it (e.g. bank debits);
+      // disputed: the client opened a chargeback (see Dispute)
       paymentStatus: {
-        type: DataTypes.ENUM('pending', 'completed', 'failed', 'refunded'),
+        type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'),
         defaultValue: 'pending'
       },
+      // Running total of refunds against this payment (refundService)
+      refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Position in the project's payment schedule; 1 is the deposit.
+      // Null for one-off payments taken outside a schedule.
+      installment: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      label: {
+        type: DataTypes.STRING(60),
+        allowNull: true
+      },
+      percent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true
+      },
+      dueOn: {
+        type: DataTypes.ENUM('kickoff', 'milestone', 'launch'),
+        allowNull: true
+      },
+      milestoneId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        }
+      },
+      paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // The provider's id for this payment (PaymentIntent, PayPal order,
+      // Afterpay order) - see services/payments
+      providerPaymentId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Still set for Stripe payments; older rows only have this one
       stripePaymentId: {
         type: DataTypes.STRING,
         allowNull: true
@@ -45,6 +90,12 @@ module.exports = (sequelize, DataTypes) => {
         },
         {
           fields: ['paymentStatus']
+        },
+        {
+          fields: ['paymentMethod', 'providerPaymentId']
+        },
+        {
+          fields: ['projectId', 'installment']
         }
       ]
     });
@@ -0,0 +1,66 @@
+module.exports = (sequelize, DataTypes) => {
+    const ProgressUpdate = sequelize.define('ProgressUpdate', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      // Milestone the update reports on, if any
+      milestoneId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'milestones',
+          key: 'id'
+        }
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Drafts are only visible to admins until published
+      status: {
+        type: DataTypes.ENUM('draft', 'published'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      publishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      emailSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      createdBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'admin'
+      }
+    }, {
+      tableName: 'progress_updates',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['projectId', 'status']
+        }
+      ]
+    });
+
+    return ProgressUpdate;
+  };
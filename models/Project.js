@@ -63,8 +63,43 @@ module.exports = (sequelize, DataTypes) => {
           min: 0
         }
       },
+      // Promo code redeemed at booking time (see PromoRedemption)
+      promoCode: {
+        type: DataTypes.STRING(40),
+        allowNull: true
+      },
+      discountAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0
+        }
+      },
+      // Maintenance plan picked when booking (config/subscriptionPlans.js, or
+      // 'none'); the Stripe subscription itself is a Subscription row
+      subscription: {
+        type: DataTypes.STRING(40),
+        allowNull: true
+      },
+      // Deposit / balance split (config/paymentSchedules.js, or 'custom');
+      // each installment is a Payment row
+      paymentSchedule: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      // Card saved with the booking (savedCardService): the SetupIntent the
+      // booking form confirms, then the PaymentMethod it saved
+      stripeSetupIntentId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      stripePaymentMethodId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
       status: {
-        type: DataTypes.ENUM('pending', 'in_progress', 'completed', 'cancelled'),
+        type: DataTypes.ENUM('pending', 'approved', 'declined', 'in_progress', 'completed', 'cancelled'),
         defaultValue: 'pending'
       },
       bookingMonth: {
@@ -81,7 +116,18 @@ module.exports = (sequelize, DataTypes) => {
         set(value) {
             this.setDataValue('items', JSON.stringify(value || []));
         }
-    }
+    },
+      priceBreakdown: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+          const value = this.getDataValue('priceBreakdown');
+          return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+          this.setDataValue('priceBreakdown', value ? JSON.stringify(value) : null);
+        }
+      }
     }, {
       tableName: 'projects',
       timestamps: true,
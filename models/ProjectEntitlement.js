@@ -0,0 +1,68 @@
+module.exports = (sequelize, DataTypes) => {
+    const ProjectEntitlement = sequelize.define('ProjectEntitlement', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      sessionsIncluded: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Unused sessions lapse after this (set when the project completes)
+      sessionsExpireAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Bug-fix warranty window, starts when the project completes
+      warrantyStartsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      warrantyEndsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Notices already sent, so the sweep only sends each once
+      lowBalanceNotifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      warrantyReminderSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      warrantyExpiredNotifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      sessionsExpiredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'project_entitlements',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['projectId']
+        },
+        {
+          fields: ['warrantyEndsAt']
+        }
+      ]
+    });
+
+    return ProjectEntitlement;
+  };
@@ -0,0 +1,45 @@
+module.exports = (sequelize, DataTypes) => {
+    const ProjectStatusHistory = sequelize.define('ProjectStatusHistory', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      fromStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+      },
+      toStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      changedBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'system'
+      },
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    }, {
+      tableName: 'project_status_history',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['projectId']
+        }
+      ]
+    });
+  
+    return ProjectStatusHistory;
+  };
@@ -0,0 +1,81 @@
+module.exports = (sequelize, DataTypes) => {
+    const jsonField = (name) => ({
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue(name);
+        return value ? JSON.parse(value) : null;
+      },
+      set(value) {
+        this.setDataValue(name, value ? JSON.stringify(value) : null);
+      }
+    });
+
+    const ProjectVersion = sequelize.define('ProjectVersion', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      version: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      specifications: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      websiteType: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      primaryColor: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+      },
+      secondaryColor: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+      },
+      accentColor: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+      },
+      items: jsonField('items'),
+      totalPrice: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+      },
+      priceBreakdown: jsonField('priceBreakdown'),
+      // The change request that produced this version (NULL for the original brief)
+      changeRequestId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      createdBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'system'
+      }
+    }, {
+      tableName: 'project_versions',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          unique: true,
+          fields: ['projectId', 'version']
+        }
+      ]
+    });
+  
+    return ProjectVersion;
+  };
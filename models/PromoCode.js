@@ -0,0 +1,95 @@
+module.exports = (sequelize, DataTypes) => {
+    const PromoCode = sequelize.define('PromoCode', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // Stored upper-case; matched case-insensitively
+      code: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+        unique: true,
+        set(value) {
+          this.setDataValue('code', String(value || '').trim().toUpperCase());
+        },
+        validate: {
+          is: /^[A-Z0-9_-]{3,40}$/
+        }
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      discountType: {
+        type: DataTypes.ENUM('percent', 'fixed'),
+        allowNull: false
+      },
+      // Percent (1-100) or a dollar amount
+      discountValue: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0.01
+        }
+      },
+      startsAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Total redemptions allowed (null = unlimited)
+      maxRedemptions: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+          min: 1
+        }
+      },
+      // Redemptions allowed per client (null = unlimited)
+      perClientLimit: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 1,
+        validate: {
+          min: 1
+        }
+      },
+      // null = every project type
+      eligibleProjectTypes: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+          const value = this.getDataValue('eligibleProjectTypes');
+          return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+          this.setDataValue('eligibleProjectTypes', value && value.length ? JSON.stringify(value) : null);
+        }
+      },
+      active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'admin'
+      }
+    }, {
+      tableName: 'promo_codes',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['code']
+        }
+      ]
+    });
+
+    return PromoCode;
+  };
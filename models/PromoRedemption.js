@@ -0,0 +1,57 @@
+module.exports = (sequelize, DataTypes) => {
+    const PromoRedemption = sequelize.define('PromoRedemption', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      promoCodeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'promo_codes',
+          key: 'id'
+        }
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'clients',
+          key: 'id'
+        }
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      discountAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      // Released redemptions (declined / cancelled bookings) no longer count
+      // towards the code's limits
+      status: {
+        type: DataTypes.ENUM('applied', 'released'),
+        allowNull: false,
+        defaultValue: 'applied'
+      }
+    }, {
+      tableName: 'promo_redemptions',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['promoCodeId', 'status']
+        },
+        {
+          fields: ['clientId']
+        }
+      ]
+    });
+
+    return PromoRedemption;
+  };
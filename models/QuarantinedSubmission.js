@@ -0,0 +1,74 @@
+module.exports = (sequelize, DataTypes) => {
+    const jsonField = (name) => ({
+      type: DataTypes.TEXT,
+      allowNull: true,
+      get() {
+        const value = this.getDataValue(name);
+        return value ? JSON.parse(value) : null;
+      },
+      set(value) {
+        this.setDataValue(name, value ? JSON.stringify(value) : null);
+      }
+    });
+
+    const QuarantinedSubmission = sequelize.define('QuarantinedSubmission', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // Which public form it came from
+      source: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'booking'
+      },
+      status: {
+        type: DataTypes.ENUM('quarantined', 'released', 'discarded'),
+        allowNull: false,
+        defaultValue: 'quarantined'
+      },
+      clientEmail: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // The request body exactly as submitted
+      payload: jsonField('payload'),
+      reasons: jsonField('reasons'),
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+      },
+      userAgent: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      reviewedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Booking created when the submission was released
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      }
+    }, {
+      tableName: 'quarantined_submissions',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['status']
+        }
+      ]
+    });
+
+    return QuarantinedSubmission;
+  };
@@ -0,0 +1,109 @@
+module.exports = (sequelize, DataTypes) => {
+    const Quote = sequelize.define('Quote', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'clients',
+          key: 'id'
+        }
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      projectType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'custom'
+      },
+      // [{ kind, id, name, description, quantity, unitPrice, amount }]
+      lines: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        get() {
+          const value = this.getDataValue('lines');
+          return value ? JSON.parse(value) : [];
+        },
+        set(value) {
+          this.setDataValue('lines', JSON.stringify(value || []));
+        }
+      },
+      total: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'AUD'
+      },
+      validUntil: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      terms: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Message to the client shown with the quote
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Month the resulting booking is for, if agreed
+      bookingMonth: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('draft', 'sent', 'accepted', 'rejected', 'expired'),
+        allowNull: false,
+        defaultValue: 'draft'
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      respondedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      responseNote: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Booking created when the quote was accepted
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      createdBy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'admin'
+      }
+    }, {
+      tableName: 'quotes',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['clientId']
+        },
+        {
+          fields: ['status']
+        }
+      ]
+    });
+
+    return Quote;
+  };
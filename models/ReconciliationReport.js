@@ -0,0 +1,84 @@
+module.exports = (sequelize, DataTypes) => {
+    const jsonField = (name, fallback) => ({
+      type: DataTypes.TEXT('long'),
+      allowNull: true,
+      get() {
+        const value = this.getDataValue(name);
+        return value ? JSON.parse(value) : fallback;
+      },
+      set(value) {
+        this.setDataValue(name, value ? JSON.stringify(value) : null);
+      }
+    });
+
+    const ReconciliationReport = sequelize.define('ReconciliationReport', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      provider: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'stripe'
+      },
+      // Stripe objects created in [rangeStart, rangeEnd) were compared
+      rangeStart: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      rangeEnd: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'running'
+      },
+      // Whether mismatches were fixed or only reported
+      autoFix: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      // Whether the fix also corrected amount mismatches (opt-in on top of
+      // autoFix)
+      fixAmounts: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      // admin name, 'cli' or 'nightly'
+      triggeredBy: {
+        type: DataTypes.STRING(120),
+        allowNull: true
+      },
+      // Counts: { paymentIntents, charges, payments, mismatches, fixed, ... }
+      summary: jsonField('summary', {}),
+      // [{ kind, paymentId, projectId, stripeId, local, stripe, message,
+      //    fixable, fixed, fixError }]
+      mismatches: jsonField('mismatches', []),
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'reconciliation_reports',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['createdAt']
+        },
+        {
+          fields: ['triggeredBy']
+        }
+      ]
+    });
+
+    return ReconciliationReport;
+  };
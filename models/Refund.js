@@ -0,0 +1,89 @@
+module.exports = (sequelize, DataTypes) => {
+    const Refund = sequelize.define('Refund', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      paymentId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'payments',
+          key: 'id'
+        }
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0.01
+        }
+      },
+      // Why the money went back, in the admin's words (shown to the client)
+      reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // Stripe's own reason code, when one applies (other providers ignore it)
+      stripeReason: {
+        type: DataTypes.ENUM('duplicate', 'fraudulent', 'requested_by_customer'),
+        allowNull: true
+      },
+      // Back to the card (or PayPal / Afterpay) or into store credit
+      destination: {
+        type: DataTypes.ENUM('original', 'credit'),
+        defaultValue: 'original'
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'succeeded', 'failed', 'canceled'),
+        defaultValue: 'pending'
+      },
+      // Refund id at the payment provider (Stripe re_..., PayPal, Afterpay)
+      providerRefundId: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        unique: true
+      },
+      // Admin who issued it; refunds made in the Stripe dashboard arrive
+      // through the webhook with source 'stripe', and money lost to a
+      // chargeback is recorded with source 'dispute'
+      issuedBy: {
+        type: DataTypes.STRING(120),
+        allowNull: true
+      },
+      source: {
+        type: DataTypes.ENUM('admin', 'stripe', 'dispute'),
+        defaultValue: 'admin'
+      },
+      failureReason: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      notifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'refunds',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['paymentId']
+        },
+        {
+          fields: ['projectId']
+        }
+      ]
+    });
+
+    return Refund;
+  };
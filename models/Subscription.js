@@ -0,0 +1,123 @@
+module.exports = (sequelize, DataTypes) => {
+    const Subscription = sequelize.define('Subscription', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'clients',
+          key: 'id'
+        }
+      },
+      // Site the plan looks after, if it is tied to a booking
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      // Key in config/subscriptionPlans.js
+      plan: {
+        type: DataTypes.STRING(40),
+        allowNull: false
+      },
+      kind: {
+        type: DataTypes.ENUM('maintenance', 'hosting'),
+        allowNull: false
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'AUD'
+      },
+      interval: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: 'month'
+      },
+      stripeSubscriptionId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      stripeCustomerId: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      stripePriceId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Mirrors the Stripe subscription status
+      status: {
+        type: DataTypes.ENUM('incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid', 'paused'),
+        allowNull: false,
+        defaultValue: 'incomplete'
+      },
+      currentPeriodStart: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      currentPeriodEnd: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelAtPeriodEnd: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      canceledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      latestInvoiceId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      lastPaymentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Consecutive failed renewal attempts, reset when an invoice is paid
+      failedPaymentCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      }
+    }, {
+      tableName: 'subscriptions',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['stripeSubscriptionId']
+        },
+        {
+          fields: ['clientId']
+        },
+        {
+          fields: ['projectId']
+        },
+        {
+          fields: ['status']
+        }
+      ]
+    });
+
+    return Subscription;
+  };
@@ -0,0 +1,79 @@
+module.exports = (sequelize, DataTypes) => {
+    const Ticket = sequelize.define('Ticket', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'clients',
+          key: 'id'
+        }
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+          len: [1, 200]
+        }
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      // Page or feature the bug shows up on
+      pageUrl: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+      },
+      severity: {
+        type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+        allowNull: false,
+        defaultValue: 'medium'
+      },
+      status: {
+        type: DataTypes.ENUM('open', 'in_progress', 'waiting_on_client', 'resolved', 'closed'),
+        allowNull: false,
+        defaultValue: 'open'
+      },
+      // Filed inside the warranty window (free) or not (billable);
+      // admins can override
+      coverage: {
+        type: DataTypes.ENUM('warranty', 'billable'),
+        allowNull: false
+      },
+      resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'tickets',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['projectId']
+        },
+        {
+          fields: ['status', 'severity']
+        }
+      ]
+    });
+
+    return Ticket;
+  };
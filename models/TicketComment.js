@@ -0,0 +1,60 @@
+module.exports = (sequelize, DataTypes) => {
+    const TicketComment = sequelize.define('TicketComment', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      ticketId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'tickets',
+          key: 'id'
+        }
+      },
+      // Status changes are recorded in the thread alongside comments
+      type: {
+        type: DataTypes.ENUM('comment', 'status_change'),
+        allowNull: false,
+        defaultValue: 'comment'
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      fromStatus: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+      },
+      toStatus: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+      },
+      author: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      authorType: {
+        type: DataTypes.ENUM('client', 'admin', 'system'),
+        allowNull: false
+      },
+      // Admin-only notes, never shown to or emailed to the client
+      internal: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }
+    }, {
+      tableName: 'ticket_comments',
+      timestamps: true,
+      updatedAt: false,
+      indexes: [
+        {
+          fields: ['ticketId', 'createdAt']
+        }
+      ]
+    });
+
+    return TicketComment;
+  };
@@ -0,0 +1,103 @@
+module.exports = (sequelize, DataTypes) => {
+    const WaitlistEntry = sequelize.define('WaitlistEntry', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'clients',
+          key: 'id'
+        }
+      },
+      // Normalised YYYY-MM
+      bookingMonth: {
+        type: DataTypes.STRING(7),
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('waiting', 'offered', 'claimed', 'expired', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'waiting'
+      },
+      // The brief the pending booking is created from when the offer is claimed
+      projectType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'custom'
+      },
+      specifications: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      websiteType: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
+      primaryColor: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+      },
+      secondaryColor: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+      },
+      accentColor: {
+        type: DataTypes.STRING(7),
+        allowNull: true
+      },
+      items: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+          const value = this.getDataValue('items');
+          return value ? JSON.parse(value) : [];
+        },
+        set(value) {
+          this.setDataValue('items', JSON.stringify(value || []));
+        }
+      },
+      rush: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      offeredAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      offerExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      claimedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Pending booking created by the claim
+      projectId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'projects',
+          key: 'id'
+        }
+      }
+    }, {
+      tableName: 'waitlist_entries',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['bookingMonth', 'status']
+        },
+        {
+          fields: ['clientId']
+        }
+      ]
+    });
+
+    return WaitlistEntry;
+  };
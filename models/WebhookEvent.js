@@ -0,0 +1,95 @@
+module.exports = (sequelize, DataTypes) => {
+    const WebhookEvent = sequelize.define('WebhookEvent', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      // Payment provider that sent it (services/payments)
+      provider: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+      },
+      // The provider's event id - an event is only stored once
+      eventId: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // The provider's event type, e.g. payment_intent.succeeded
+      type: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+      },
+      // Normalized payment event (payment.succeeded, ...) and the payment
+      // it is about, when the provider reported one
+      paymentEventType: {
+        type: DataTypes.STRING(40),
+        allowNull: true
+      },
+      providerPaymentId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // pending: waiting for (another) attempt, failed: gave up after
+      // WEBHOOK_MAX_ATTEMPTS - replay it once the cause is fixed
+      status: {
+        type: DataTypes.ENUM('pending', 'processing', 'processed', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      replayedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      replayedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // The verified event body as the provider sent it
+      payload: {
+        type: DataTypes.TEXT('long'),
+        allowNull: false,
+        get() {
+          const value = this.getDataValue('payload');
+          return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+          this.setDataValue('payload', JSON.stringify(value || {}));
+        }
+      }
+    }, {
+      tableName: 'webhook_events',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['provider', 'eventId']
+        },
+        {
+          fields: ['status', 'nextAttemptAt']
+        },
+        {
+          fields: ['type']
+        }
+      ]
+    });
+
+    return WebhookEvent;
+  };
@@ -5,6 +5,30 @@ const { DataTypes } = require('sequelize');
 const Client = require('./Client')(sequelize, DataTypes);
 const Project = require('./Project')(sequelize, DataTypes);
 const Payment = require('./Payment')(sequelize, DataTypes);
+const ProjectStatusHistory = require('./ProjectStatusHistory')(sequelize, DataTypes);
+const IdempotencyKey = require('./IdempotencyKey')(sequelize, DataTypes);
+const ProjectVersion = require('./ProjectVersion')(sequelize, DataTypes);
+const ChangeRequest = require('./ChangeRequest')(sequelize, DataTypes);
+const Attachment = require('./Attachment')(sequelize, DataTypes);
+const WaitlistEntry = require('./WaitlistEntry')(sequelize, DataTypes);
+const QuarantinedSubmission = require('./QuarantinedSubmission')(sequelize, DataTypes);
+const Quote = require('./Quote')(sequelize, DataTypes);
+const PromoCode = require('./PromoCode')(sequelize, DataTypes);
+const PromoRedemption = require('./PromoRedemption')(sequelize, DataTypes);
+const Subscription = require('./Subscription')(sequelize, DataTypes);
+const Milestone = require('./Milestone')(sequelize, DataTypes);
+const ProgressUpdate = require('./ProgressUpdate')(sequelize, DataTypes);
+const ProjectEntitlement = require('./ProjectEntitlement')(sequelize, DataTypes);
+const EntitlementEntry = require('./EntitlementEntry')(sequelize, DataTypes);
+const Ticket = require('./Ticket')(sequelize, DataTypes);
+const TicketComment = require('./TicketComment')(sequelize, DataTypes);
+const Invoice = require('./Invoice')(sequelize, DataTypes);
+const Refund = require('./Refund')(sequelize, DataTypes);
+const CreditLedgerEntry = require('./CreditLedgerEntry')(sequelize, DataTypes);
+const WebhookEvent = require('./WebhookEvent')(sequelize, DataTypes);
+const Dispute = require('./Dispute')(sequelize, DataTypes);
+const ReconciliationReport = require('./ReconciliationReport')(sequelize, DataTypes);
+const BookingMonth = require('./BookingMonth')(sequelize, DataTypes);
 
 // Define associations
 Client.hasMany(Project, { 
@@ -29,9 +53,340 @@ Payment.belongsTo(Project, {
   as: 'project'
 });
 
+Project.hasMany(ProjectStatusHistory, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'statusHistory'
+});
+
+ProjectStatusHistory.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Project.hasMany(ProjectVersion, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'versions'
+});
+
+ProjectVersion.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Project.hasMany(ChangeRequest, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'changeRequests'
+});
+
+ChangeRequest.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Project.hasMany(Attachment, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'attachments'
+});
+
+Attachment.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Client.hasMany(WaitlistEntry, { 
+  foreignKey: 'clientId', 
+  onDelete: 'CASCADE',
+  as: 'waitlistEntries'
+});
+
+WaitlistEntry.belongsTo(Client, { 
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+WaitlistEntry.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+QuarantinedSubmission.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Client.hasMany(Quote, { 
+  foreignKey: 'clientId', 
+  onDelete: 'CASCADE',
+  as: 'quotes'
+});
+
+Quote.belongsTo(Client, { 
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+Quote.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+PromoCode.hasMany(PromoRedemption, { 
+  foreignKey: 'promoCodeId', 
+  onDelete: 'CASCADE',
+  as: 'redemptions'
+});
+
+PromoRedemption.belongsTo(PromoCode, { 
+  foreignKey: 'promoCodeId',
+  as: 'promoCode'
+});
+
+PromoRedemption.belongsTo(Client, { 
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+PromoRedemption.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Client.hasMany(Subscription, { 
+  foreignKey: 'clientId', 
+  onDelete: 'CASCADE',
+  as: 'subscriptions'
+});
+
+Subscription.belongsTo(Client, { 
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+Project.hasMany(Subscription, { 
+  foreignKey: 'projectId', 
+  as: 'subscriptions'
+});
+
+Subscription.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Project.hasMany(Milestone, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'milestones'
+});
+
+Milestone.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Project.hasMany(ProgressUpdate, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'progressUpdates'
+});
+
+ProgressUpdate.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Milestone.hasMany(ProgressUpdate, { 
+  foreignKey: 'milestoneId', 
+  as: 'updates'
+});
+
+ProgressUpdate.belongsTo(Milestone, { 
+  foreignKey: 'milestoneId',
+  as: 'milestone'
+});
+
+ProgressUpdate.hasMany(Attachment, { 
+  foreignKey: 'progressUpdateId', 
+  as: 'images'
+});
+
+Attachment.belongsTo(ProgressUpdate, { 
+  foreignKey: 'progressUpdateId',
+  as: 'progressUpdate'
+});
+
+Project.hasOne(ProjectEntitlement, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'entitlement'
+});
+
+ProjectEntitlement.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Project.hasMany(EntitlementEntry, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'entitlementEntries'
+});
+
+EntitlementEntry.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Project.hasMany(Ticket, { 
+  foreignKey: 'projectId', 
+  onDelete: 'CASCADE',
+  as: 'tickets'
+});
+
+Ticket.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Ticket.belongsTo(Client, { 
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+Ticket.hasMany(TicketComment, { 
+  foreignKey: 'ticketId', 
+  onDelete: 'CASCADE',
+  as: 'comments'
+});
+
+TicketComment.belongsTo(Ticket, { 
+  foreignKey: 'ticketId',
+  as: 'ticket'
+});
+
+Ticket.hasMany(Attachment, { 
+  foreignKey: 'ticketId', 
+  as: 'attachments'
+});
+
+Attachment.belongsTo(Ticket, { 
+  foreignKey: 'ticketId',
+  as: 'ticket'
+});
+
+Project.hasMany(Invoice, { 
+  foreignKey: 'projectId', 
+  as: 'invoices'
+});
+
+Invoice.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Invoice.belongsTo(Client, { 
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+Payment.hasOne(Invoice, { 
+  foreignKey: 'paymentId', 
+  as: 'invoice'
+});
+
+Invoice.belongsTo(Payment, { 
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+Payment.hasMany(Refund, { 
+  foreignKey: 'paymentId', 
+  onDelete: 'CASCADE',
+  as: 'refunds'
+});
+
+Refund.belongsTo(Payment, { 
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+Refund.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+Client.hasMany(CreditLedgerEntry, { 
+  foreignKey: 'clientId', 
+  onDelete: 'CASCADE',
+  as: 'creditEntries'
+});
+
+CreditLedgerEntry.belongsTo(Client, { 
+  foreignKey: 'clientId',
+  as: 'client'
+});
+
+CreditLedgerEntry.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+CreditLedgerEntry.belongsTo(Payment, { 
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+CreditLedgerEntry.belongsTo(Refund, { 
+  foreignKey: 'refundId',
+  as: 'refund'
+});
+
+Payment.hasMany(Dispute, { 
+  foreignKey: 'paymentId', 
+  onDelete: 'CASCADE',
+  as: 'disputes'
+});
+
+Dispute.belongsTo(Payment, { 
+  foreignKey: 'paymentId',
+  as: 'payment'
+});
+
+Dispute.belongsTo(Project, { 
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
 module.exports = {
   sequelize,
   Client,
   Project,
-  Payment
+  Payment,
+  ProjectStatusHistory,
+  IdempotencyKey,
+  ProjectVersion,
+  ChangeRequest,
+  Attachment,
+  WaitlistEntry,
+  QuarantinedSubmission,
+  Quote,
+  PromoCode,
+  PromoRedemption,
+  Subscription,
+  Milestone,
+  ProgressUpdate,
+  ProjectEntitlement,
+  EntitlementEntry,
+  Ticket,
+  TicketComment,
+  Invoice,
+  Refund,
+  CreditLedgerEntry,
+  WebhookEvent,
+  Dispute,
+  ReconciliationReport,
+  BookingMonth
 };
\ No newline at end of file
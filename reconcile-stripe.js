@@ -0,0 +1,54 @@
+// reconcile-stripe.js
+// Compare Stripe with our payments and save a reconciliation report
+// Run with: npm run reconcile -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--days N] [--fix] [--fix-amounts]
+
+require('dotenv').config();
+const { sequelize } = require('./models');
+const { reconcileStripe } = require('./services/reconciliationService');
+
+function readArgs(argv) {
+  const args = { fix: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--days': args.days = Number(argv[++i]); break;
+      case '--fix': args.fix = true; break;
+      // Amount mismatches are only corrected when asked for (implies --fix)
+      case '--fix-amounts': args.fix = true; args.fixAmounts = true; break;
+      default: throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  // --days N: the N days up to --to (or now)
+  if (args.days && !args.from) {
+    const end = args.to ? new Date(args.to) : new Date();
+    args.from = new Date(end.getTime() - args.days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  return args;
+}
+
+(async () => {
+  let failed = false;
+  try {
+    const { from, to, fix, fixAmounts } = readArgs(process.argv.slice(2));
+    await sequelize.authenticate();
+
+    const report = await reconcileStripe({ from, to, fix, fixAmounts, triggeredBy: 'cli' });
+    console.log(`\n📋 Report #${report.id} (${report.status})`);
+    console.log(report.summary);
+    for (const item of report.mismatches) {
+      const state = item.fixed ? '✅ fixed' : item.fixError ? `❌ ${item.fixError}` : item.fixable ? '🔧 fixable' : '👀 check';
+      console.log(`  ${item.kind} - ${item.message} (payment ${item.paymentId || '—'}, ${item.stripeId}) ${state}`);
+    }
+    if (report.status === 'failed') {
+      console.error(`❌ ${report.error}`);
+      failed = true;
+    }
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    failed = true;
+  } finally {
+    await sequelize.close();
+  }
+  process.exit(failed ? 1 : 0);
+})();
@@ -1,6 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { Client, Project, Payment } = require('../models');
+const { Client, Project, Payment, QuarantinedSubmission, WebhookEvent, ReconciliationReport } = require('../models');
+const { createBooking } = require('../services/bookingService');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { serializeSubmission } = require('../services/spamFilter');
+const { listEvents, replayEvent, serializeWebhookEvent } = require('../services/webhookEventService');
+const { createReport, runReport, serializeReport } = require('../services/reconciliationService');
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
 
 // Admin dashboard stats
 router.get('/stats', async (req, res) => {
@@ -29,6 +43,198 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Submissions held back by the spam filter
+router.get('/quarantine', requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'quarantined';
+    const submissions = await QuarantinedSubmission.findAll({
+      where: status === 'all' ? {} : { status },
+      order: [['createdAt', 'DESC']],
+      limit: 200
+    });
+
+    res.json({
+      status,
+      total: submissions.length,
+      submissions: submissions.map(serializeSubmission)
+    });
+  } catch (error) {
+    console.error('❌ Quarantine list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function findQuarantined(req, res) {
+  const submission = await QuarantinedSubmission.findByPk(req.params.id);
+  if (!submission) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+  if (submission.status !== 'quarantined') {
+    res.status(409).json({ error: `Submission was already ${submission.status}` });
+    return null;
+  }
+  return submission;
+}
+
+// Not spam after all - create the booking and send the usual emails
+router.post('/quarantine/:id/release', requireAdmin, async (req, res) => {
+  try {
+    const submission = await findQuarantined(req, res);
+    if (!submission) return;
+
+    let client, project, emailSent;
+    try {
+      ({ client, project, emailSent } = await createBooking(submission.payload));
+    } catch (error) {
+      if (!error.status) throw error;
+      const { message, status, ...extra } = error;
+      return res.status(status).json({ error: message, ...extra });
+    }
+
+    await submission.update({
+      status: 'released',
+      projectId: project.id,
+      reviewedBy: req.admin.name,
+      reviewedAt: new Date()
+    });
+    console.log(`✅ Quarantined submission ${submission.id} released as project ${project.id}`);
+
+    res.json({
+      message: 'Submission released and booking created',
+      projectId: project.id,
+      clientId: client.id,
+      emailSent,
+      submission: serializeSubmission(submission)
+    });
+  } catch (error) {
+    console.error('❌ Quarantine release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/quarantine/:id/discard', requireAdmin, async (req, res) => {
+  try {
+    const submission = await findQuarantined(req, res);
+    if (!submission) return;
+
+    await submission.update({
+      status: 'discarded',
+      reviewedBy: req.admin.name,
+      reviewedAt: new Date()
+    });
+    console.log(`🗑️ Quarantined submission ${submission.id} discarded`);
+
+    res.json({
+      message: 'Submission discarded',
+      submission: serializeSubmission(submission)
+    });
+  } catch (error) {
+    console.error('❌ Quarantine discard error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stored payment webhooks. Query: status (pending, processing, processed,
+// failed), provider, type, page, limit
+router.get('/webhook-events', requireAdmin, async (req, res) => {
+  try {
+    const { events, total, page, limit } = await listEvents(req.query);
+    res.json({
+      total,
+      page,
+      limit,
+      events: events.map(e => serializeWebhookEvent(e))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to list webhook events');
+  }
+});
+
+router.get('/webhook-events/:id', requireAdmin, async (req, res) => {
+  try {
+    const webhookEvent = await WebhookEvent.findByPk(req.params.id);
+    if (!webhookEvent) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+    res.json({ event: serializeWebhookEvent(webhookEvent, { withPayload: true }) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load webhook event');
+  }
+});
+
+// Run a failed (or already processed) event again
+router.post('/webhook-events/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const webhookEvent = await WebhookEvent.findByPk(req.params.id);
+    if (!webhookEvent) {
+      return res.status(404).json({ error: 'Webhook event not found' });
+    }
+
+    const replayed = await replayEvent(webhookEvent, { replayedBy: req.admin.name });
+    res.json({
+      message: replayed.status === 'processed'
+        ? 'Webhook event replayed'
+        : replayed.status === 'pending' ? 'Replay failed - it will be retried' : 'Replay failed',
+      event: serializeWebhookEvent(replayed)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to replay webhook event');
+  }
+});
+
+// Stripe reconciliation reports, newest first (mismatches left out - see
+// GET /reconciliation-reports/:id)
+router.get('/reconciliation-reports', requireAdmin, async (req, res) => {
+  try {
+    const reports = await ReconciliationReport.findAll({
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+    res.json({ reports: reports.map(r => serializeReport(r)) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to list reconciliation reports');
+  }
+});
+
+router.get('/reconciliation-reports/:id', requireAdmin, async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Reconciliation report not found' });
+    }
+    res.json({ report: serializeReport(report, { withMismatches: true }) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load reconciliation report');
+  }
+});
+
+// Start a reconciliation. Body: { from, to, fix, fixAmounts } - from/to
+// default to the last day; fixAmounts also corrects amount mismatches.
+// Runs in the background; poll the report until it has finished.
+router.post('/reconciliation-reports', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const report = await createReport({
+      from: body.from,
+      to: body.to,
+      fix: body.fix,
+      fixAmounts: body.fixAmounts,
+      triggeredBy: req.admin.name
+    });
+    res.status(202).json({
+      message: 'Reconciliation started',
+      report: serializeReport(report)
+    });
+
+    runReport(report).catch(error => {
+      console.error(`❌ Reconciliation report ${report.id} failed:`, error.message);
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to start reconciliation');
+  }
+});
+
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { Project, Attachment } = require('../models');
+const { acceptUploads, filesFromRequest } = require('../middleware/uploads');
+const { requireAdmin } = require('../middleware/adminAuth');
+const {
+  storeAttachments,
+  sendAttachment,
+  deleteAttachment,
+  serializeAttachment
+} = require('../services/attachmentService');
+
+// Mounted under /api/bookings alongside routes/bookings.js. Admin only -
+// clients upload and download through /api/portal.
+
+async function findProject(req, res) {
+  const projectId = parseInt(req.params.id, 10);
+  if (isNaN(projectId) || projectId <= 0) {
+    res.status(400).json({ error: 'Invalid booking ID', received: req.params.id });
+    return null;
+  }
+
+  const project = await Project.findByPk(projectId);
+  if (!project) {
+    res.status(404).json({ error: 'Booking not found', id: projectId });
+    return null;
+  }
+  return project;
+}
+
+async function findAttachment(req, res, project) {
+  const attachment = await Attachment.findOne({
+    where: { id: req.params.attachmentId, projectId: project.id }
+  });
+  if (!attachment) {
+    res.status(404).json({ error: 'Attachment not found' });
+    return null;
+  }
+  return attachment;
+}
+
+// Upload files (multipart or base64 JSON)
+router.post('/:id/attachments', requireAdmin, acceptUploads, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const attachments = await storeAttachments(project, filesFromRequest(req), {
+      uploadedBy: req.admin.name,
+      uploadedByType: 'admin',
+      category: req.body.category || 'other'
+    });
+
+    res.status(201).json({
+      message: `${attachments.length} file(s) uploaded`,
+      attachments: attachments.map(serializeAttachment)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Attachment upload error:', error);
+    res.status(500).json({ error: 'Failed to upload attachments', details: error.message });
+  }
+});
+
+router.get('/:id/attachments', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const attachments = await Attachment.findAll({
+      where: { projectId: project.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      projectId: project.id,
+      attachments: attachments.map(serializeAttachment)
+    });
+  } catch (error) {
+    console.error('❌ Attachment list error:', error);
+    res.status(500).json({ error: 'Failed to load attachments', details: error.message });
+  }
+});
+
+router.get('/:id/attachments/:attachmentId/download', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const attachment = await findAttachment(req, res, project);
+    if (!attachment) return;
+
+    await sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('❌ Attachment download error:', error);
+    res.status(500).json({ error: 'Failed to download attachment', details: error.message });
+  }
+});
+
+router.delete('/:id/attachments/:attachmentId', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const attachment = await findAttachment(req, res, project);
+    if (!attachment) return;
+
+    await deleteAttachment(attachment);
+    console.log(`🗑️ Attachment ${attachment.id} removed from project ${project.id}`);
+
+    res.json({ message: 'Attachment deleted', id: attachment.id });
+  } catch (error) {
+    console.error('❌ Attachment delete error:', error);
+    res.status(500).json({ error: 'Failed to delete attachment', details: error.message });
+  }
+});
+
+module.exports = router;
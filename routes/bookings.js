@@ -1,14 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const emailService = require('../services/emailService'); // adjust path if needed
+const { getMonthAvailability, rescheduleProject } = require('../services/availabilityService');
+const { STATUSES, allowedTransitions, transitionProject } = require('../services/projectStatus');
+const { calculatePrice, applyDiscount } = require('../services/pricingService');
+const { discountFor, findUsablePromo } = require('../services/promoService');
+const { idempotent } = require('../middleware/idempotency');
+const { listBookings } = require('../services/bookingListing');
+const { createBooking } = require('../services/bookingService');
+const { screenSubmission, quarantineSubmission } = require('../services/spamFilter');
+const { bookingLimits } = require('../middleware/rateLimits');
+const { chargeSavedCard } = require('../services/savedCardService');
+const { createPortalLink } = require('../services/portalService');
+const { requireAdmin } = require('../middleware/adminAuth');
 
 
 // SIMPLIFIED: Import models with error handling
-let Client, Project;
+let Client, Project, ProjectStatusHistory, Attachment;
 try {
   const models = require('../models');
   Client = models.Client;
   Project = models.Project;
+  ProjectStatusHistory = models.ProjectStatusHistory;
+  Attachment = models.Attachment;
 } catch (error) {
   console.error('❌ Models not available:', error.message);
 }
@@ -20,19 +34,43 @@ router.get('/availability/:month', async (req, res) => {
   
   console.log('📅 Availability check for month:', decodedMonth);
   
-  // ALWAYS return available - no database checks needed
-  res.json({ 
-    available: true, 
-    currentBookings: 0,
-    month: decodedMonth,
-    maxBookings: 999999,
-    unlimited: true,
-    message: 'All months are available - no booking limits'
-  });
+  try {
+    const availability = await getMonthAvailability(decodedMonth);
+    res.json(availability);
+  } catch (error) {
+    console.error('❌ Availability check failed:', error.message);
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to check availability',
+      month: decodedMonth,
+      details: error.message
+    });
+  }
 });
 
-// Create new booking
-router.post('/', async (req, res) => {
+// List bookings for the admin panel (filters + cursor pagination)
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    if (!Project || !Client) {
+      return res.status(500).json({ 
+        error: 'Database models not available' 
+      });
+    }
+
+    const result = await listBookings(req.query);
+    res.json(result);
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Booking listing error:', error);
+    }
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to list bookings',
+      details: error.message 
+    });
+  }
+});
+
+// Create new booking (send an Idempotency-Key header to make retries safe)
+router.post('/', bookingLimits, idempotent({ scope: 'bookings.create' }), async (req, res) => {
   try {
     console.log('📝 Booking request received:', {
       body: req.body,
@@ -40,19 +78,7 @@ router.post('/', async (req, res) => {
       timestamp: new Date().toISOString()
     });
     
-    const {
-      clientName,
-      clientEmail,
-      projectSpecs,
-      websiteType,
-      bookingMonth,
-      projectType,
-      basePrice,
-      totalPrice,
-      primaryColor,
-      secondaryColor,
-      accentColor
-    } = req.body;
+    const { clientName, clientEmail } = req.body;
 
     // Basic validation
     if (!clientName || !clientEmail) {
@@ -85,83 +111,43 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Create or find client
-    let client;
-    try {
-      const [clientRecord, created] = await Client.findOrCreate({
-        where: { email: clientEmail },
-        defaults: { 
-          name: clientName, 
-          email: clientEmail 
-        }
-      });
-      client = clientRecord;
-      console.log(`✅ Client ${created ? 'created' : 'found'}:`, client.id);
-    } catch (error) {
-      console.error('❌ Client creation failed:', error);
-      return res.status(500).json({ 
-        error: 'Failed to create client record',
-        details: error.message 
+    // Suspected spam is parked for review - no records, no emails
+    const screening = screenSubmission(req.body);
+    if (screening.suspicious) {
+      await quarantineSubmission(req, screening.reasons);
+      return res.status(202).json({
+        message: 'Booking received - we will review it and be in touch shortly',
+        emailSent: false
       });
     }
 
-    // Create project
-    let project;
+    let client, project, cardSetup, emailSent;
     try {
-      const projectData = {
-        clientId: client.id,
-    projectType: projectType || 'custom',
-    specifications: projectSpecs || 'No specifications provided',
-    websiteType: websiteType || 'other',
-    primaryColor: primaryColor || '#8B4513',
-    secondaryColor: secondaryColor || '#D2B48C', 
-    accentColor: accentColor || '#CD853F',
-    basePrice: parseFloat(basePrice) || 0,
-    totalPrice: parseFloat(totalPrice) || 0,
-    bookingMonth: bookingMonth || null,
-    status: 'pending',
-    items: req.body.items || [],
-    subscription: req.body.subscription || 'basic' // Add this line
-};
-
-      project = await Project.create(projectData);
-      console.log('✅ Project created successfully:', project.id);
+      ({ client, project, cardSetup, emailSent } = await createBooking(req.body, { saveCard: true }));
     } catch (error) {
-      console.error('❌ Project creation failed:', error);
-      return res.status(500).json({ 
-        error: 'Failed to create project record',
-        details: error.message 
+      if (!error.status) throw error;
+      const { message, status, ...extra } = error;
+      return res.status(status).json({ 
+        error: message,
+        ...extra
       });
     }
 
-    // Try to send email (don't fail if this doesn't work)
-    let emailSent = false;
-    try {
-      const { sendBookingConfirmation } = require('../services/emailService');
-      await emailService.sendBookingConfirmation({
-        to: client.email,              // ✅ required
-        client,                        // { name, email, ... }
-        project,                       // { id, projectType, totalPrice, bookingMonth, ... }
-        projectSpecs: project.specifications // or whatever field holds the specs text
-      });
-      
-      emailSent = true;
-      console.log('✅ Booking confirmation email sent');
-    } catch (emailError) {
-      console.warn('⚠️ Email sending failed but booking was created:', emailError.message);
-    }
-
     // Success response
     const response = {
       message: 'Booking created successfully',
       projectId: project.id,
       clientId: client.id,
       emailSent: emailSent,
+      cardSetup,
       bookingDetails: {
         projectType: project.projectType,
         totalPrice: project.totalPrice,
         bookingMonth: project.bookingMonth,
-        status: project.status
+        status: project.status,
+        promoCode: project.promoCode,
+        discountAmount: project.discountAmount,
+        priceBreakdown: project.priceBreakdown
       }
     };
 
@@ -184,6 +170,36 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Price preview for the booking form (same engine POST / uses)
+router.post('/price', async (req, res) => {
+  try {
+    let pricing = calculatePrice({
+      projectType: req.body.projectType || 'custom',
+      items: req.body.items || [],
+      rush: req.body.rush === true || req.body.rush === 'true'
+    });
+    if (req.body.promoCode) {
+      const promo = await findUsablePromo(req.body.promoCode, {
+        projectType: pricing.projectType,
+        clientEmail: req.body.clientEmail
+      });
+      pricing = applyDiscount(pricing, discountFor(promo));
+    }
+    res.json({ priceBreakdown: pricing });
+  } catch (error) {
+    if (!error.status) {
+      console.error('❌ Price preview error:', error);
+    }
+    res.status(error.status || 500).json({ 
+      error: error.status ? error.message : 'Failed to calculate price',
+      availableTypes: error.availableTypes,
+      availableItems: error.availableItems,
+      promoCode: error.promoCode,
+      reason: error.reason
+    });
+  }
+});
+
 // Test endpoint for debugging
 router.post('/test', async (req, res) => {
   try {
@@ -216,113 +232,86 @@ router.post('/test', async (req, res) => {
   }
 });
 
-// ✅ FIXED APPROVE ROUTE - Enhanced error handling
-router.post('/:id/approve', async (req, res) => {
+// Shared status change for approve / decline / PATCH status. The history
+// records the signed-in admin (requireAdmin), never a name from the request
+async function changeStatus(req, res, toStatus) {
+  const projectId = parseInt(req.params.id, 10);
+  if (isNaN(projectId) || projectId <= 0) {
+    return { response: res.status(400).json({ 
+      error: 'Invalid booking ID',
+      received: req.params.id
+    }) };
+  }
+
+  if (!Project) {
+    return { response: res.status(500).json({ 
+      error: 'Database models not available' 
+    }) };
+  }
+
+  const project = await Project.findByPk(projectId);
+  if (!project) {
+    return { response: res.status(404).json({ 
+      error: 'Booking not found',
+      id: projectId
+    }) };
+  }
+
   try {
-    console.log(`✅ [ROUTER] Approving booking ${req.params.id}`);
-    
-    // Validate booking ID
-    const projectId = parseInt(req.params.id, 10);
-    if (isNaN(projectId) || projectId <= 0) {
-      return res.status(400).json({ 
-        error: 'Invalid booking ID',
-        received: req.params.id
-      });
-    }
-    
-    if (!Project) {
-      return res.status(500).json({ 
-        error: 'Database models not available' 
-      });
+    await transitionProject(project, toStatus, {
+      changedBy: req.admin.name,
+      reason: req.body && req.body.reason
+    });
+  } catch (error) {
+    if (error.status) {
+      return { response: res.status(error.status).json({ 
+        error: error.message,
+        currentStatus: error.from,
+        allowed: error.allowed
+      }) };
     }
+    throw error;
+  }
 
-    // Find project with error handling
-    let project;
-    try {
-      project = await Project.findByPk(projectId);
-      console.log('📋 Project lookup:', project ? `Found ID ${project.id}` : 'Not found');
-    } catch (findError) {
-      console.error('❌ Database error finding project:', findError.message);
-      return res.status(500).json({ 
-        error: 'Database query failed',
-        details: findError.message 
-      });
-    }
-    
-    if (!project) {
-      return res.status(404).json({ 
-        error: 'Booking not found',
-        id: projectId
-      });
-    }
+  return { project };
+}
 
-    console.log(`📋 Current status: ${project.status}, updating to approved`);
+// ✅ APPROVE ROUTE
+router.post('/:id/approve', requireAdmin, async (req, res) => {
+  try {
+    console.log(`✅ [ROUTER] Approving booking ${req.params.id}`);
 
-    // Update project status with multiple methods
-    let updateSuccess = false;
-    let finalStatus = null;
+    const { project, response } = await changeStatus(req, res, 'approved');
+    if (response) return;
 
-    // Method 1: Standard Sequelize update
-    try {
-      await project.update({ status: 'approved' });
-      await project.reload();
-      finalStatus = project.status;
-      updateSuccess = true;
-      console.log('✅ Method 1 (Sequelize update) succeeded');
-    } catch (updateError1) {
-      console.warn('⚠️ Method 1 failed:', updateError1.message);
-      
-      // Method 2: Direct property update + save
-      try {
-        project.status = 'approved';
-        await project.save();
-        finalStatus = project.status;
-        updateSuccess = true;
-        console.log('✅ Method 2 (direct save) succeeded');
-      } catch (updateError2) {
-        console.warn('⚠️ Method 2 failed:', updateError2.message);
-        
-        // Method 3: Raw SQL update
-        try {
-          const { sequelize } = require('../models');
-          await sequelize.query(
-            'UPDATE projects SET status = :status WHERE id = :id',
-            {
-              replacements: { status: 'approved', id: projectId },
-              type: sequelize.QueryTypes.UPDATE
-            }
-          );
-          
-          finalStatus = 'approved';
-          updateSuccess = true;
-          console.log('✅ Method 3 (raw SQL) succeeded');
-        } catch (updateError3) {
-          console.error('❌ All update methods failed:', updateError3.message);
-        }
-      }
-    }
+    console.log(`✅ [ROUTER] Booking ${project.id} approved successfully`);
 
-    if (!updateSuccess) {
-      return res.status(500).json({ 
-        error: 'Failed to update booking status',
-        details: 'All update methods failed'
-      });
+    // Charge the deposit to the card saved with the booking
+    let cardCharge;
+    try {
+      cardCharge = await chargeSavedCard(project);
+      if (['succeeded', 'already_paid'].includes(cardCharge.status)) await project.reload();
+    } catch (chargeError) {
+      console.error('❌ Saved card charge failed:', chargeError.message);
+      cardCharge = { status: 'error', reason: chargeError.message };
     }
 
-    console.log(`✅ [ROUTER] Booking ${projectId} approved successfully`);
-
     // Try to send approval email (optional)
+    let emailSent = false;
     try {
       if (Client) {
         const client = await Client.findByPk(project.clientId);
         if (client) {
-          const { sendApprovalEmail } = require('../services/emailService');
           await emailService.sendApprovalEmail({
             to: client.email,
             client,
-            project
+            project,
+            cardCharge,
+            portalUrl: createPortalLink(project),
+            attachments: await Attachment.findAll({ where: { projectId: project.id, progressUpdateId: null, ticketId: null } })
           });
           
+          emailSent = true;
           console.log('✅ Approval email sent');
         }
       }
@@ -334,7 +323,9 @@ router.post('/:id/approve', async (req, res) => {
       success: true, 
       message: 'Booking approved successfully (router)',
       projectId: project.id,
-      status: finalStatus
+      status: project.status,
+      cardCharge,
+      emailSent
     });
 
   } catch (error) {
@@ -346,116 +337,29 @@ router.post('/:id/approve', async (req, res) => {
   }
 });
 
-// ✅ FIXED DECLINE ROUTE - Enhanced error handling
-router.post('/:id/decline', async (req, res) => {
+// ❌ DECLINE ROUTE
+router.post('/:id/decline', requireAdmin, async (req, res) => {
   try {
     console.log(`❌ [ROUTER] Declining booking ${req.params.id}`);
 
-    // Validate booking ID
-    const projectId = parseInt(req.params.id, 10);
-    if (isNaN(projectId) || projectId <= 0) {
-      console.error('❌ Invalid booking ID:', req.params.id);
-      return res.status(400).json({ 
-        error: 'Invalid booking ID', 
-        received: req.params.id 
-      });
-    }
-
-    // Ensure models exist
-    if (!Project) {
-      console.error('❌ Project model not available');
-      return res.status(500).json({ 
-        error: 'Database models not available' 
-      });
-    }
+    const { project, response } = await changeStatus(req, res, 'declined');
+    if (response) return;
 
-    // Find project without includes (avoid association issues)
-    let project;
-    try {
-      project = await Project.findByPk(projectId);
-      console.log('📋 Project lookup:', project ? `Found ID ${project.id}` : 'Not found');
-    } catch (findErr) {
-      console.error('❌ DB error on findByPk:', findErr.message);
-      return res.status(500).json({ 
-        error: 'Database query failed', 
-        details: findErr.message 
-      });
-    }
-
-    if (!project) {
-      return res.status(404).json({ 
-        error: 'Booking not found', 
-        id: projectId 
-      });
-    }
-
-    console.log(`📋 Current status: ${project.status}, updating to declined`);
-
-    // Update status with multiple fallback methods
-    let updateSuccess = false;
-    let finalStatus = null;
-
-    // Method 1: Standard Sequelize update
-    try {
-      await project.update({ status: 'declined' });
-      await project.reload();
-      finalStatus = project.status;
-      updateSuccess = true;
-      console.log('✅ Method 1 (Sequelize update) succeeded');
-    } catch (updateError1) {
-      console.warn('⚠️ Method 1 failed:', updateError1.message);
-      
-      // Method 2: Direct property update + save
-      try {
-        project.status = 'declined';
-        await project.save();
-        finalStatus = project.status;
-        updateSuccess = true;
-        console.log('✅ Method 2 (direct save) succeeded');
-      } catch (updateError2) {
-        console.warn('⚠️ Method 2 failed:', updateError2.message);
-        
-        // Method 3: Raw SQL update as last resort
-        try {
-          const { sequelize } = require('../models');
-          await sequelize.query(
-            'UPDATE projects SET status = :status WHERE id = :id',
-            {
-              replacements: { status: 'declined', id: projectId },
-              type: sequelize.QueryTypes.UPDATE
-            }
-          );
-          
-          finalStatus = 'declined';
-          updateSuccess = true;
-          console.log('✅ Method 3 (raw SQL) succeeded');
-        } catch (updateError3) {
-          console.error('❌ All update methods failed:', updateError3.message);
-        }
-      }
-    }
-
-    if (!updateSuccess) {
-      return res.status(500).json({ 
-        error: 'Failed to update booking status',
-        details: 'All update methods failed'
-      });
-    }
-
-    console.log(`✅ Booking ${projectId} status updated -> declined`);
+    console.log(`✅ Booking ${project.id} status updated -> declined`);
 
     // Try to send decline email (non-fatal)
+    let emailSent = false;
     try {
       if (Client && project.clientId) {
         const client = await Client.findByPk(project.clientId);
         if (client) {
-          const { sendDeclineEmail } = require('../services/emailService');
           await emailService.sendDeclineEmail({
             to: client.email,
             client,
             project
           });
           
+          emailSent = true;
           console.log('📩 Decline email sent');
         }
       }
@@ -463,12 +367,12 @@ router.post('/:id/decline', async (req, res) => {
       console.warn('⚠️ Decline email failed (non-fatal):', emailErr.message);
     }
 
-    // Success response
     return res.json({
       success: true,
       message: 'Booking declined successfully (router)',
       projectId: project.id,
-      status: finalStatus
+      status: project.status,
+      emailSent
     });
 
   } catch (err) {
@@ -480,6 +384,148 @@ router.post('/:id/decline', async (req, res) => {
   }
 });
 
+// 🔁 Generic status change (in_progress, completed, cancelled, ...)
+router.patch('/:id/status', requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!status) {
+      return res.status(400).json({ 
+        error: 'status is required',
+        statuses: STATUSES
+      });
+    }
+
+    console.log(`🔁 [ROUTER] Changing booking ${req.params.id} status to ${status}`);
+
+    const { project, response } = await changeStatus(req, res, status);
+    if (response) return;
+
+    res.json({
+      success: true,
+      message: `Booking status updated to ${project.status}`,
+      projectId: project.id,
+      status: project.status,
+      allowedNext: allowedTransitions(project.status)
+    });
+
+  } catch (error) {
+    console.error('❌ [ROUTER] Status change error:', error);
+    res.status(500).json({ 
+      error: 'Failed to change booking status',
+      details: error.message 
+    });
+  }
+});
+
+// 📜 Status history
+router.get('/:id/history', async (req, res) => {
+  try {
+    const projectId = parseInt(req.params.id, 10);
+    if (isNaN(projectId) || projectId <= 0) {
+      return res.status(400).json({ 
+        error: 'Invalid booking ID',
+        received: req.params.id
+      });
+    }
+
+    if (!Project || !ProjectStatusHistory) {
+      return res.status(500).json({ 
+        error: 'Database models not available' 
+      });
+    }
+
+    const project = await Project.findByPk(projectId);
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Booking not found',
+        id: projectId
+      });
+    }
+
+    const history = await ProjectStatusHistory.findAll({
+      where: { projectId },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      projectId,
+      currentStatus: project.status,
+      allowedNext: allowedTransitions(project.status),
+      history: history.map(h => ({
+        id: h.id,
+        fromStatus: h.fromStatus,
+        toStatus: h.toStatus,
+        changedBy: h.changedBy,
+        reason: h.reason,
+        changedAt: h.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Status history error:', error);
+    res.status(500).json({ 
+      error: 'Failed to load booking history',
+      details: error.message 
+    });
+  }
+});
+
+// Move a booking to another month - the old slot goes to the waitlist
+router.post('/:id/reschedule', requireAdmin, async (req, res) => {
+  try {
+    const projectId = parseInt(req.params.id, 10);
+    if (isNaN(projectId) || projectId <= 0) {
+      return res.status(400).json({ 
+        error: 'Invalid booking ID',
+        received: req.params.id
+      });
+    }
+
+    if (!req.body.bookingMonth) {
+      return res.status(400).json({ error: 'bookingMonth is required' });
+    }
+
+    const project = await Project.findByPk(projectId);
+    if (!project) {
+      return res.status(404).json({ 
+        error: 'Booking not found',
+        id: projectId
+      });
+    }
+
+    const previousMonth = project.bookingMonth;
+    try {
+      await rescheduleProject(project, req.body.bookingMonth, {
+        changedBy: req.admin.name,
+        reason: req.body.reason
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ 
+          error: error.message,
+          availability: error.availability
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: `Booking moved to ${project.bookingMonth}`,
+      projectId: project.id,
+      previousMonth,
+      bookingMonth: project.bookingMonth
+    });
+
+  } catch (error) {
+    console.error('❌ Reschedule error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reschedule booking',
+      details: error.message 
+    });
+  }
+});
+
 // Debug endpoint
 router.get('/debug', async (req, res) => {
   try {
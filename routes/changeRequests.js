@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const { Client, Project, ChangeRequest, ProjectVersion } = require('../models');
+const emailService = require('../services/emailService');
+const { requireAdmin } = require('../middleware/adminAuth');
+const {
+  proposeChange,
+  approveChange,
+  rejectChange,
+  serializeChangeRequest,
+  serializeVersion
+} = require('../services/changeRequestService');
+
+// Mounted under /api/bookings alongside routes/bookings.js, so every route
+// takes requireAdmin itself (a router.use here would guard the other
+// /api/bookings routers too). Clients propose changes through the portal.
+
+async function findProject(req, res) {
+  const projectId = parseInt(req.params.id, 10);
+  if (isNaN(projectId) || projectId <= 0) {
+    res.status(400).json({ error: 'Invalid booking ID', received: req.params.id });
+    return null;
+  }
+
+  const project = await Project.findByPk(projectId, {
+    include: [{ model: Client, as: 'client' }]
+  });
+  if (!project) {
+    res.status(404).json({ error: 'Booking not found', id: projectId });
+    return null;
+  }
+  return project;
+}
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+// Tell the client what happened to their request (non-fatal)
+async function notifyClient(project, changeRequest) {
+  try {
+    if (project.client && project.client.email) {
+      await emailService.sendChangeRequestEmail({
+        to: project.client.email,
+        client: project.client,
+        project,
+        changeRequest
+      });
+    }
+  } catch (emailError) {
+    console.warn('⚠️ Change request email failed:', emailError.message);
+  }
+}
+
+// List change requests for a booking
+router.get('/:id/change-requests', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const where = { projectId: project.id };
+    if (req.query.status) where.status = req.query.status;
+
+    const requests = await ChangeRequest.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      projectId: project.id,
+      changeRequests: requests.map(serializeChangeRequest)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load change requests');
+  }
+});
+
+// Propose a change (admin side - clients use the portal)
+router.post('/:id/change-requests', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const changeRequest = await proposeChange(project, req.body, {
+      requestedBy: req.admin.name,
+      requestedByType: 'admin'
+    });
+
+    console.log(`📝 Change request ${changeRequest.id} proposed for project ${project.id}`);
+    res.status(201).json({
+      message: 'Change request created',
+      changeRequest: serializeChangeRequest(changeRequest)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create change request');
+  }
+});
+
+router.get('/:id/change-requests/:requestId', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const changeRequest = await ChangeRequest.findOne({
+      where: { id: req.params.requestId, projectId: project.id }
+    });
+    if (!changeRequest) {
+      return res.status(404).json({ error: 'Change request not found' });
+    }
+
+    res.json({ changeRequest: serializeChangeRequest(changeRequest) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load change request');
+  }
+});
+
+router.post('/:id/change-requests/:requestId/approve', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const { request, version, project: updated } = await approveChange(project.id, req.params.requestId, {
+      decidedBy: req.admin.name,
+      note: req.body.note
+    });
+
+    updated.client = project.client;
+    await notifyClient(updated, request);
+
+    res.json({
+      message: `Change request approved - booking is now at version ${version.version}`,
+      changeRequest: serializeChangeRequest(request),
+      version: serializeVersion(version)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to approve change request');
+  }
+});
+
+router.post('/:id/change-requests/:requestId/reject', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const request = await rejectChange(project.id, req.params.requestId, {
+      decidedBy: req.admin.name,
+      note: req.body.note
+    });
+
+    await notifyClient(project, request);
+
+    res.json({
+      message: 'Change request rejected',
+      changeRequest: serializeChangeRequest(request)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to reject change request');
+  }
+});
+
+// Every accepted version of the brief
+router.get('/:id/versions', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const versions = await ProjectVersion.findAll({
+      where: { projectId: project.id },
+      order: [['version', 'ASC']]
+    });
+
+    res.json({
+      projectId: project.id,
+      currentVersion: versions.length ? versions[versions.length - 1].version : null,
+      versions: versions.map(serializeVersion)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load versions');
+  }
+});
+
+router.get('/:id/versions/:version', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const version = await ProjectVersion.findOne({
+      where: { projectId: project.id, version: parseInt(req.params.version, 10) || 0 }
+    });
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ projectId: project.id, version: serializeVersion(version) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load version');
+  }
+});
+
+module.exports = router;
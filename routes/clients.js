@@ -1,6 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { Client, Project } = require('../models');
+const { requireAdmin } = require('../middleware/adminAuth');
+const {
+  creditBalance,
+  grantCredit,
+  creditHistory,
+  serializeCreditEntry
+} = require('../services/creditService');
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
 
 // Get all clients
 router.get('/', async (req, res) => {
@@ -38,11 +54,43 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Client not found' });
     }
     
-    res.json(client);
+    const [balance, history] = await Promise.all([
+      creditBalance(client.id),
+      creditHistory(client.id)
+    ]);
+    
+    res.json({
+      ...client.toJSON(),
+      credit: {
+        balance,
+        history: history.map(serializeCreditEntry)
+      }
+    });
   } catch (error) {
     console.error('❌ Get client error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Add store credit by hand. Body: { type: 'grant' | 'goodwill' |
+// 'adjustment', amount, description, projectId? }. Recorded against the
+// signed-in admin
+router.post('/:id/credit', requireAdmin, async (req, res) => {
+  try {
+    const client = await Client.findByPk(req.params.id);
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const { entry, balance } = await grantCredit(client, req.body, { recordedBy: req.admin.name });
+    res.status(201).json({
+      message: `Store credit updated - balance $${balance.toFixed(2)}`,
+      entry: serializeCreditEntry(entry),
+      balance
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to add store credit');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { Project, EntitlementEntry } = require('../models');
+const {
+  logSession,
+  adjustSessions,
+  setWarrantyEnd,
+  entitlementSummary,
+  serializeEntry
+} = require('../services/entitlementService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Mounted under /api/bookings alongside routes/bookings.js, so each route
+// takes requireAdmin itself. Clients see their balance through the portal.
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findProject(req, res) {
+  const projectId = parseInt(req.params.id, 10);
+  if (isNaN(projectId) || projectId <= 0) {
+    res.status(400).json({ error: 'Invalid booking ID', received: req.params.id });
+    return null;
+  }
+
+  const project = await Project.findByPk(projectId);
+  if (!project) {
+    res.status(404).json({ error: 'Booking not found', id: projectId });
+    return null;
+  }
+  return project;
+}
+
+// Balance, warranty window and the full ledger
+router.get('/:id/entitlements', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const entries = await EntitlementEntry.findAll({
+      where: { projectId: project.id },
+      order: [['occurredAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      projectId: project.id,
+      entitlements: await entitlementSummary(project.id),
+      ledger: entries.map(serializeEntry)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load entitlements');
+  }
+});
+
+// Log a support session (or several) against the balance
+router.post('/:id/entitlements/sessions', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const { entry, balance } = await logSession(project, {
+      sessions: req.body.sessions,
+      minutes: req.body.minutes,
+      description: req.body.description || req.body.notes,
+      occurredAt: req.body.occurredAt,
+      recordedBy: req.admin.name
+    });
+
+    res.status(201).json({
+      message: `Support session logged - ${balance} left`,
+      entry: serializeEntry(entry),
+      balance
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to log support session');
+  }
+});
+
+// Add (positive) or remove (negative) sessions with a reason
+router.post('/:id/entitlements/adjustments', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const { entry, balance } = await adjustSessions(project, {
+      sessions: req.body.sessions,
+      description: req.body.description || req.body.reason,
+      recordedBy: req.admin.name
+    });
+
+    res.status(201).json({
+      message: `Support sessions adjusted - ${balance} left`,
+      entry: serializeEntry(entry),
+      balance
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to adjust support sessions');
+  }
+});
+
+router.patch('/:id/entitlements/warranty', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    await setWarrantyEnd(project, req.body.warrantyEndsAt);
+    res.json({
+      message: 'Warranty updated',
+      entitlements: await entitlementSummary(project.id)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update warranty');
+  }
+});
+
+module.exports = router;
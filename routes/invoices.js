@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Invoice, Payment } = require('../models');
+const {
+  issueInvoiceForPayment,
+  voidInvoice,
+  sendInvoicePdf,
+  serializeInvoice
+} = require('../services/invoiceService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Mounted at /api/invoices - admin only; clients download their own
+// invoices through the portal
+router.use(requireAdmin);
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findInvoice(req, res) {
+  const invoice = await Invoice.findByPk(req.params.id);
+  if (!invoice) {
+    res.status(404).json({ error: 'Invoice not found' });
+    return null;
+  }
+  return invoice;
+}
+
+// Listing for the accountant - filter by project, client, status or issue
+// date (from / to as YYYY-MM-DD)
+router.get('/', async (req, res) => {
+  try {
+    const where = {};
+    ['projectId', 'clientId', 'status'].forEach(field => {
+      if (req.query[field]) where[field] = req.query[field];
+    });
+    if (req.query.from || req.query.to) {
+      where.issuedAt = {};
+      if (req.query.from) where.issuedAt[Op.gte] = new Date(req.query.from);
+      if (req.query.to) where.issuedAt[Op.lt] = new Date(new Date(req.query.to).getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    const invoices = await Invoice.findAll({
+      where,
+      order: [['sequence', 'DESC']],
+      limit: 500
+    });
+
+    const live = invoices.filter(i => i.status !== 'void');
+    res.json({
+      total: invoices.length,
+      totals: {
+        amount: Number(live.reduce((sum, i) => sum + Number(i.total), 0).toFixed(2)),
+        gst: Number(live.reduce((sum, i) => sum + Number(i.gst), 0).toFixed(2))
+      },
+      invoices: invoices.map(serializeInvoice)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load invoices');
+  }
+});
+
+// Issue the invoice for an older completed payment
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.paymentId) {
+      return res.status(400).json({ error: 'paymentId is required' });
+    }
+    const payment = await Payment.findByPk(req.body.paymentId);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const invoice = await issueInvoiceForPayment(payment);
+    res.status(201).json({
+      message: `Invoice ${invoice.number} issued`,
+      invoice: serializeInvoice(invoice)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to issue invoice');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+    res.json({ invoice: serializeInvoice(invoice) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load invoice');
+  }
+});
+
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to render invoice');
+  }
+});
+
+router.post('/:id/void', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    await voidInvoice(invoice);
+    res.json({
+      message: `Invoice ${invoice.number} voided`,
+      invoice: serializeInvoice(invoice)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to void invoice');
+  }
+});
+
+module.exports = router;
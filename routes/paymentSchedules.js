@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { Project, Payment } = require('../models');
+const {
+  setSchedule,
+  updateInstallment,
+  scheduleSummary,
+  serializeInstallment
+} = require('../services/paymentScheduleService');
+const { applyCredit, serializeCreditEntry } = require('../services/creditService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Mounted under /api/bookings alongside routes/bookings.js, so each route
+// takes requireAdmin itself. Clients see their schedule through the portal.
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findProject(req, res) {
+  const projectId = parseInt(req.params.id, 10);
+  if (isNaN(projectId) || projectId <= 0) {
+    res.status(400).json({ error: 'Invalid booking ID', received: req.params.id });
+    return null;
+  }
+
+  const project = await Project.findByPk(projectId);
+  if (!project) {
+    res.status(404).json({ error: 'Booking not found', id: projectId });
+    return null;
+  }
+  return project;
+}
+
+// Installments, amount paid and outstanding balance
+router.get('/:id/payment-schedule', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    res.json({
+      projectId: project.id,
+      paymentSchedule: await scheduleSummary(project)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load payment schedule');
+  }
+});
+
+// Switch preset ({ schedule: '30-40-30' }) or set a custom split
+// ({ installments: [{ label, percent, dueOn, milestoneId }] })
+router.put('/:id/payment-schedule', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    await setSchedule(project, req.body);
+    res.json({
+      message: `Payment schedule set to ${project.paymentSchedule}`,
+      paymentSchedule: await scheduleSummary(project)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to set payment schedule');
+  }
+});
+
+// Relabel an installment or tie it to a milestone
+router.patch('/:id/payment-schedule/:paymentId', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const payment = await Payment.findOne({
+      where: { id: req.params.paymentId, projectId: project.id }
+    });
+    if (!payment || !payment.installment) {
+      return res.status(404).json({ error: 'Installment not found' });
+    }
+
+    await updateInstallment(payment, req.body);
+    res.json({
+      message: 'Installment updated',
+      installment: serializeInstallment(payment)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update installment');
+  }
+});
+
+// Spend the client's store credit on what is still owed. Body: { amount? }
+// (default: as much as the credit and the balance allow). Admin only
+router.post('/:id/apply-credit', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const result = await applyCredit(project, req.body, { recordedBy: req.admin.name });
+    await project.reload();
+    res.json({
+      message: `$${result.applied.toFixed(2)} store credit applied`,
+      applied: result.applied,
+      creditBalance: result.balance,
+      entries: result.entries.map(serializeCreditEntry),
+      paymentSchedule: await scheduleSummary(project)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to apply store credit');
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,102 @@
 const express = require('express');
 const router = express.Router();
-const { Payment, Project, Client } = require('../models');
-const { sendPaymentConfirmation } = require('../services/emailService');
+const { Payment, Project, Client, Refund } = require('../models');
+const { totalsMatch, toCents } = require('../services/pricingService');
+const {
+  payableInstallment,
+  recordPayment,
+  outstandingBalance,
+  serializeInstallment
+} = require('../services/paymentScheduleService');
+const {
+  issueRefund,
+  refundableAmount,
+  serializeRefund
+} = require('../services/refundService');
+const { creditTowardInstallment } = require('../services/creditService');
+const { storeEvent, processEvent } = require('../services/webhookEventService');
+const {
+  DEFAULT_PROVIDER,
+  RETURN_URL,
+  CANCEL_URL,
+  isProvider,
+  getProvider,
+  enabledProviders,
+  providerPaymentId,
+  findProviderPayment
+} = require('../services/payments');
+const { schedules, defaultSchedule } = require('../config/paymentSchedules');
+const { requireAdmin, adminFromRequest } = require('../middleware/adminAuth');
+const { verifyToken, tokenFromRequest } = require('../services/tokenService');
+const { PORTAL_PURPOSE } = require('../services/portalService');
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
 
-// Initialize Stripe with your secret key
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// Who is spending the client's store credit: a signed-in admin, or the
+// client through their portal link for this booking. Null for anyone else.
+function creditSpender(req, project) {
+  const admin = adminFromRequest(req);
+  if (admin) return admin.name;
 
-// Create payment intent for Stripe
+  let payload;
+  try {
+    payload = verifyToken(tokenFromRequest(req), PORTAL_PURPOSE);
+  } catch (error) {
+    if (error.status) return null;
+    throw error;
+  }
+  if (payload.pid !== project.id || payload.cid !== project.clientId) return null;
+  return `client:${project.client?.email || project.clientId}`;
+}
+
+// Deposit / balance splits a booking can use
+router.get('/schedules', (req, res) => {
+  res.json({
+    defaultSchedule,
+    schedules: Object.entries(schedules).map(([key, schedule]) => ({ key, ...schedule }))
+  });
+});
+
+// Payment providers the client can choose from
+router.get('/providers', (req, res) => {
+  res.json({
+    defaultProvider: DEFAULT_PROVIDER,
+    providers: enabledProviders().map(name => ({ name, label: getProvider(name).label }))
+  });
+});
+
+// Start a payment with the chosen provider (Stripe by default). Stripe
+// returns a client secret for Stripe.js; PayPal and Afterpay return a
+// redirectUrl to send the client to. With useCredit the client's store
+// credit goes toward the installment first and the provider charges the rest
 router.post('/create-intent', async (req, res) => {
   try {
     console.log('💳 Creating payment intent:', req.body);
     
-    const { amount, projectId, paymentMethod = 'card', currency = 'aud' } = req.body;
+    const { projectId, paymentId, currency = 'aud' } = req.body;
+    const providerName = String(req.body.provider || DEFAULT_PROVIDER).toLowerCase();
 
     // Validate required fields
-    if (!amount || !projectId) {
+    if (!projectId) {
       return res.status(400).json({ 
-        error: 'Missing required fields: amount and projectId' 
+        error: 'Missing required field: projectId' 
       });
     }
 
-    // Validate amount (must be at least 50 cents in AUD)
-    if (amount < 0.50) {
+    if (!enabledProviders().includes(providerName)) {
       return res.status(400).json({ 
-        error: 'Amount must be at least $0.50 AUD' 
+        error: `provider must be one of: ${enabledProviders().join(', ')}`,
+        availableProviders: enabledProviders()
       });
     }
+    const provider = getProvider(providerName);
 
     // Get project details for payment description
     const project = await Project.findByPk(projectId, {
@@ -38,46 +109,136 @@ router.post('/create-intent', async (req, res) => {
       });
     }
 
-    // Create payment intent with Stripe
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: currency.toLowerCase(),
-      payment_method_types: ['card'],
-      metadata: {
-        projectId: projectId.toString(),
-        clientEmail: project.client?.email || 'unknown',
-        projectType: project.projectType || 'unknown',
-        environment: process.env.NODE_ENV || 'production'
-      },
-      description: `Cocoa Code - ${project.projectType} project for ${project.client?.name || 'Client'}`,
-      receipt_email: project.client?.email,
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    });
+    // Each installment (deposit, balance, ...) is charged on its own; the
+    // amount comes from the server-side schedule, never the browser
+    let payment;
+    try {
+      payment = await payableInstallment(project, { paymentId });
+    } catch (error) {
+      if (!error.status) throw error;
+      const { message, status, ...extra } = error;
+      return res.status(status).json({ error: message, ...extra });
+    }
+
+    let creditApplied = 0;
+    if (req.body.useCredit === true || req.body.useCredit === 'true') {
+      const spender = creditSpender(req, project);
+      if (!spender) {
+        return res.status(401).json({
+          error: 'Open the booking from your portal link to pay with store credit'
+        });
+      }
+      const credit = await creditTowardInstallment(project, payment, { recordedBy: spender });
+      if (credit) {
+        creditApplied = credit.applied;
+        if (credit.paidInFull.includes(payment.id)) {
+          await payment.reload();
+          return res.json({
+            paidWithCredit: true,
+            paymentId: payment.id,
+            installment: serializeInstallment(payment),
+            creditApplied,
+            creditBalance: credit.balance,
+            outstanding: credit.outstanding,
+            message: `${payment.label} paid with store credit`
+          });
+        }
+        await payment.reload();
+      }
+    }
 
-    console.log('✅ Payment intent created:', paymentIntent.id);
+    const amount = Number(payment.amount);
+    if (req.body.amount !== undefined && !creditApplied && !totalsMatch(req.body.amount, amount)) {
+      return res.status(422).json({ 
+        error: 'Amount does not match the installment due',
+        submittedAmount: req.body.amount,
+        amountDue: amount
+      });
+    }
+
+    // Reuse the installment's open payment unless the amount or provider
+    // changed
+    let providerPayment = null;
+    const existingId = providerPaymentId(payment);
+    if (existingId && isProvider(payment.paymentMethod)) {
+      const previousProvider = getProvider(payment.paymentMethod);
+      const existing = await previousProvider.retrievePayment(existingId);
+      if (existing.status === 'succeeded') {
+        // Paid, but neither /confirm nor the webhook reached us
+        await recordPayment(payment, { source: 'create-intent' });
+        return res.status(409).json({ 
+          error: `${payment.label} has already been paid`,
+          paymentId: payment.id
+        });
+      }
+      const open = !['canceled', 'failed'].includes(existing.status);
+      if (open && previousProvider === provider && existing.amount === toCents(amount) && (existing.clientSecret || existing.redirectUrl)) {
+        providerPayment = existing;
+      } else if (open) {
+        await previousProvider.cancelPayment(existing.id).catch(error => {
+          console.warn(`⚠️ Could not cancel stale ${previousProvider.label} payment ${existing.id}:`, error.message);
+        });
+      }
+    }
 
-    // Store payment record in database
-    const payment = await Payment.create({
-      projectId,
-      amount,
-      paymentMethod: 'stripe',
+    if (!providerPayment) {
+      providerPayment = await provider.createPayment({
+        amount: toCents(amount),
+        currency,
+        reference: `project-${project.id}-payment-${payment.id}`,
+        description: `Cocoa Code - ${payment.label} for ${project.projectType} project (${project.client?.name || 'Client'})`,
+        customer: {
+          name: project.client?.name,
+          email: project.client?.email,
+          phone: project.client?.phone
+        },
+        metadata: {
+          projectId: project.id.toString(),
+          paymentId: payment.id.toString(),
+          installment: String(payment.installment),
+          clientEmail: project.client?.email || 'unknown',
+          projectType: project.projectType || 'unknown',
+          environment: process.env.NODE_ENV || 'production'
+        },
+        returnUrl: `${RETURN_URL}?provider=${providerName}&paymentId=${payment.id}`,
+        cancelUrl: CANCEL_URL
+      });
+    }
+
+    console.log(`✅ ${provider.label} payment ready:`, providerPayment.id, `(${payment.label})`);
+
+    await payment.update({
+      paymentMethod: providerName,
       paymentStatus: 'pending',
-      stripePaymentId: paymentIntent.id,
-      transactionReference: paymentIntent.client_secret
+      providerPaymentId: providerPayment.id,
+      stripePaymentId: providerName === 'stripe' ? providerPayment.id : null,
+      transactionReference: providerPayment.clientSecret || null
     });
 
     res.json({
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id,
+      provider: providerName,
+      providerPaymentId: providerPayment.id,
+      clientSecret: providerPayment.clientSecret,
+      paymentIntentId: providerName === 'stripe' ? providerPayment.id : undefined,
+      redirectUrl: providerPayment.redirectUrl,
       paymentId: payment.id,
+      creditApplied,
+      installment: serializeInstallment(payment),
+      outstanding: await outstandingBalance(project),
       message: 'Payment intent created successfully'
     });
 
   } catch (error) {
     console.error('❌ Payment intent creation error:', error);
     
+    // PayPal / Afterpay API errors
+    if (error.provider) {
+      return res.status(502).json({ 
+        error: `${getProvider(error.provider).label} could not start the payment`,
+        details: error.message 
+      });
+    }
+
     // Handle specific Stripe errors
     if (error.type === 'StripeCardError') {
       return res.status(400).json({ 
@@ -114,33 +275,31 @@ router.post('/create-intent', async (req, res) => {
   }
 });
 
-// Confirm payment and update records with email notification
+// Confirm payment and update records with email notification. Stripe sends
+// { paymentIntentId }; PayPal and Afterpay send { provider,
+// providerPaymentId } (the PayPal order id or Afterpay token from the
+// return URL)
 router.post('/confirm', async (req, res) => {
   try {
     console.log('✅ Confirming payment:', req.body);
     
-    const { paymentIntentId, projectId } = req.body;
+    const providerName = String(req.body.provider || 'stripe').toLowerCase();
+    const id = req.body.providerPaymentId || req.body.paymentIntentId;
 
-    if (!paymentIntentId) {
+    if (!id) {
       return res.status(400).json({ 
-        error: 'Payment intent ID is required' 
+        error: 'paymentIntentId (or providerPaymentId) is required' 
       });
     }
-
-    // Retrieve payment intent from Stripe to verify status
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    
-    console.log('💰 Payment intent status:', paymentIntent.status);
+    if (!isProvider(providerName)) {
+      return res.status(400).json({ 
+        error: `Unknown payment provider "${providerName}"` 
+      });
+    }
+    const provider = getProvider(providerName);
 
     // Update payment record in database
-    const payment = await Payment.findOne({
-      where: { stripePaymentId: paymentIntentId },
-      include: [{ 
-        model: Project, 
-        as: 'project',
-        include: [{ model: Client, as: 'client' }]
-      }]
-    });
+    const payment = await findProviderPayment(providerName, id);
 
     if (!payment) {
       return res.status(404).json({ 
@@ -148,65 +307,55 @@ router.post('/confirm', async (req, res) => {
       });
     }
 
-    // Update payment status based on Stripe response
-    let paymentStatus = 'pending';
-    let projectStatus = 'pending';
+    // Check (and capture, where the provider needs it) with the provider
+    const result = await provider.confirmPayment(id, {
+      reference: `project-${payment.projectId}-payment-${payment.id}`
+    });
+    
+    console.log(`💰 ${provider.label} payment status:`, result.providerStatus);
+
+    // The client secret (or checkout token) is only needed until the
+    // payment is confirmed
+    await payment.update({ providerPaymentId: result.id, transactionReference: id });
+
+    // Update payment status based on the provider's response
+    let paymentStatus = payment.paymentStatus;
+    let emailSent = false;
+    let invoice = null;
 
-    switch (paymentIntent.status) {
+    switch (result.status) {
       case 'succeeded':
-        paymentStatus = 'completed';
-        projectStatus = 'in_progress';
+        ({ emailSent, invoice } = await recordPayment(payment, { source: 'confirm' }));
+        paymentStatus = payment.paymentStatus;
         break;
       case 'processing':
-        paymentStatus = 'pending';
-        projectStatus = 'pending';
+        paymentStatus = 'processing';
+        await payment.update({ paymentStatus });
         break;
-      case 'requires_payment_method':
-      case 'requires_confirmation':
       case 'requires_action':
         paymentStatus = 'pending';
-        projectStatus = 'pending';
-        break;
-      case 'canceled':
-        paymentStatus = 'failed';
-        projectStatus = 'cancelled';
+        await payment.update({ paymentStatus });
         break;
       default:
         paymentStatus = 'failed';
-        projectStatus = 'pending';
+        await payment.update({ paymentStatus });
     }
 
-    // Update payment record
-    await payment.update({
-      paymentStatus,
-      transactionReference: paymentIntent.id
-    });
-
-    // Update project status if payment succeeded
-    if (projectId && paymentStatus === 'completed') {
-      await Project.update(
-        { status: projectStatus },
-        { where: { id: projectId } }
-      );
-
-      // Send payment confirmation email
-      try {
-        await sendPaymentConfirmation(payment, payment.project, payment.project.client);
-        console.log('✅ Payment confirmation email sent');
-      } catch (emailError) {
-        console.error('⚠️ Payment email failed but payment was processed:', emailError.message);
-      }
-    }
-
-    console.log(`✅ Payment ${paymentIntentId} confirmed with status: ${paymentStatus}`);
+    const project = await Project.findByPk(payment.projectId);
+    console.log(`✅ Payment ${id} confirmed with status: ${paymentStatus}`);
 
     res.json({ 
       message: 'Payment confirmation processed',
       paymentId: payment.id,
+      installment: serializeInstallment(payment),
       paymentStatus,
-      projectStatus,
-      stripeStatus: paymentIntent.status,
-      emailSent: paymentStatus === 'completed'
+      projectStatus: project.status,
+      outstanding: await outstandingBalance(project),
+      provider: providerName,
+      providerStatus: result.providerStatus,
+      stripeStatus: providerName === 'stripe' ? result.providerStatus : undefined,
+      invoiceNumber: invoice ? invoice.number : undefined,
+      emailSent
     });
 
   } catch (error) {
@@ -218,80 +367,106 @@ router.post('/confirm', async (req, res) => {
   }
 });
 
-// Handle Stripe webhooks (for production use)
-router.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
+// Verify, store and acknowledge - processing happens after the response
+// (services/webhookEventService.js)
+async function receiveWebhook(providerName, req, res) {
+  const provider = getProvider(providerName);
   let event;
 
   try {
-    if (process.env.STRIPE_WEBHOOK_SECRET) {
-      event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    } else {
-      console.warn('⚠️ No webhook secret configured, skipping signature verification');
-      event = JSON.parse(req.body);
-    }
+    event = await provider.parseWebhook(req.body, req.headers);
   } catch (err) {
-    console.error('❌ Webhook signature verification failed:', err.message);
+    console.error(`❌ ${provider.label} webhook signature verification failed:`, err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
+  let stored;
   try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        console.log('🎉 Payment succeeded via webhook:', paymentIntent.id);
-        
-        // Update payment status in database
-        const payment = await Payment.findOne({
-          where: { stripePaymentId: paymentIntent.id },
-          include: [{ 
-            model: Project, 
-            as: 'project',
-            include: [{ model: Client, as: 'client' }]
-          }]
-        });
+    stored = await storeEvent(providerName, event);
+  } catch (error) {
+    console.error('❌ Webhook could not be stored:', error);
+    return res.status(500).json({ error: 'Webhook could not be stored' });
+  }
 
-        if (payment) {
-          await payment.update({ paymentStatus: 'completed' });
-          
-          // Update project status
-          if (paymentIntent.metadata.projectId) {
-            await Project.update(
-              { status: 'in_progress' },
-              { where: { id: paymentIntent.metadata.projectId } }
-            );
-          }
-
-          // Send payment confirmation email via webhook
-          try {
-            await sendPaymentConfirmation(payment, payment.project, payment.project.client);
-            console.log('✅ Webhook payment confirmation email sent');
-          } catch (emailError) {
-            console.error('⚠️ Webhook email failed:', emailError.message);
-          }
-        }
-        break;
-        
-      case 'payment_intent.payment_failed':
-        const failedPayment = event.data.object;
-        console.log('❌ Payment failed via webhook:', failedPayment.id);
-        
-        await Payment.update(
-          { paymentStatus: 'failed' },
-          { where: { stripePaymentId: failedPayment.id } }
-        );
-        break;
-        
-      default:
-        console.log(`Unhandled event type ${event.type}`);
+  res.json({ received: true, duplicate: stored.duplicate });
+
+  if (!stored.duplicate) {
+    processEvent(stored.webhookEvent).catch(error => {
+      console.error(`❌ Webhook ${event.id} processing error:`, error);
+    });
+  }
+}
+
+// Handle Stripe webhooks (for production use)
+router.post('/webhook', express.raw({type: 'application/json'}), (req, res) => {
+  receiveWebhook('stripe', req, res);
+});
+
+// Webhooks from the other providers (PayPal); Afterpay has none
+router.post('/webhook/:provider', express.raw({type: 'application/json'}), (req, res) => {
+  const providerName = req.params.provider.toLowerCase();
+  if (!isProvider(providerName) || !getProvider(providerName).parseWebhook) {
+    return res.status(404).json({ error: `No webhooks for payment provider "${providerName}"` });
+  }
+  receiveWebhook(providerName, req, res);
+});
+
+// Refund all or part of a payment (admin). Body: { amount?, reason,
+// stripeReason?, cancelProject? } - no amount refunds whatever is left.
+// Recorded as issued by the signed-in admin.
+router.post('/:paymentId/refunds', requireAdmin, async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
     }
+
+    const { refund, emailSent } = await issueRefund(payment, req.body, { issuedBy: req.admin.name });
+    const project = await Project.findByPk(payment.projectId);
+
+    res.status(201).json({
+      message: refund.status === 'succeeded' ? 'Refund issued' : `Refund ${refund.status}`,
+      refund: serializeRefund(refund),
+      payment: {
+        id: payment.id,
+        amount: Number(payment.amount),
+        refundedAmount: Number(payment.refundedAmount),
+        refundableAmount: refundableAmount(payment),
+        status: payment.paymentStatus
+      },
+      projectStatus: project.status,
+      outstanding: await outstandingBalance(project),
+      emailSent
+    });
   } catch (error) {
-    console.error('❌ Webhook processing error:', error);
-    return res.status(500).json({ error: 'Webhook processing failed' });
+    sendServiceError(res, error, 'Failed to issue refund');
   }
+});
 
-  res.json({received: true});
+// Refund history for a payment (admin)
+router.get('/:paymentId/refunds', requireAdmin, async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const refunds = await Refund.findAll({
+      where: { paymentId: payment.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      paymentId: payment.id,
+      amount: Number(payment.amount),
+      refundedAmount: Number(payment.refundedAmount),
+      refundableAmount: refundableAmount(payment),
+      status: payment.paymentStatus,
+      refunds: refunds.map(serializeRefund)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load refunds');
+  }
 });
 
 // Get payment status
@@ -311,22 +486,25 @@ router.get('/status/:paymentId', async (req, res) => {
       return res.status(404).json({ error: 'Payment not found' });
     }
 
-    // Also check Stripe status if we have a payment intent ID
-    let stripeStatus = null;
-    if (payment.stripePaymentId) {
+    // Also check with the provider if the payment was started there
+    let providerStatus = null;
+    if (providerPaymentId(payment) && isProvider(payment.paymentMethod)) {
+      const provider = getProvider(payment.paymentMethod);
       try {
-        const paymentIntent = await stripe.paymentIntents.retrieve(payment.stripePaymentId);
-        stripeStatus = paymentIntent.status;
+        providerStatus = (await provider.retrievePayment(providerPaymentId(payment))).providerStatus;
       } catch (error) {
-        console.warn('Could not retrieve Stripe payment status:', error.message);
+        console.warn(`Could not retrieve ${provider.label} payment status:`, error.message);
       }
     }
 
     res.json({
       paymentId: payment.id,
       amount: payment.amount,
+      refundedAmount: Number(payment.refundedAmount),
       status: payment.paymentStatus,
-      stripeStatus,
+      provider: payment.paymentMethod,
+      providerStatus,
+      stripeStatus: payment.paymentMethod === 'stripe' ? providerStatus : null,
       projectId: payment.projectId,
       createdAt: payment.createdAt,
       project: payment.project ? {
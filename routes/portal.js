@@ -0,0 +1,539 @@
+const express = require('express');
+const router = express.Router();
+const { Client, Project, Payment, ProjectStatusHistory, ChangeRequest, Attachment, Ticket, TicketComment, Invoice } = require('../models');
+const emailService = require('../services/emailService');
+const { verifyToken, tokenFromRequest } = require('../services/tokenService');
+const { PORTAL_PURPOSE, createPortalLink } = require('../services/portalService');
+const { transitionProject } = require('../services/projectStatus');
+const { proposeChange, applyDirectEdit, serializeChangeRequest } = require('../services/changeRequestService');
+const { storeAttachments, sendAttachment, serializeAttachment } = require('../services/attachmentService');
+const { acceptUploads, filesFromRequest } = require('../middleware/uploads');
+const { portalLinkLimits } = require('../middleware/rateLimits');
+const { buildTimeline, visibleToClient } = require('../services/progressService');
+const { entitlementSummary } = require('../services/entitlementService');
+const { scheduleSummary } = require('../services/paymentScheduleService');
+const { creditBalance } = require('../services/creditService');
+const { sendInvoicePdf, serializeInvoice } = require('../services/invoiceService');
+const { fileTicket, changeStatus, addComment, serializeTicket } = require('../services/ticketService');
+
+// Fields a client may change while the booking is still pending
+const EDITABLE_FIELDS = ['specifications', 'websiteType', 'primaryColor', 'secondaryColor', 'accentColor'];
+// Clients can cancel until work has started
+const CLIENT_CANCELLABLE = ['pending', 'approved'];
+
+// Resolve the magic-link token to the client's project
+async function requirePortalToken(req, res, next) {
+  try {
+    const payload = verifyToken(tokenFromRequest(req), PORTAL_PURPOSE);
+
+    const project = await Project.findByPk(payload.pid, {
+      include: [{ model: Client, as: 'client' }]
+    });
+
+    if (!project || project.clientId !== payload.cid) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    req.portal = { project, client: project.client };
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Portal auth error:', error);
+    res.status(500).json({ error: 'Failed to open booking', details: error.message });
+  }
+}
+
+// Portal downloads go through the token-protected portal route
+function portalAttachment(attachment) {
+  return {
+    ...serializeAttachment(attachment),
+    downloadUrl: `/api/portal/booking/attachments/${attachment.id}/download`
+  };
+}
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findPortalTicket(req, res, ticketId = req.params.ticketId) {
+  const ticket = await Ticket.findOne({
+    where: { id: ticketId, projectId: req.portal.project.id },
+    include: [
+      { model: TicketComment, as: 'comments' },
+      { model: Attachment, as: 'attachments' }
+    ],
+    order: [
+      [{ model: TicketComment, as: 'comments' }, 'createdAt', 'ASC'],
+      [{ model: TicketComment, as: 'comments' }, 'id', 'ASC']
+    ]
+  });
+  if (!ticket) {
+    res.status(404).json({ error: 'Ticket not found' });
+    return null;
+  }
+  return ticket;
+}
+
+function portalTicket(ticket) {
+  return serializeTicket(ticket, {
+    forClient: true,
+    comments: ticket.comments || [],
+    attachments: (ticket.attachments || []).sort((a, b) => a.id - b.id),
+    serializeFile: portalAttachment
+  });
+}
+
+function serializePortalBooking(project) {
+  return {
+    id: project.id,
+    status: project.status,
+    projectType: project.projectType,
+    bookingMonth: project.bookingMonth,
+    totalPrice: project.totalPrice,
+    priceBreakdown: project.priceBreakdown,
+    promoCode: project.promoCode,
+    discountAmount: project.discountAmount,
+    specifications: project.specifications,
+    websiteType: project.websiteType,
+    primaryColor: project.primaryColor,
+    secondaryColor: project.secondaryColor,
+    accentColor: project.accentColor,
+    items: project.items || [],
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    canEdit: project.status === 'pending',
+    canCancel: CLIENT_CANCELLABLE.includes(project.status)
+  };
+}
+
+// Email fresh links for every booking under an address.
+// Always answers the same way so it cannot be used to discover clients.
+router.post('/request-link', portalLinkLimits, async (req, res) => {
+  const email = String(req.body.email || '').trim();
+  if (!email) {
+    return res.status(400).json({ error: 'email is required' });
+  }
+
+  try {
+    const client = await Client.findOne({
+      where: { email },
+      include: [{ model: Project, as: 'projects' }]
+    });
+
+    if (client && client.projects && client.projects.length) {
+      await emailService.sendPortalLinkEmail({
+        to: client.email,
+        client,
+        links: client.projects.map(project => ({ project, url: createPortalLink(project) }))
+      });
+      console.log(`🔗 Portal links sent to client ${client.id}`);
+    }
+  } catch (error) {
+    console.error('❌ Portal link request failed:', error.message);
+  }
+
+  res.json({ message: 'If we have bookings for that address, we have emailed links to them.' });
+});
+
+// View booking status, payments and history
+router.get('/booking', requirePortalToken, async (req, res) => {
+  try {
+    const { project, client } = req.portal;
+
+    const [payments, history, attachments, timeline, entitlements, paymentSchedule, credit] = await Promise.all([
+      Payment.findAll({
+        where: { projectId: project.id },
+        order: [['createdAt', 'ASC']]
+      }),
+      ProjectStatusHistory.findAll({
+        where: { projectId: project.id },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      }),
+      Attachment.findAll({
+        where: { projectId: project.id, progressUpdateId: null, ticketId: null },
+        order: [['createdAt', 'ASC']]
+      }),
+      buildTimeline(project.id, { forClient: true, serializeImage: portalAttachment }),
+      entitlementSummary(project.id),
+      scheduleSummary(project),
+      creditBalance(client.id)
+    ]);
+
+    res.json({
+      booking: serializePortalBooking(project),
+      client: {
+        name: client.name,
+        email: client.email
+      },
+      payments: payments.map(p => ({
+        id: p.id,
+        label: p.label,
+        amount: p.amount,
+        refundedAmount: p.refundedAmount,
+        status: p.paymentStatus,
+        method: p.paymentMethod,
+        createdAt: p.createdAt
+      })),
+      history: history.map(h => ({
+        fromStatus: h.fromStatus,
+        toStatus: h.toStatus,
+        reason: h.reason,
+        changedAt: h.createdAt
+      })),
+      attachments: attachments.map(portalAttachment),
+      paymentSchedule,
+      creditBalance: credit,
+      timeline,
+      entitlements
+    });
+  } catch (error) {
+    console.error('❌ Portal booking view error:', error);
+    res.status(500).json({ error: 'Failed to load booking', details: error.message });
+  }
+});
+
+// Edit the brief while the booking is pending
+router.patch('/booking', requirePortalToken, async (req, res) => {
+  try {
+    const { project, client } = req.portal;
+
+    if (project.status !== 'pending') {
+      return res.status(409).json({
+        error: 'This booking can no longer be edited online',
+        status: project.status
+      });
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (req.body.projectSpecs !== undefined && updates.specifications === undefined) {
+      updates.specifications = req.body.projectSpecs;
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        editableFields: EDITABLE_FIELDS
+      });
+    }
+
+    // Recorded as a new version so the original brief stays on file
+    let version;
+    try {
+      ({ version } = await applyDirectEdit(project, updates, { editedBy: `client:${client.email}` }));
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return res.status(400).json({
+          error: 'Invalid booking details',
+          details: error.errors.map(e => e.message)
+        });
+      }
+      throw error;
+    }
+
+    console.log(`✏️ Client updated booking ${project.id}:`, Object.keys(updates));
+    res.json({
+      message: version ? 'Booking updated' : 'Nothing changed',
+      version: version ? version.version : null,
+      booking: serializePortalBooking(project)
+    });
+  } catch (error) {
+    console.error('❌ Portal booking update error:', error);
+    res.status(500).json({ error: 'Failed to update booking', details: error.message });
+  }
+});
+
+// Cancel the booking
+router.post('/booking/cancel', requirePortalToken, async (req, res) => {
+  try {
+    const { project, client } = req.portal;
+
+    if (!CLIENT_CANCELLABLE.includes(project.status)) {
+      return res.status(409).json({
+        error: 'This booking can no longer be cancelled online - please contact us',
+        status: project.status
+      });
+    }
+
+    try {
+      await transitionProject(project, 'cancelled', {
+        changedBy: `client:${client.email}`,
+        reason: req.body.reason || 'Cancelled by client via booking portal'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    try {
+      await emailService.sendAdminNotification({
+        subject: `🚫 Booking #${project.id} cancelled by client`,
+        html: `<p>${emailService.escapeHtml(client.name)} (${emailService.escapeHtml(client.email)}) cancelled booking #${project.id} (${project.projectType}, ${project.bookingMonth || 'no month'}).</p><p>Reason: ${emailService.escapeHtml(req.body.reason || null)}</p>`,
+        text: `${client.name} (${client.email}) cancelled booking #${project.id}. Reason: ${req.body.reason || '—'}`
+      });
+    } catch (emailError) {
+      console.warn('⚠️ Cancellation notification failed:', emailError.message);
+    }
+
+    res.json({
+      message: 'Booking cancelled',
+      booking: serializePortalBooking(project)
+    });
+  } catch (error) {
+    console.error('❌ Portal cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel booking', details: error.message });
+  }
+});
+
+// Scope changes after submission go through change requests
+router.get('/booking/change-requests', requirePortalToken, async (req, res) => {
+  try {
+    const requests = await ChangeRequest.findAll({
+      where: { projectId: req.portal.project.id },
+      order: [['createdAt', 'DESC']]
+    });
+    res.json({ changeRequests: requests.map(serializeChangeRequest) });
+  } catch (error) {
+    console.error('❌ Portal change request list error:', error);
+    res.status(500).json({ error: 'Failed to load change requests', details: error.message });
+  }
+});
+
+router.post('/booking/change-requests', requirePortalToken, async (req, res) => {
+  try {
+    const { project, client } = req.portal;
+
+    let changeRequest;
+    try {
+      changeRequest = await proposeChange(project, req.body, {
+        requestedBy: `client:${client.email}`,
+        requestedByType: 'client'
+      });
+    } catch (error) {
+      if (error.status) {
+        const { message, status, ...extra } = error;
+        return res.status(status).json({ error: message, ...extra });
+      }
+      throw error;
+    }
+
+    try {
+      await emailService.sendAdminNotification({
+        subject: `📝 Change request for booking #${project.id}`,
+        html: `<p>${emailService.escapeHtml(client.name)} (${emailService.escapeHtml(client.email)}) requested changes to booking #${project.id}.</p><pre>${emailService.escapeHtml(JSON.stringify(changeRequest.diff, null, 2))}</pre><p>Price change: $${changeRequest.priceDelta} AUD</p>`,
+        text: `${client.name} requested changes to booking #${project.id}. Price change: $${changeRequest.priceDelta} AUD`
+      });
+    } catch (emailError) {
+      console.warn('⚠️ Change request notification failed:', emailError.message);
+    }
+
+    res.status(201).json({
+      message: 'Change request submitted - we will review it shortly',
+      changeRequest: serializeChangeRequest(changeRequest)
+    });
+  } catch (error) {
+    console.error('❌ Portal change request error:', error);
+    res.status(500).json({ error: 'Failed to submit change request', details: error.message });
+  }
+});
+
+// Brand assets and briefs from the client
+router.post('/booking/attachments', requirePortalToken, acceptUploads, async (req, res) => {
+  try {
+    const { project, client } = req.portal;
+
+    if (['declined', 'cancelled'].includes(project.status)) {
+      return res.status(409).json({ error: `Files cannot be added to a ${project.status} booking` });
+    }
+
+    let attachments;
+    try {
+      attachments = await storeAttachments(project, filesFromRequest(req), {
+        uploadedBy: `client:${client.email}`,
+        uploadedByType: 'client',
+        category: req.body.category || 'other'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: `${attachments.length} file(s) uploaded`,
+      attachments: attachments.map(portalAttachment)
+    });
+  } catch (error) {
+    console.error('❌ Portal attachment upload error:', error);
+    res.status(500).json({ error: 'Failed to upload files', details: error.message });
+  }
+});
+
+// ---- Tax invoices ----
+
+router.get('/booking/invoices', requirePortalToken, async (req, res) => {
+  try {
+    const invoices = await Invoice.findAll({
+      where: { projectId: req.portal.project.id },
+      order: [['sequence', 'ASC']]
+    });
+    res.json({
+      invoices: invoices.map(invoice => ({
+        ...serializeInvoice(invoice),
+        downloadUrl: `/api/portal/booking/invoices/${invoice.id}/pdf`
+      }))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load invoices');
+  }
+});
+
+router.get('/booking/invoices/:invoiceId/pdf', requirePortalToken, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      where: { id: req.params.invoiceId, projectId: req.portal.project.id }
+    });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to download invoice');
+  }
+});
+
+// ---- Bug tickets (after launch) ----
+
+router.get('/booking/tickets', requirePortalToken, async (req, res) => {
+  try {
+    const tickets = await Ticket.findAll({
+      where: { projectId: req.portal.project.id },
+      order: [['createdAt', 'DESC']]
+    });
+    res.json({ tickets: tickets.map(ticket => serializeTicket(ticket, { forClient: true })) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load tickets');
+  }
+});
+
+// Report a bug; screenshots can come in the same request
+router.post('/booking/tickets', requirePortalToken, acceptUploads, async (req, res) => {
+  try {
+    const { project, client } = req.portal;
+
+    const { ticket, emailSent } = await fileTicket(project, client, req.body, {
+      files: filesFromRequest(req)
+    });
+    res.status(201).json({
+      message: ticket.coverage === 'warranty'
+        ? 'Bug reported - this one is covered by your warranty'
+        : 'Bug reported - your warranty has ended, so we will quote the fix before starting',
+      emailSent,
+      ticket: portalTicket(await findPortalTicket(req, res, ticket.id))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to submit ticket');
+  }
+});
+
+router.get('/booking/tickets/:ticketId', requirePortalToken, async (req, res) => {
+  try {
+    const ticket = await findPortalTicket(req, res);
+    if (!ticket) return;
+    res.json({ ticket: portalTicket(ticket) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load ticket');
+  }
+});
+
+router.post('/booking/tickets/:ticketId/comments', requirePortalToken, acceptUploads, async (req, res) => {
+  try {
+    const ticket = await findPortalTicket(req, res);
+    if (!ticket) return;
+
+    await addComment(ticket, {
+      body: req.body.body,
+      author: `client:${req.portal.client.email}`,
+      authorType: 'client',
+      files: filesFromRequest(req)
+    });
+    res.status(201).json({
+      message: 'Reply added',
+      ticket: portalTicket(await findPortalTicket(req, res))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to add reply');
+  }
+});
+
+// The bug is back - reopen a resolved ticket
+router.post('/booking/tickets/:ticketId/reopen', requirePortalToken, async (req, res) => {
+  try {
+    const ticket = await findPortalTicket(req, res);
+    if (!ticket) return;
+    if (ticket.status !== 'resolved') {
+      return res.status(409).json({ error: 'Only resolved tickets can be reopened' });
+    }
+
+    await changeStatus(ticket, 'in_progress', {
+      changedBy: `client:${req.portal.client.email}`,
+      changedByType: 'client',
+      note: req.body.reason || 'Reopened by client'
+    });
+    res.json({
+      message: 'Ticket reopened',
+      ticket: portalTicket(await findPortalTicket(req, res))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to reopen ticket');
+  }
+});
+
+router.post('/booking/tickets/:ticketId/close', requirePortalToken, async (req, res) => {
+  try {
+    const ticket = await findPortalTicket(req, res);
+    if (!ticket) return;
+
+    await changeStatus(ticket, 'closed', {
+      changedBy: `client:${req.portal.client.email}`,
+      changedByType: 'client',
+      note: req.body.reason || 'Closed by client'
+    });
+    res.json({
+      message: 'Ticket closed',
+      ticket: portalTicket(await findPortalTicket(req, res))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to close ticket');
+  }
+});
+
+router.get('/booking/attachments/:attachmentId/download', requirePortalToken, async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({
+      where: { id: req.params.attachmentId, projectId: req.portal.project.id }
+    });
+    if (!attachment || !(await visibleToClient(attachment))) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await sendAttachment(res, attachment);
+  } catch (error) {
+    console.error('❌ Portal attachment download error:', error);
+    res.status(500).json({ error: 'Failed to download file', details: error.message });
+  }
+});
+
+module.exports = router;
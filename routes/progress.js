@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const { Project, Milestone, ProgressUpdate, Attachment } = require('../models');
+const { acceptUploads, filesFromRequest } = require('../middleware/uploads');
+const { storeAttachments, deleteAttachment, serializeAttachment } = require('../services/attachmentService');
+const { requireAdmin } = require('../middleware/adminAuth');
+const {
+  createMilestone,
+  updateMilestone,
+  createUpdate,
+  editUpdate,
+  publishUpdate,
+  serializeMilestone,
+  serializeUpdate,
+  buildTimeline
+} = require('../services/progressService');
+
+// Mounted under /api/bookings alongside routes/bookings.js, so each route
+// takes requireAdmin itself rather than router.use. Clients see the
+// published timeline through the portal.
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findProject(req, res) {
+  const projectId = parseInt(req.params.id, 10);
+  if (isNaN(projectId) || projectId <= 0) {
+    res.status(400).json({ error: 'Invalid booking ID', received: req.params.id });
+    return null;
+  }
+
+  const project = await Project.findByPk(projectId);
+  if (!project) {
+    res.status(404).json({ error: 'Booking not found', id: projectId });
+    return null;
+  }
+  return project;
+}
+
+async function findMilestone(req, res, project) {
+  const milestone = await Milestone.findOne({
+    where: { id: req.params.milestoneId, projectId: project.id }
+  });
+  if (!milestone) {
+    res.status(404).json({ error: 'Milestone not found' });
+    return null;
+  }
+  return milestone;
+}
+
+async function findUpdate(req, res, project) {
+  const update = await ProgressUpdate.findOne({
+    where: { id: req.params.updateId, projectId: project.id },
+    include: [{ model: Attachment, as: 'images' }]
+  });
+  if (!update) {
+    res.status(404).json({ error: 'Progress update not found' });
+    return null;
+  }
+  return update;
+}
+
+function uploadedImages(req) {
+  const files = filesFromRequest(req);
+  return files.length ? files : null;
+}
+
+// Milestones and updates, drafts included (admin view)
+router.get('/:id/timeline', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    res.json({
+      projectId: project.id,
+      ...(await buildTimeline(project.id))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load timeline');
+  }
+});
+
+// ---- Milestones ----
+
+router.post('/:id/milestones', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const milestone = await createMilestone(project, req.body);
+    res.status(201).json({
+      message: 'Milestone added',
+      milestone: serializeMilestone(milestone)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to add milestone');
+  }
+});
+
+router.patch('/:id/milestones/:milestoneId', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const milestone = await findMilestone(req, res, project);
+    if (!milestone) return;
+
+    await updateMilestone(milestone, req.body);
+    res.json({
+      message: 'Milestone updated',
+      milestone: serializeMilestone(milestone)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update milestone');
+  }
+});
+
+router.delete('/:id/milestones/:milestoneId', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const milestone = await findMilestone(req, res, project);
+    if (!milestone) return;
+
+    // Updates stay on the timeline, just without their milestone
+    await ProgressUpdate.update({ milestoneId: null }, { where: { milestoneId: milestone.id } });
+    await milestone.destroy();
+    console.log(`🗑️ Milestone ${milestone.id} removed from project ${project.id}`);
+
+    res.json({ message: 'Milestone deleted', id: milestone.id });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to delete milestone');
+  }
+});
+
+// ---- Progress updates ----
+
+// Draft an update; images can come in the same request (multipart or
+// base64 JSON). Send publish=true to publish straight away.
+router.post('/:id/progress-updates', requireAdmin, acceptUploads, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const update = await createUpdate(project, req.body, { createdBy: req.admin.name });
+    let images = [];
+    const files = uploadedImages(req);
+    if (files) {
+      try {
+        images = await storeAttachments(project, files, {
+          uploadedBy: req.admin.name,
+          progressUpdateId: update.id
+        });
+      } catch (error) {
+        await update.destroy();
+        throw error;
+      }
+    }
+
+    let emailSent = false;
+    if (req.body.publish === true || req.body.publish === 'true') {
+      ({ emailSent } = await publishUpdate(update, { project }));
+    }
+
+    res.status(201).json({
+      message: update.status === 'published' ? 'Progress update published' : 'Progress update saved as draft',
+      emailSent,
+      update: serializeUpdate(update, { images })
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create progress update');
+  }
+});
+
+router.patch('/:id/progress-updates/:updateId', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const update = await findUpdate(req, res, project);
+    if (!update) return;
+
+    await editUpdate(update, req.body);
+    res.json({
+      message: 'Progress update saved',
+      update: serializeUpdate(update, { images: update.images })
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update progress update');
+  }
+});
+
+router.post('/:id/progress-updates/:updateId/images', requireAdmin, acceptUploads, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const update = await findUpdate(req, res, project);
+    if (!update) return;
+    if (update.status === 'published') {
+      return res.status(409).json({ error: 'Published updates cannot be edited' });
+    }
+
+    const images = await storeAttachments(project, filesFromRequest(req), {
+      uploadedBy: req.admin.name,
+      progressUpdateId: update.id
+    });
+    res.status(201).json({
+      message: `${images.length} image(s) added`,
+      images: images.map(serializeAttachment)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to upload images');
+  }
+});
+
+router.post('/:id/progress-updates/:updateId/publish', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const update = await findUpdate(req, res, project);
+    if (!update) return;
+
+    const { emailSent } = await publishUpdate(update, { project });
+    res.json({
+      message: 'Progress update published',
+      emailSent,
+      update: serializeUpdate(update, { images: update.images })
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to publish progress update');
+  }
+});
+
+// Drafts only - published updates have already been emailed
+router.delete('/:id/progress-updates/:updateId', requireAdmin, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+    const update = await findUpdate(req, res, project);
+    if (!update) return;
+    if (update.status === 'published') {
+      return res.status(409).json({ error: 'Published updates cannot be deleted' });
+    }
+
+    for (const image of update.images || []) {
+      await deleteAttachment(image);
+    }
+    await update.destroy();
+    console.log(`🗑️ Progress update ${update.id} removed from project ${project.id}`);
+
+    res.json({ message: 'Progress update deleted', id: update.id });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to delete progress update');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { PromoCode } = require('../models');
+const { readPromoInput, serializePromo } = require('../services/promoService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Mounted at /api/admin/promo-codes - admin only
+router.use(requireAdmin);
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({ error: 'A promo code with that code already exists' });
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findPromo(req, res) {
+  const promo = await PromoCode.findByPk(req.params.id);
+  if (!promo) {
+    res.status(404).json({ error: 'Promo code not found' });
+    return null;
+  }
+  return promo;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.active !== undefined) {
+      where.active = req.query.active === 'true';
+    }
+
+    const promos = await PromoCode.findAll({ where, order: [['createdAt', 'DESC']] });
+    res.json({
+      total: promos.length,
+      promoCodes: await Promise.all(promos.map(promo => serializePromo(promo)))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load promo codes');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const promo = await PromoCode.create({
+      ...readPromoInput(req.body),
+      createdBy: req.admin.name
+    });
+    console.log(`🏷️ Promo code ${promo.code} created`);
+    res.status(201).json({
+      message: 'Promo code created',
+      promoCode: await serializePromo(promo)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create promo code');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const promo = await findPromo(req, res);
+    if (!promo) return;
+    res.json({ promoCode: await serializePromo(promo, { withRedemptions: true }) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load promo code');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const promo = await findPromo(req, res);
+    if (!promo) return;
+
+    const attrs = readPromoInput({ discountType: promo.discountType, ...req.body }, { partial: true });
+    await promo.update(attrs);
+    res.json({
+      message: 'Promo code updated',
+      promoCode: await serializePromo(promo)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update promo code');
+  }
+});
+
+// Codes are deactivated rather than deleted so past redemptions keep their code
+router.delete('/:id', async (req, res) => {
+  try {
+    const promo = await findPromo(req, res);
+    if (!promo) return;
+
+    await promo.update({ active: false });
+    console.log(`🏷️ Promo code ${promo.code} deactivated`);
+    res.json({
+      message: 'Promo code deactivated',
+      promoCode: await serializePromo(promo)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to deactivate promo code');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const { Client, Quote } = require('../models');
+const emailService = require('../services/emailService');
+const { tokenFromRequest } = require('../services/tokenService');
+const { createPortalLink } = require('../services/portalService');
+const { requireAdmin } = require('../middleware/adminAuth');
+const {
+  quoteNumber,
+  createQuote,
+  updateQuote,
+  markSent,
+  quoteFromToken,
+  acceptQuote,
+  rejectQuote,
+  serializeQuote
+} = require('../services/quoteService');
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findQuote(req, res) {
+  const quote = await Quote.findByPk(req.params.id, {
+    include: [{ model: Client, as: 'client' }]
+  });
+  if (!quote) {
+    res.status(404).json({ error: 'Quote not found' });
+    return null;
+  }
+  return quote;
+}
+
+async function notifyAdmin(quote, accepted, project) {
+  try {
+    const client = quote.client || {};
+    const outcome = accepted ? 'accepted' : 'rejected';
+    await emailService.sendAdminNotification({
+      subject: `🧾 Quote ${quoteNumber(quote)} ${outcome} by ${client.name}`,
+      html: `<p>${emailService.escapeHtml(client.name)} (${emailService.escapeHtml(client.email)}) ${outcome} quote ${quoteNumber(quote)} "${emailService.escapeHtml(quote.title)}" ($${quote.total} AUD).</p>${project ? `<p>Pending booking #${project.id} has been created.</p>` : ''}<p>Note: ${emailService.escapeHtml(quote.responseNote)}</p>`,
+      text: `${client.name} ${outcome} quote ${quoteNumber(quote)} ($${quote.total} AUD).${project ? ` Booking #${project.id} created.` : ''} Note: ${quote.responseNote || '—'}`
+    });
+  } catch (emailError) {
+    console.warn('⚠️ Quote notification failed:', emailError.message);
+  }
+}
+
+// ---- Client side (signed link) ----
+
+router.get('/view', async (req, res) => {
+  try {
+    const quote = await quoteFromToken(tokenFromRequest(req));
+    if (quote.status === 'draft') {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    res.json({ quote: serializeQuote(quote) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load quote');
+  }
+});
+
+// Accept - creates a pending booking prefilled from the quote
+router.post('/accept', async (req, res) => {
+  try {
+    const { quote, project } = await acceptQuote(tokenFromRequest(req), { note: req.body.note });
+
+    let emailSent = false;
+    try {
+      await emailService.sendBookingConfirmation({
+        to: quote.client.email,
+        client: quote.client,
+        project,
+        projectSpecs: project.specifications,
+        portalUrl: createPortalLink(project)
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.warn('⚠️ Quote booking confirmation failed:', emailError.message);
+    }
+    await notifyAdmin(quote, true, project);
+
+    res.status(201).json({
+      message: 'Quote accepted - your booking request has been created',
+      projectId: project.id,
+      emailSent,
+      quote: serializeQuote(quote),
+      bookingDetails: {
+        projectType: project.projectType,
+        totalPrice: project.totalPrice,
+        bookingMonth: project.bookingMonth,
+        status: project.status,
+        priceBreakdown: project.priceBreakdown
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to accept quote');
+  }
+});
+
+router.post('/reject', async (req, res) => {
+  try {
+    const quote = await rejectQuote(tokenFromRequest(req), { note: req.body.reason || req.body.note });
+    await notifyAdmin(quote, false);
+
+    res.json({
+      message: 'Thanks for letting us know',
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to reject quote');
+  }
+});
+
+// ---- Admin (requireAdmin) ----
+
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const quote = await createQuote(req.body, { createdBy: req.admin.name });
+    res.status(201).json({
+      message: 'Quote created',
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create quote');
+  }
+});
+
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.status) {
+      where.status = String(req.query.status).split(',').map(s => s.trim()).filter(Boolean);
+    }
+    if (req.query.clientId) {
+      where.clientId = req.query.clientId;
+    }
+
+    const quotes = await Quote.findAll({
+      where,
+      include: [{ model: Client, as: 'client' }],
+      order: [['createdAt', 'DESC']],
+      limit: 200
+    });
+
+    res.json({
+      total: quotes.length,
+      quotes: quotes.map(serializeQuote)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load quotes');
+  }
+});
+
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const quote = await findQuote(req, res);
+    if (!quote) return;
+    res.json({ quote: serializeQuote(quote) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load quote');
+  }
+});
+
+router.patch('/:id', requireAdmin, async (req, res) => {
+  try {
+    const quote = await findQuote(req, res);
+    if (!quote) return;
+
+    await updateQuote(quote, req.body);
+    res.json({
+      message: 'Quote updated',
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update quote');
+  }
+});
+
+// Email the quote (again) with a fresh link
+router.post('/:id/send', requireAdmin, async (req, res) => {
+  try {
+    const quote = await findQuote(req, res);
+    if (!quote) return;
+
+    const quoteUrl = await markSent(quote);
+    await emailService.sendQuoteEmail({
+      to: quote.client.email,
+      client: quote.client,
+      quote,
+      number: quoteNumber(quote),
+      quoteUrl
+    });
+    console.log(`📧 Quote ${quoteNumber(quote)} sent to ${quote.client.email}`);
+
+    res.json({
+      message: `Quote sent to ${quote.client.email}`,
+      quote: serializeQuote(quote)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to send quote');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const { Client, Subscription } = require('../models');
+const {
+  listPlans,
+  createSubscription,
+  changePlan,
+  cancelSubscription,
+  resumeSubscription,
+  serializeSubscription
+} = require('../services/subscriptionService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  // Errors raised by the Stripe client carry a `type` like StripeInvalidRequestError
+  if (/^Stripe/.test(error.type || '')) {
+    console.error(`❌ ${fallback} (Stripe):`, error.message);
+    return res.status(error.statusCode && error.statusCode < 500 ? 400 : 502).json({
+      error: fallback,
+      details: error.message,
+      stripeCode: error.code
+    });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findSubscription(req, res) {
+  const subscription = await Subscription.findByPk(req.params.id, {
+    include: [{ model: Client, as: 'client' }]
+  });
+  if (!subscription) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+  return subscription;
+}
+
+// Plans the booking form and admin can offer
+router.get('/plans', (req, res) => {
+  res.json({ plans: listPlans() });
+});
+
+// Admin listing
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.status) {
+      where.status = String(req.query.status).split(',').map(s => s.trim()).filter(Boolean);
+    }
+    ['plan', 'kind', 'clientId', 'projectId'].forEach(field => {
+      if (req.query[field]) where[field] = req.query[field];
+    });
+
+    const subscriptions = await Subscription.findAll({
+      where,
+      include: [{ model: Client, as: 'client' }],
+      order: [['createdAt', 'DESC']],
+      limit: 200
+    });
+
+    res.json({
+      total: subscriptions.length,
+      subscriptions: subscriptions.map(serializeSubscription)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load subscriptions');
+  }
+});
+
+// Start a plan - the client confirms the first payment with clientSecret
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { subscription, clientSecret } = await createSubscription(req.body, { createdBy: req.admin.name });
+    res.status(201).json({
+      message: 'Subscription created - waiting for the first payment',
+      subscription: serializeSubscription(subscription),
+      clientSecret
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to create subscription');
+  }
+});
+
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+    res.json({ subscription: serializeSubscription(subscription) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load subscription');
+  }
+});
+
+router.patch('/:id/plan', requireAdmin, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+    if (!req.body.plan) {
+      return res.status(400).json({ error: 'plan is required' });
+    }
+
+    await changePlan(subscription, req.body.plan);
+    res.json({
+      message: `Plan changed to ${req.body.plan}`,
+      subscription: serializeSubscription(subscription)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to change plan');
+  }
+});
+
+// Cancels at the end of the paid period unless { immediately: true }
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    const immediately = req.body.immediately === true || req.body.immediately === 'true';
+    await cancelSubscription(subscription, { immediately });
+    res.json({
+      message: immediately ? 'Subscription cancelled' : 'Subscription will cancel at the end of the current period',
+      subscription: serializeSubscription(subscription)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to cancel subscription');
+  }
+});
+
+router.post('/:id/resume', requireAdmin, async (req, res) => {
+  try {
+    const subscription = await findSubscription(req, res);
+    if (!subscription) return;
+
+    await resumeSubscription(subscription);
+    res.json({
+      message: 'Subscription will continue to renew',
+      subscription: serializeSubscription(subscription)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to resume subscription');
+  }
+});
+
+module.exports = router;
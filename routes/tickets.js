@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { Ticket, TicketComment, Attachment } = require('../models');
+const { acceptUploads, filesFromRequest } = require('../middleware/uploads');
+const {
+  changeStatus,
+  addComment,
+  updateTicket,
+  serializeTicket
+} = require('../services/ticketService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+// Mounted at /api/tickets - admin only; clients raise and reply to tickets
+// through the portal
+router.use(requireAdmin);
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+async function findTicket(req, res) {
+  const ticket = await Ticket.findByPk(req.params.id, {
+    include: [
+      { model: TicketComment, as: 'comments' },
+      { model: Attachment, as: 'attachments' }
+    ],
+    order: [
+      [{ model: TicketComment, as: 'comments' }, 'createdAt', 'ASC'],
+      [{ model: TicketComment, as: 'comments' }, 'id', 'ASC']
+    ]
+  });
+  if (!ticket) {
+    res.status(404).json({ error: 'Ticket not found' });
+    return null;
+  }
+  return ticket;
+}
+
+function serializeFull(ticket) {
+  return serializeTicket(ticket, {
+    comments: ticket.comments || [],
+    attachments: (ticket.attachments || []).sort((a, b) => a.id - b.id)
+  });
+}
+
+// Admin queue - filter by status, severity, coverage or project
+router.get('/', async (req, res) => {
+  try {
+    const where = {};
+    ['status', 'severity', 'coverage'].forEach(field => {
+      if (req.query[field]) {
+        where[field] = String(req.query[field]).split(',').map(s => s.trim()).filter(Boolean);
+      }
+    });
+    ['projectId', 'clientId'].forEach(field => {
+      if (req.query[field]) where[field] = req.query[field];
+    });
+
+    const tickets = await Ticket.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: 200
+    });
+
+    res.json({
+      total: tickets.length,
+      tickets: tickets.map(ticket => serializeTicket(ticket))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load tickets');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+    res.json({ ticket: serializeFull(ticket) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load ticket');
+  }
+});
+
+// Title, description, severity or coverage override
+router.patch('/:id', async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    await updateTicket(ticket, req.body);
+    res.json({
+      message: 'Ticket updated',
+      ticket: serializeFull(ticket)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update ticket');
+  }
+});
+
+router.post('/:id/status', async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+    if (!req.body.status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+
+    const { emailSent } = await changeStatus(ticket, req.body.status, {
+      changedBy: req.admin.name,
+      note: req.body.note
+    });
+    res.json({
+      message: `Ticket moved to ${ticket.status}`,
+      emailSent,
+      ticket: serializeFull(await findTicket(req, res))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to update ticket status');
+  }
+});
+
+// Reply to the client, or { internal: true } for an admin-only note.
+// Files can come in the same request (multipart or base64 JSON).
+router.post('/:id/comments', acceptUploads, async (req, res) => {
+  try {
+    const ticket = await findTicket(req, res);
+    if (!ticket) return;
+
+    const { comment, emailSent } = await addComment(ticket, {
+      body: req.body.body,
+      author: req.admin.name,
+      authorType: 'admin',
+      internal: req.body.internal,
+      files: filesFromRequest(req)
+    });
+    res.status(201).json({
+      message: comment.internal ? 'Internal note added' : 'Reply sent',
+      emailSent,
+      ticket: serializeFull(await findTicket(req, res))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to add comment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { Client, WaitlistEntry } = require('../models');
+const emailService = require('../services/emailService');
+const { tokenFromRequest } = require('../services/tokenService');
+const { createPortalLink } = require('../services/portalService');
+const { normalizeMonth } = require('../services/availabilityService');
+const { requireAdmin } = require('../middleware/adminAuth');
+const {
+  joinWaitlist,
+  entryFromToken,
+  claimOffer,
+  declineOffer,
+  cancelEntry,
+  serializeEntry
+} = require('../services/waitlistService');
+
+function sendServiceError(res, error, fallback) {
+  if (error.status) {
+    const { message, status, ...extra } = error;
+    return res.status(status).json({ error: message, ...extra });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  return res.status(500).json({ error: fallback, details: error.message });
+}
+
+// Join the waitlist for a full month
+router.post('/', async (req, res) => {
+  try {
+    const { entry, created } = await joinWaitlist(req.body);
+
+    res.status(created ? 201 : 200).json({
+      message: created
+        ? 'You are on the waitlist - we will email you if a spot opens up'
+        : 'You are already on the waitlist for this month',
+      entry: await serializeEntry(entry)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to join waitlist');
+  }
+});
+
+// Admin view of the queue
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.month) {
+      const monthKey = normalizeMonth(req.query.month);
+      if (!monthKey) {
+        return res.status(400).json({ error: `Unrecognised month "${req.query.month}"` });
+      }
+      where.bookingMonth = monthKey;
+    }
+    if (req.query.status) {
+      where.status = String(req.query.status).split(',').map(s => s.trim()).filter(Boolean);
+    }
+
+    const entries = await WaitlistEntry.findAll({
+      where,
+      include: [{ model: Client, as: 'client' }],
+      order: [['bookingMonth', 'ASC'], ['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      total: entries.length,
+      entries: await Promise.all(entries.map(serializeEntry))
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load waitlist');
+  }
+});
+
+// What an emailed offer link points at
+router.get('/offer', async (req, res) => {
+  try {
+    const entry = await entryFromToken(tokenFromRequest(req));
+    res.json({ entry: await serializeEntry(entry) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to load offer');
+  }
+});
+
+// Claim an offered spot - creates a pending booking
+router.post('/claim', async (req, res) => {
+  try {
+    const { entry, project, client } = await claimOffer(tokenFromRequest(req));
+
+    let emailSent = false;
+    try {
+      await emailService.sendBookingConfirmation({
+        to: client.email,
+        client,
+        project,
+        projectSpecs: project.specifications,
+        portalUrl: createPortalLink(project)
+      });
+      emailSent = true;
+    } catch (emailError) {
+      console.warn('⚠️ Waitlist booking confirmation failed:', emailError.message);
+    }
+
+    res.status(201).json({
+      message: 'Spot claimed - your booking request has been created',
+      projectId: project.id,
+      clientId: client.id,
+      emailSent,
+      entry: await serializeEntry(entry),
+      bookingDetails: {
+        projectType: project.projectType,
+        totalPrice: project.totalPrice,
+        bookingMonth: project.bookingMonth,
+        status: project.status,
+        priceBreakdown: project.priceBreakdown
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to claim spot');
+  }
+});
+
+// Pass an offer on to the next person
+router.post('/decline', async (req, res) => {
+  try {
+    const entry = await declineOffer(tokenFromRequest(req));
+    res.json({
+      message: 'Thanks for letting us know - the spot has been passed on',
+      entry: await serializeEntry(entry)
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to decline offer');
+  }
+});
+
+// Admin removes someone from the waitlist
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findByPk(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    await cancelEntry(entry);
+    console.log(`🗑️ Waitlist entry ${entry.id} cancelled by ${req.admin.name}`);
+    res.json({ message: 'Waitlist entry cancelled', entry: await serializeEntry(entry) });
+  } catch (error) {
+    sendServiceError(res, error, 'Failed to cancel waitlist entry');
+  }
+});
+
+module.exports = router;
@@ -3,12 +3,18 @@ const { sendDeclineEmail, sendApprovalEmail } = require('./services/emailService
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const helmet = require('helmet');
 
 
 const app = express();
 const PORT = Number(process.env.PORT) || 5000;
 
-app.enable('trust proxy'); // Railway / proxies
+// Railway / proxies. Trust only the hops we actually sit behind, otherwise a
+// forged X-Forwarded-For would get around the per-IP rate limits.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || 1);
+
+// Security headers (cross-origin so the frontend can fetch attachment downloads)
+app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
 
 // Allowlist: add/remove as you need
 const allowlist = [
@@ -28,7 +34,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'RateLimit', 'RateLimit-Policy', 'Retry-After'],
   maxAge: 86400,
 };
 
@@ -42,7 +49,8 @@ app.use((req, res, next) => {
   return res.redirect(308, 'https://' + req.headers.host + req.originalUrl);
 });
 
-// Body parsing
+// Body parsing - payment webhooks keep the raw body for signature checks
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -78,7 +86,14 @@ app.get('/api/test', (req, res) => {
 });
 
 // ADD DATABASE CONNECTION TEST
-const { sequelize, Client, Project, Payment } = require('./models');
+const { sequelize, Client, Project, Payment, Attachment } = require('./models');
+const { transitionProject } = require('./services/projectStatus');
+const { serializeAttachment } = require('./services/attachmentService');
+const { buildTimeline } = require('./services/progressService');
+const { entitlementSummary } = require('./services/entitlementService');
+const { scheduleSummary } = require('./services/paymentScheduleService');
+const { testEmailLimits } = require('./middleware/rateLimits');
+const { requireAdmin } = require('./middleware/adminAuth');
 
 async function testDatabaseConnection() {
   try {
@@ -129,12 +144,47 @@ try {
   const adminRoutes = require('./routes/admin');
   const clientRoutes = require('./routes/clients');
   const paymentRoutes = require('./routes/payments');
+  const portalRoutes = require('./routes/portal');
+  const changeRequestRoutes = require('./routes/changeRequests');
+  const attachmentRoutes = require('./routes/attachments');
+  const waitlistRoutes = require('./routes/waitlist');
+  const quoteRoutes = require('./routes/quotes');
+  const promoCodeRoutes = require('./routes/promoCodes');
+  const subscriptionRoutes = require('./routes/subscriptions');
+  const progressRoutes = require('./routes/progress');
+  const entitlementRoutes = require('./routes/entitlements');
+  const ticketRoutes = require('./routes/tickets');
+  const paymentScheduleRoutes = require('./routes/paymentSchedules');
+  const invoiceRoutes = require('./routes/invoices');
 
   // USE ROUTES - This will make your admin panel work!
   app.use('/api/bookings', bookingRoutes);
+  app.use('/api/bookings', changeRequestRoutes);
+  app.use('/api/bookings', attachmentRoutes);
+  app.use('/api/bookings', progressRoutes);
+  app.use('/api/bookings', entitlementRoutes);
+  app.use('/api/bookings', paymentScheduleRoutes);
+  app.use('/api/admin/promo-codes', promoCodeRoutes);
   app.use('/api/admin', adminRoutes);
   app.use('/api/clients', clientRoutes);
   app.use('/api/payments', paymentRoutes);
+  app.use('/api/portal', portalRoutes);
+  app.use('/api/waitlist', waitlistRoutes);
+  app.use('/api/quotes', quoteRoutes);
+  app.use('/api/subscriptions', subscriptionRoutes);
+  app.use('/api/tickets', ticketRoutes);
+  app.use('/api/invoices', invoiceRoutes);
+
+  // Offer freed slots to the waitlist when bookings decline, cancel or move
+  require('./services/waitlistService').watchProjectEvents();
+  // Give promo redemptions back when bookings are declined or cancelled
+  require('./services/promoService').watchProjectEvents();
+  // Grant support sessions on approval and start the warranty on completion
+  require('./services/entitlementService').watchProjectEvents();
+  // Create deposit / balance installments when a booking is approved
+  require('./services/paymentScheduleService').watchProjectEvents();
+  // Detach the card saved at booking when a booking is declined or cancelled
+  require('./services/savedCardService').watchProjectEvents();
   
   console.log('✅ All route files loaded successfully');
 } catch (error) {
@@ -146,18 +196,21 @@ try {
 console.log('📝 Setting up backup booking routes...');
 
 // GET availability
-app.get('/api/bookings/availability/:month', (req, res) => {
+app.get('/api/bookings/availability/:month', async (req, res) => {
   console.log('📅 Availability check for:', req.params.month);
   
-  // For now, always return available
-  res.json({
-    available: true,
-    currentBookings: 0,
-    month: req.params.month,
-    maxBookings: 99999,
-    unlimited: true,
-    note: 'No booking limits - always available'
-  });
+  try {
+    const { getMonthAvailability } = require('./services/availabilityService');
+    const availability = await getMonthAvailability(decodeURIComponent(req.params.month));
+    res.json(availability);
+  } catch (error) {
+    console.error('❌ Availability check failed:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to check availability',
+      month: req.params.month,
+      details: error.message
+    });
+  }
 });
 
 // POST booking - FIXED VERSION WITH PROPER EMAIL
@@ -394,7 +447,7 @@ app.get('/api/bookings/debug', async (req, res) => {
   }
 });
 
-app.post('/api/bookings/:id/decline', async (req, res) => {
+app.post('/api/bookings/:id/decline', requireAdmin, async (req, res) => {
   try {
     console.log(`Declining booking ${req.params.id}`);
     
@@ -416,8 +469,22 @@ app.post('/api/bookings/:id/decline', async (req, res) => {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    // Update status
-    await project.update({ status: 'declined' });
+    // Update status through the state machine
+    try {
+      await transitionProject(project, 'declined', {
+        changedBy: req.admin.name,
+        reason: req.body.reason
+      });
+    } catch (transitionError) {
+      if (transitionError.status) {
+        return res.status(transitionError.status).json({
+          error: transitionError.message,
+          currentStatus: transitionError.from,
+          allowed: transitionError.allowed
+        });
+      }
+      throw transitionError;
+    }
     console.log(`Booking ${projectId} declined successfully`);
 
     // Send email
@@ -454,7 +521,7 @@ app.post('/api/bookings/:id/decline', async (req, res) => {
 });
 
 // 🎯 FIXED APPROVE ROUTE WITH EMAIL
-app.post('/api/bookings/:id/approve', async (req, res) => {
+app.post('/api/bookings/:id/approve', requireAdmin, async (req, res) => {
   try {
     console.log(`✅ [APPROVE-FIXED] Processing booking ${req.params.id}`);
     
@@ -496,71 +563,37 @@ app.post('/api/bookings/:id/approve', async (req, res) => {
 
     console.log(`📋 Current project status: ${project.status}`);
 
-    // 🎯 TRY MULTIPLE UPDATE METHODS
-    let updateSuccess = false;
-    let finalStatus = null;
-
-    // Method 1: Standard Sequelize update
+    // Update status through the state machine
     try {
-      await project.update({ status: 'approved' });
-      await project.reload();
-      finalStatus = project.status;
-      updateSuccess = true;
-      console.log('✅ Method 1 (Sequelize update) succeeded');
-    } catch (updateError1) {
-      console.warn('⚠️ Method 1 failed:', updateError1.message);
-      
-      // Method 2: Direct property update + save
-      try {
-        project.status = 'approved';
-        await project.save();
-        finalStatus = project.status;
-        updateSuccess = true;
-        console.log('✅ Method 2 (direct save) succeeded');
-      } catch (updateError2) {
-        console.warn('⚠️ Method 2 failed:', updateError2.message);
-        
-        // Method 3: Raw SQL update
-        try {
-          await sequelize.query(
-            'UPDATE projects SET status = :status WHERE id = :id',
-            {
-              replacements: { status: 'approved', id: projectId },
-              type: sequelize.QueryTypes.UPDATE
-            }
-          );
-          
-          // Verify the update worked
-          const [results] = await sequelize.query(
-            'SELECT status FROM projects WHERE id = :id',
-            {
-              replacements: { id: projectId },
-              type: sequelize.QueryTypes.SELECT
-            }
-          );
-          
-          if (results && results.status === 'approved') {
-            finalStatus = 'approved';
-            updateSuccess = true;
-            console.log('✅ Method 3 (raw SQL) succeeded');
-          }
-        } catch (updateError3) {
-          console.error('❌ All update methods failed:', updateError3.message);
-        }
-      }
-    }
-
-    if (!updateSuccess) {
-      return res.status(500).json({ 
-        error: 'Failed to update booking status',
-        details: 'All update methods failed',
-        currentStatus: project.status,
-        emailSent: false
+      await transitionProject(project, 'approved', {
+        changedBy: req.admin.name,
+        reason: req.body.reason
       });
+    } catch (transitionError) {
+      if (transitionError.status) {
+        return res.status(transitionError.status).json({
+          error: transitionError.message,
+          currentStatus: transitionError.from,
+          allowed: transitionError.allowed,
+          emailSent: false
+        });
+      }
+      throw transitionError;
     }
+    const finalStatus = project.status;
 
     console.log(`🎉 Booking ${projectId} successfully approved. Status: ${finalStatus}`);
 
+    // 💳 CHARGE THE DEPOSIT TO THE CARD SAVED WITH THE BOOKING
+    let cardCharge;
+    try {
+      const { chargeSavedCard } = require('./services/savedCardService');
+      cardCharge = await chargeSavedCard(project);
+    } catch (chargeError) {
+      console.error('❌ Saved card charge failed:', chargeError.message);
+      cardCharge = { status: 'error', reason: chargeError.message };
+    }
+
     // 📧 TRY TO SEND APPROVAL EMAIL
     let emailSent = false;
     let emailError = null;
@@ -575,7 +608,10 @@ app.post('/api/bookings/:id/approve', async (req, res) => {
         await sendApprovalEmail({
           to: project.client.email,     // FIXED: Use project.client.email
           client: project.client,       // FIXED: Use project.client  
-          project: project
+          project: project,
+          cardCharge,
+          portalUrl: require('./services/portalService').createPortalLink(project),
+          attachments: await Attachment.findAll({ where: { projectId: project.id, progressUpdateId: null, ticketId: null } })
         });
         
         emailSent = true;
@@ -594,9 +630,9 @@ app.post('/api/bookings/:id/approve', async (req, res) => {
       message: 'Booking approved successfully',
       projectId: projectId,
       status: finalStatus,
+      cardCharge,
       emailSent: emailSent,
-      emailError: emailError,
-      method: updateSuccess ? 'database_updated' : 'unknown'
+      emailError: emailError
     });
 
   } catch (error) {
@@ -610,7 +646,7 @@ app.post('/api/bookings/:id/approve', async (req, res) => {
 });
 
 // 📧 ADD EMAIL TEST ROUTE
-app.post('/api/test/email', async (req, res) => {
+app.post('/api/test/email', testEmailLimits, async (req, res) => {
   try {
     console.log('📧 Testing email service...');
     
@@ -669,7 +705,11 @@ app.get('/api/bookings/:id/details', async (req, res) => {
     }
 
     const project = await Project.findByPk(projectId, {
-      include: [{ model: Client, as: 'client' }]
+      include: [
+        { model: Client, as: 'client' },
+        { model: Attachment, as: 'attachments', where: { progressUpdateId: null, ticketId: null }, required: false }
+      ],
+      order: [[{ model: Attachment, as: 'attachments' }, 'createdAt', 'ASC']]
     });
     
     if (!project) {
@@ -689,6 +729,10 @@ app.get('/api/bookings/:id/details', async (req, res) => {
         projectSpecs: project.specifications,
         specifications: project.specifications,
         items: project.items || [],
+        priceBreakdown: project.priceBreakdown,
+        promoCode: project.promoCode,
+        discountAmount: project.discountAmount,
+        paymentSchedule: project.paymentSchedule,
         createdAt: project.createdAt,
         updatedAt: project.updatedAt
       },
@@ -696,7 +740,11 @@ app.get('/api/bookings/:id/details', async (req, res) => {
         id: project.client?.id,
         name: project.client?.name,
         email: project.client?.email
-      }
+      },
+      attachments: (project.attachments || []).map(serializeAttachment),
+      timeline: await buildTimeline(project.id),
+      entitlements: await entitlementSummary(project.id),
+      paymentSchedule: await scheduleSummary(project)
     });
 
   } catch (error) {
@@ -755,6 +803,7 @@ app.get('/api/payments/test-stripe', (req, res) => {
     message: 'Stripe test endpoint',
     hasStripeKey: !!process.env.STRIPE_SECRET_KEY,
     hasStripeWebhook: !!process.env.STRIPE_WEBHOOK_SECRET,
+    stripeApiHost: process.env.STRIPE_API_HOST || 'api.stripe.com',
     environment: process.env.NODE_ENV || 'development',
     timestamp: new Date().toISOString()
   });
@@ -775,10 +824,34 @@ app.get('/', (req, res) => {
       // Booking routes
       '/api/bookings',
       '/api/bookings/test',
+      '/api/bookings/price',
       '/api/bookings/debug',
       '/api/bookings/availability/:month',
       '/api/bookings/:id/approve',
       '/api/bookings/:id/decline',
+      '/api/bookings/:id/status',
+      '/api/bookings/:id/history',
+      '/api/bookings/:id/reschedule',
+      '/api/bookings/:id/change-requests',
+      '/api/bookings/:id/change-requests/:requestId/approve',
+      '/api/bookings/:id/change-requests/:requestId/reject',
+      '/api/bookings/:id/versions',
+      '/api/bookings/:id/attachments',
+      '/api/bookings/:id/attachments/:attachmentId/download',
+      '/api/bookings/:id/timeline',
+      '/api/bookings/:id/milestones',
+      '/api/bookings/:id/milestones/:milestoneId',
+      '/api/bookings/:id/progress-updates',
+      '/api/bookings/:id/progress-updates/:updateId',
+      '/api/bookings/:id/progress-updates/:updateId/images',
+      '/api/bookings/:id/progress-updates/:updateId/publish',
+      '/api/bookings/:id/entitlements',
+      '/api/bookings/:id/entitlements/sessions',
+      '/api/bookings/:id/entitlements/adjustments',
+      '/api/bookings/:id/entitlements/warranty',
+      '/api/bookings/:id/payment-schedule',
+      '/api/bookings/:id/payment-schedule/:paymentId',
+      '/api/bookings/:id/apply-credit',
       '/api/bookings/:id/test',
       
       // Admin routes
@@ -787,17 +860,80 @@ app.get('/', (req, res) => {
       '/api/admin/inquiries',
       '/api/admin/inquiries/:id/status',
       '/api/admin/stats',
+      '/api/admin/quarantine',
+      '/api/admin/quarantine/:id/release',
+      '/api/admin/quarantine/:id/discard',
+      '/api/admin/webhook-events',
+      '/api/admin/webhook-events/:id',
+      '/api/admin/webhook-events/:id/replay',
+      '/api/admin/reconciliation-reports',
+      '/api/admin/reconciliation-reports/:id',
+      '/api/admin/promo-codes',
+      '/api/admin/promo-codes/:id',
       
       // Client routes
       '/api/clients',
       '/api/clients/:id',
+      '/api/clients/:id/credit',
       
       // Payment routes
       '/api/payments/create-intent',
       '/api/payments/confirm',
       '/api/payments/webhook',
+      '/api/payments/webhook/:provider',
+      '/api/payments/schedules',
+      '/api/payments/providers',
       '/api/payments/status/:paymentId',
-      '/api/payments/test-stripe'
+      '/api/payments/:paymentId/refunds',
+      '/api/payments/test-stripe',
+      
+      // Client portal routes (magic-link token)
+      '/api/portal/request-link',
+      '/api/portal/booking',
+      '/api/portal/booking/cancel',
+      '/api/portal/booking/change-requests',
+      '/api/portal/booking/attachments',
+      '/api/portal/booking/invoices',
+      '/api/portal/booking/invoices/:invoiceId/pdf',
+      '/api/portal/booking/tickets',
+      '/api/portal/booking/tickets/:ticketId',
+      '/api/portal/booking/tickets/:ticketId/comments',
+      '/api/portal/booking/tickets/:ticketId/reopen',
+      '/api/portal/booking/tickets/:ticketId/close',
+      
+      // Waitlist routes
+      '/api/waitlist',
+      '/api/waitlist/offer',
+      '/api/waitlist/claim',
+      '/api/waitlist/decline',
+      
+      // Quote routes
+      '/api/quotes',
+      '/api/quotes/:id',
+      '/api/quotes/:id/send',
+      '/api/quotes/view',
+      '/api/quotes/accept',
+      '/api/quotes/reject',
+      
+      // Subscription routes
+      '/api/subscriptions',
+      '/api/subscriptions/plans',
+      '/api/subscriptions/:id',
+      '/api/subscriptions/:id/plan',
+      '/api/subscriptions/:id/cancel',
+      '/api/subscriptions/:id/resume',
+      
+      // Bug ticket routes (admin)
+      '/api/tickets',
+      '/api/tickets/:id',
+      '/api/tickets/:id/status',
+      '/api/tickets/:id/comments',
+      
+      // Invoice routes
+      '/api/invoices',
+      '/api/invoices/:id',
+      '/api/invoices/:id/pdf',
+      '/api/invoices/:id/void'
     ]
   });
 });
@@ -820,12 +956,44 @@ app.use('*', (req, res) => {
       'GET /api/test',
       
       // Bookings
+      'GET /api/bookings',
       'POST /api/bookings',
       'POST /api/bookings/test',
+      'POST /api/bookings/price',
       'GET /api/bookings/debug',
       'GET /api/bookings/availability/:month',
       'POST /api/bookings/:id/approve',
       'POST /api/bookings/:id/decline',
+      'PATCH /api/bookings/:id/status',
+      'GET /api/bookings/:id/history',
+      'POST /api/bookings/:id/reschedule',
+      'GET /api/bookings/:id/change-requests',
+      'POST /api/bookings/:id/change-requests',
+      'POST /api/bookings/:id/change-requests/:requestId/approve',
+      'POST /api/bookings/:id/change-requests/:requestId/reject',
+      'GET /api/bookings/:id/versions',
+      'GET /api/bookings/:id/versions/:version',
+      'GET /api/bookings/:id/attachments',
+      'POST /api/bookings/:id/attachments',
+      'GET /api/bookings/:id/attachments/:attachmentId/download',
+      'DELETE /api/bookings/:id/attachments/:attachmentId',
+      'GET /api/bookings/:id/timeline',
+      'POST /api/bookings/:id/milestones',
+      'PATCH /api/bookings/:id/milestones/:milestoneId',
+      'DELETE /api/bookings/:id/milestones/:milestoneId',
+      'POST /api/bookings/:id/progress-updates',
+      'PATCH /api/bookings/:id/progress-updates/:updateId',
+      'POST /api/bookings/:id/progress-updates/:updateId/images',
+      'POST /api/bookings/:id/progress-updates/:updateId/publish',
+      'DELETE /api/bookings/:id/progress-updates/:updateId',
+      'GET /api/bookings/:id/entitlements',
+      'POST /api/bookings/:id/entitlements/sessions',
+      'POST /api/bookings/:id/entitlements/adjustments',
+      'PATCH /api/bookings/:id/entitlements/warranty',
+      'GET /api/bookings/:id/payment-schedule',
+      'PUT /api/bookings/:id/payment-schedule',
+      'PATCH /api/bookings/:id/payment-schedule/:paymentId',
+      'POST /api/bookings/:id/apply-credit',
       'GET /api/bookings/:id/test',
       
       // Admin
@@ -834,17 +1002,96 @@ app.use('*', (req, res) => {
       'GET /api/admin/inquiries',
       'PUT /api/admin/inquiries/:id/status',
       'GET /api/admin/stats',
+      'GET /api/admin/quarantine',
+      'POST /api/admin/quarantine/:id/release',
+      'POST /api/admin/quarantine/:id/discard',
+      'GET /api/admin/webhook-events',
+      'GET /api/admin/webhook-events/:id',
+      'POST /api/admin/webhook-events/:id/replay',
+      'GET /api/admin/reconciliation-reports',
+      'POST /api/admin/reconciliation-reports',
+      'GET /api/admin/reconciliation-reports/:id',
+      'GET /api/admin/promo-codes',
+      'POST /api/admin/promo-codes',
+      'GET /api/admin/promo-codes/:id',
+      'PATCH /api/admin/promo-codes/:id',
+      'DELETE /api/admin/promo-codes/:id',
       
       // Clients
       'GET /api/clients',
       'GET /api/clients/:id',
+      'POST /api/clients/:id/credit',
       
       // Payments
       'POST /api/payments/create-intent',
       'POST /api/payments/confirm',
       'POST /api/payments/webhook',
+      'POST /api/payments/webhook/:provider',
       'GET /api/payments/status/:paymentId',
-      'GET /api/payments/test-stripe'
+      'GET /api/payments/schedules',
+      'GET /api/payments/providers',
+      'POST /api/payments/:paymentId/refunds',
+      'GET /api/payments/:paymentId/refunds',
+      'GET /api/payments/test-stripe',
+      
+      // Client portal
+      'POST /api/portal/request-link',
+      'GET /api/portal/booking',
+      'PATCH /api/portal/booking',
+      'POST /api/portal/booking/cancel',
+      'GET /api/portal/booking/change-requests',
+      'POST /api/portal/booking/change-requests',
+      'POST /api/portal/booking/attachments',
+      'GET /api/portal/booking/attachments/:attachmentId/download',
+      'GET /api/portal/booking/invoices',
+      'GET /api/portal/booking/invoices/:invoiceId/pdf',
+      'GET /api/portal/booking/tickets',
+      'POST /api/portal/booking/tickets',
+      'GET /api/portal/booking/tickets/:ticketId',
+      'POST /api/portal/booking/tickets/:ticketId/comments',
+      'POST /api/portal/booking/tickets/:ticketId/reopen',
+      'POST /api/portal/booking/tickets/:ticketId/close',
+      
+      // Waitlist
+      'POST /api/waitlist',
+      'GET /api/waitlist',
+      'GET /api/waitlist/offer',
+      'POST /api/waitlist/claim',
+      'POST /api/waitlist/decline',
+      'DELETE /api/waitlist/:id',
+      
+      // Quotes
+      'POST /api/quotes',
+      'GET /api/quotes',
+      'GET /api/quotes/:id',
+      'PATCH /api/quotes/:id',
+      'POST /api/quotes/:id/send',
+      'GET /api/quotes/view',
+      'POST /api/quotes/accept',
+      'POST /api/quotes/reject',
+      
+      // Subscriptions
+      'GET /api/subscriptions/plans',
+      'GET /api/subscriptions',
+      'POST /api/subscriptions',
+      'GET /api/subscriptions/:id',
+      'PATCH /api/subscriptions/:id/plan',
+      'POST /api/subscriptions/:id/cancel',
+      'POST /api/subscriptions/:id/resume',
+      
+      // Bug tickets
+      'GET /api/tickets',
+      'GET /api/tickets/:id',
+      'PATCH /api/tickets/:id',
+      'POST /api/tickets/:id/status',
+      'POST /api/tickets/:id/comments',
+      
+      // Invoices
+      'GET /api/invoices',
+      'POST /api/invoices',
+      'GET /api/invoices/:id',
+      'GET /api/invoices/:id/pdf',
+      'POST /api/invoices/:id/void'
     ],
     suggestion: 'Check the root endpoint (/) for a complete list of available routes'
   });
@@ -893,6 +1140,42 @@ app.listen(PORT, '0.0.0.0', async () => {
   } else {
     console.log('✅ Stripe configured');
   }
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('⚠️ WARNING: STRIPE_WEBHOOK_SECRET not set - Stripe webhooks will be rejected!');
+  }
+  
+  // Background housekeeping
+  const { purgeExpiredIdempotencyKeys } = require('./middleware/idempotency');
+  setInterval(() => {
+    purgeExpiredIdempotencyKeys().catch(error => console.error('❌ Idempotency key cleanup failed:', error.message));
+  }, 60 * 60 * 1000).unref();
+  
+  const { expireStaleOffers } = require('./services/waitlistService');
+  setInterval(() => {
+    expireStaleOffers().catch(error => console.error('❌ Waitlist offer expiry failed:', error.message));
+  }, 15 * 60 * 1000).unref();
+  
+  const { expireQuotes } = require('./services/quoteService');
+  setInterval(() => {
+    expireQuotes().catch(error => console.error('❌ Quote expiry failed:', error.message));
+  }, 60 * 60 * 1000).unref();
+  
+  const { sweepEntitlements } = require('./services/entitlementService');
+  setInterval(() => {
+    sweepEntitlements().catch(error => console.error('❌ Entitlement sweep failed:', error.message));
+  }, 60 * 60 * 1000).unref();
+  
+  const { processDueEvents } = require('./services/webhookEventService');
+  setInterval(() => {
+    processDueEvents().catch(error => console.error('❌ Webhook retry pass failed:', error.message));
+  }, 60 * 1000).unref();
+  
+  if (process.env.RECONCILE_NIGHTLY === 'true') {
+    const { runNightlyReconciliation } = require('./services/reconciliationService');
+    setInterval(() => {
+      runNightlyReconciliation().catch(error => console.error('❌ Nightly reconciliation failed:', error.message));
+    }, 60 * 60 * 1000).unref();
+  }
   
   console.log('📋 Available routes:');
   console.log('  GET  /');
@@ -0,0 +1,191 @@
+// attachmentService.js
+// ------------------------------------------------------------
+// Booking attachments (logos, brand guides, briefs, content)
+// - Validates extension, declared type, size and (for common binary
+//   formats) the file signature before anything is stored
+// - ATTACHMENT_MAX_BYTES  per-file limit (default 10 MB)
+// - Files go to the configured storage driver (services/storage)
+// - Progress photos (progressService) reuse the same storage, limited to
+//   raster images; bug ticket files (ticketService) are filed as 'ticket'
+// ------------------------------------------------------------
+
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage } = require('./storage');
+
+const MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 10;
+
+const ALLOWED_TYPES = {
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.gif': ['image/gif'],
+  '.webp': ['image/webp'],
+  '.svg': ['image/svg+xml'],
+  '.pdf': ['application/pdf'],
+  '.txt': ['text/plain'],
+  '.md': ['text/markdown', 'text/plain'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.zip': ['application/zip', 'application/x-zip-compressed']
+};
+
+// Leading bytes for formats that are easy to disguise
+const SIGNATURES = {
+  '.png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  '.jpg': [Buffer.from([0xff, 0xd8, 0xff])],
+  '.jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  '.gif': [Buffer.from('GIF8')],
+  '.pdf': [Buffer.from('%PDF')],
+  '.zip': [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+  '.docx': [Buffer.from([0x50, 0x4b, 0x03, 0x04])]
+};
+
+const CATEGORIES = ['logo', 'brand', 'brief', 'content', 'other'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+function attachmentError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function cleanName(name) {
+  return path.basename(String(name || 'file')).replace(/[^\w.\- ]+/g, '_').slice(0, 200) || 'file';
+}
+
+function validateFile({ originalName, contentType, buffer }) {
+  const ext = path.extname(originalName).toLowerCase();
+  const allowed = ALLOWED_TYPES[ext];
+  if (!allowed) {
+    throw attachmentError(`File type ${ext || '(none)'} is not allowed. Allowed: ${Object.keys(ALLOWED_TYPES).join(', ')}`, 415);
+  }
+
+  const declared = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (declared && declared !== 'application/octet-stream' && !allowed.includes(declared)) {
+    throw attachmentError(`${originalName} does not look like a ${ext} file (${declared})`, 415);
+  }
+
+  if (!buffer || !buffer.length) {
+    throw attachmentError(`${originalName} is empty`);
+  }
+  if (buffer.length > MAX_BYTES) {
+    throw attachmentError(`${originalName} is larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`, 413);
+  }
+
+  const signatures = SIGNATURES[ext];
+  if (signatures && !signatures.some(sig => buffer.subarray(0, sig.length).equals(sig))) {
+    throw attachmentError(`${originalName} does not look like a ${ext} file`, 415);
+  }
+
+  return allowed[0];
+}
+
+/**
+ * Validate and store files for a project.
+ * All files are validated before any are written.
+ */
+async function storeAttachments(project, files, { uploadedBy = 'admin', uploadedByType = 'admin', category = 'other', progressUpdateId = null, ticketId = null } = {}) {
+  const { Attachment } = require('../models');
+
+  if (!files.length) throw attachmentError('No files were uploaded');
+  if (files.length > MAX_FILES_PER_UPLOAD) {
+    throw attachmentError(`Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`);
+  }
+  if (progressUpdateId) {
+    category = 'progress';
+  } else if (ticketId) {
+    category = 'ticket';
+  } else if (!CATEGORIES.includes(category)) {
+    throw attachmentError(`category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+
+  const prepared = files.map(file => {
+    const originalName = cleanName(file.originalName);
+    if (progressUpdateId && !IMAGE_EXTENSIONS.includes(path.extname(originalName).toLowerCase())) {
+      throw attachmentError(`Progress updates only take images (${IMAGE_EXTENSIONS.join(', ')})`, 415);
+    }
+    const contentType = validateFile({ ...file, originalName });
+    return { ...file, originalName, contentType };
+  });
+
+  const storage = getStorage();
+  const stored = [];
+  for (const file of prepared) {
+    const ext = path.extname(file.originalName).toLowerCase();
+    const key = `projects/${project.id}/${crypto.randomUUID()}${ext}`;
+    await storage.put(key, file.buffer, { contentType: file.contentType });
+
+    try {
+      stored.push(await Attachment.create({
+        projectId: project.id,
+        originalName: file.originalName,
+        contentType: file.contentType,
+        size: file.buffer.length,
+        category,
+        progressUpdateId,
+        ticketId,
+        storageDriver: storage.driver,
+        storageKey: key,
+        checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        uploadedBy,
+        uploadedByType
+      }));
+    } catch (error) {
+      await storage.remove(key).catch(() => {});
+      throw error;
+    }
+  }
+
+  console.log(`📎 Stored ${stored.length} attachment(s) for project ${project.id} (${storage.driver})`);
+  return stored;
+}
+
+async function readAttachment(attachment) {
+  return getStorage(attachment.storageDriver).get(attachment.storageKey);
+}
+
+// Send a stored file as an Express download response
+async function sendAttachment(res, attachment) {
+  const body = await readAttachment(attachment);
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': body.length,
+    'Content-Disposition': `attachment; filename="${attachment.originalName.replace(/"/g, '')}"`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(body);
+}
+
+async function deleteAttachment(attachment) {
+  await getStorage(attachment.storageDriver).remove(attachment.storageKey);
+  await attachment.destroy();
+}
+
+function serializeAttachment(a) {
+  return {
+    id: a.id,
+    name: a.originalName,
+    contentType: a.contentType,
+    size: a.size,
+    category: a.category,
+    uploadedBy: a.uploadedBy,
+    uploadedByType: a.uploadedByType,
+    createdAt: a.createdAt,
+    downloadUrl: `/api/bookings/${a.projectId}/attachments/${a.id}/download`
+  };
+}
+
+module.exports = {
+  MAX_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  ALLOWED_TYPES,
+  CATEGORIES,
+  IMAGE_EXTENSIONS,
+  storeAttachments,
+  readAttachment,
+  sendAttachment,
+  deleteAttachment,
+  serializeAttachment
+};
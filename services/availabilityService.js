@@ -0,0 +1,273 @@
+// availabilityService.js
+// ------------------------------------------------------------
+// Capacity-based availability for booking months
+// - Counts active projects per bookingMonth against the configured capacity
+// - Honours per-month overrides and blackout months (config/availability.js)
+// - bookingMonth is stored as YYYY-MM; older rows kept whatever the
+//   frontend sent, so every format normalizeMonth accepts is counted
+// - Open waitlist offers hold a slot until they are claimed or expire
+// - Inside a transaction checkMonth() first locks the month's BookingMonth
+//   row, so everything taking a slot in that month queues up behind it
+// - rescheduleProject() moves a booking between months and emits
+//   'rescheduled' on projectEvents so the freed slot can be offered
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const availabilityConfig = require('../config/availability');
+
+// Statuses that occupy a slot in their booking month
+const ACTIVE_STATUSES = ['pending', 'approved', 'in_progress', 'completed'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Normalise "2025-08", "2025-8", "08/2025", "August 2025" or "Aug 2025" to "2025-08"
+function normalizeMonth(value) {
+  if (!value) return null;
+  const input = String(value).trim();
+
+  let match = input.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) {
+    const month = parseInt(match[2], 10);
+    return month >= 1 && month <= 12 ? `${match[1]}-${pad(month)}` : null;
+  }
+
+  match = input.match(/^(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    const month = parseInt(match[1], 10);
+    return month >= 1 && month <= 12 ? `${match[2]}-${pad(month)}` : null;
+  }
+
+  match = input.match(/^([A-Za-z]+)\s+(\d{4})$/);
+  if (match) {
+    const name = match[1].toLowerCase();
+    const index = MONTH_NAMES.findIndex(m => name.length >= 3 && m.toLowerCase().startsWith(name));
+    return index >= 0 ? `${match[2]}-${pad(index + 1)}` : null;
+  }
+
+  return null;
+}
+
+function monthLabel(monthKey) {
+  const [year, month] = monthKey.split('-').map(Number);
+  return `${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+function addMonths(monthKey, count) {
+  const [year, month] = monthKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 + count, 1));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+}
+
+function currentMonthKey(now = new Date()) {
+  return `${now.getUTCFullYear()}-${pad(now.getUTCMonth() + 1)}`;
+}
+
+// Every stored representation we accept for a month. New bookings are
+// stored as YYYY-MM; the rest match rows saved before that.
+function monthAliases(monthKey) {
+  const [year, month] = monthKey.split('-').map(Number);
+  const name = MONTH_NAMES[month - 1];
+  return [...new Set([
+    monthKey,
+    `${year}-${month}`,
+    `${pad(month)}/${year}`,
+    `${month}/${year}`,
+    monthLabel(monthKey),
+    `${name.slice(0, 3)} ${year}`
+  ])];
+}
+
+function getCapacity(monthKey) {
+  const blackout = availabilityConfig.blackoutMonths.some(m => normalizeMonth(m) === monthKey);
+  if (blackout) return { capacity: 0, blackout: true };
+
+  const overrideKey = Object.keys(availabilityConfig.overrides).find(m => normalizeMonth(m) === monthKey);
+  const capacity = overrideKey !== undefined
+    ? availabilityConfig.overrides[overrideKey]
+    : availabilityConfig.defaultCapacity;
+
+  return { capacity, blackout: false };
+}
+
+// Lock the month for the rest of the transaction. The row is created
+// outside it (INSERT IGNORE), so racing first bookings never deadlock on
+// the insert - they all end up waiting on the same row lock
+async function lockMonth(monthKey, { transaction }) {
+  const { BookingMonth } = require('../models');
+  await BookingMonth.bulkCreate([{ month: monthKey }], { ignoreDuplicates: true });
+  await BookingMonth.findByPk(monthKey, { transaction, lock: transaction.LOCK.UPDATE });
+}
+
+// Inside a transaction (with the month locked) the bookings are read FOR
+// UPDATE too, so the count includes anything committed while we waited
+async function countBookings(monthKey, { transaction } = {}) {
+  const { Project } = require('../models');
+  const where = {
+    bookingMonth: { [Op.in]: monthAliases(monthKey) },
+    status: { [Op.in]: ACTIVE_STATUSES }
+  };
+  if (!transaction) {
+    return Project.count({ where });
+  }
+  const projects = await Project.findAll({
+    where,
+    attributes: ['id'],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  return projects.length;
+}
+
+// Waitlist offers that have been sent and not yet claimed or expired
+async function countHeldOffers(monthKey, { transaction } = {}) {
+  const { WaitlistEntry } = require('../models');
+  return WaitlistEntry.count({
+    where: {
+      bookingMonth: monthKey,
+      status: 'offered',
+      offerExpiresAt: { [Op.gt]: new Date() }
+    },
+    transaction
+  });
+}
+
+async function checkMonth(monthKey, options = {}) {
+  const { capacity, blackout } = getCapacity(monthKey);
+  const past = monthKey < currentMonthKey();
+  if (options.transaction) {
+    await lockMonth(monthKey, options);
+  }
+  const currentBookings = await countBookings(monthKey, options);
+  const heldForWaitlist = await countHeldOffers(monthKey, options);
+  const remainingSlots = Math.max(capacity - currentBookings - heldForWaitlist, 0);
+
+  return {
+    month: monthKey,
+    label: monthLabel(monthKey),
+    available: !blackout && !past && remainingSlots > 0,
+    currentBookings,
+    heldForWaitlist,
+    maxBookings: capacity,
+    remainingSlots,
+    blackout,
+    past
+  };
+}
+
+// First open month at or after `fromKey` (never earlier than the current month)
+async function findNextOpenMonth(fromKey, options = {}) {
+  const today = currentMonthKey();
+  let monthKey = fromKey && fromKey > today ? fromKey : today;
+
+  for (let i = 0; i < availabilityConfig.lookaheadMonths; i++) {
+    const result = await checkMonth(monthKey, options);
+    if (result.available) return monthKey;
+    monthKey = addMonths(monthKey, 1);
+  }
+  return null;
+}
+
+// Full availability answer for GET /api/bookings/availability/:month
+async function getMonthAvailability(month, options = {}) {
+  const monthKey = normalizeMonth(month);
+  if (!monthKey) {
+    const error = new Error(`Unrecognised month "${month}" - use YYYY-MM or "Month YYYY"`);
+    error.status = 400;
+    throw error;
+  }
+
+  const result = await checkMonth(monthKey, options);
+  const nextAvailableMonth = result.available ? monthKey : await findNextOpenMonth(addMonths(monthKey, 1), options);
+
+  return {
+    ...result,
+    requested: month,
+    nextAvailableMonth,
+    nextAvailableLabel: nextAvailableMonth ? monthLabel(nextAvailableMonth) : null
+  };
+}
+
+// Bookings that can still move to another month
+const RESCHEDULABLE_STATUSES = ['pending', 'approved', 'in_progress'];
+
+/**
+ * Move a booking to another month if that month has room.
+ * Listeners on projectEvents get 'rescheduled' once the move is committed.
+ */
+async function rescheduleProject(project, bookingMonth, { changedBy = 'admin', reason = null } = {}) {
+  const { sequelize, Project, ProjectStatusHistory } = require('../models');
+  const { projectEvents } = require('./projectStatus');
+
+  const toMonth = normalizeMonth(bookingMonth);
+  if (!toMonth) {
+    const error = new Error(`Unrecognised month "${bookingMonth}" - use YYYY-MM or "Month YYYY"`);
+    error.status = 400;
+    throw error;
+  }
+  const fromMonth = normalizeMonth(project.bookingMonth);
+
+  await sequelize.transaction(async (transaction) => {
+    const current = await Project.findByPk(project.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!RESCHEDULABLE_STATUSES.includes(current.status)) {
+      const error = new Error(`A ${current.status} booking cannot be rescheduled`);
+      error.status = 409;
+      throw error;
+    }
+    if (fromMonth === toMonth) {
+      const error = new Error(`Booking is already in ${monthLabel(toMonth)}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const availability = await checkMonth(toMonth, { transaction });
+    if (!availability.available) {
+      const error = new Error(`${availability.label} is not available`);
+      error.status = 409;
+      error.availability = availability;
+      throw error;
+    }
+
+    await current.update({ bookingMonth: toMonth }, { transaction });
+    await ProjectStatusHistory.create({
+      projectId: current.id,
+      fromStatus: current.status,
+      toStatus: current.status,
+      changedBy: changedBy || 'admin',
+      reason: reason || `Rescheduled from ${fromMonth ? monthLabel(fromMonth) : 'no month'} to ${monthLabel(toMonth)}`
+    }, { transaction });
+  });
+
+  project.bookingMonth = toMonth;
+  console.log(`📅 Project ${project.id} rescheduled: ${fromMonth || 'none'} -> ${toMonth}`);
+
+  try {
+    projectEvents.emit('rescheduled', { project, fromMonth, toMonth, changedBy });
+  } catch (listenerError) {
+    console.error('⚠️ Reschedule listener failed:', listenerError.message);
+  }
+
+  return project;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  RESCHEDULABLE_STATUSES,
+  normalizeMonth,
+  monthLabel,
+  monthAliases,
+  addMonths,
+  getCapacity,
+  countBookings,
+  checkMonth,
+  getMonthAvailability,
+  findNextOpenMonth,
+  rescheduleProject
+};
@@ -0,0 +1,193 @@
+// bookingListing.js
+// ------------------------------------------------------------
+// Filtered, cursor-paginated booking listing for the admin panel
+// - Cursors are opaque base64url strings holding the last row's sort value
+//   and id, so pages stay stable while new bookings arrive
+// - bookingMonth ranges match both "2025-08" and "August 2025" rows
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const { normalizeMonth, monthAliases, addMonths } = require('./availabilityService');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'totalPrice'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+// Open-ended month ranges are capped so the alias list stays small
+const MAX_MONTH_SPAN = 60;
+
+function listingError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+function parsePrice(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const parsed = parseFloat(value);
+  if (isNaN(parsed) || parsed < 0) {
+    throw listingError(`${name} must be a non-negative number`);
+  }
+  return parsed;
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!parsed || typeof parsed.id !== 'number') throw new Error('bad cursor');
+    return parsed;
+  } catch (error) {
+    throw listingError('Invalid cursor');
+  }
+}
+
+function monthRange(from, to) {
+  let fromKey = from ? normalizeMonth(from) : null;
+  let toKey = to ? normalizeMonth(to) : null;
+
+  if (from && !fromKey) throw listingError(`Unrecognised bookingMonthFrom "${from}"`);
+  if (to && !toKey) throw listingError(`Unrecognised bookingMonthTo "${to}"`);
+  if (!fromKey && !toKey) return null;
+
+  fromKey = fromKey || addMonths(toKey, -MAX_MONTH_SPAN);
+  toKey = toKey || addMonths(fromKey, MAX_MONTH_SPAN);
+  if (fromKey > toKey) throw listingError('bookingMonthFrom must not be after bookingMonthTo');
+
+  const aliases = [];
+  for (let key = fromKey, i = 0; key <= toKey && i <= MAX_MONTH_SPAN; key = addMonths(key, 1), i++) {
+    aliases.push(...monthAliases(key));
+  }
+  return aliases;
+}
+
+// Build the Sequelize where/include for the listing filters
+function buildFilters(query, { Client }) {
+  const where = {};
+
+  const statuses = splitList(query.status);
+  if (statuses.length) where.status = { [Op.in]: statuses };
+
+  const types = splitList(query.projectType);
+  if (types.length) where.projectType = { [Op.in]: types };
+
+  const months = monthRange(query.bookingMonthFrom, query.bookingMonthTo);
+  if (months) where.bookingMonth = { [Op.in]: months };
+
+  const minPrice = parsePrice(query.minPrice, 'minPrice');
+  const maxPrice = parsePrice(query.maxPrice, 'maxPrice');
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    where.totalPrice = {};
+    if (minPrice !== undefined) where.totalPrice[Op.gte] = minPrice;
+    if (maxPrice !== undefined) where.totalPrice[Op.lte] = maxPrice;
+  }
+
+  const clientInclude = { model: Client, as: 'client' };
+  if (query.clientEmail) {
+    clientInclude.where = { email: { [Op.like]: `%${String(query.clientEmail).trim()}%` } };
+    clientInclude.required = true;
+  }
+
+  return { where, include: [clientInclude] };
+}
+
+function serializeBooking(p) {
+  return {
+    id: p.id,
+    projectType: p.projectType,
+    client: p.client ? {
+      id: p.client.id,
+      name: p.client.name,
+      email: p.client.email
+    } : { name: 'Unknown', email: 'Unknown' },
+    status: p.status,
+    bookingMonth: p.bookingMonth,
+    totalPrice: p.totalPrice,
+    projectSpecs: p.specifications,
+    specifications: p.specifications,
+    items: p.items || [],
+    primaryColor: p.primaryColor,
+    secondaryColor: p.secondaryColor,
+    accentColor: p.accentColor,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt
+  };
+}
+
+/**
+ * List bookings.
+ * Query: status, projectType (comma lists), bookingMonthFrom/To, clientEmail,
+ * minPrice/maxPrice, sort (createdAt|updatedAt|totalPrice), order (asc|desc),
+ * limit (1-100), cursor (from a previous page's nextCursor)
+ */
+async function listBookings(query = {}) {
+  const { Client, Project } = require('../models');
+
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw listingError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    throw listingError('order must be asc or desc');
+  }
+
+  let limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (isNaN(limit) || limit < 1) throw listingError('limit must be a positive integer');
+  limit = Math.min(limit, MAX_LIMIT);
+
+  const { where, include } = buildFilters(query, { Client });
+  const total = await Project.count({ where, include, distinct: true, col: 'id' });
+
+  const pageWhere = { ...where };
+  if (query.cursor) {
+    const { v, id } = decodeCursor(query.cursor);
+    const cmp = order === 'desc' ? Op.lt : Op.gt;
+    pageWhere[Op.and] = [{
+      [Op.or]: [
+        { [sort]: { [cmp]: v } },
+        { [sort]: v, id: { [cmp]: id } }
+      ]
+    }];
+  }
+
+  const rows = await Project.findAll({
+    where: pageWhere,
+    include,
+    order: [[sort, order.toUpperCase()], ['id', order.toUpperCase()]],
+    limit: limit + 1
+  });
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const lastValue = last ? last.get(sort) : null;
+
+  return {
+    bookings: page.map(serializeBooking),
+    pagination: {
+      total,
+      limit,
+      hasMore,
+      nextCursor: hasMore && last
+        ? encodeCursor(lastValue instanceof Date ? lastValue.toISOString() : lastValue, last.id)
+        : null
+    },
+    sort: { field: sort, order }
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  listBookings,
+  serializeBooking
+};
@@ -0,0 +1,236 @@
+// bookingService.js
+// ------------------------------------------------------------
+// Creating a booking from the public booking form
+// - Prices on the server (the submitted total is only checked)
+// - Applies a promo code (body.promoCode) as its own discount line
+// - Rejects months that are full, closed or in the past
+// - Finds or creates the client, creates the pending project and sends the
+//   confirmation email with the client's portal link
+// - With { saveCard: true } (the booking form) also starts saving a card
+//   for the deposit; other paths leave the client to pay from the portal
+// Used by POST /api/bookings and when an admin releases a quarantined
+// submission. Failures are thrown as errors with a `status` (and extra
+// fields for the response body).
+// ------------------------------------------------------------
+
+const emailService = require('./emailService');
+const { getMonthAvailability, checkMonth, normalizeMonth } = require('./availabilityService');
+const { calculatePrice, applyDiscount, toProjectItems, totalsMatch } = require('./pricingService');
+const { createPortalLink } = require('./portalService');
+const { normalizeCode, discountFor, findUsablePromo, redeemPromo } = require('./promoService');
+const { setupSavedCard } = require('./savedCardService');
+const { plans } = require('../config/subscriptionPlans');
+const { schedules, defaultSchedule } = require('../config/paymentSchedules');
+
+function bookingError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function monthUnavailable(availability) {
+  console.warn(`⚠️ ${availability.month} is not available (${availability.currentBookings}/${availability.maxBookings})`);
+  const canWait = !availability.blackout && !availability.past;
+  return bookingError('The selected month is fully booked', 409, {
+    availability,
+    waitlist: canWait ? {
+      message: 'Join the waitlist and we will email you if a spot opens up',
+      endpoint: 'POST /api/waitlist'
+    } : null
+  });
+}
+
+/**
+ * Create a pending booking.
+ * Returns { client, clientCreated, project, cardSetup, emailSent } -
+ * cardSetup is { setupIntentId, clientSecret } for Stripe.js, or null.
+ */
+async function createBooking(body = {}, { saveCard = false } = {}) {
+  const { sequelize, Client, Project } = require('../models');
+  const {
+    clientName,
+    clientEmail,
+    projectSpecs,
+    websiteType,
+    bookingMonth,
+    projectType,
+    totalPrice,
+    primaryColor,
+    secondaryColor,
+    accentColor
+  } = body;
+
+  // Price the booking on the server - the browser's numbers are only checked
+  let pricing;
+  try {
+    pricing = calculatePrice({
+      projectType: projectType || 'custom',
+      items: body.items || [],
+      rush: body.rush === true || body.rush === 'true'
+    });
+  } catch (error) {
+    if (!error.status) throw error;
+    throw bookingError(error.message, error.status, {
+      availableTypes: error.availableTypes,
+      availableItems: error.availableItems
+    });
+  }
+
+  // Maintenance plan the client picked - billed separately once the site is live
+  const subscription = body.subscription || 'basic';
+  if (subscription !== 'none' && !plans[subscription]) {
+    throw bookingError(`Unknown maintenance plan "${subscription}"`, 400, {
+      availablePlans: ['none', ...Object.keys(plans)]
+    });
+  }
+
+  // How the total is split into deposit and balance payments
+  const paymentSchedule = body.paymentSchedule || defaultSchedule;
+  if (!schedules[paymentSchedule]) {
+    throw bookingError(`Unknown payment schedule "${paymentSchedule}"`, 400, {
+      availableSchedules: Object.keys(schedules)
+    });
+  }
+
+  // Checked again (with the row locked) when the project is created
+  const promoCode = normalizeCode(body.promoCode);
+  if (promoCode) {
+    const promo = await findUsablePromo(promoCode, { projectType: pricing.projectType, clientEmail });
+    pricing = applyDiscount(pricing, discountFor(promo));
+  }
+
+  if (totalPrice !== undefined && totalPrice !== null && totalPrice !== '' && !totalsMatch(totalPrice, pricing.total)) {
+    console.warn(`⚠️ Submitted total ${totalPrice} does not match computed ${pricing.total}`);
+    throw bookingError('Submitted total does not match our current pricing', 422, {
+      submittedTotal: totalPrice,
+      computedTotal: pricing.total,
+      priceBreakdown: pricing
+    });
+  }
+
+  // Reject bookings for months that are full, closed or in the past
+  // (checked again inside the create transaction)
+  if (bookingMonth) {
+    let availability;
+    try {
+      availability = await getMonthAvailability(bookingMonth);
+    } catch (error) {
+      throw bookingError(error.status ? error.message : 'Failed to check availability', error.status || 500, {
+        details: error.message
+      });
+    }
+
+    if (!availability.available) {
+      throw monthUnavailable(availability);
+    }
+  }
+  // Stored as YYYY-MM so the month's capacity count finds it
+  const monthKey = bookingMonth ? normalizeMonth(bookingMonth) : null;
+
+  // Create or find client
+  let client;
+  let clientCreated;
+  try {
+    [client, clientCreated] = await Client.findOrCreate({
+      where: { email: clientEmail },
+      defaults: {
+        name: clientName,
+        email: clientEmail
+      }
+    });
+    console.log(`✅ Client ${clientCreated ? 'created' : 'found'}:`, client.id);
+  } catch (error) {
+    console.error('❌ Client creation failed:', error);
+    throw bookingError('Failed to create client record', 500, { details: error.message });
+  }
+
+  // Create project
+  let project;
+  try {
+    project = await sequelize.transaction(async (transaction) => {
+      if (monthKey) {
+        const availability = await checkMonth(monthKey, { transaction });
+        if (!availability.available) {
+          throw monthUnavailable(availability);
+        }
+      }
+
+      const promo = promoCode && await findUsablePromo(promoCode, {
+        projectType: pricing.projectType,
+        clientId: client.id,
+        transaction
+      });
+
+      const created = await Project.create({
+        clientId: client.id,
+        projectType: projectType || 'custom',
+        specifications: projectSpecs || 'No specifications provided',
+        websiteType: websiteType || 'other',
+        primaryColor: primaryColor || '#8B4513',
+        secondaryColor: secondaryColor || '#D2B48C',
+        accentColor: accentColor || '#CD853F',
+        basePrice: pricing.basePrice,
+        totalPrice: pricing.total,
+        priceBreakdown: pricing,
+        bookingMonth: monthKey,
+        status: 'pending',
+        items: toProjectItems(pricing),
+        subscription,
+        paymentSchedule,
+        promoCode: promo ? promo.code : null,
+        discountAmount: pricing.discount ? pricing.discount.amount : 0
+      }, { transaction });
+
+      if (promo) {
+        await redeemPromo(promo, {
+          clientId: client.id,
+          projectId: created.id,
+          discountAmount: pricing.discount.amount,
+          transaction
+        });
+      }
+      return created;
+    });
+    console.log('✅ Project created successfully:', project.id);
+  } catch (error) {
+    if (error.status) throw error;
+    console.error('❌ Project creation failed:', error);
+    throw bookingError('Failed to create project record', 500, { details: error.message });
+  }
+
+  // Card to charge on approval - the form confirms the SetupIntent with
+  // Stripe.js. Without it the client pays from the portal instead.
+  let cardSetup = null;
+  if (saveCard) {
+    try {
+      cardSetup = await setupSavedCard(client, project);
+    } catch (cardError) {
+      console.warn('⚠️ Card setup failed but booking was created:', cardError.message);
+    }
+  }
+
+  // Try to send email (don't fail if this doesn't work)
+  let emailSent = false;
+  try {
+    await emailService.sendBookingConfirmation({
+      to: client.email,
+      client,
+      project,
+      projectSpecs: project.specifications,
+      portalUrl: createPortalLink(project),
+      cardSetup
+    });
+
+    emailSent = true;
+    console.log('✅ Booking confirmation email sent');
+  } catch (emailError) {
+    console.warn('⚠️ Email sending failed but booking was created:', emailError.message);
+  }
+
+  return { client, clientCreated, project, cardSetup, emailSent };
+}
+
+module.exports = {
+  createBooking
+};
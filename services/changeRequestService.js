@@ -0,0 +1,378 @@
+// changeRequestService.js
+// ------------------------------------------------------------
+// Versioned scope changes for bookings
+// - Version 1 is a snapshot of the brief taken the first time a change is
+//   proposed; every approved change request adds the next version
+// - A proposal is diffed and re-priced against the current project and
+//   only touches the project once it is approved
+// - Approving a request made against an older version fails with 409
+// - Direct edits (the client editing a pending brief in the portal) skip
+//   the request but are still recorded as a version
+// ------------------------------------------------------------
+
+const { calculatePrice, applyDiscount, toProjectItems, toCents, fromCents } = require('./pricingService');
+
+const TEXT_FIELDS = ['specifications', 'websiteType', 'primaryColor', 'secondaryColor', 'accentColor'];
+const COLOR_FIELDS = ['primaryColor', 'secondaryColor', 'accentColor'];
+// Bookings whose scope can still change
+const CHANGEABLE_STATUSES = ['pending', 'approved', 'in_progress'];
+
+function changeError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function snapshot(project) {
+  return {
+    specifications: project.specifications,
+    websiteType: project.websiteType,
+    primaryColor: project.primaryColor,
+    secondaryColor: project.secondaryColor,
+    accentColor: project.accentColor,
+    items: project.items || [],
+    totalPrice: project.totalPrice,
+    priceBreakdown: project.priceBreakdown
+  };
+}
+
+function itemQuantities(items = []) {
+  const quantities = {};
+  items.forEach(item => {
+    quantities[item.id] = (quantities[item.id] || 0) + (item.quantity || 1);
+  });
+  return quantities;
+}
+
+// Field-by-field diff; items are compared by add-on id and quantity, so
+// proposed items must already be resolved against the catalog
+// (toProjectItems of the re-priced breakdown)
+function computeDiff(current, proposed) {
+  const diff = [];
+
+  TEXT_FIELDS.forEach(field => {
+    if (proposed[field] !== undefined && proposed[field] !== current[field]) {
+      diff.push({ field, from: current[field] ?? null, to: proposed[field] });
+    }
+  });
+
+  if (proposed.items !== undefined) {
+    const before = itemQuantities(current.items);
+    const after = itemQuantities(proposed.items);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    Object.keys(after).forEach(id => {
+      if (!before[id]) added.push({ id, quantity: after[id] });
+      else if (before[id] !== after[id]) changed.push({ id, from: before[id], to: after[id] });
+    });
+    Object.keys(before).forEach(id => {
+      if (!after[id]) removed.push({ id, quantity: before[id] });
+    });
+
+    if (added.length || removed.length || changed.length) {
+      diff.push({ field: 'items', added, removed, changed });
+    }
+  }
+
+  return diff;
+}
+
+// Pull the fields a change request may touch out of a request body
+function readProposal(body = {}) {
+  const proposed = {};
+  TEXT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) proposed[field] = body[field];
+  });
+  if (body.projectSpecs !== undefined && proposed.specifications === undefined) {
+    proposed.specifications = body.projectSpecs;
+  }
+  if (body.items !== undefined) {
+    if (!Array.isArray(body.items)) throw changeError('items must be an array');
+    proposed.items = body.items;
+  }
+
+  COLOR_FIELDS.forEach(field => {
+    if (proposed[field] !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(proposed[field])) {
+      throw changeError(`${field} must be a hex colour like #8B4513`);
+    }
+  });
+
+  if (!Object.keys(proposed).length) {
+    throw changeError('Nothing to change', 400, { changeableFields: [...TEXT_FIELDS, 'items'] });
+  }
+  return proposed;
+}
+
+async function latestVersion(projectId, { transaction } = {}) {
+  const { ProjectVersion } = require('../models');
+  return ProjectVersion.findOne({
+    where: { projectId },
+    order: [['version', 'DESC']],
+    transaction
+  });
+}
+
+// Snapshot the brief as version 1 if the project has no versions yet
+async function ensureInitialVersion(project, { transaction } = {}) {
+  const { ProjectVersion } = require('../models');
+  const existing = await latestVersion(project.id, { transaction });
+  if (existing) return existing;
+
+  return ProjectVersion.create({
+    projectId: project.id,
+    version: 1,
+    ...snapshot(project),
+    createdBy: 'original-booking'
+  }, { transaction });
+}
+
+/**
+ * Propose new specifications, items or colours for a project.
+ * Nothing on the project changes until the request is approved.
+ */
+async function proposeChange(project, body, { requestedBy, requestedByType = 'admin' } = {}) {
+  const { sequelize, ChangeRequest } = require('../models');
+
+  if (!CHANGEABLE_STATUSES.includes(project.status)) {
+    throw changeError(`Changes cannot be requested for a ${project.status} booking`, 409);
+  }
+
+  const proposed = readProposal(body);
+
+  // Items may be sent as ids, names or objects - price them first and diff
+  // the catalog lines they resolve to
+  let proposedBreakdown = null;
+  if (proposed.items !== undefined) {
+    proposedBreakdown = calculatePrice({
+      projectType: project.projectType,
+      items: proposed.items,
+      rush: Boolean(project.priceBreakdown && project.priceBreakdown.rush)
+    });
+    // Keep the promo the client booked with
+    const discount = project.priceBreakdown && project.priceBreakdown.discount;
+    if (discount) {
+      proposedBreakdown = applyDiscount(proposedBreakdown, discount);
+    }
+  }
+
+  const diff = computeDiff(snapshot(project), {
+    ...proposed,
+    ...(proposedBreakdown ? { items: toProjectItems(proposedBreakdown) } : {})
+  });
+  if (!diff.length) {
+    throw changeError('The proposal is identical to the current version');
+  }
+
+  // Re-price only when the items change
+  if (!diff.some(d => d.field === 'items')) {
+    proposedBreakdown = null;
+  }
+  const proposedTotal = proposedBreakdown ? proposedBreakdown.total : Number(project.totalPrice || 0);
+
+  return sequelize.transaction(async (transaction) => {
+    const base = await ensureInitialVersion(project, { transaction });
+    return ChangeRequest.create({
+      projectId: project.id,
+      baseVersion: base.version,
+      proposed,
+      diff,
+      proposedBreakdown,
+      currentTotal: project.totalPrice,
+      proposedTotal,
+      priceDelta: fromCents(toCents(proposedTotal) - toCents(project.totalPrice || 0)),
+      note: body.note || null,
+      requestedBy: requestedBy || 'admin',
+      requestedByType
+    }, { transaction });
+  });
+}
+
+/**
+ * Apply a direct edit of the brief (no change request) and record it as
+ * the next version. Version 1 is snapshotted first, so the original brief
+ * is never lost. Returns { diff, version } - version is null when nothing
+ * actually changed.
+ */
+async function applyDirectEdit(project, updates, { editedBy = 'admin' } = {}) {
+  const { sequelize, Project, ProjectVersion } = require('../models');
+
+  const diff = computeDiff(snapshot(project), updates);
+  if (!diff.length) return { diff, version: null };
+
+  return sequelize.transaction(async (transaction) => {
+    await Project.findByPk(project.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const latest = await ensureInitialVersion(project, { transaction });
+
+    await project.update(updates, { transaction });
+    const version = await ProjectVersion.create({
+      projectId: project.id,
+      version: latest.version + 1,
+      ...snapshot(project),
+      createdBy: editedBy
+    }, { transaction });
+
+    console.log(`✏️ Project ${project.id} edited directly -> v${version.version}`);
+    return { diff, version };
+  });
+}
+
+async function loadPendingRequest(projectId, requestId, transaction) {
+  const { ChangeRequest } = require('../models');
+  const request = await ChangeRequest.findOne({
+    where: { id: requestId, projectId },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!request) throw changeError('Change request not found', 404);
+  if (request.status !== 'pending') {
+    throw changeError(`Change request is already ${request.status}`, 409);
+  }
+  return request;
+}
+
+// Apply a pending request to the project and record the new version
+async function approveChange(projectId, requestId, { decidedBy = 'admin', note = null } = {}) {
+  const { sequelize, Project, ProjectVersion, ChangeRequest } = require('../models');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const request = await loadPendingRequest(projectId, requestId, transaction);
+    const project = await Project.findByPk(projectId, { transaction, lock: transaction.LOCK.UPDATE });
+    const latest = await latestVersion(projectId, { transaction });
+
+    // Mark stale requests as superseded (committed), then report the conflict below
+    if (!latest || latest.version !== request.baseVersion) {
+      await request.update({
+        status: 'superseded',
+        decidedBy,
+        decisionNote: 'The booking changed after this request was made',
+        decidedAt: new Date()
+      }, { transaction });
+      return { stale: true, request, currentVersion: latest ? latest.version : null };
+    }
+
+    const updates = {};
+    TEXT_FIELDS.forEach(field => {
+      if (request.proposed[field] !== undefined) updates[field] = request.proposed[field];
+    });
+    if (request.proposedBreakdown) {
+      updates.items = toProjectItems(request.proposedBreakdown);
+      updates.priceBreakdown = request.proposedBreakdown;
+      updates.basePrice = request.proposedBreakdown.basePrice;
+      updates.totalPrice = request.proposedBreakdown.total;
+      if (request.proposedBreakdown.discount) {
+        updates.discountAmount = request.proposedBreakdown.discount.amount;
+      }
+    }
+    await project.update(updates, { transaction });
+    if (updates.totalPrice !== undefined) {
+      await require('./paymentScheduleService').rebalanceInstallments(project, { transaction });
+    }
+
+    const version = await ProjectVersion.create({
+      projectId,
+      version: latest.version + 1,
+      ...snapshot(project),
+      changeRequestId: request.id,
+      createdBy: decidedBy
+    }, { transaction });
+
+    await request.update({
+      status: 'approved',
+      decidedBy,
+      decisionNote: note,
+      decidedAt: new Date(),
+      resultingVersion: version.version
+    }, { transaction });
+
+    // Other open proposals were made against the version we just replaced
+    await ChangeRequest.update({
+      status: 'superseded',
+      decisionNote: `Superseded by change request #${request.id}`,
+      decidedAt: new Date()
+    }, {
+      where: { projectId, status: 'pending', baseVersion: request.baseVersion },
+      transaction
+    });
+
+    console.log(`📝 Change request ${request.id} approved -> project ${projectId} v${version.version}`);
+    return { request, version, project };
+  });
+
+  if (result.stale) {
+    throw changeError('This change request was made against an older version - propose it again', 409, {
+      baseVersion: result.request.baseVersion,
+      currentVersion: result.currentVersion
+    });
+  }
+  return result;
+}
+
+async function rejectChange(projectId, requestId, { decidedBy = 'admin', note = null } = {}) {
+  const { sequelize } = require('../models');
+
+  return sequelize.transaction(async (transaction) => {
+    const request = await loadPendingRequest(projectId, requestId, transaction);
+    await request.update({
+      status: 'rejected',
+      decidedBy,
+      decisionNote: note,
+      decidedAt: new Date()
+    }, { transaction });
+    return request;
+  });
+}
+
+function serializeChangeRequest(r) {
+  return {
+    id: r.id,
+    projectId: r.projectId,
+    status: r.status,
+    baseVersion: r.baseVersion,
+    resultingVersion: r.resultingVersion,
+    proposed: r.proposed,
+    diff: r.diff,
+    currentTotal: r.currentTotal,
+    proposedTotal: r.proposedTotal,
+    priceDelta: r.priceDelta,
+    proposedBreakdown: r.proposedBreakdown,
+    note: r.note,
+    requestedBy: r.requestedBy,
+    requestedByType: r.requestedByType,
+    decidedBy: r.decidedBy,
+    decisionNote: r.decisionNote,
+    decidedAt: r.decidedAt,
+    createdAt: r.createdAt
+  };
+}
+
+function serializeVersion(v) {
+  return {
+    version: v.version,
+    specifications: v.specifications,
+    websiteType: v.websiteType,
+    primaryColor: v.primaryColor,
+    secondaryColor: v.secondaryColor,
+    accentColor: v.accentColor,
+    items: v.items || [],
+    totalPrice: v.totalPrice,
+    priceBreakdown: v.priceBreakdown,
+    changeRequestId: v.changeRequestId,
+    createdBy: v.createdBy,
+    createdAt: v.createdAt
+  };
+}
+
+module.exports = {
+  CHANGEABLE_STATUSES,
+  computeDiff,
+  ensureInitialVersion,
+  proposeChange,
+  applyDirectEdit,
+  approveChange,
+  rejectChange,
+  serializeChangeRequest,
+  serializeVersion
+};
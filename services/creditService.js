@@ -0,0 +1,309 @@
+// creditService.js
+// ------------------------------------------------------------
+// Store credit per client (the 'credit' payment method)
+// - Every change is an immutable CreditLedgerEntry; the balance is the sum
+//   of the entries and each one snapshots the balance after it
+// - Admins grant credit (grant / goodwill) or correct it (adjustment)
+// - Refunds can be paid out as credit instead of back to the card
+//   (refundService, { toCredit: true })
+// - applyCredit() spends credit on a project's outstanding balance in
+//   installment order: an installment it covers in full is paid by credit;
+//   otherwise the credit comes off the installment and the client pays
+//   the rest by card. Installments with a card payment still processing
+//   are left alone.
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const { toCents, fromCents } = require('./pricingService');
+const {
+  MIN_CHARGE,
+  isPaid,
+  ensureInstallments,
+  payableInstallment,
+  paymentReceived,
+  outstandingBalance
+} = require('./paymentScheduleService');
+const { isProvider, getProvider, providerPaymentId } = require('./payments');
+
+// Entry types an admin can add by hand
+const MANUAL_TYPES = ['grant', 'goodwill', 'adjustment'];
+
+function creditError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function readAmount(value, { allowNegative = false } = {}) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount === 0 || (!allowNegative && amount < 0)) {
+    throw creditError(allowNegative ? 'amount must be a non-zero number' : 'amount must be a positive number');
+  }
+  if (toCents(amount) / 100 !== amount) {
+    throw creditError('amount cannot have more than two decimal places');
+  }
+  return amount;
+}
+
+async function creditBalance(clientId, { transaction } = {}) {
+  const { CreditLedgerEntry } = require('../models');
+  const total = await CreditLedgerEntry.sum('amount', { where: { clientId }, transaction });
+  return fromCents(toCents(total || 0));
+}
+
+// Run fn with the client's row locked so balances can't be spent twice
+async function withClientLock(clientId, fn, { transaction } = {}) {
+  const { sequelize, Client } = require('../models');
+  const run = async (t) => {
+    await Client.findByPk(clientId, { transaction: t, lock: t.LOCK.UPDATE });
+    return fn(t);
+  };
+  return transaction ? run(transaction) : sequelize.transaction(run);
+}
+
+// Append an entry; call inside withClientLock
+async function addEntry(clientId, attrs, { transaction }) {
+  const { CreditLedgerEntry } = require('../models');
+  const balance = await creditBalance(clientId, { transaction });
+  const balanceAfter = fromCents(toCents(balance) + toCents(attrs.amount));
+  if (balanceAfter < 0) {
+    throw creditError('Not enough store credit', 422, { creditBalance: balance });
+  }
+  return CreditLedgerEntry.create({ clientId, ...attrs, balanceAfter }, { transaction });
+}
+
+/**
+ * Grant, gift or correct credit by hand.
+ * Body: { type: 'grant' | 'goodwill' | 'adjustment', amount, description,
+ * projectId? } - only adjustments can be negative.
+ * Returns { entry, balance }.
+ */
+async function grantCredit(client, body = {}, { recordedBy = 'admin' } = {}) {
+  const { Project } = require('../models');
+
+  const type = body.type || 'grant';
+  if (!MANUAL_TYPES.includes(type)) {
+    throw creditError(`type must be one of: ${MANUAL_TYPES.join(', ')}`);
+  }
+  const amount = readAmount(body.amount, { allowNegative: type === 'adjustment' });
+  const description = body.description ? String(body.description).trim() : null;
+  if (type !== 'grant' && !description) {
+    throw creditError(`A description is required for ${type} entries`);
+  }
+  if (body.projectId && !(await Project.findOne({ where: { id: body.projectId, clientId: client.id } }))) {
+    throw creditError('Project not found for this client', 404, { projectId: body.projectId });
+  }
+
+  const entry = await withClientLock(client.id, (transaction) => addEntry(client.id, {
+    type,
+    amount,
+    projectId: body.projectId || null,
+    description,
+    recordedBy
+  }, { transaction }));
+
+  console.log(`🎁 ${type} of $${amount.toFixed(2)} store credit for client ${client.id} by ${recordedBy} (balance $${Number(entry.balanceAfter).toFixed(2)})`);
+  return { entry, balance: Number(entry.balanceAfter) };
+}
+
+// A refund paid out as credit (refundService); runs in the refund's
+// transaction
+async function creditRefund(refund, payment, project, { recordedBy = 'admin', transaction } = {}) {
+  return withClientLock(project.clientId, (t) => addEntry(project.clientId, {
+    type: 'refund',
+    amount: Number(refund.amount),
+    projectId: project.id,
+    paymentId: payment.id,
+    refundId: refund.id,
+    description: refund.reason || `Refund of ${payment.label || `payment ${payment.id}`}`,
+    recordedBy
+  }, { transaction: t }), { transaction });
+}
+
+/**
+ * Spend store credit on what is still owed on a project. Body: { amount? }
+ * (default: as much as the balance and the amount owed allow).
+ * Returns { applied, balance, paidInFull, entries, outstanding }.
+ */
+async function applyCredit(project, body = {}, { recordedBy = 'admin' } = {}) {
+  const { Payment } = require('../models');
+
+  // Same rules as paying by card: an open booking with something owed
+  await payableInstallment(project);
+
+  const [balance, outstanding] = await Promise.all([
+    creditBalance(project.clientId),
+    outstandingBalance(project)
+  ]);
+  if (balance <= 0) {
+    throw creditError('This client has no store credit', 409, { creditBalance: 0 });
+  }
+  const amountGiven = !(body.amount === undefined || body.amount === null || body.amount === '');
+  const amount = amountGiven
+    ? readAmount(body.amount)
+    : fromCents(Math.min(toCents(balance), toCents(outstanding)));
+  if (toCents(amount) > toCents(outstanding)) {
+    throw creditError('That is more than is owed on this booking', 422, { outstanding, creditBalance: balance });
+  }
+
+  const installments = await ensureInstallments(project);
+  const stale = [];
+  const paidInFull = [];
+
+  const { entries, unspent } = await withClientLock(project.clientId, async (transaction) => {
+    const created = [];
+    const unpaid = await Payment.findAll({
+      where: { id: { [Op.in]: installments.map(p => p.id) } },
+      order: [['installment', 'ASC']],
+      transaction
+    }).then(rows => rows.filter(p => !isPaid(p)));
+
+    let remaining = toCents(amount);
+    for (const installment of unpaid) {
+      if (!remaining) break;
+      // A card payment for this one is already on its way
+      if (installment.paymentStatus === 'processing') continue;
+      const due = toCents(installment.amount);
+
+      if (providerPaymentId(installment) && isProvider(installment.paymentMethod)) {
+        stale.push({ provider: installment.paymentMethod, id: providerPaymentId(installment) });
+      }
+
+      if (remaining >= due) {
+        // Covered in full - the installment is paid by credit
+        await installment.update({
+          paymentMethod: 'credit',
+          paymentStatus: 'completed',
+          paidAt: new Date(),
+          providerPaymentId: null,
+          stripePaymentId: null,
+          transactionReference: null
+        }, { transaction });
+        created.push(await addEntry(project.clientId, {
+          type: 'redemption',
+          amount: -fromCents(due),
+          projectId: project.id,
+          paymentId: installment.id,
+          description: `${installment.label} paid with store credit`,
+          recordedBy
+        }, { transaction }));
+        paidInFull.push(installment);
+        remaining -= due;
+        continue;
+      }
+
+      // Part of it - the credit is its own payment and the card pays the rest
+      const left = due - remaining;
+      if (left < toCents(MIN_CHARGE)) {
+        throw creditError(`That would leave $${fromCents(left).toFixed(2)} on the ${installment.label.toLowerCase()}, which is too little to pay by card`, 422, {
+          installmentAmount: fromCents(due)
+        });
+      }
+      const creditPayment = await Payment.create({
+        projectId: project.id,
+        amount: fromCents(remaining),
+        paymentMethod: 'credit',
+        paymentStatus: 'completed',
+        label: `Store credit toward ${installment.label.toLowerCase()}`,
+        paidAt: new Date()
+      }, { transaction });
+      await installment.update({
+        amount: fromCents(left),
+        providerPaymentId: null,
+        stripePaymentId: null,
+        transactionReference: null
+      }, { transaction });
+      created.push(await addEntry(project.clientId, {
+        type: 'redemption',
+        amount: -fromCents(remaining),
+        projectId: project.id,
+        paymentId: creditPayment.id,
+        description: `Store credit toward the ${installment.label.toLowerCase()}`,
+        recordedBy
+      }, { transaction }));
+      remaining = 0;
+    }
+    if (remaining && (amountGiven || remaining === toCents(amount))) {
+      throw creditError('Part of what is owed is already being paid by card', 409, {
+        available: fromCents(toCents(amount) - remaining)
+      });
+    }
+    return { entries: created, unspent: remaining };
+  });
+  const applied = fromCents(toCents(amount) - unspent);
+
+  console.log(`🎁 $${applied.toFixed(2)} store credit applied to project ${project.id} by ${recordedBy}`);
+
+  // Card payments already started for these amounts are no longer valid
+  for (const { provider, id } of stale) {
+    await getProvider(provider).cancelPayment(id).catch(error => {
+      console.warn(`⚠️ Could not cancel stale ${provider} payment ${id}:`, error.message);
+    });
+  }
+
+  // Deposit starts the project, invoice and receipt as for a card payment
+  for (const payment of paidInFull) {
+    await paymentReceived(payment, { source: 'credit' });
+  }
+
+  return {
+    applied,
+    balance: await creditBalance(project.clientId),
+    paidInFull: paidInFull.map(p => p.id),
+    entries,
+    outstanding: await outstandingBalance(project)
+  };
+}
+
+/**
+ * Put as much credit as possible toward the installment about to be paid
+ * by card (create-intent with useCredit), always leaving either nothing or
+ * at least the minimum card charge. Returns applyCredit's result, or null
+ * when there is no credit to use.
+ */
+async function creditTowardInstallment(project, payment, { recordedBy = 'client' } = {}) {
+  const balance = toCents(await creditBalance(project.clientId));
+  const due = toCents(payment.amount);
+  let cents = Math.min(balance, due);
+  if (cents < due && due - cents < toCents(MIN_CHARGE)) {
+    cents = due - toCents(MIN_CHARGE);
+  }
+  if (cents <= 0) return null;
+  return applyCredit(project, { amount: fromCents(cents) }, { recordedBy });
+}
+
+async function creditHistory(clientId, { limit = 100 } = {}) {
+  const { CreditLedgerEntry } = require('../models');
+  return CreditLedgerEntry.findAll({
+    where: { clientId },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit
+  });
+}
+
+function serializeCreditEntry(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    amount: Number(entry.amount),
+    balanceAfter: Number(entry.balanceAfter),
+    projectId: entry.projectId,
+    paymentId: entry.paymentId,
+    refundId: entry.refundId,
+    description: entry.description,
+    recordedBy: entry.recordedBy,
+    createdAt: entry.createdAt
+  };
+}
+
+module.exports = {
+  MANUAL_TYPES,
+  creditBalance,
+  grantCredit,
+  creditRefund,
+  applyCredit,
+  creditTowardInstallment,
+  creditHistory,
+  serializeCreditEntry
+};
@@ -0,0 +1,141 @@
+// disputeService.js
+// ------------------------------------------------------------
+// Card disputes (chargebacks) from Stripe
+// - charge.dispute.created records a Dispute, marks the payment disputed
+//   and emails the admin with the evidence deadline
+// - charge.dispute.closed: won (or an inquiry closed without a chargeback)
+//   puts the payment back as it was; lost records the money as refunded
+//   (refundService.recordDisputeLoss), which voids the invoice and cancels
+//   a booking that hasn't launched once nothing is left paid on it
+// - Evidence is submitted in the Stripe dashboard
+// ------------------------------------------------------------
+
+const stripe = require('../config/stripe');
+const { fromCents } = require('./pricingService');
+const { findProviderPayment } = require('./payments');
+const { syncPayment, recordDisputeLoss } = require('./refundService');
+
+const DASHBOARD_URL = 'https://dashboard.stripe.com/disputes';
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+// Older API versions leave payment_intent off the dispute
+async function paymentFor(stripeDispute) {
+  let paymentIntentId = idOf(stripeDispute.payment_intent);
+  if (!paymentIntentId && stripeDispute.charge) {
+    const charge = await stripe.charges.retrieve(idOf(stripeDispute.charge));
+    paymentIntentId = idOf(charge.payment_intent);
+  }
+  return findProviderPayment('stripe', paymentIntentId);
+}
+
+async function notifyAdmin(dispute, payment, subject, message) {
+  const emailService = require('./emailService');
+  const { Project, Client } = require('../models');
+  try {
+    const project = await Project.findByPk(dispute.projectId, {
+      include: [{ model: Client, as: 'client' }]
+    });
+    const client = (project && project.client) || {};
+    const details = [
+      `${client.name || 'Unknown client'} (${client.email || 'no email'}) - booking #${dispute.projectId}, ${payment.label || `payment ${payment.id}`}`,
+      `Amount: $${Number(dispute.amount).toFixed(2)} AUD - reason: ${dispute.reason || 'not given'} - status: ${dispute.status}`,
+      ...(dispute.evidenceDueBy && !dispute.closedAt ? [`Evidence due by ${dispute.evidenceDueBy.toISOString().slice(0, 10)}`] : []),
+      `${DASHBOARD_URL}/${dispute.stripeDisputeId}`
+    ];
+    await emailService.sendAdminNotification({
+      subject: `⚖️ ${subject} - booking #${dispute.projectId}`,
+      html: [message, ...details].map(line => `<p>${emailService.escapeHtml(line)}</p>`).join(''),
+      text: [message, ...details].join('\n')
+    });
+  } catch (emailError) {
+    console.warn(`⚠️ Dispute notification failed for ${dispute.stripeDisputeId}:`, emailError.message);
+  }
+}
+
+async function disputeOpened(stripeDispute) {
+  const { Dispute } = require('../models');
+
+  const payment = await paymentFor(stripeDispute);
+  if (!payment) {
+    console.warn(`⚠️ Dispute ${stripeDispute.id} for an unknown payment`);
+    return null;
+  }
+
+  const [dispute, created] = await Dispute.findOrCreate({
+    where: { stripeDisputeId: stripeDispute.id },
+    defaults: {
+      paymentId: payment.id,
+      projectId: payment.projectId,
+      stripeChargeId: idOf(stripeDispute.charge),
+      amount: fromCents(stripeDispute.amount),
+      reason: stripeDispute.reason || null,
+      status: stripeDispute.status,
+      evidenceDueBy: fromUnix(stripeDispute.evidence_details && stripeDispute.evidence_details.due_by)
+    }
+  });
+  if (!created) return dispute;
+
+  // Inquiries (warning_*) don't take the money - only real chargebacks do
+  if (!String(stripeDispute.status).startsWith('warning_')) {
+    await payment.update({ paymentStatus: 'disputed' });
+  }
+  console.log(`⚖️ Dispute ${stripeDispute.id} opened on payment ${payment.id} ($${dispute.amount})`);
+
+  await notifyAdmin(dispute, payment, 'Payment disputed',
+    'A client has disputed a card payment. Respond with evidence in Stripe before the deadline.');
+  return dispute;
+}
+
+async function disputeClosed(stripeDispute) {
+  const { Dispute } = require('../models');
+
+  // Closed before we saw it open - record it first
+  const dispute = await Dispute.findOne({ where: { stripeDisputeId: stripeDispute.id } })
+    || await disputeOpened({ ...stripeDispute, status: 'needs_response' });
+  if (!dispute) return null;
+  if (dispute.closedAt) return dispute;
+
+  const { Payment } = require('../models');
+  const payment = await Payment.findByPk(dispute.paymentId);
+
+  await dispute.update({ status: stripeDispute.status, closedAt: new Date() });
+  if (payment.paymentStatus === 'disputed') {
+    await payment.update({ paymentStatus: 'completed' });
+  }
+
+  const lost = stripeDispute.status === 'lost';
+  if (lost) {
+    await recordDisputeLoss(payment, dispute);
+  } else {
+    await syncPayment(payment);
+  }
+  console.log(`⚖️ Dispute ${stripeDispute.id} closed: ${stripeDispute.status}`);
+
+  await notifyAdmin(dispute, payment, lost ? 'Dispute lost' : 'Dispute closed',
+    lost
+      ? 'The dispute was decided in the client\'s favour. The amount has been recorded as refunded against the payment.'
+      : 'The dispute was closed in our favour - the payment stands.');
+  return dispute;
+}
+
+// charge.dispute.* webhooks (webhookEventService)
+async function handleDisputeEvent(event) {
+  const stripeDispute = event.data.object;
+  switch (event.type) {
+    case 'charge.dispute.created':
+      return disputeOpened(stripeDispute);
+    case 'charge.dispute.closed':
+      return disputeClosed(stripeDispute);
+  }
+}
+
+module.exports = {
+  handleDisputeEvent
+};
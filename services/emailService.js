@@ -9,6 +9,7 @@
 
 require('dotenv').config();
 const nodemailer = require('nodemailer');
+const entitlementConfig = require('../config/entitlements');
 
 // ---------- ENV ----------
 const FROM_NAME    = process.env.FROM_NAME || 'Cocoa Code';
@@ -50,12 +51,51 @@ function safe(v, fallback = '—') {
   if (v === null || v === undefined) return fallback;
   return String(v);
 }
+// For values we didn't write ourselves (client input, provider payloads)
+// going into an HTML body
+function escapeHtml(v, fallback = '—') {
+  return safe(v, fallback)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 function getProjectSpecs(project = {}) {
   const s = project.projectSpecs || project.specs || project.description || project.requirements || '';
   if (Array.isArray(s)) return s.join(', ');
   return s || '—';
 }
+function receiptRow(label, amount) {
+  return `
+      <tr>
+        <td style="padding:8px;border:1px solid #654321;">${safe(label)}</td>
+        <td style="padding:8px;border:1px solid #654321;">$${safe(amount)} AUD</td>
+      </tr>
+  `;
+}
+function discountRow(label, amount) {
+  return `
+      <tr style="color: #28a745;">
+        <td style="padding:8px;border:1px solid #654321;">${safe(label)}</td>
+        <td style="padding:8px;border:1px solid #654321;">-$${safe(amount)} AUD</td>
+      </tr>
+  `;
+}
 function buildReceiptRows(project = {}) {
+  // Server-side price breakdown (pricingService) when the booking has one
+  const breakdown = project.priceBreakdown;
+  if (breakdown && Array.isArray(breakdown.lines) && breakdown.lines.length) {
+    const lines = breakdown.lines.map(line => line.kind === 'discount'
+      ? discountRow(line.name, Math.abs(Number(line.amount)).toFixed(2))
+      : receiptRow(
+        line.quantity > 1 ? `${line.name} × ${line.quantity}` : line.name,
+        Number(line.amount).toFixed(2)
+      ));
+    lines.push(receiptRow('<strong>Total</strong>', `<strong>${Number(breakdown.total).toFixed(2)}</strong>`));
+    return lines.join('');
+  }
+
   const items = project.items || project.services || project.orderItems;
   if (Array.isArray(items) && items.length) {
     return items.map(it => `
@@ -74,8 +114,49 @@ function buildReceiptRows(project = {}) {
   ` : '';
 }
 
+// "4 included support sessions" / "1 month" from config/entitlements.js
+function supportPromise() {
+  const { sessionsIncluded, warrantyMonths } = entitlementConfig;
+  return {
+    sessions: `${sessionsIncluded} included support session${sessionsIncluded === 1 ? '' : 's'}`,
+    warranty: `${warrantyMonths} month${warrantyMonths === 1 ? '' : 's'}`
+  };
+}
+
+// What happened to the card saved at booking (savedCardService.chargeSavedCard)
+function cardChargeNotice(cardCharge = {}) {
+  const amount = cardCharge.amount !== undefined ? `$${Number(cardCharge.amount).toFixed(2)} ` : '';
+  const label = (cardCharge.label || 'deposit').toLowerCase();
+  switch (cardCharge.status) {
+    case 'succeeded':
+      return { ok: true, text: `We've charged the ${amount}${label} to the card you saved. Your receipt and tax invoice follow in a separate email.` };
+    case 'processing':
+      return { ok: true, text: `We've started charging the ${amount}${label} to the card you saved. We'll email your receipt as soon as it clears.` };
+    case 'requires_action':
+      return { ok: false, text: `Your bank needs you to approve the ${amount}${label}. Please open your booking and confirm the payment so we can get started.` };
+    case 'declined':
+      return { ok: false, text: `The card you saved was declined for the ${amount}${label}${cardCharge.reason ? ` (${String(cardCharge.reason).replace(/\.$/, '')})` : ''}. Please open your booking to pay with another card.` };
+    case 'already_paid':
+      return { ok: true, text: `Your ${amount}${label} is already paid, so nothing was charged to your card.` };
+    case 'not_due':
+      return { ok: true, text: 'Nothing is due yet - we will let you know when the next payment is.' };
+    default:
+      return { ok: false, text: 'Please open your booking to pay your deposit so we can get started.' };
+  }
+}
+
+function portalButton(url, label = 'View Your Booking') {
+  if (!url) return '';
+  return `
+      <div style="text-align: center; margin: 25px 0;">
+        <a href="${url}" style="background: #8B4513; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">${label}</a>
+        <p style="color: #654321; font-size: 12px; margin-top: 10px;">This private link lets you check your booking status, update your brief or cancel. Please don't share it.</p>
+      </div>
+  `;
+}
+
 // Low-level sender used by all helpers
-async function sendEmail({ to, subject, html, text, replyTo }) {
+async function sendEmail({ to, subject, html, text, replyTo, attachments }) {
   const mail = {
     from: `${FROM_NAME} <${EMAIL_USER}>`, // MUST match authenticated account (or approved alias)
     to,
@@ -84,6 +165,8 @@ async function sendEmail({ to, subject, html, text, replyTo }) {
     text,
     html,
   };
+  // nodemailer attachments, e.g. [{ filename, content: Buffer, contentType }]
+  if (attachments && attachments.length) mail.attachments = attachments;
 
   const info = await transporter.sendMail(mail);
   console.log('✉️  SMTP accepted:', info.accepted, 'rejected:', info.rejected, 'response:', info.response);
@@ -92,10 +175,20 @@ async function sendEmail({ to, subject, html, text, replyTo }) {
 
 // ---------------- TEMPLATED SENDERS ----------------
 
-// ✅ Booking confirmation (your original template)
-async function sendBookingConfirmation({ to, client = {}, project = {}, projectSpecs }) {
+// ✅ Booking confirmation (your original template). `cardSetup` is set when
+// the client was asked to save a card with the booking
+async function sendBookingConfirmation({ to, client = {}, project = {}, projectSpecs, portalUrl, cardSetup = null }) {
   const subject = '📝 Cocoa Code - Booking Request Received';
   const specs = projectSpecs ?? getProjectSpecs(project);
+  const payment = cardSetup
+    ? {
+      step: 'If approved, your deposit is charged to the card you saved with this booking',
+      status: 'The card you save with this booking is held securely by Stripe. No payment will be processed until we approve your booking.'
+    }
+    : {
+      step: 'If approved, you can pay your deposit securely from your booking page',
+      status: 'No payment will be processed until we approve your booking.'
+    };
 
   const html = `
     <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
@@ -126,14 +219,14 @@ async function sendBookingConfirmation({ to, client = {}, project = {}, projectS
         <ul style="color: #155724; margin: 0; padding-left: 20px;">
           <li>We'll review your project request within 24 hours</li>
           <li>You'll receive an approval/decline notification via email</li>
-          <li>If approved, your payment will be processed automatically</li>
+          <li>${payment.step}</li>
           <li>Work begins immediately after payment confirmation</li>
           <li>Expected completion: 1-2 weeks from project start</li>
         </ul>
       </div>
       
-      <p><strong>💳 Payment Status:</strong> Your card details are saved securely. No payment will be processed until we approve your booking.</p>
-      
+      <p><strong>💳 Payment Status:</strong> ${payment.status}</p>
+      ${portalButton(portalUrl)}
       <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
       <p style="color: #654321; font-size: 14px; text-align: center;">
         Questions? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
@@ -151,16 +244,56 @@ async function sendBookingConfirmation({ to, client = {}, project = {}, projectS
     `Booking Month: ${safe(project.bookingMonth, 'To be determined')}`,
     `Status: Pending Review`,
     `Project Specifications: ${specs}`,
+    portalUrl ? `View or manage your booking: ${portalUrl}` : '',
+  ].filter(Boolean).join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+// 🔗 Booking portal links (resent on request)
+async function sendPortalLinkEmail({ to, client = {}, links = [] }) {
+  const subject = '🔗 Cocoa Code - Your Booking Links';
+
+  const rows = links.map(({ project = {}, url }) => `
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 15px 0; border-left: 4px solid #8B4513;">
+        <p style="margin: 0 0 10px 0;"><strong>Project #${safe(project.id)}</strong> • ${safe(project.projectType, 'Custom')} • ${safe(project.bookingMonth, 'Month TBD')} • ${safe(project.status)}</p>
+        <a href="${url}" style="color: #8B4513; font-weight: bold;">Open booking →</a>
+      </div>
+  `).join('');
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #8B4513;">Hi ${safe(client.name, 'there')},</h2>
+      <p>Here are the private links to your bookings. Each link works for a limited time - you can always request new ones.</p>
+      ${rows}
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Didn't ask for this? You can safely ignore this email.<br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – Your booking links`,
+    ...links.map(({ project = {}, url }) => `Project #${safe(project.id)} (${safe(project.status)}): ${url}`),
   ].join('\n');
 
   return sendEmail({ to, subject, html, text });
 }
 
 // ✅ Approval email (your rich HTML with receipt table)
-async function sendApprovalEmail({ to, client = {}, project = {}, projectSpecs, receiptRows }) {
+async function sendApprovalEmail({ to, client = {}, project = {}, projectSpecs, receiptRows, attachments = [], cardCharge, portalUrl }) {
   const subject = '✅ Cocoa Code - Project Booking Approved!';
   const specs = projectSpecs ?? getProjectSpecs(project);
   const rows  = receiptRows ?? buildReceiptRows(project);
+  const files = attachments.map(a => `${a.originalName} (${a.category}, ${Math.ceil(a.size / 1024)} KB)`);
+  const charge = cardChargeNotice(cardCharge);
 
   const html = `
     <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
@@ -172,10 +305,11 @@ async function sendApprovalEmail({ to, client = {}, project = {}, projectSpecs,
       <h2 style="color: #28a745;">🎉 Great news, ${safe(client.name)}!</h2>
       <p>Your project booking has been <strong style="color: #28a745;">APPROVED</strong>! We're excited to work with you.</p>
       
-      <div style="background: #d4edda; border: 1px solid #c3e6cb; border-radius: 8px; padding: 15px; margin: 20px 0;">
-        <h3 style="color: #155724; margin-top: 0;">💳 Payment Processing</h3>
-        <p style="color: #155724; margin: 0;">Your payment is now being processed using the card details you provided. You'll receive a separate payment confirmation email shortly.</p>
+      <div style="background: ${charge.ok ? '#d4edda' : '#fff3cd'}; border: 1px solid ${charge.ok ? '#c3e6cb' : '#ffeaa7'}; border-radius: 8px; padding: 15px; margin: 20px 0;">
+        <h3 style="color: ${charge.ok ? '#155724' : '#856404'}; margin-top: 0;">💳 ${charge.ok ? 'Payment' : 'Action Needed'}</h3>
+        <p style="color: ${charge.ok ? '#155724' : '#856404'}; margin: 0;">${safe(charge.text)}</p>
       </div>
+      ${charge.ok ? '' : portalButton(portalUrl, 'Pay Your Deposit')}
       
       <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border: 1px solid #dee2e6;">
         <h3 style="color: #8B4513; margin-top: 0;">📋 Project Summary</h3>
@@ -190,6 +324,15 @@ async function sendApprovalEmail({ to, client = {}, project = {}, projectSpecs,
         <p style="font-style: italic;">${specs}</p>
       </div>
       
+      ${files.length ? `
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border: 1px solid #dee2e6;">
+        <h3 style="color: #8B4513; margin-top: 0;">📎 Files you sent us</h3>
+        <ul style="margin: 0; padding-left: 20px;">
+          ${files.map(f => `<li>${escapeHtml(f)}</li>`).join('')}
+        </ul>
+      </div>
+      ` : ''}
+      
       <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0;">
         <h3 style="color: #8B4513; margin-top: 0;">💰 Order Details</h3>
         <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
@@ -208,11 +351,10 @@ async function sendApprovalEmail({ to, client = {}, project = {}, projectSpecs,
       <div style="background: #e8f4fd; border: 1px solid #bee5eb; border-radius: 8px; padding: 15px; margin: 20px 0;">
         <h3 style="color: #0c5460; margin-top: 0;">🚀 What happens next?</h3>
         <ul style="color: #0c5460; margin: 0; padding-left: 20px;">
-          <li><strong>Payment Processing:</strong> Your card will be charged within the next hour</li>
           <li><strong>Project Kickoff:</strong> Work begins immediately after payment confirmation</li>
           <li><strong>Progress Updates:</strong> You'll receive regular email updates with progress photos</li>
           <li><strong>Timeline:</strong> Expected completion within 1-2 weeks</li>
-          <li><strong>Support:</strong> 4 included support sessions + unlimited bug fixes for 1 month</li>
+          <li><strong>Support:</strong> ${supportPromise().sessions} + unlimited bug fixes for ${supportPromise().warranty}</li>
         </ul>
       </div>
       
@@ -236,7 +378,11 @@ async function sendApprovalEmail({ to, client = {}, project = {}, projectSpecs,
     `Project Type: ${safe(project.projectType, 'Custom')}`,
     `Booking Month: ${safe(project.bookingMonth, 'ASAP')}`,
     `Status: APPROVED`,
+    `Payment: ${charge.text}`,
+    ...(!charge.ok && portalUrl ? [`Open your booking: ${portalUrl}`] : []),
     `Specs: ${specs}`,
+    ...(project.promoCode ? [`Promo ${project.promoCode}: -$${Number(project.discountAmount).toFixed(2)} AUD`] : []),
+    ...(files.length ? ['', 'Files you sent us:', ...files.map(f => `- ${f}`)] : []),
   ].join('\n');
 
   return sendEmail({ to, subject, html, text });
@@ -307,9 +453,20 @@ async function sendDeclineEmail({ to, client = {}, project = {} }) {
 }
 
 // 💳 Payment confirmation email (your rich HTML)
-async function sendPaymentConfirmation({ to, payment = {}, project = {}, client = {} }) {
-  const subject = '💳 Cocoa Code - Payment Confirmed, Project Starting!';
+async function sendPaymentConfirmation({ to, payment = {}, project = {}, client = {}, schedule, invoice, attachments }) {
+  // Later installments (balance, progress payments) get a plain receipt;
+  // the deposit (or a one-off payment) also kicks the project off
+  const starting = !payment.installment || payment.installment === 1;
+  const subject = starting
+    ? '💳 Cocoa Code - Payment Confirmed, Project Starting!'
+    : `💳 Cocoa Code - ${safe(payment.label, 'Payment')} Received, Thank You!`;
   const specs = getProjectSpecs(project);
+  const installmentCount = schedule ? schedule.installments.length : 0;
+  const installmentLine = payment.installment && installmentCount > 1
+    ? `${safe(payment.label)} (${payment.installment} of ${installmentCount})`
+    : null;
+  const outstanding = schedule ? Number(schedule.outstanding) : null;
+  const next = schedule && schedule.installments.find(i => i.id === schedule.nextPaymentId);
 
   const html = `
     <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #28a745;">
@@ -319,15 +476,20 @@ async function sendPaymentConfirmation({ to, payment = {}, project = {}, client
       </div>
       
       <h2 style="color: #28a745;">🎉 Payment Confirmed, ${safe(client.name)}!</h2>
-      <p>Your payment has been successfully processed and your project is now starting!</p>
+      <p>${starting
+        ? 'Your payment has been successfully processed and your project is now starting!'
+        : 'Thanks - your payment has been successfully processed.'}</p>
       
       <div style="background: #d4edda; border: 1px solid #c3e6cb; border-radius: 8px; padding: 15px; margin: 20px 0;">
         <h3 style="color: #155724; margin-top: 0;">💳 Payment Details</h3>
-        <p style="color: #155724;"><strong>Amount Charged:</strong> $${safe(payment.amount ?? project.totalPrice ?? 0)} AUD</p>
+        ${installmentLine ? `<p style="color: #155724;"><strong>Installment:</strong> ${installmentLine}</p>` : ''}
+        <p style="color: #155724;"><strong>${payment.paymentMethod === 'credit' ? 'Paid With Store Credit' : 'Amount Charged'}:</strong> $${safe(payment.amount ?? project.totalPrice ?? 0)} AUD</p>
         <p style="color: #155724;"><strong>Payment ID:</strong> ${safe(payment.id)}</p>
+        ${invoice ? `<p style="color: #155724;"><strong>Tax Invoice:</strong> ${safe(invoice.number)} (PDF attached)</p>` : ''}
         <p style="color: #155724;"><strong>Status:</strong> Successfully Processed</p>
+        ${outstanding !== null ? `<p style="color: #155724;"><strong>Remaining Balance:</strong> $${outstanding.toFixed(2)} AUD${next ? ` (${safe(next.label)} due ${next.dueOn === 'launch' ? 'at launch' : next.dueOn === 'milestone' ? 'at the next milestone' : 'now'})` : ''}</p>` : ''}
       </div>
-      
+      ${starting ? `
       <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border: 1px solid #dee2e6;">
         <h3 style="color: #8B4513; margin-top: 0;">🚀 Your Project is Now Live!</h3>
         <p><strong>Project ID:</strong> ${safe(project.id)}</p>
@@ -347,8 +509,8 @@ async function sendPaymentConfirmation({ to, payment = {}, project = {}, client
           <li><strong>Progress Updates:</strong> Regular emails with screenshots and progress photos</li>
           <li><strong>Your Input:</strong> We'll ask for your feedback at key milestones</li>
           <li><strong>Timeline:</strong> Most projects complete within 1-2 weeks</li>
-          <li><strong>Support:</strong> 4 included support sessions during development</li>
-          <li><strong>After Launch:</strong> Unlimited bug fixes for 1 month</li>
+          <li><strong>Support:</strong> ${supportPromise().sessions} during development</li>
+          <li><strong>After Launch:</strong> Unlimited bug fixes for ${supportPromise().warranty}</li>
         </ul>
       </div>
       
@@ -356,7 +518,7 @@ async function sendPaymentConfirmation({ to, payment = {}, project = {}, client
         <h3 style="color: #856404; margin-top: 0;">🎨 Let's Create Something Amazing!</h3>
         <p style="color: #856404; margin: 0;">Our team is excited to bring your vision to life. You'll hear from us soon with the first progress update!</p>
       </div>
-      
+      ` : ''}
       <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
       <p style="color: #654321; font-size: 14px; text-align: center;">
         Questions about your project? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
@@ -369,8 +531,482 @@ async function sendPaymentConfirmation({ to, payment = {}, project = {}, client
     `Cocoa Code – Payment confirmed`,
     `Name: ${safe(client.name)}`,
     `Project ID: ${safe(project.id)}`,
-    `Amount: $${safe(payment.amount ?? project.totalPrice ?? 0)} AUD`,
-    `Status: IN PROGRESS`,
+    ...(installmentLine ? [`Installment: ${installmentLine}`] : []),
+    `Amount: $${safe(payment.amount ?? project.totalPrice ?? 0)} AUD${payment.paymentMethod === 'credit' ? ' (store credit)' : ''}`,
+    ...(invoice ? [`Tax invoice: ${invoice.number} (PDF attached)`] : []),
+    ...(outstanding !== null ? [`Remaining balance: $${outstanding.toFixed(2)} AUD`] : []),
+    ...(starting ? [`Status: IN PROGRESS`] : []),
+  ].join('\n');
+
+  return sendEmail({ to, subject, html, text, attachments });
+}
+
+// 📝 Change request decision
+async function sendChangeRequestEmail({ to, client = {}, project = {}, changeRequest = {} }) {
+  const approved = changeRequest.status === 'approved';
+  const subject = approved
+    ? `📝 Cocoa Code - Project #${safe(project.id)} Change Approved`
+    : `📝 Cocoa Code - Project #${safe(project.id)} Change Request Update`;
+  const delta = Number(changeRequest.priceDelta || 0);
+  const deltaText = delta === 0 ? 'No change' : `${delta > 0 ? '+' : '-'}$${Math.abs(delta).toFixed(2)} AUD`;
+
+  const changes = (changeRequest.diff || []).map(d => {
+    if (d.field === 'items') {
+      const parts = [
+        ...d.added.map(i => `added ${i.id}${i.quantity > 1 ? ` × ${i.quantity}` : ''}`),
+        ...d.removed.map(i => `removed ${i.id}`),
+        ...d.changed.map(i => `${i.id}: ${i.from} → ${i.to}`)
+      ];
+      return `<li><strong>Services:</strong> ${parts.join(', ')}</li>`;
+    }
+    return `<li><strong>${d.field}:</strong> ${escapeHtml(d.to)}</li>`;
+  }).join('');
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: ${approved ? '#28a745' : '#8B4513'};">Hi ${safe(client.name, 'there')},</h2>
+      <p>Your change request for project #${safe(project.id)} has been <strong>${approved ? 'APPROVED' : 'DECLINED'}</strong>.</p>
+      
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border-left: 4px solid #8B4513;">
+        <h4 style="color: #654321; margin-top: 0;">Requested Changes:</h4>
+        <ul style="margin: 0; padding-left: 20px;">${changes}</ul>
+        <p><strong>Price Change:</strong> ${deltaText}</p>
+        ${approved ? `<p><strong>New Project Total:</strong> $${safe(project.totalPrice)} AUD</p>` : ''}
+        ${changeRequest.decisionNote ? `<p><strong>Note:</strong> ${safe(changeRequest.decisionNote)}</p>` : ''}
+      </div>
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Questions about your project? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – Change request ${approved ? 'approved' : 'declined'}`,
+    `Project ID: ${safe(project.id)}`,
+    `Price change: ${deltaText}`,
+    approved ? `New total: $${safe(project.totalPrice)} AUD` : '',
+    changeRequest.decisionNote ? `Note: ${changeRequest.decisionNote}` : '',
+  ].filter(Boolean).join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+// ⏳ Waitlist slot offer
+async function sendWaitlistOfferEmail({ to, client = {}, entry = {}, monthLabel, claimUrl, declineUrl, expiresAt }) {
+  const subject = `⏳ Cocoa Code - A spot opened up in ${safe(monthLabel)}!`;
+  const deadline = expiresAt ? new Date(expiresAt).toUTCString() : '—';
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #28a745;">Good news, ${safe(client.name, 'there')}!</h2>
+      <p>A spot has opened up in <strong>${safe(monthLabel)}</strong> and you're next on the waitlist.</p>
+      
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border-left: 4px solid #8B4513;">
+        <p><strong>Project Type:</strong> ${safe(entry.projectType, 'Custom')}</p>
+        <p><strong>Booking Month:</strong> ${safe(monthLabel)}</p>
+        <p style="margin-bottom: 0;"><strong>Offer expires:</strong> ${deadline}</p>
+      </div>
+      
+      <div style="text-align: center; margin: 25px 0;">
+        <a href="${claimUrl}" style="background: #28a745; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Claim My Spot</a>
+        <p style="color: #654321; font-size: 12px; margin-top: 10px;">Claiming creates your booking request - we'll review it just like a normal booking.</p>
+        ${declineUrl ? `<p style="font-size: 12px;"><a href="${declineUrl}" style="color: #654321;">No longer need it? Pass the spot on</a></p>` : ''}
+      </div>
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        If you don't claim the spot before it expires, it goes to the next person on the waitlist.<br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – A spot opened up in ${safe(monthLabel)}`,
+    `Project Type: ${safe(entry.projectType, 'Custom')}`,
+    `Offer expires: ${deadline}`,
+    `Claim your spot: ${claimUrl}`,
+    declineUrl ? `Pass the spot on: ${declineUrl}` : '',
+  ].filter(Boolean).join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+// 🧾 Custom quote
+async function sendQuoteEmail({ to, client = {}, quote = {}, number, quoteUrl }) {
+  const subject = `🧾 Cocoa Code - Your Quote ${safe(number)}`;
+  const lines = quote.lines || [];
+  const rows = lines.map(line => receiptRow(
+    line.quantity > 1 ? `${line.name} × ${line.quantity}` : line.name,
+    Number(line.amount).toFixed(2)
+  ));
+  rows.push(receiptRow('<strong>Total</strong>', `<strong>${Number(quote.total).toFixed(2)}</strong>`));
+  const terms = String(quote.terms || '').split('\n').filter(Boolean);
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #8B4513;">Hi ${safe(client.name, 'there')},</h2>
+      <p>Thanks for your interest! Here is your quote for <strong>${safe(quote.title)}</strong>.</p>
+      ${quote.notes ? `<p style="font-style: italic;">${safe(quote.notes)}</p>` : ''}
+      
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0;">
+        <h3 style="color: #8B4513; margin-top: 0;">🧾 Quote ${safe(number)}</h3>
+        <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+          <thead>
+            <tr style="background: #8B4513; color: white;">
+              <th style="text-align: left; padding: 8px; border: 1px solid #654321;">Service</th>
+              <th style="text-align: left; padding: 8px; border: 1px solid #654321;">Price</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.join('')}
+          </tbody>
+        </table>
+        <p><strong>Valid until:</strong> ${safe(quote.validUntil)}</p>
+        ${quote.bookingMonth ? `<p><strong>Booking Month:</strong> ${safe(quote.bookingMonth)}</p>` : ''}
+      </div>
+      
+      ${terms.length ? `
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border-left: 4px solid #8B4513;">
+        <h4 style="color: #654321; margin-top: 0;">Terms</h4>
+        <ul style="margin: 0; padding-left: 20px; font-size: 13px;">${terms.map(t => `<li>${safe(t)}</li>`).join('')}</ul>
+      </div>
+      ` : ''}
+      
+      <div style="text-align: center; margin: 25px 0;">
+        <a href="${quoteUrl}" style="background: #8B4513; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">View &amp; Respond to Quote</a>
+        <p style="color: #654321; font-size: 12px; margin-top: 10px;">Accepting the quote books the project in with us. Please don't share this link.</p>
+      </div>
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Questions about the quote? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – Quote ${safe(number)}: ${safe(quote.title)}`,
+    ...lines.map(line => `${line.name}${line.quantity > 1 ? ` × ${line.quantity}` : ''}: $${Number(line.amount).toFixed(2)} AUD`),
+    `Total: $${Number(quote.total).toFixed(2)} AUD`,
+    `Valid until: ${safe(quote.validUntil)}`,
+    `View and respond: ${quoteUrl}`,
+  ].join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+// 💳 Subscription renewal failed
+async function sendSubscriptionPaymentFailedEmail({ to, client = {}, subscription = {}, planName, invoiceUrl }) {
+  const subject = '⚠️ Cocoa Code - Your plan payment didn\'t go through';
+  const amount = Number(subscription.amount || 0).toFixed(2);
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #8B4513;">Hi ${safe(client.name, 'there')},</h2>
+      <p>We couldn't take this month's payment of <strong>$${amount} ${safe(subscription.currency, 'AUD')}</strong> for your <strong>${safe(planName)}</strong> plan.</p>
+      
+      <div style="background: #fff3cd; border: 1px solid #ffeeba; border-radius: 8px; padding: 15px; margin: 20px 0;">
+        <p style="color: #856404; margin: 0;">Stripe will retry the card automatically over the next few days. To avoid any interruption to your site's care, please check your card details or pay the invoice now.</p>
+      </div>
+      
+      ${invoiceUrl ? `
+      <div style="text-align: center; margin: 25px 0;">
+        <a href="${invoiceUrl}" style="background: #8B4513; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; font-weight: bold;">Pay Invoice</a>
+      </div>
+      ` : ''}
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Questions? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – Plan payment failed`,
+    `Plan: ${safe(planName)}`,
+    `Amount: $${amount} ${safe(subscription.currency, 'AUD')}`,
+    `Stripe will retry the card automatically. Please check your card details${invoiceUrl ? ` or pay now: ${invoiceUrl}` : '.'}`,
+  ].join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+// 📸 Progress update published
+async function sendProgressUpdateEmail({ to, client = {}, project = {}, update = {}, milestone, milestones = [], imageCount = 0, portalUrl }) {
+  const subject = `📸 Cocoa Code - Project #${safe(project.id)} Update: ${safe(update.title)}`;
+  const done = milestones.filter(m => m.status === 'completed').length;
+  const paragraphs = String(update.body || '').split(/\n{2,}/).filter(Boolean);
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #8B4513;">Hi ${safe(client.name, 'there')},</h2>
+      <p>Here's the latest on your ${safe(project.projectType, 'website')} project.</p>
+      
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border-left: 4px solid #8B4513;">
+        <h3 style="color: #8B4513; margin-top: 0;">${safe(update.title)}</h3>
+        ${milestone ? `<p style="color: #654321;"><strong>Milestone:</strong> ${safe(milestone.title)}${milestone.status === 'completed' ? ' ✅' : ''}</p>` : ''}
+        ${paragraphs.map(p => `<p>${safe(p)}</p>`).join('')}
+        ${imageCount ? `<p style="color: #654321;">📷 ${imageCount} new photo${imageCount === 1 ? '' : 's'} and screenshot${imageCount === 1 ? '' : 's'} are waiting in your project timeline.</p>` : ''}
+      </div>
+      
+      ${milestones.length ? `
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border: 1px solid #dee2e6;">
+        <h3 style="color: #8B4513; margin-top: 0;">🗺️ Milestones (${done}/${milestones.length} complete)</h3>
+        <ul style="margin: 0; padding-left: 20px;">
+          ${milestones.map(m => `<li>${m.status === 'completed' ? '✅' : m.status === 'in_progress' ? '🔨' : '⬜'} ${safe(m.title)}${m.dueDate && m.status !== 'completed' ? ` <span style="color: #654321; font-size: 12px;">(due ${safe(m.dueDate)})</span>` : ''}</li>`).join('')}
+        </ul>
+      </div>
+      ` : ''}
+      
+      ${portalButton(portalUrl, 'View Project Timeline')}
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Questions about your project? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – Project #${safe(project.id)} update: ${safe(update.title)}`,
+    ...(milestone ? [`Milestone: ${safe(milestone.title)}`] : []),
+    '',
+    ...paragraphs,
+    ...(imageCount ? ['', `${imageCount} new photo(s) in your project timeline.`] : []),
+    ...(milestones.length ? ['', `Milestones (${done}/${milestones.length} complete):`, ...milestones.map(m => `- [${m.status === 'completed' ? 'x' : ' '}] ${m.title}`)] : []),
+    ...(portalUrl ? ['', `View your timeline: ${portalUrl}`] : []),
+  ].join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+// 🛟 Support sessions / warranty running low or ending
+const ENTITLEMENT_NOTICES = {
+  low_balance: {
+    subject: 'Support sessions running low',
+    message: summary => `You have <strong>${summary.sessions.balance}</strong> included support session${summary.sessions.balance === 1 ? '' : 's'} left on this project.`
+  },
+  sessions_used: {
+    subject: 'Support sessions used',
+    message: () => `You've used all of the support sessions included with this project. Further sessions are billed at our standard rate - just reply if you need a hand.`
+  },
+  sessions_expired: {
+    subject: 'Support sessions expired',
+    message: () => `The unused support sessions included with this project have now expired.`
+  },
+  warranty_ending: {
+    subject: 'Bug-fix warranty ending soon',
+    message: summary => `Your free bug-fix warranty ends in <strong>${summary.warranty.daysLeft} day${summary.warranty.daysLeft === 1 ? '' : 's'}</strong>. If you've noticed anything not working as it should, let us know before then.`
+  },
+  warranty_expired: {
+    subject: 'Bug-fix warranty ended',
+    message: () => `The free bug-fix warranty on your project has now ended. We're still here for fixes and changes - they're just quoted individually from here on.`
+  }
+};
+
+async function sendEntitlementNotice({ to, client = {}, project = {}, notice, summary, portalUrl }) {
+  const template = ENTITLEMENT_NOTICES[notice];
+  if (!template) throw new Error(`Unknown entitlement notice "${notice}"`);
+  const subject = `🛟 Cocoa Code - ${template.subject} (Project #${safe(project.id)})`;
+  const message = template.message(summary);
+  const warrantyEnds = summary.warranty.endsAt ? new Date(summary.warranty.endsAt).toDateString() : null;
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #8B4513;">Hi ${safe(client.name, 'there')},</h2>
+      <p>${message}</p>
+      
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border: 1px solid #dee2e6;">
+        <h3 style="color: #8B4513; margin-top: 0;">🛟 Your support for project #${safe(project.id)}</h3>
+        <p><strong>Support sessions:</strong> ${summary.sessions.balance} of ${summary.sessions.included} left${summary.sessions.expired ? ' (expired)' : ''}</p>
+        ${warrantyEnds ? `<p><strong>Bug-fix warranty:</strong> ${summary.warranty.active ? `until ${warrantyEnds}` : `ended ${warrantyEnds}`}</p>` : ''}
+      </div>
+      
+      ${portalButton(portalUrl)}
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Questions? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – ${template.subject} (Project #${safe(project.id)})`,
+    message.replace(/<[^>]+>/g, ''),
+    `Support sessions: ${summary.sessions.balance} of ${summary.sessions.included} left${summary.sessions.expired ? ' (expired)' : ''}`,
+    ...(warrantyEnds ? [`Bug-fix warranty: ${summary.warranty.active ? `until ${warrantyEnds}` : `ended ${warrantyEnds}`}`] : []),
+    ...(portalUrl ? [`View your booking: ${portalUrl}`] : []),
+  ].join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+const TICKET_STATUS_LABELS = {
+  open: 'Open',
+  in_progress: 'In progress',
+  waiting_on_client: 'Waiting on you',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+// 🐞 Bug ticket: filed, status change, or a reply from us
+async function sendTicketEmail({ to, client = {}, project = {}, ticket = {}, number, event = 'status', comment = {}, portalUrl }) {
+  const status = TICKET_STATUS_LABELS[ticket.status] || ticket.status;
+  const subjects = {
+    opened: `We've got your bug report ${number}`,
+    status: `${number} is now ${status.toLowerCase()}`,
+    comment: `New reply on ${number}`
+  };
+  const subject = `🐞 Cocoa Code - ${subjects[event] || subjects.status}`;
+  const intro = {
+    opened: `Thanks for letting us know - we've logged your report and will be in touch soon.`,
+    status: ticket.status === 'waiting_on_client'
+      ? `We need a little more information from you to keep going on this one.`
+      : `Your bug ticket has moved to <strong>${status}</strong>.`,
+    comment: `We've replied to your bug ticket.`
+  }[event] || `Your bug ticket has been updated.`;
+  const coverage = ticket.coverage === 'warranty'
+    ? 'Covered by your bug-fix warranty'
+    : 'Outside the warranty window - billable';
+  const message = comment && comment.body ? comment.body : null;
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #8B4513;">Hi ${safe(client.name, 'there')},</h2>
+      <p>${intro}</p>
+      
+      <div style="background: white; border-radius: 8px; padding: 15px; margin: 20px 0; border: 1px solid #dee2e6;">
+        <h3 style="color: #8B4513; margin-top: 0;">🐞 ${safe(number)}: ${safe(ticket.title)}</h3>
+        <p><strong>Project:</strong> #${safe(project.id)}</p>
+        <p><strong>Status:</strong> ${safe(status)}</p>
+        <p><strong>Severity:</strong> ${safe(ticket.severity)}</p>
+        <p><strong>Coverage:</strong> ${coverage}</p>
+        ${message ? `<p style="white-space: pre-wrap; border-left: 3px solid #D2B48C; padding-left: 10px;">${message}</p>` : ''}
+      </div>
+      
+      ${portalButton(portalUrl, 'View Your Tickets')}
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Questions? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    `Cocoa Code – ${subjects[event] || subjects.status}`,
+    intro.replace(/<[^>]+>/g, ''),
+    `${safe(number)}: ${safe(ticket.title)}`,
+    `Project: #${safe(project.id)}`,
+    `Status: ${safe(status)}`,
+    `Severity: ${safe(ticket.severity)}`,
+    `Coverage: ${coverage}`,
+    ...(message ? ['', message] : []),
+    ...(portalUrl ? [`View your tickets: ${portalUrl}`] : []),
+  ].join('\n');
+
+  return sendEmail({ to, subject, html, text });
+}
+
+// 💸 Refund issued
+async function sendRefundEmail({ to, client = {}, project = {}, payment = {}, refund = {}, schedule, creditBalance }) {
+  const amount = Number(refund.amount || 0).toFixed(2);
+  const full = payment.paymentStatus === 'refunded';
+  const toCredit = refund.destination === 'credit';
+  const subject = toCredit
+    ? `💸 Cocoa Code - $${amount} added to your store credit`
+    : `💸 Cocoa Code - Refund of $${amount} on its way`;
+  const netPaid = schedule ? Number(schedule.netPaid) : null;
+  const destination = toCredit
+    ? 'It has been added to your store credit, ready to use on this or a future project.'
+    : 'The money is on its way back to the card you paid with.';
+
+  const html = `
+    <div style="font-family: 'Courier New', monospace; max-width: 600px; margin: 0 auto; background: #F5F5DC; padding: 20px; border-radius: 15px; border: 2px solid #8B4513;">
+      <div style="text-align: center; margin-bottom: 20px;">
+        <h1 style="color: #8B4513; margin: 0;">🍫 Cocoa Code</h1>
+        <p style="color: #654321; margin: 5px 0;">cocoacode.dev</p>
+      </div>
+      
+      <h2 style="color: #8B4513;">Hi ${safe(client.name, 'there')},</h2>
+      <p>We've ${full ? 'refunded' : 'partly refunded'} your ${safe(payment.label, 'payment').toLowerCase()} for project #${safe(project.id)}. ${destination}</p>
+      
+      <div style="background: #d4edda; border: 1px solid #c3e6cb; border-radius: 8px; padding: 15px; margin: 20px 0;">
+        <h3 style="color: #155724; margin-top: 0;">💸 Refund Details</h3>
+        <p style="color: #155724;"><strong>Amount Refunded:</strong> $${amount} AUD</p>
+        <p style="color: #155724;"><strong>Original Payment:</strong> $${Number(payment.amount || 0).toFixed(2)} AUD (Payment ID ${safe(payment.id)})</p>
+        ${refund.reason ? `<p style="color: #155724;"><strong>Reason:</strong> ${safe(refund.reason)}</p>` : ''}
+        ${netPaid !== null ? `<p style="color: #155724;"><strong>Total Paid on This Project:</strong> $${netPaid.toFixed(2)} AUD</p>` : ''}
+        ${toCredit && creditBalance !== null && creditBalance !== undefined ? `<p style="color: #155724;"><strong>Store Credit Balance:</strong> $${Number(creditBalance).toFixed(2)} AUD</p>` : ''}
+        ${project.status === 'cancelled' ? `<p style="color: #155724;"><strong>Booking Status:</strong> Cancelled</p>` : ''}
+      </div>
+      
+      ${toCredit ? '' : `<p style="color: #654321;">Refunds usually show on your statement within 5-10 business days, depending on your bank.</p>`}
+      
+      <hr style="border: 1px solid #D2B48C; margin: 30px 0;">
+      <p style="color: #654321; font-size: 14px; text-align: center;">
+        Questions? Reply to this email or contact us at <a href="mailto:hello@cocoacode.dev" style="color: #8B4513;">hello@cocoacode.dev</a><br>
+        <strong>Cocoa Code</strong> • Professional Web Development • cocoacode.dev
+      </p>
+    </div>
+  `;
+
+  const text = [
+    toCredit ? `Cocoa Code – Refund added to your store credit` : `Cocoa Code – Refund issued`,
+    `Project ID: ${safe(project.id)}`,
+    `Amount refunded: $${amount} AUD`,
+    `Original payment: $${Number(payment.amount || 0).toFixed(2)} AUD`,
+    ...(refund.reason ? [`Reason: ${refund.reason}`] : []),
+    ...(netPaid !== null ? [`Total paid on this project: $${netPaid.toFixed(2)} AUD`] : []),
+    ...(toCredit && creditBalance !== null && creditBalance !== undefined ? [`Store credit balance: $${Number(creditBalance).toFixed(2)} AUD`] : []),
+    ...(project.status === 'cancelled' ? [`Booking status: Cancelled`] : []),
+    ...(toCredit ? [] : [`Refunds usually show on your statement within 5-10 business days.`]),
   ].join('\n');
 
   return sendEmail({ to, subject, html, text });
@@ -383,10 +1019,20 @@ async function sendAdminNotification({ subject, html, text, to }) {
 
 // ---------- EXPORTS ----------
 module.exports = {
+  escapeHtml,
   sendEmail,
   sendBookingConfirmation,
   sendApprovalEmail,
   sendDeclineEmail,
   sendPaymentConfirmation,
   sendAdminNotification,
+  sendPortalLinkEmail,
+  sendChangeRequestEmail,
+  sendWaitlistOfferEmail,
+  sendQuoteEmail,
+  sendSubscriptionPaymentFailedEmail,
+  sendProgressUpdateEmail,
+  sendEntitlementNotice,
+  sendTicketEmail,
+  sendRefundEmail,
 };
@@ -0,0 +1,389 @@
+// entitlementService.js
+// ------------------------------------------------------------
+// Support sessions and bug-fix warranty included with each build
+// - Approval grants the included sessions (config/entitlements.js) as the
+//   first entry in the project's ledger; the balance is the sum of entries
+// - Completion starts the warranty window and the clock on unused sessions
+// - Admins log sessions against the balance and can adjust it
+// - The client is emailed when sessions run low or run out, before the
+//   warranty ends, and when the warranty or unused sessions lapse
+//   (sweepEntitlements runs periodically)
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const entitlementConfig = require('../config/entitlements');
+const { projectEvents } = require('./projectStatus');
+const { createPortalLink } = require('./portalService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function entitlementError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Calendar months, clamped so 31 Jan + 1 month is 28/29 Feb
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+}
+
+async function sessionBalance(projectId, { transaction } = {}) {
+  const { EntitlementEntry } = require('../models');
+  return (await EntitlementEntry.sum('sessions', { where: { projectId }, transaction })) || 0;
+}
+
+/**
+ * Grant the included sessions. Safe to call more than once.
+ * Returns the ProjectEntitlement.
+ */
+async function grantEntitlements(project, { transaction } = {}) {
+  const { ProjectEntitlement, EntitlementEntry } = require('../models');
+
+  const existing = await ProjectEntitlement.findOne({ where: { projectId: project.id }, transaction });
+  if (existing) return existing;
+
+  const entitlement = await ProjectEntitlement.create({
+    projectId: project.id,
+    sessionsIncluded: entitlementConfig.sessionsIncluded
+  }, { transaction });
+
+  if (entitlementConfig.sessionsIncluded > 0) {
+    await EntitlementEntry.create({
+      projectId: project.id,
+      type: 'grant',
+      sessions: entitlementConfig.sessionsIncluded,
+      description: `${entitlementConfig.sessionsIncluded} support sessions included with the build`
+    }, { transaction });
+  }
+
+  console.log(`🛟 Project ${project.id} granted ${entitlementConfig.sessionsIncluded} support session(s)`);
+  return entitlement;
+}
+
+// Completion starts the warranty and the expiry clock on unused sessions
+async function startWarranty(project) {
+  const entitlement = await grantEntitlements(project);
+  if (entitlement.warrantyStartsAt) return entitlement;
+
+  const now = new Date();
+  await entitlement.update({
+    warrantyStartsAt: now,
+    warrantyEndsAt: addMonths(now, entitlementConfig.warrantyMonths),
+    sessionsExpireAt: entitlementConfig.sessionValidMonths
+      ? addMonths(now, entitlementConfig.sessionValidMonths)
+      : null
+  });
+  console.log(`🛡️ Project ${project.id} warranty runs until ${entitlement.warrantyEndsAt.toISOString()}`);
+  return entitlement;
+}
+
+function warrantyActive(entitlement, at = new Date()) {
+  return Boolean(entitlement && entitlement.warrantyStartsAt && entitlement.warrantyStartsAt <= at &&
+    entitlement.warrantyEndsAt && entitlement.warrantyEndsAt > at);
+}
+
+async function sendNotice(entitlement, notice) {
+  const { Project, Client } = require('../models');
+  const emailService = require('./emailService');
+
+  try {
+    const project = await Project.findByPk(entitlement.projectId, {
+      include: [{ model: Client, as: 'client' }]
+    });
+    if (!project || !project.client) return false;
+
+    await emailService.sendEntitlementNotice({
+      to: project.client.email,
+      client: project.client,
+      project,
+      notice,
+      summary: await summarize(entitlement),
+      portalUrl: createPortalLink(project)
+    });
+    console.log(`📧 Entitlement notice '${notice}' sent for project ${project.id}`);
+    return true;
+  } catch (emailError) {
+    console.warn(`⚠️ Entitlement notice '${notice}' failed for project ${entitlement.projectId}:`, emailError.message);
+    return false;
+  }
+}
+
+// Low-balance notice once per dip below the threshold
+async function checkLowBalance(entitlement) {
+  const balance = await sessionBalance(entitlement.projectId);
+  if (balance > entitlementConfig.lowBalance) {
+    if (entitlement.lowBalanceNotifiedAt) await entitlement.update({ lowBalanceNotifiedAt: null });
+    return;
+  }
+  if (balance === 0 || !entitlement.lowBalanceNotifiedAt) {
+    if (await sendNotice(entitlement, balance === 0 ? 'sessions_used' : 'low_balance')) {
+      await entitlement.update({ lowBalanceNotifiedAt: new Date() });
+    }
+  }
+}
+
+async function lockedEntitlement(project, transaction) {
+  const { ProjectEntitlement } = require('../models');
+  const entitlement = await ProjectEntitlement.findOne({
+    where: { projectId: project.id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!entitlement) {
+    throw entitlementError('This booking has no support entitlements yet - they are granted on approval', 409);
+  }
+  return entitlement;
+}
+
+/**
+ * Record support session(s) used.
+ * Returns { entry, balance }.
+ */
+async function logSession(project, { sessions = 1, minutes, description, occurredAt, recordedBy = 'admin' } = {}) {
+  const { sequelize, EntitlementEntry } = require('../models');
+
+  const count = parseInt(sessions, 10);
+  if (isNaN(count) || count < 1) {
+    throw entitlementError('sessions must be a whole number of at least 1');
+  }
+  if (minutes !== undefined && minutes !== null && (isNaN(parseInt(minutes, 10)) || parseInt(minutes, 10) < 0)) {
+    throw entitlementError('minutes must be a positive whole number');
+  }
+  const when = occurredAt ? new Date(occurredAt) : new Date();
+  if (isNaN(when.getTime())) {
+    throw entitlementError('occurredAt must be a date');
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const entitlement = await lockedEntitlement(project, transaction);
+    if (entitlement.sessionsExpiredAt) {
+      throw entitlementError('Included support sessions for this booking have expired', 409, {
+        sessionsExpiredAt: entitlement.sessionsExpiredAt
+      });
+    }
+
+    const balance = await sessionBalance(project.id, { transaction });
+    if (balance < count) {
+      throw entitlementError(`Only ${balance} support session(s) left`, 409, { balance });
+    }
+
+    const entry = await EntitlementEntry.create({
+      projectId: project.id,
+      type: 'session',
+      sessions: -count,
+      minutes: minutes === undefined || minutes === null ? null : parseInt(minutes, 10),
+      description: description || null,
+      occurredAt: when,
+      recordedBy
+    }, { transaction });
+
+    return { entitlement, entry, balance: balance - count };
+  });
+
+  console.log(`🛟 Project ${project.id} used ${count} support session(s), ${result.balance} left`);
+  await checkLowBalance(result.entitlement);
+  return { entry: result.entry, balance: result.balance };
+}
+
+// Admin correction - positive to add sessions, negative to remove them
+async function adjustSessions(project, { sessions, description, recordedBy = 'admin' } = {}) {
+  const { sequelize, EntitlementEntry } = require('../models');
+
+  const delta = parseInt(sessions, 10);
+  if (isNaN(delta) || delta === 0) {
+    throw entitlementError('sessions must be a non-zero whole number');
+  }
+  if (!description) {
+    throw entitlementError('description is required for adjustments');
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const entitlement = await lockedEntitlement(project, transaction);
+    const balance = await sessionBalance(project.id, { transaction });
+    if (balance + delta < 0) {
+      throw entitlementError(`Cannot remove ${-delta} session(s) - only ${balance} left`, 409, { balance });
+    }
+
+    const entry = await EntitlementEntry.create({
+      projectId: project.id,
+      type: 'adjustment',
+      sessions: delta,
+      description,
+      recordedBy
+    }, { transaction });
+
+    // Topping up reopens sessions that had lapsed
+    if (delta > 0 && entitlement.sessionsExpiredAt) {
+      await entitlement.update({ sessionsExpiredAt: null, sessionsExpireAt: null }, { transaction });
+    }
+    return { entitlement, entry, balance: balance + delta };
+  });
+
+  console.log(`🛟 Project ${project.id} support sessions adjusted by ${delta} (${result.balance} left)`);
+  await checkLowBalance(result.entitlement);
+  return { entry: result.entry, balance: result.balance };
+}
+
+// Move the warranty end date (goodwill extensions, corrections)
+async function setWarrantyEnd(project, warrantyEndsAt) {
+  const { ProjectEntitlement } = require('../models');
+  const entitlement = await ProjectEntitlement.findOne({ where: { projectId: project.id } });
+  if (!entitlement || !entitlement.warrantyStartsAt) {
+    throw entitlementError('The warranty starts when the project is completed', 409);
+  }
+
+  const endsAt = new Date(warrantyEndsAt);
+  if (!warrantyEndsAt || isNaN(endsAt.getTime()) || endsAt <= entitlement.warrantyStartsAt) {
+    throw entitlementError('warrantyEndsAt must be a date after the warranty start');
+  }
+
+  const reopened = endsAt > new Date();
+  await entitlement.update({
+    warrantyEndsAt: endsAt,
+    warrantyReminderSentAt: reopened ? null : entitlement.warrantyReminderSentAt,
+    warrantyExpiredNotifiedAt: reopened ? null : entitlement.warrantyExpiredNotifiedAt
+  });
+  return entitlement;
+}
+
+async function summarize(entitlement) {
+  const { EntitlementEntry } = require('../models');
+  if (!entitlement) return null;
+
+  const entries = await EntitlementEntry.findAll({ where: { projectId: entitlement.projectId } });
+  const balance = entries.reduce((sum, e) => sum + e.sessions, 0);
+  const used = -entries.filter(e => e.type === 'session').reduce((sum, e) => sum + e.sessions, 0);
+  const now = new Date();
+
+  return {
+    sessions: {
+      included: entitlement.sessionsIncluded,
+      used,
+      balance,
+      low: balance <= entitlementConfig.lowBalance,
+      expiresAt: entitlement.sessionsExpireAt,
+      expired: Boolean(entitlement.sessionsExpiredAt)
+    },
+    warranty: {
+      startsAt: entitlement.warrantyStartsAt,
+      endsAt: entitlement.warrantyEndsAt,
+      active: warrantyActive(entitlement, now),
+      daysLeft: warrantyActive(entitlement, now)
+        ? Math.ceil((entitlement.warrantyEndsAt - now) / DAY_MS)
+        : 0
+    }
+  };
+}
+
+async function entitlementSummary(projectId) {
+  const { ProjectEntitlement } = require('../models');
+  return summarize(await ProjectEntitlement.findOne({ where: { projectId } }));
+}
+
+/**
+ * Warranty reminders, warranty-ended notices and lapsing unused sessions.
+ * Run periodically. Returns counts of each action.
+ */
+async function sweepEntitlements() {
+  const { sequelize, ProjectEntitlement, EntitlementEntry } = require('../models');
+  const now = new Date();
+  const counts = { warrantyReminders: 0, warrantiesEnded: 0, sessionsExpired: 0 };
+
+  const endingSoon = await ProjectEntitlement.findAll({
+    where: {
+      warrantyReminderSentAt: null,
+      warrantyEndsAt: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + entitlementConfig.warrantyReminderDays * DAY_MS) }
+    }
+  });
+  for (const entitlement of endingSoon) {
+    if (await sendNotice(entitlement, 'warranty_ending')) {
+      await entitlement.update({ warrantyReminderSentAt: now });
+      counts.warrantyReminders++;
+    }
+  }
+
+  const ended = await ProjectEntitlement.findAll({
+    where: { warrantyExpiredNotifiedAt: null, warrantyEndsAt: { [Op.lte]: now } }
+  });
+  for (const entitlement of ended) {
+    // Marked first so a mail outage does not resend it every run
+    await entitlement.update({ warrantyExpiredNotifiedAt: now });
+    await sendNotice(entitlement, 'warranty_expired');
+    counts.warrantiesEnded++;
+  }
+
+  const lapsing = await ProjectEntitlement.findAll({
+    where: { sessionsExpiredAt: null, sessionsExpireAt: { [Op.lte]: now } }
+  });
+  for (const entitlement of lapsing) {
+    const lapsed = await sequelize.transaction(async (transaction) => {
+      const balance = await sessionBalance(entitlement.projectId, { transaction });
+      if (balance > 0) {
+        await EntitlementEntry.create({
+          projectId: entitlement.projectId,
+          type: 'expiry',
+          sessions: -balance,
+          description: `${balance} unused support session(s) expired`
+        }, { transaction });
+      }
+      await entitlement.update({ sessionsExpiredAt: now }, { transaction });
+      return balance;
+    });
+    if (lapsed > 0) {
+      await sendNotice(entitlement, 'sessions_expired');
+      counts.sessionsExpired++;
+    }
+  }
+
+  if (counts.warrantyReminders || counts.warrantiesEnded || counts.sessionsExpired) {
+    console.log('🛡️ Entitlement sweep:', counts);
+  }
+  return counts;
+}
+
+function watchProjectEvents() {
+  projectEvents.on('transition', ({ project, to }) => {
+    const work = to === 'approved' ? grantEntitlements(project)
+      : to === 'completed' ? startWarranty(project)
+        : null;
+    if (!work) return;
+    work.catch(error => {
+      console.error(`❌ Entitlements for project ${project.id} (${to}) failed:`, error.message);
+    });
+  });
+}
+
+function serializeEntry(entry) {
+  return {
+    id: entry.id,
+    type: entry.type,
+    sessions: entry.sessions,
+    minutes: entry.minutes,
+    description: entry.description,
+    occurredAt: entry.occurredAt,
+    recordedBy: entry.recordedBy
+  };
+}
+
+module.exports = {
+  addMonths,
+  sessionBalance,
+  grantEntitlements,
+  startWarranty,
+  warrantyActive,
+  logSession,
+  adjustSessions,
+  setWarrantyEnd,
+  entitlementSummary,
+  sweepEntitlements,
+  watchProjectEvents,
+  serializeEntry
+};
@@ -0,0 +1,329 @@
+// invoiceService.js
+// ------------------------------------------------------------
+// Tax invoices for payments received
+// - One invoice per paid Payment, issued when the payment is recorded
+//   (paymentScheduleService.recordPayment); admins can issue them for older
+//   payments too
+// - Numbers are sequential and never reused: INVOICE_PREFIX + 6 digits
+// - Everything printed is a snapshot taken at issue time. A payment that
+//   covers the whole project lists the priced lines from the booking; an
+//   installment is a single line with the project scope listed beneath
+// - Prices are GST inclusive, so GST is 1/11 of the total
+//   (config/business.js)
+// - renderInvoicePdf() draws the PDF with pdfkit for downloads and email
+// ------------------------------------------------------------
+
+const PDFDocument = require('pdfkit');
+const business = require('../config/business');
+const { toCents, fromCents } = require('./pricingService');
+
+const MAX_NUMBER_ATTEMPTS = 3;
+
+function invoiceError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function invoiceNumber(sequence) {
+  return `${business.invoicePrefix}${String(sequence).padStart(6, '0')}`;
+}
+
+function gstIncluded(total) {
+  return business.gstRegistered ? fromCents(Math.round(toCents(total) / 11)) : 0;
+}
+
+function money(amount) {
+  const value = Number(amount);
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+// The booking's priced lines (pricingService breakdown), falling back to
+// the base price plus `items` for older bookings
+function projectLines(project) {
+  const breakdown = project.priceBreakdown;
+  if (breakdown && Array.isArray(breakdown.lines) && breakdown.lines.length) {
+    return breakdown.lines.map(line => ({
+      description: line.name,
+      quantity: line.quantity || 1,
+      unitPrice: Number(line.unitPrice),
+      amount: Number(line.amount)
+    }));
+  }
+
+  const items = (project.items || []).map(item => ({
+    description: item.name,
+    quantity: item.quantity || 1,
+    unitPrice: Number(item.unitPrice ?? item.price),
+    amount: Number(item.price)
+  }));
+  const itemsCents = items.reduce((sum, item) => sum + toCents(item.amount), 0);
+  const baseAmount = fromCents(Math.max(toCents(project.totalPrice) - itemsCents, 0));
+  return [
+    {
+      description: `${project.projectType || 'Custom'} website`,
+      quantity: 1,
+      unitPrice: baseAmount,
+      amount: baseAmount
+    },
+    ...items
+  ];
+}
+
+function linesForPayment(payment, project) {
+  if (toCents(payment.amount) === toCents(project.totalPrice)) {
+    return { lineItems: projectLines(project), scopeItems: [] };
+  }
+
+  const share = payment.percent ? ` (${Number(payment.percent)}%)` : '';
+  return {
+    lineItems: [{
+      description: `${payment.label || 'Payment'}${share} - ${project.projectType || 'custom'} website, project #${project.id}`,
+      quantity: 1,
+      unitPrice: Number(payment.amount),
+      amount: Number(payment.amount)
+    }],
+    scopeItems: projectLines(project)
+  };
+}
+
+/**
+ * Issue the invoice for a paid payment. Safe to call more than once -
+ * the existing invoice is returned.
+ */
+async function issueInvoiceForPayment(payment) {
+  const { sequelize, Invoice, Project, Client } = require('../models');
+  const { isPaid } = require('./paymentScheduleService');
+
+  if (!isPaid(payment)) {
+    throw invoiceError('Invoices are only issued for payments that have been received', 409, {
+      paymentStatus: payment.paymentStatus
+    });
+  }
+  const existing = await Invoice.findOne({ where: { paymentId: payment.id } });
+  if (existing) return existing;
+
+  const project = await Project.findByPk(payment.projectId, {
+    include: [{ model: Client, as: 'client' }]
+  });
+  if (!business.abn) {
+    console.warn('⚠️ BUSINESS_ABN is not set - invoices will not be valid tax invoices');
+  }
+
+  const total = Number(payment.amount);
+  const gst = gstIncluded(total);
+  const attrs = {
+    projectId: project.id,
+    clientId: project.clientId,
+    paymentId: payment.id,
+    billTo: {
+      name: project.client.name,
+      email: project.client.email,
+      phone: project.client.phone || null
+    },
+    seller: {
+      name: business.name,
+      abn: business.abn,
+      address: business.address,
+      email: business.email,
+      website: business.website,
+      gstRegistered: business.gstRegistered
+    },
+    ...linesForPayment(payment, project),
+    subtotal: fromCents(toCents(total) - toCents(gst)),
+    gst,
+    total,
+    currency: business.currency,
+    issuedAt: payment.paidAt || new Date()
+  };
+
+  // Numbers come from the highest one so far; two payments landing at once
+  // can collide on the unique index, so retry with the next number
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const invoice = await sequelize.transaction(async (transaction) => {
+        const last = await Invoice.findOne({
+          order: [['sequence', 'DESC']],
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        const sequence = (last ? last.sequence : 0) + 1;
+        return Invoice.create({ ...attrs, sequence, number: invoiceNumber(sequence) }, { transaction });
+      });
+      console.log(`🧾 Invoice ${invoice.number} issued for payment ${payment.id} (${money(total)})`);
+      return invoice;
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError' || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+      const issued = await Invoice.findOne({ where: { paymentId: payment.id } });
+      if (issued) return issued;
+    }
+  }
+}
+
+// Void an invoice (the number stays used)
+async function voidInvoice(invoice) {
+  if (invoice.status === 'void') {
+    throw invoiceError('Invoice is already void', 409);
+  }
+  await invoice.update({ status: 'void', voidedAt: new Date() });
+  console.log(`🧾 Invoice ${invoice.number} voided`);
+  return invoice;
+}
+
+// ---- PDF ----
+
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const seller = invoice.seller;
+    const billTo = invoice.billTo;
+    const brown = '#8B4513';
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const title = seller.gstRegistered ? 'TAX INVOICE' : 'INVOICE';
+
+    // Header: seller on the left, invoice details on the right
+    doc.fillColor(brown).font('Helvetica-Bold').fontSize(22).text(seller.name, left, 50);
+    doc.fillColor('#333333').font('Helvetica').fontSize(10);
+    if (seller.abn) doc.text(`ABN ${seller.abn.replace(/^(\d{2})(\d{3})(\d{3})(\d{3})$/, '$1 $2 $3 $4')}`);
+    if (seller.address) doc.text(seller.address);
+    doc.text(seller.email);
+    doc.text(seller.website);
+
+    doc.fillColor(brown).font('Helvetica-Bold').fontSize(16).text(title, 350, 50, { width: right - 350, align: 'right' });
+    doc.fillColor('#333333').font('Helvetica').fontSize(10);
+    doc.text(`Invoice no. ${invoice.number}`, 350, doc.y + 4, { width: right - 350, align: 'right' });
+    doc.text(`Date ${new Date(invoice.issuedAt).toLocaleDateString('en-AU')}`, { width: right - 350, align: 'right' });
+    doc.text(`Project #${invoice.projectId}`, { width: right - 350, align: 'right' });
+    if (invoice.status === 'void') {
+      doc.fillColor('#c0392b').font('Helvetica-Bold').text('VOID', { width: right - 350, align: 'right' });
+    } else {
+      doc.fillColor('#28a745').font('Helvetica-Bold').text('PAID', { width: right - 350, align: 'right' });
+    }
+
+    // Bill to
+    doc.fillColor(brown).font('Helvetica-Bold').fontSize(11).text('Bill to', left, 160);
+    doc.fillColor('#333333').font('Helvetica').fontSize(10);
+    doc.text(billTo.name || '');
+    doc.text(billTo.email || '');
+    if (billTo.phone) doc.text(billTo.phone);
+
+    // Line items
+    const columns = { description: left, quantity: 330, unitPrice: 380, amount: 460 };
+    let y = 240;
+    doc.fillColor(brown).font('Helvetica-Bold').fontSize(10);
+    doc.text('Description', columns.description, y);
+    doc.text('Qty', columns.quantity, y, { width: 40, align: 'right' });
+    doc.text('Unit', columns.unitPrice, y, { width: 70, align: 'right' });
+    doc.text('Amount', columns.amount, y, { width: right - columns.amount, align: 'right' });
+    y += 16;
+    doc.moveTo(left, y).lineTo(right, y).strokeColor('#D2B48C').stroke();
+    y += 8;
+
+    doc.fillColor('#333333').font('Helvetica');
+    invoice.lineItems.forEach(line => {
+      const height = doc.heightOfString(line.description, { width: columns.quantity - left - 10 });
+      doc.text(line.description, columns.description, y, { width: columns.quantity - left - 10 });
+      doc.text(String(line.quantity), columns.quantity, y, { width: 40, align: 'right' });
+      doc.text(money(line.unitPrice), columns.unitPrice, y, { width: 70, align: 'right' });
+      doc.text(money(line.amount), columns.amount, y, { width: right - columns.amount, align: 'right' });
+      y += Math.max(height, 12) + 6;
+    });
+
+    doc.moveTo(left, y).lineTo(right, y).strokeColor('#D2B48C').stroke();
+    y += 10;
+
+    // Totals
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, 300, y, { width: 150, align: 'right' });
+      doc.text(value, columns.amount, y, { width: right - columns.amount, align: 'right' });
+      y += 16;
+    };
+    if (seller.gstRegistered) {
+      totalRow('Subtotal (ex GST)', money(invoice.subtotal));
+      totalRow('GST (10%)', money(invoice.gst));
+    }
+    totalRow(`Total (${invoice.currency}${seller.gstRegistered ? ', inc GST' : ''})`, money(invoice.total), true);
+    totalRow('Amount paid', money(invoice.status === 'void' ? 0 : invoice.total));
+
+    // Scope of the whole project for installment invoices
+    if (invoice.scopeItems.length) {
+      y += 14;
+      doc.fillColor(brown).font('Helvetica-Bold').fontSize(10).text('Project scope (for reference)', left, y);
+      y += 14;
+      doc.fillColor('#555555').font('Helvetica').fontSize(9);
+      invoice.scopeItems.forEach(line => {
+        const label = line.quantity > 1 ? `${line.description} × ${line.quantity}` : line.description;
+        doc.text(label, left, y, { width: 380 });
+        doc.text(money(line.amount), columns.amount, y, { width: right - columns.amount, align: 'right' });
+        y += 13;
+      });
+    }
+
+    doc.fillColor('#654321').fontSize(9).font('Helvetica')
+      .text(`Thank you for your business. Questions about this invoice? ${seller.email}`, left, 760, {
+        width: right - left,
+        align: 'center'
+      });
+
+    doc.end();
+  });
+}
+
+// Ready for nodemailer's `attachments`
+async function invoiceAttachment(invoice) {
+  return {
+    filename: `${invoice.number}.pdf`,
+    content: await renderInvoicePdf(invoice),
+    contentType: 'application/pdf'
+  };
+}
+
+// Stream the PDF as a download
+async function sendInvoicePdf(res, invoice) {
+  const pdf = await renderInvoicePdf(invoice);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`
+  });
+  res.send(pdf);
+}
+
+function serializeInvoice(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    status: invoice.status,
+    projectId: invoice.projectId,
+    clientId: invoice.clientId,
+    paymentId: invoice.paymentId,
+    billTo: invoice.billTo,
+    lineItems: invoice.lineItems,
+    scopeItems: invoice.scopeItems,
+    subtotal: Number(invoice.subtotal),
+    gst: Number(invoice.gst),
+    total: Number(invoice.total),
+    currency: invoice.currency,
+    issuedAt: invoice.issuedAt,
+    voidedAt: invoice.voidedAt
+  };
+}
+
+module.exports = {
+  invoiceNumber,
+  gstIncluded,
+  issueInvoiceForPayment,
+  voidInvoice,
+  renderInvoicePdf,
+  invoiceAttachment,
+  sendInvoicePdf,
+  serializeInvoice
+};
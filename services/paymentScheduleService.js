@@ -0,0 +1,508 @@
+// paymentScheduleService.js
+// ------------------------------------------------------------
+// Deposit / balance payment schedules
+// - Each installment is a Payment row (installment 1 = deposit) and gets
+//   its own PaymentIntent when the client pays it
+// - Rows are created on approval from Project.paymentSchedule
+//   (config/paymentSchedules.js) or set by hand as a 'custom' schedule
+// - Installments are paid in order, once they are due (never before the
+//   booking is approved); the project only moves to in_progress once the
+//   deposit clears
+// - A deposit that cleared before approval (e.g. a late webhook for an old
+//   PaymentIntent) starts the project when it is approved
+// - When the project total changes, whatever is still owed is spread over
+//   the unpaid installments by their percentages
+// - A refunded installment still counts as paid - it is never charged
+//   again; refunds show up as `refunded` / `netPaid` in the summary
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const { DUE_ON, defaultSchedule, schedules } = require('../config/paymentSchedules');
+const { toCents, fromCents } = require('./pricingService');
+const { projectEvents, transitionProject } = require('./projectStatus');
+const { issueInvoiceForPayment, invoiceAttachment } = require('./invoiceService');
+
+// Bookings that can still take payments
+const PAYABLE_PROJECT_STATUSES = ['approved', 'in_progress', 'completed'];
+const MAX_INSTALLMENTS = 6;
+const MIN_CHARGE = 0.50;
+// Money was taken for these, even if some of it has since gone back (or
+// is being fought over in a dispute)
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+function scheduleError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function isDeposit(payment) {
+  return payment.installment === 1;
+}
+
+function isPaid(payment) {
+  return PAID_STATUSES.includes(payment.paymentStatus);
+}
+
+// Whole-cent amounts per percentage; the last one takes the rounding
+function splitAmount(total, percents) {
+  const totalCents = toCents(total);
+  const weight = percents.reduce((sum, p) => sum + Number(p), 0);
+  let allocated = 0;
+  return percents.map((percent, index) => {
+    const cents = index === percents.length - 1
+      ? totalCents - allocated
+      : Math.round(totalCents * Number(percent) / weight);
+    allocated += cents;
+    return fromCents(Math.max(cents, 0));
+  });
+}
+
+function readCustomInstallments(list) {
+  if (!Array.isArray(list) || !list.length || list.length > MAX_INSTALLMENTS) {
+    throw scheduleError(`installments must be a list of 1-${MAX_INSTALLMENTS} entries`);
+  }
+  const installments = list.map((entry, index) => {
+    const percent = Number(entry.percent);
+    if (!(percent > 0 && percent <= 100)) {
+      throw scheduleError(`installments[${index}].percent must be between 0 and 100`);
+    }
+    const dueOn = entry.dueOn || (index === 0 ? 'kickoff' : 'launch');
+    if (!DUE_ON.includes(dueOn)) {
+      throw scheduleError(`installments[${index}].dueOn must be one of: ${DUE_ON.join(', ')}`);
+    }
+    return {
+      label: entry.label || (index === 0 ? 'Deposit' : `Installment ${index + 1}`),
+      percent,
+      dueOn,
+      milestoneId: entry.milestoneId || null
+    };
+  });
+  const total = installments.reduce((sum, i) => sum + i.percent, 0);
+  if (Math.abs(total - 100) > 0.001) {
+    throw scheduleError('Installment percentages must add up to 100', 400, { percentTotal: total });
+  }
+  return installments;
+}
+
+function presetFor(project) {
+  return schedules[project.paymentSchedule] || schedules[defaultSchedule];
+}
+
+async function installmentsFor(projectId, { transaction } = {}) {
+  const { Payment } = require('../models');
+  return Payment.findAll({
+    where: { projectId, installment: { [Op.ne]: null } },
+    order: [['installment', 'ASC']],
+    transaction
+  });
+}
+
+async function paidPayments(projectId, { transaction } = {}) {
+  const { Payment } = require('../models');
+  return Payment.findAll({
+    where: { projectId, paymentStatus: { [Op.in]: PAID_STATUSES } },
+    transaction
+  });
+}
+
+async function amountPaid(projectId, { transaction } = {}) {
+  const payments = await paidPayments(projectId, { transaction });
+  return fromCents(payments.reduce((sum, p) => sum + toCents(p.amount), 0));
+}
+
+async function amountRefunded(projectId, { transaction } = {}) {
+  const payments = await paidPayments(projectId, { transaction });
+  return fromCents(payments.reduce((sum, p) => sum + toCents(p.refundedAmount || 0), 0));
+}
+
+async function outstandingBalance(project, { transaction } = {}) {
+  const paid = await amountPaid(project.id, { transaction });
+  return fromCents(Math.max(toCents(project.totalPrice) - toCents(paid), 0));
+}
+
+/**
+ * Spread what is still owed over the unpaid installments.
+ * Call after the project total changes.
+ */
+async function rebalanceInstallments(project, { transaction } = {}) {
+  const installments = await installmentsFor(project.id, { transaction });
+  const unpaid = installments.filter(p => !isPaid(p));
+  if (!unpaid.length) return installments;
+
+  const owed = await outstandingBalance(project, { transaction });
+  const amounts = splitAmount(owed, unpaid.map(p => p.percent));
+  for (let i = 0; i < unpaid.length; i++) {
+    if (Number(unpaid[i].amount) !== amounts[i]) {
+      await unpaid[i].update({ amount: amounts[i] }, { transaction });
+    }
+  }
+  return installments;
+}
+
+async function createInstallments(project, definitions, { transaction } = {}) {
+  const { Payment } = require('../models');
+  for (let i = 0; i < definitions.length; i++) {
+    await Payment.create({
+      projectId: project.id,
+      amount: 0,
+      paymentMethod: 'stripe',
+      paymentStatus: 'pending',
+      installment: i + 1,
+      label: definitions[i].label,
+      percent: definitions[i].percent,
+      dueOn: definitions[i].dueOn,
+      milestoneId: definitions[i].milestoneId || null
+    }, { transaction });
+  }
+  return rebalanceInstallments(project, { transaction });
+}
+
+// Installment rows for a project, created from its schedule the first time
+async function ensureInstallments(project) {
+  const { sequelize, Project } = require('../models');
+
+  const existing = await installmentsFor(project.id);
+  if (existing.length) return existing;
+
+  return sequelize.transaction(async (transaction) => {
+    // Approval and the first payment can race to create the rows
+    await Project.findByPk(project.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const created = await installmentsFor(project.id, { transaction });
+    if (created.length) return created;
+
+    const installments = await createInstallments(project, presetFor(project).installments, { transaction });
+    console.log(`🧾 Payment schedule ${project.paymentSchedule || defaultSchedule} set up for project ${project.id} (${installments.length} installment(s))`);
+    return installments;
+  });
+}
+
+/**
+ * Replace the schedule with a preset ({ schedule }) or custom split
+ * ({ installments: [{ label, percent, dueOn, milestoneId }] }).
+ * Only allowed before any installment has been charged.
+ */
+async function setSchedule(project, body = {}) {
+  const { sequelize, Milestone } = require('../models');
+
+  let key;
+  let definitions;
+  if (body.installments !== undefined) {
+    key = 'custom';
+    definitions = readCustomInstallments(body.installments);
+  } else if (schedules[body.schedule]) {
+    key = body.schedule;
+    definitions = schedules[key].installments;
+  } else {
+    throw scheduleError('Send a schedule name or a list of installments', 400, {
+      availableSchedules: Object.keys(schedules)
+    });
+  }
+
+  for (const definition of definitions) {
+    if (definition.milestoneId && !(await Milestone.findOne({ where: { id: definition.milestoneId, projectId: project.id } }))) {
+      throw scheduleError('Milestone not found on this project', 404, { milestoneId: definition.milestoneId });
+    }
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const existing = await installmentsFor(project.id, { transaction });
+    if (existing.some(p => p.providerPaymentId || p.stripePaymentId || isPaid(p))) {
+      throw scheduleError('Payments have already started on this schedule', 409);
+    }
+    for (const payment of existing) {
+      await payment.destroy({ transaction });
+    }
+    await project.update({ paymentSchedule: key }, { transaction });
+    console.log(`🧾 Project ${project.id} payment schedule changed to ${key}`);
+    return createInstallments(project, definitions, { transaction });
+  });
+}
+
+// Relabel an unpaid installment or tie it to a milestone
+async function updateInstallment(payment, body = {}) {
+  const { Milestone } = require('../models');
+  if (isPaid(payment)) {
+    throw scheduleError('This installment has already been paid', 409);
+  }
+
+  const attrs = {};
+  if (body.label !== undefined) {
+    if (!String(body.label).trim()) throw scheduleError('label cannot be empty');
+    attrs.label = String(body.label).trim();
+  }
+  if (body.dueOn !== undefined) {
+    if (!DUE_ON.includes(body.dueOn)) {
+      throw scheduleError(`dueOn must be one of: ${DUE_ON.join(', ')}`);
+    }
+    attrs.dueOn = body.dueOn;
+  }
+  if (body.milestoneId !== undefined) {
+    if (body.milestoneId && !(await Milestone.findOne({ where: { id: body.milestoneId, projectId: payment.projectId } }))) {
+      throw scheduleError('Milestone not found on this project', 404);
+    }
+    attrs.milestoneId = body.milestoneId || null;
+    if (attrs.milestoneId && attrs.dueOn === undefined) attrs.dueOn = 'milestone';
+  }
+  await payment.update(attrs);
+  return payment;
+}
+
+async function completedMilestoneIds(projectId) {
+  const { Milestone } = require('../models');
+  const milestones = await Milestone.findAll({ where: { projectId, status: 'completed' }, attributes: ['id'] });
+  return milestones.map(m => m.id);
+}
+
+/**
+ * The installment a client is about to pay: the one asked for, or the next
+ * unpaid one. Earlier installments must be paid first, and only what is
+ * due can be paid.
+ */
+async function payableInstallment(project, { paymentId } = {}) {
+  if (!PAYABLE_PROJECT_STATUSES.includes(project.status)) {
+    throw scheduleError(`Payments cannot be taken on a ${project.status} booking`, 409);
+  }
+
+  const installments = await ensureInstallments(project);
+  const unpaid = installments.filter(p => !isPaid(p));
+  if (!unpaid.length) {
+    throw scheduleError('This booking is fully paid', 409, { outstanding: 0 });
+  }
+
+  const payment = paymentId ? installments.find(p => String(p.id) === String(paymentId)) : unpaid[0];
+  if (!payment) throw scheduleError('Installment not found on this booking', 404);
+  if (isPaid(payment)) {
+    throw scheduleError(`${payment.label} has already been paid`, 409);
+  }
+  if (payment.paymentStatus === 'processing') {
+    throw scheduleError(`A payment for the ${payment.label.toLowerCase()} is still being processed`, 409);
+  }
+  if (payment.id !== unpaid[0].id) {
+    throw scheduleError(`Please pay the ${unpaid[0].label.toLowerCase()} first`, 409, {
+      nextPaymentId: unpaid[0].id
+    });
+  }
+  if (!isDue(payment, project, await completedMilestoneIds(project.id))) {
+    throw scheduleError(`The ${payment.label.toLowerCase()} is not due yet`, 409, { dueOn: payment.dueOn });
+  }
+  if (!(Number(payment.amount) >= MIN_CHARGE)) {
+    throw scheduleError('Nothing is owed on this installment', 409, { amount: Number(payment.amount) });
+  }
+  return payment;
+}
+
+/**
+ * Mark an installment paid (from /confirm or the webhook - whichever comes
+ * first), start the project when it is the deposit, and email a receipt
+ * with the tax invoice attached.
+ * Returns { payment, invoice, alreadyRecorded, emailSent }.
+ */
+async function recordPayment(payment, { source = 'stripe' } = {}) {
+  const { Payment } = require('../models');
+  if (isPaid(payment)) {
+    return { payment, invoice: null, alreadyRecorded: true, emailSent: false };
+  }
+
+  // /confirm and the webhook can both get here at once - only the one whose
+  // update flips the row goes on to invoice and email
+  const [updated] = await Payment.update({ paymentStatus: 'completed', paidAt: new Date() }, {
+    where: { id: payment.id, paymentStatus: { [Op.notIn]: PAID_STATUSES } }
+  });
+  await payment.reload();
+  if (!updated) {
+    return { payment, invoice: null, alreadyRecorded: true, emailSent: false };
+  }
+  return paymentReceived(payment, { source });
+}
+
+/**
+ * The follow-up to a payment already marked completed: project status,
+ * invoice and receipt. Store credit marks its payments inside its own
+ * transaction and calls this once that commits.
+ */
+async function paymentReceived(payment, { source = 'stripe' } = {}) {
+  const { Project, Client } = require('../models');
+  const emailService = require('./emailService');
+
+  const project = await Project.findByPk(payment.projectId, {
+    include: [{ model: Client, as: 'client' }]
+  });
+  console.log(`💰 Payment ${payment.id} (${payment.label || 'one-off'}) recorded for project ${project.id} via ${source}`);
+
+  // Work starts once the deposit clears. A booking still pending starts when
+  // it is approved (watchProjectEvents); payments can arrive for bookings in
+  // any other state, so an illegal transition is logged, not fatal.
+  if (isDeposit(payment) && project.status === 'pending') {
+    console.log(`⏳ Deposit for project ${project.id} paid before approval - it starts once approved`);
+  } else if (isDeposit(payment) && project.status !== 'in_progress') {
+    try {
+      await transitionProject(project, 'in_progress', {
+        changedBy: 'stripe',
+        reason: `Deposit (payment ${payment.id}) received`
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      console.warn(`⚠️ Project ${project.id} left as ${project.status}: ${error.message}`);
+    }
+  }
+
+  // The tax invoice goes out with the receipt; a failure here should not
+  // hold up the payment itself
+  let invoice = null;
+  let attachments = [];
+  try {
+    invoice = await issueInvoiceForPayment(payment);
+    attachments = [await invoiceAttachment(invoice)];
+  } catch (invoiceError) {
+    console.error(`⚠️ Invoice for payment ${payment.id} failed:`, invoiceError.message);
+  }
+
+  let emailSent = false;
+  try {
+    await emailService.sendPaymentConfirmation({
+      to: project.client.email,
+      payment,
+      project,
+      client: project.client,
+      schedule: await scheduleSummary(project),
+      invoice,
+      attachments
+    });
+    emailSent = true;
+  } catch (emailError) {
+    console.error('⚠️ Payment email failed but payment was processed:', emailError.message);
+  }
+
+  return { payment, invoice, alreadyRecorded: false, emailSent };
+}
+
+function isDue(payment, project, completedMilestones) {
+  if (payment.dueOn === 'kickoff') return ['approved', 'in_progress', 'completed'].includes(project.status);
+  if (payment.dueOn === 'launch') return project.status === 'completed';
+  // Not due until it has been tied to a milestone and that milestone is done
+  return Boolean(payment.milestoneId && completedMilestones.includes(payment.milestoneId));
+}
+
+function serializeInstallment(payment, { due = false } = {}) {
+  return {
+    id: payment.id,
+    installment: payment.installment,
+    label: payment.label,
+    percent: payment.percent === null || payment.percent === undefined ? null : Number(payment.percent),
+    amount: Number(payment.amount),
+    dueOn: payment.dueOn,
+    milestoneId: payment.milestoneId,
+    status: payment.paymentStatus,
+    refundedAmount: Number(payment.refundedAmount || 0),
+    due: !isPaid(payment) && due,
+    paidAt: payment.paidAt
+  };
+}
+
+/**
+ * Schedule, amounts paid and outstanding balance for a project. Before the
+ * installment rows exist (pending bookings) the split is previewed.
+ */
+async function scheduleSummary(project) {
+
+  const [installments, paid, refunded, outstanding, completedMilestones] = await Promise.all([
+    installmentsFor(project.id),
+    amountPaid(project.id),
+    amountRefunded(project.id),
+    outstandingBalance(project),
+    completedMilestoneIds(project.id)
+  ]);
+
+  let rows;
+  if (installments.length) {
+    rows = installments.map(p => serializeInstallment(p, { due: isDue(p, project, completedMilestones) }));
+  } else {
+    const preset = presetFor(project).installments;
+    const amounts = splitAmount(project.totalPrice, preset.map(i => i.percent));
+    rows = preset.map((definition, index) => ({
+      id: null,
+      installment: index + 1,
+      label: definition.label,
+      percent: definition.percent,
+      amount: amounts[index],
+      dueOn: definition.dueOn,
+      milestoneId: null,
+      status: 'scheduled',
+      refundedAmount: 0,
+      due: false,
+      paidAt: null
+    }));
+  }
+
+  const next = rows.find(r => !PAID_STATUSES.includes(r.status));
+  return {
+    schedule: project.paymentSchedule || defaultSchedule,
+    total: Number(project.totalPrice),
+    paid,
+    refunded,
+    netPaid: fromCents(toCents(paid) - toCents(refunded)),
+    outstanding,
+    depositPaid: rows.length ? PAID_STATUSES.includes(rows[0].status) : false,
+    nextPaymentId: next ? next.id : null,
+    installments: rows
+  };
+}
+
+/**
+ * Start an approved booking whose deposit cleared while it was pending.
+ * The approval listener and the saved-card charge both check, so the one
+ * that loses the race just logs it. Returns true when it moved the project.
+ */
+async function startIfDepositPaid(project, installments) {
+  const deposit = installments.find(isDeposit);
+  if (!deposit || !isPaid(deposit) || project.status !== 'approved') return false;
+
+  try {
+    await transitionProject(project, 'in_progress', {
+      changedBy: 'system',
+      reason: `Deposit (payment ${deposit.id}) was paid before approval`
+    });
+  } catch (error) {
+    if (error.code !== 'INVALID_STATUS_TRANSITION') throw error;
+    console.warn(`⚠️ Project ${project.id} left as ${error.from}: ${error.message}`);
+    return false;
+  }
+  return true;
+}
+
+// Set up the installments when a booking is approved, and start it if the
+// deposit is already in
+function watchProjectEvents() {
+  projectEvents.on('transition', ({ project, to }) => {
+    if (to !== 'approved') return;
+    ensureInstallments(project)
+      .then(installments => startIfDepositPaid(project, installments))
+      .catch(error => {
+        console.error(`❌ Could not set up payment schedule for project ${project.id}:`, error.message);
+      });
+  });
+}
+
+module.exports = {
+  PAID_STATUSES,
+  MIN_CHARGE,
+  isDeposit,
+  isPaid,
+  splitAmount,
+  ensureInstallments,
+  rebalanceInstallments,
+  setSchedule,
+  updateInstallment,
+  payableInstallment,
+  recordPayment,
+  paymentReceived,
+  amountPaid,
+  amountRefunded,
+  outstandingBalance,
+  scheduleSummary,
+  serializeInstallment,
+  startIfDepositPaid,
+  watchProjectEvents
+};
@@ -0,0 +1,156 @@
+// afterpayProvider.js
+// ------------------------------------------------------------
+// Afterpay / Clearpay pay-in-4 (Online API v2)
+// - AFTERPAY_MERCHANT_ID, AFTERPAY_SECRET_KEY
+// - AFTERPAY_API_BASE  defaults to the global sandbox; set it to
+//                      https://global-api.afterpay.com when going live
+//                      (Clearpay uses the same API), or to a local stand-in
+// - createPayment() opens a checkout and the client finishes it at
+//   redirectUrl. Until then our id is the checkout token; confirmPayment()
+//   captures it and returns the Afterpay order id, which replaces the token
+// - Afterpay does not send webhooks for online checkouts, so payments are
+//   only recorded through /confirm
+// ------------------------------------------------------------
+
+const ORDER_STATUSES = {
+  APPROVED: 'succeeded',
+  DECLINED: 'failed'
+};
+
+function toMoney(cents, currency) {
+  return { amount: (cents / 100).toFixed(2), currency: currency.toUpperCase() };
+}
+
+function toCents(money) {
+  return money ? Math.round(Number(money.amount) * 100) : null;
+}
+
+function createAfterpayProvider({ merchantId, secretKey, apiBase, userAgent }) {
+  function afterpayError(response, result) {
+    const error = new Error(`Afterpay API error (${response.status}): ${result.message || result.errorCode || 'request failed'}`);
+    error.provider = 'afterpay';
+    error.statusCode = response.status;
+    error.code = result.errorCode;
+    return error;
+  }
+
+  async function request(method, path, body) {
+    if (!merchantId || !secretKey) {
+      throw new Error('AFTERPAY_MERCHANT_ID and AFTERPAY_SECRET_KEY must be set to take Afterpay payments');
+    }
+
+    const response = await fetch(`${apiBase}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${merchantId}:${secretKey}`).toString('base64')}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'User-Agent': userAgent
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw afterpayError(response, result);
+    }
+    return result;
+  }
+
+  function paymentFrom(order) {
+    return {
+      id: order.id,
+      token: order.token,
+      status: ORDER_STATUSES[order.status] || 'failed',
+      providerStatus: order.status,
+      amount: toCents(order.originalAmount),
+      currency: order.originalAmount ? order.originalAmount.currency.toLowerCase() : null
+    };
+  }
+
+  // Look an order up by its id, or by the checkout token before capture
+  async function findOrder(id) {
+    try {
+      return await request('GET', `/v2/payments/${encodeURIComponent(id)}`);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+    try {
+      return await request('GET', `/v2/payments/token:${encodeURIComponent(id)}`);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+    return null;
+  }
+
+  return {
+    name: 'afterpay',
+    label: 'Afterpay',
+
+    async createPayment({ amount, currency, reference, description, customer = {}, returnUrl, cancelUrl }) {
+      const [givenNames, ...surname] = String(customer.name || '').trim().split(/\s+/);
+      const checkout = await request('POST', '/v2/checkouts', {
+        amount: toMoney(amount, currency),
+        consumer: {
+          email: customer.email,
+          givenNames: givenNames || undefined,
+          surname: surname.join(' ') || undefined,
+          phoneNumber: customer.phone || undefined
+        },
+        merchant: {
+          redirectConfirmUrl: returnUrl,
+          redirectCancelUrl: cancelUrl
+        },
+        merchantReference: reference,
+        description
+      });
+      return {
+        id: checkout.token,
+        status: 'requires_action',
+        providerStatus: 'CHECKOUT',
+        amount,
+        currency: currency.toLowerCase(),
+        redirectUrl: checkout.redirectCheckoutUrl,
+        expiresAt: checkout.expires
+      };
+    },
+
+    // A checkout the client hasn't finished has no order yet
+    async retrievePayment(id) {
+      const order = await findOrder(id);
+      if (!order) return { id, status: 'requires_action', providerStatus: 'CHECKOUT', amount: null, currency: null };
+      return paymentFrom(order);
+    },
+
+    // Capture the checkout once the client is back from Afterpay
+    async confirmPayment(id, { reference } = {}) {
+      const existing = await findOrder(id);
+      if (existing) return paymentFrom(existing);
+      return paymentFrom(await request('POST', '/v2/payments/capture', {
+        token: id,
+        merchantReference: reference,
+        requestId: `capture-${id}`
+      }));
+    },
+
+    // Unfinished checkouts simply expire; there is nothing to cancel
+    async cancelPayment(id) {
+      return { id, status: 'canceled' };
+    },
+
+    async refundPayment(id, { amount, currency, metadata = {}, idempotencyKey }) {
+      const order = await findOrder(id);
+      if (!order) {
+        throw new Error(`Afterpay order ${id} not found`);
+      }
+      const refund = await request('POST', `/v2/payments/${encodeURIComponent(order.id)}/refund`, {
+        requestId: idempotencyKey,
+        amount: toMoney(amount, currency || order.originalAmount.currency),
+        merchantReference: metadata.refundId
+      });
+      // Afterpay answers once the refund is done
+      return { id: refund.refundId, status: 'succeeded', failureReason: null };
+    }
+  };
+}
+
+module.exports = { createAfterpayProvider };
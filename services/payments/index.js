@@ -0,0 +1,104 @@
+// payments/index.js
+// ------------------------------------------------------------
+// Pluggable payment providers for project payments
+// - PAYMENT_PROVIDER=stripe (default), paypal or afterpay is used when the
+//   client doesn't pick one; PAYMENT_PROVIDERS lists the ones on offer
+//   (default: just the default provider)
+// - Every provider exposes the same interface (amounts in cents):
+//     createPayment({ amount, currency, reference, description, customer,
+//                     metadata, returnUrl, cancelUrl, idempotencyKey })
+//       -> { id, status, amount, clientSecret?, redirectUrl? }
+//     retrievePayment(id) -> { id, status, amount, currency }
+//     confirmPayment(id, { reference }) -> same (captures where needed;
+//       the id can change, e.g. an Afterpay token becomes an order id)
+//     cancelPayment(id)
+//     refundPayment(id, { amount, currency, reason, metadata,
+//                         idempotencyKey }) -> { id, status }
+//     parseWebhook(body, headers) -> { id, type, paymentId, raw } (optional)
+//   Payment statuses: requires_action, processing, succeeded, failed,
+//   canceled. Webhook types: payment.approved, payment.processing,
+//   payment.succeeded, payment.failed, payment.canceled (or null for
+//   anything else)
+// - Payment.paymentMethod records the provider and
+//   Payment.providerPaymentId its id for the payment
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const { createStripeProvider } = require('./stripeProvider');
+const { createPaypalProvider } = require('./paypalProvider');
+const { createAfterpayProvider } = require('./afterpayProvider');
+
+const DEFAULT_PROVIDER = (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+const ENABLED_PROVIDERS = (process.env.PAYMENT_PROVIDERS || DEFAULT_PROVIDER)
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Where PayPal and Afterpay send the client back to
+const RETURN_URL = process.env.PAYMENT_RETURN_URL || 'https://www.cocoacode.dev/payment-complete';
+const CANCEL_URL = process.env.PAYMENT_CANCEL_URL || 'https://www.cocoacode.dev/booking-portal';
+
+const factories = {
+  stripe: () => createStripeProvider({
+    client: require('../../config/stripe'),
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+  }),
+  paypal: () => createPaypalProvider({
+    clientId: process.env.PAYPAL_CLIENT_ID,
+    clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+    apiBase: process.env.PAYPAL_API_BASE || 'https://api-m.sandbox.paypal.com',
+    webhookId: process.env.PAYPAL_WEBHOOK_ID
+  }),
+  afterpay: () => createAfterpayProvider({
+    merchantId: process.env.AFTERPAY_MERCHANT_ID,
+    secretKey: process.env.AFTERPAY_SECRET_KEY,
+    apiBase: process.env.AFTERPAY_API_BASE || 'https://global-api-sandbox.afterpay.com',
+    userAgent: `CocoaCodeBackend/1.0 (Node.js/${process.versions.node}; Merchant/${process.env.AFTERPAY_MERCHANT_ID || 'unset'}) https://www.cocoacode.dev`
+  })
+};
+
+const instances = {};
+
+function isProvider(name) {
+  return Boolean(factories[name]);
+}
+
+function getProvider(name = DEFAULT_PROVIDER) {
+  if (!factories[name]) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+}
+
+function enabledProviders() {
+  return ENABLED_PROVIDERS.filter(isProvider);
+}
+
+// Stripe payments taken before providerPaymentId existed only have
+// stripePaymentId
+function providerPaymentId(payment) {
+  return payment.providerPaymentId || (payment.paymentMethod === 'stripe' ? payment.stripePaymentId : null);
+}
+
+async function findProviderPayment(provider, id) {
+  const { Payment } = require('../../models');
+  if (!id) return null;
+  const where = provider === 'stripe'
+    ? { [Op.or]: [{ providerPaymentId: id }, { stripePaymentId: id }] }
+    : { providerPaymentId: id };
+  return Payment.findOne({ where: { paymentMethod: provider, ...where } });
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  RETURN_URL,
+  CANCEL_URL,
+  isProvider,
+  getProvider,
+  enabledProviders,
+  providerPaymentId,
+  findProviderPayment
+};
@@ -0,0 +1,225 @@
+// paypalProvider.js
+// ------------------------------------------------------------
+// PayPal Checkout (Orders v2 REST API)
+// - PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET
+// - PAYPAL_API_BASE   defaults to the sandbox; set it to
+//                     https://api-m.paypal.com when going live, or to a
+//                     local stand-in to try it out
+// - PAYPAL_WEBHOOK_ID webhook id from the PayPal dashboard, used to verify
+//                     webhook signatures (webhooks are refused without it)
+// - The client approves the order at redirectUrl; confirmPayment()
+//   captures it. Our id is the order id - refunds look the capture up
+// ------------------------------------------------------------
+
+const ORDER_STATUSES = {
+  CREATED: 'requires_action',
+  SAVED: 'requires_action',
+  PAYER_ACTION_REQUIRED: 'requires_action',
+  APPROVED: 'processing',
+  COMPLETED: 'succeeded',
+  VOIDED: 'canceled'
+};
+
+const REFUND_STATUSES = {
+  COMPLETED: 'succeeded',
+  PENDING: 'pending',
+  CANCELLED: 'canceled',
+  FAILED: 'failed'
+};
+
+function toValue(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+function createPaypalProvider({ clientId, clientSecret, apiBase, webhookId }) {
+  let accessToken = null;
+  let tokenExpiresAt = 0;
+
+  async function authenticate() {
+    if (accessToken && Date.now() < tokenExpiresAt) return accessToken;
+    if (!clientId || !clientSecret) {
+      throw new Error('PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET must be set to take PayPal payments');
+    }
+
+    const response = await fetch(`${apiBase}/v1/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw paypalError(response, result);
+    }
+    accessToken = result.access_token;
+    // Refresh a minute before PayPal expires it
+    tokenExpiresAt = Date.now() + Math.max(Number(result.expires_in || 0) - 60, 0) * 1000;
+    return accessToken;
+  }
+
+  function paypalError(response, result) {
+    const error = new Error(`PayPal API error (${response.status}): ${result.message || result.error_description || result.name || 'request failed'}`);
+    error.provider = 'paypal';
+    error.statusCode = response.status;
+    error.code = result.name || result.error;
+    error.details = result.details;
+    return error;
+  }
+
+  async function request(method, path, body, { requestId } = {}) {
+    const headers = {
+      Authorization: `Bearer ${await authenticate()}`,
+      'Content-Type': 'application/json',
+      Prefer: 'return=representation'
+    };
+    if (requestId) headers['PayPal-Request-Id'] = requestId;
+
+    const response = await fetch(`${apiBase}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw paypalError(response, result);
+    }
+    return result;
+  }
+
+  function paymentFrom(order) {
+    const unit = (order.purchase_units || [])[0] || {};
+    const capture = ((unit.payments || {}).captures || [])[0];
+    const approve = (order.links || []).find(link => link.rel === 'payer-action' || link.rel === 'approve');
+
+    let status = ORDER_STATUSES[order.status] || 'failed';
+    // A completed order whose capture was declined or is still clearing
+    if (capture && capture.status === 'PENDING') status = 'processing';
+    if (capture && ['DECLINED', 'FAILED'].includes(capture.status)) status = 'failed';
+
+    return {
+      id: order.id,
+      status,
+      providerStatus: order.status,
+      amount: unit.amount ? toCents(unit.amount.value) : null,
+      currency: unit.amount ? unit.amount.currency_code.toLowerCase() : null,
+      redirectUrl: approve ? approve.href : null,
+      captureId: capture ? capture.id : null
+    };
+  }
+
+  return {
+    name: 'paypal',
+    label: 'PayPal',
+
+    async createPayment({ amount, currency, reference, description, metadata = {}, returnUrl, cancelUrl, idempotencyKey }) {
+      const order = await request('POST', '/v2/checkout/orders', {
+        intent: 'CAPTURE',
+        purchase_units: [{
+          reference_id: reference,
+          custom_id: metadata.paymentId,
+          description: description ? description.slice(0, 127) : undefined,
+          amount: {
+            currency_code: currency.toUpperCase(),
+            value: toValue(amount)
+          }
+        }],
+        payment_source: {
+          paypal: {
+            experience_context: {
+              brand_name: 'Cocoa Code',
+              user_action: 'PAY_NOW',
+              shipping_preference: 'NO_SHIPPING',
+              return_url: returnUrl,
+              cancel_url: cancelUrl
+            }
+          }
+        }
+      }, { requestId: idempotencyKey });
+      return paymentFrom(order);
+    },
+
+    async retrievePayment(id) {
+      return paymentFrom(await request('GET', `/v2/checkout/orders/${encodeURIComponent(id)}`));
+    },
+
+    // Capture once the client has approved the order
+    async confirmPayment(id) {
+      const payment = paymentFrom(await request('GET', `/v2/checkout/orders/${encodeURIComponent(id)}`));
+      if (payment.providerStatus !== 'APPROVED') return payment;
+      return paymentFrom(await request('POST', `/v2/checkout/orders/${encodeURIComponent(id)}/capture`, {}, {
+        requestId: `capture-${id}`
+      }));
+    },
+
+    // Unapproved orders simply expire; there is nothing to cancel
+    async cancelPayment(id) {
+      return { id, status: 'canceled' };
+    },
+
+    async refundPayment(id, { amount, currency, reason, idempotencyKey }) {
+      const payment = paymentFrom(await request('GET', `/v2/checkout/orders/${encodeURIComponent(id)}`));
+      if (!payment.captureId) {
+        throw new Error(`PayPal order ${id} has no capture to refund`);
+      }
+      const refund = await request('POST', `/v2/payments/captures/${encodeURIComponent(payment.captureId)}/refund`, {
+        amount: {
+          currency_code: (currency || payment.currency).toUpperCase(),
+          value: toValue(amount)
+        },
+        note_to_payer: reason ? String(reason).slice(0, 255) : undefined
+      }, { requestId: idempotencyKey });
+      return {
+        id: refund.id,
+        status: REFUND_STATUSES[refund.status] || 'pending',
+        failureReason: refund.status_details ? refund.status_details.reason : null
+      };
+    },
+
+    // PayPal signs webhooks with a certificate; ask PayPal to check it.
+    // Never trust an unsigned body - without the webhook id nothing is
+    // accepted
+    async parseWebhook(body, headers) {
+      if (!webhookId) {
+        throw new Error('PAYPAL_WEBHOOK_ID is not set, so PayPal webhooks cannot be verified');
+      }
+      const event = Buffer.isBuffer(body) || typeof body === 'string' ? JSON.parse(body) : body;
+      const verification = await request('POST', '/v1/notifications/verify-webhook-signature', {
+        auth_algo: headers['paypal-auth-algo'],
+        cert_url: headers['paypal-cert-url'],
+        transmission_id: headers['paypal-transmission-id'],
+        transmission_sig: headers['paypal-transmission-sig'],
+        transmission_time: headers['paypal-transmission-time'],
+        webhook_id: webhookId,
+        webhook_event: event
+      });
+      if (verification.verification_status !== 'SUCCESS') {
+        throw new Error('PayPal webhook signature could not be verified');
+      }
+
+      const resource = event.resource || {};
+      const related = (resource.supplementary_data || {}).related_ids || {};
+      let type = null;
+      let paymentId = null;
+      if (event.event_type === 'CHECKOUT.ORDER.APPROVED') {
+        type = 'payment.approved';
+        paymentId = resource.id;
+      } else if (event.event_type === 'PAYMENT.CAPTURE.COMPLETED') {
+        type = 'payment.succeeded';
+        paymentId = related.order_id;
+      } else if (['PAYMENT.CAPTURE.DENIED', 'PAYMENT.CAPTURE.DECLINED'].includes(event.event_type)) {
+        type = 'payment.failed';
+        paymentId = related.order_id;
+      }
+
+      return { id: event.id, type, paymentId, raw: event };
+    }
+  };
+}
+
+module.exports = { createPaypalProvider };
@@ -0,0 +1,106 @@
+// stripeProvider.js
+// ------------------------------------------------------------
+// Card payments through Stripe PaymentIntents (default provider)
+// - Uses the shared client from config/stripe.js, so STRIPE_API_HOST can
+//   point it at stripe-mock
+// - The browser confirms the PaymentIntent with Stripe.js using the
+//   client secret; confirmPayment() just reads back the result
+// - Webhooks need STRIPE_WEBHOOK_SECRET and the raw request body
+// ------------------------------------------------------------
+
+const PAYMENT_STATUSES = {
+  requires_payment_method: 'requires_action',
+  requires_confirmation: 'requires_action',
+  requires_action: 'requires_action',
+  requires_capture: 'processing',
+  processing: 'processing',
+  succeeded: 'succeeded',
+  canceled: 'canceled'
+};
+
+// PaymentIntent events -> the provider-neutral webhook types
+const WEBHOOK_TYPES = {
+  'payment_intent.processing': 'payment.processing',
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+  'payment_intent.canceled': 'payment.canceled'
+};
+
+function paymentFrom(intent) {
+  return {
+    id: intent.id,
+    status: PAYMENT_STATUSES[intent.status] || 'failed',
+    providerStatus: intent.status,
+    amount: intent.amount,
+    currency: intent.currency,
+    clientSecret: intent.client_secret
+  };
+}
+
+function createStripeProvider({ client, webhookSecret }) {
+  return {
+    name: 'stripe',
+    label: 'Stripe',
+
+    async createPayment({ amount, currency, description, customer = {}, metadata = {}, idempotencyKey }) {
+      const intent = await client.paymentIntents.create({
+        amount,
+        currency: currency.toLowerCase(),
+        metadata,
+        description,
+        receipt_email: customer.email,
+        automatic_payment_methods: {
+          enabled: true,
+        },
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+      return paymentFrom(intent);
+    },
+
+    async retrievePayment(id) {
+      return paymentFrom(await client.paymentIntents.retrieve(id));
+    },
+
+    // Stripe.js has already confirmed it in the browser
+    async confirmPayment(id) {
+      return paymentFrom(await client.paymentIntents.retrieve(id));
+    },
+
+    async cancelPayment(id) {
+      return paymentFrom(await client.paymentIntents.cancel(id));
+    },
+
+    async refundPayment(id, { amount, reason, metadata = {}, idempotencyKey }) {
+      const refund = await client.refunds.create({
+        payment_intent: id,
+        amount,
+        reason,
+        metadata
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+      return {
+        id: refund.id,
+        status: ['succeeded', 'failed', 'canceled'].includes(refund.status) ? refund.status : 'pending',
+        failureReason: refund.failure_reason || null
+      };
+    },
+
+    // The full Stripe event comes back as `raw` - subscriptions and refunds
+    // are handled from it in services/webhookEventService.js
+    async parseWebhook(body, headers) {
+      // Never trust an unsigned body - without the secret nothing is accepted
+      if (!webhookSecret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not set, so Stripe webhooks cannot be verified');
+      }
+      if (!Buffer.isBuffer(body) && typeof body !== 'string') {
+        throw new Error('Webhook body was parsed before it could be verified');
+      }
+      const event = client.webhooks.constructEvent(body, headers['stripe-signature'], webhookSecret);
+
+      const intent = event.data.object;
+      const type = WEBHOOK_TYPES[event.type] || null;
+
+      return { id: event.id, type, paymentId: type ? intent.id : null, raw: event };
+    }
+  };
+}
+
+module.exports = { createStripeProvider };
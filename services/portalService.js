@@ -0,0 +1,28 @@
+// portalService.js
+// ------------------------------------------------------------
+// Client self-service portal links
+// - PORTAL_URL            page on the frontend that reads ?token=
+// - PORTAL_LINK_TTL_DAYS  how long an emailed link stays valid (default 30)
+// ------------------------------------------------------------
+
+const { signToken } = require('./tokenService');
+
+const PORTAL_URL = process.env.PORTAL_URL || 'https://www.cocoacode.dev/booking-portal';
+const PORTAL_LINK_TTL_DAYS = Number(process.env.PORTAL_LINK_TTL_DAYS) || 30;
+
+const PORTAL_PURPOSE = 'portal';
+
+function createPortalToken(project) {
+  return signToken(PORTAL_PURPOSE, { cid: project.clientId, pid: project.id }, PORTAL_LINK_TTL_DAYS * 24 * 60 * 60);
+}
+
+function createPortalLink(project) {
+  return `${PORTAL_URL}?token=${encodeURIComponent(createPortalToken(project))}`;
+}
+
+module.exports = {
+  PORTAL_PURPOSE,
+  PORTAL_LINK_TTL_DAYS,
+  createPortalToken,
+  createPortalLink
+};
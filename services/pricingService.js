@@ -0,0 +1,194 @@
+// pricingService.js
+// ------------------------------------------------------------
+// Server-side pricing for bookings
+// - Prices come from config/pricing.js, never from the browser
+// - Works in cents internally so totals never pick up float drift
+// - calculatePrice() returns the breakdown stored on Project.priceBreakdown
+// - applyDiscount() adds a promo code line on top of a breakdown
+// ------------------------------------------------------------
+
+const catalog = require('../config/pricing');
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+  return Number((cents / 100).toFixed(2));
+}
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function pricingError(message, extra = {}) {
+  const error = new Error(message);
+  error.status = 400;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Accepts "seo-setup", { id: 'seo-setup' }, { key: ... } or { name: 'SEO Setup', quantity: 2 }
+function resolveItem(item) {
+  const ref = typeof item === 'string' ? { id: item } : (item || {});
+  const candidates = [ref.id, ref.key, ref.service, ref.name].filter(Boolean).map(slugify);
+
+  const id = Object.keys(catalog.addOns).find(key =>
+    candidates.includes(key) || candidates.includes(slugify(catalog.addOns[key].name))
+  );
+  if (!id) {
+    throw pricingError(`Unknown item "${ref.id || ref.key || ref.name || ref.service || JSON.stringify(item)}"`, {
+      availableItems: Object.keys(catalog.addOns)
+    });
+  }
+
+  const quantity = ref.quantity === undefined ? 1 : parseInt(ref.quantity, 10);
+  if (isNaN(quantity) || quantity < 1 || quantity > 100) {
+    throw pricingError(`Invalid quantity for "${id}"`);
+  }
+
+  return { id, quantity };
+}
+
+/**
+ * Price a booking from the catalog.
+ * @param {object} input { projectType, items, rush }
+ * @returns {object} breakdown with line items and totals in dollars
+ */
+function calculatePrice({ projectType = 'custom', items = [], rush = false } = {}) {
+  const type = catalog.projectTypes[projectType];
+  if (!type) {
+    throw pricingError(`Unknown project type "${projectType}"`, {
+      availableTypes: Object.keys(catalog.projectTypes)
+    });
+  }
+  if (!Array.isArray(items)) {
+    throw pricingError('items must be an array');
+  }
+
+  const lines = [{
+    kind: 'base',
+    id: projectType,
+    name: type.name,
+    quantity: 1,
+    unitPrice: type.price,
+    amount: type.price
+  }];
+
+  // Merge repeated items so the same add-on cannot appear twice
+  const quantities = {};
+  items.map(resolveItem).forEach(({ id, quantity }) => {
+    quantities[id] = (quantities[id] || 0) + quantity;
+  });
+
+  let addOnsCents = 0;
+  Object.keys(quantities).forEach(id => {
+    const addOn = catalog.addOns[id];
+    const amountCents = toCents(addOn.price) * quantities[id];
+    addOnsCents += amountCents;
+    lines.push({
+      kind: 'addon',
+      id,
+      name: addOn.name,
+      quantity: quantities[id],
+      unitPrice: addOn.price,
+      amount: fromCents(amountCents)
+    });
+  });
+
+  const baseCents = toCents(type.price);
+  const subtotalCents = baseCents + addOnsCents;
+  const rushCents = rush ? Math.round(subtotalCents * catalog.rushFeePercent / 100) : 0;
+
+  if (rushCents) {
+    lines.push({
+      kind: 'rush',
+      id: 'rush',
+      name: `Rush Fee (${catalog.rushFeePercent}%)`,
+      quantity: 1,
+      unitPrice: fromCents(rushCents),
+      amount: fromCents(rushCents)
+    });
+  }
+
+  return {
+    catalogVersion: catalog.version,
+    currency: catalog.currency,
+    projectType,
+    rush: Boolean(rush),
+    lines,
+    basePrice: fromCents(baseCents),
+    addOnsTotal: fromCents(addOnsCents),
+    rushFee: fromCents(rushCents),
+    subtotal: fromCents(subtotalCents),
+    total: fromCents(subtotalCents + rushCents)
+  };
+}
+
+/**
+ * Apply a promo discount to a calculatePrice() breakdown.
+ * Percent discounts apply to the total (rush fee included); fixed
+ * discounts never take the total below zero.
+ * @param {object} breakdown from calculatePrice()
+ * @param {object} discount  { code, type: 'percent' | 'fixed', value }
+ */
+function applyDiscount(breakdown, { code, type, value }) {
+  const beforeCents = toCents(breakdown.total);
+  const discountCents = Math.min(
+    type === 'percent' ? Math.round(beforeCents * Number(value) / 100) : toCents(value),
+    beforeCents
+  );
+  const label = type === 'percent' ? `${Number(value)}% off` : `$${fromCents(toCents(value))} off`;
+
+  return {
+    ...breakdown,
+    lines: [...breakdown.lines, {
+      kind: 'discount',
+      id: code,
+      name: `Promo ${code} (${label})`,
+      quantity: 1,
+      unitPrice: -fromCents(discountCents),
+      amount: -fromCents(discountCents)
+    }],
+    discount: {
+      code,
+      type,
+      value: Number(value),
+      amount: fromCents(discountCents)
+    },
+    total: fromCents(beforeCents - discountCents)
+  };
+}
+
+// Line items in the shape Project.items and the receipt emails expect
+function toProjectItems(breakdown) {
+  return breakdown.lines
+    .filter(line => line.kind === 'addon')
+    .map(line => ({
+      id: line.id,
+      name: line.name,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      price: line.amount
+    }));
+}
+
+// Submitted totals may be numbers or strings like "1,299.00"
+function totalsMatch(submitted, computed) {
+  const parsed = parseFloat(String(submitted).replace(/[^0-9.-]/g, ''));
+  return !isNaN(parsed) && toCents(parsed) === toCents(computed);
+}
+
+module.exports = {
+  catalog,
+  toCents,
+  fromCents,
+  calculatePrice,
+  applyDiscount,
+  toProjectItems,
+  totalsMatch
+};
@@ -0,0 +1,260 @@
+// progressService.js
+// ------------------------------------------------------------
+// Milestones and progress updates for a project
+// - Milestones are the plan: title, due date, planned → in_progress →
+//   completed
+// - Progress updates are the story: notes plus photos / screenshots
+//   (stored as Attachments with category 'progress'), optionally tied to a
+//   milestone
+// - Updates start as drafts; publishing one emails the client and puts it
+//   on the timeline they see in the portal
+// ------------------------------------------------------------
+
+const { createPortalLink } = require('./portalService');
+const { serializeAttachment } = require('./attachmentService');
+
+const MILESTONE_STATUSES = ['planned', 'in_progress', 'completed'];
+
+function progressError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function readDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(Date.parse(value))) {
+    throw progressError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return String(value);
+}
+
+// ---- Milestones ----
+
+function readMilestoneInput(body = {}) {
+  const attrs = {};
+  ['title', 'description', 'notes', 'sortOrder'].forEach(field => {
+    if (body[field] !== undefined) attrs[field] = body[field];
+  });
+  if (attrs.title !== undefined && !String(attrs.title).trim()) {
+    throw progressError('title cannot be empty');
+  }
+  const dueDate = readDate(body.dueDate, 'dueDate');
+  if (dueDate !== undefined) attrs.dueDate = dueDate;
+
+  if (body.status !== undefined) {
+    if (!MILESTONE_STATUSES.includes(body.status)) {
+      throw progressError(`status must be one of: ${MILESTONE_STATUSES.join(', ')}`);
+    }
+    attrs.status = body.status;
+  }
+  if (body.completed !== undefined) {
+    attrs.status = body.completed === true || body.completed === 'true' ? 'completed' : 'in_progress';
+  }
+  return attrs;
+}
+
+async function createMilestone(project, body = {}) {
+  const { Milestone } = require('../models');
+  const attrs = readMilestoneInput(body);
+  if (!attrs.title) throw progressError('title is required');
+
+  if (attrs.sortOrder === undefined) {
+    attrs.sortOrder = (await Milestone.max('sortOrder', { where: { projectId: project.id } }) || 0) + 1;
+  }
+  if (attrs.status === 'completed') attrs.completedAt = new Date();
+
+  const milestone = await Milestone.create({ ...attrs, projectId: project.id });
+  console.log(`🗺️ Milestone ${milestone.id} added to project ${project.id}`);
+  return milestone;
+}
+
+async function updateMilestone(milestone, body = {}) {
+  const attrs = readMilestoneInput(body);
+  if (attrs.status && attrs.status !== milestone.status) {
+    attrs.completedAt = attrs.status === 'completed' ? new Date() : null;
+  }
+  await milestone.update(attrs);
+  return milestone;
+}
+
+// ---- Progress updates ----
+
+async function createUpdate(project, body = {}, { createdBy = 'admin' } = {}) {
+  const { Milestone, ProgressUpdate } = require('../models');
+  if (!body.title || !String(body.title).trim()) {
+    throw progressError('title is required');
+  }
+
+  let milestoneId = null;
+  if (body.milestoneId) {
+    const milestone = await Milestone.findOne({ where: { id: body.milestoneId, projectId: project.id } });
+    if (!milestone) throw progressError('Milestone not found on this project', 404);
+    milestoneId = milestone.id;
+  }
+
+  const update = await ProgressUpdate.create({
+    projectId: project.id,
+    milestoneId,
+    title: body.title,
+    body: body.body || body.notes || null,
+    createdBy
+  });
+  console.log(`📸 Progress update ${update.id} drafted for project ${project.id}`);
+  return update;
+}
+
+async function editUpdate(update, body = {}) {
+  const { Milestone } = require('../models');
+  if (update.status === 'published') {
+    throw progressError('Published updates cannot be edited', 409);
+  }
+
+  const attrs = {};
+  if (body.title !== undefined) {
+    if (!String(body.title).trim()) throw progressError('title cannot be empty');
+    attrs.title = body.title;
+  }
+  if (body.body !== undefined) attrs.body = body.body;
+  if (body.milestoneId !== undefined) {
+    if (body.milestoneId) {
+      const milestone = await Milestone.findOne({ where: { id: body.milestoneId, projectId: update.projectId } });
+      if (!milestone) throw progressError('Milestone not found on this project', 404);
+    }
+    attrs.milestoneId = body.milestoneId || null;
+  }
+  await update.update(attrs);
+  return update;
+}
+
+/**
+ * Publish a draft and email the client.
+ * Returns { update, emailSent }.
+ */
+async function publishUpdate(update, { project } = {}) {
+  const { Client, Milestone, Project, Attachment } = require('../models');
+  const emailService = require('./emailService');
+
+  if (update.status === 'published') {
+    throw progressError('Update is already published', 409);
+  }
+
+  project = project || await Project.findByPk(update.projectId);
+  if (['declined', 'cancelled'].includes(project.status)) {
+    throw progressError(`Cannot publish updates on a ${project.status} booking`, 409);
+  }
+
+  await update.update({ status: 'published', publishedAt: new Date() });
+  console.log(`📸 Progress update ${update.id} published on project ${project.id}`);
+
+  let emailSent = false;
+  try {
+    const [client, milestones, imageCount] = await Promise.all([
+      Client.findByPk(project.clientId),
+      Milestone.findAll({ where: { projectId: project.id }, order: [['sortOrder', 'ASC'], ['id', 'ASC']] }),
+      Attachment.count({ where: { progressUpdateId: update.id } })
+    ]);
+
+    await emailService.sendProgressUpdateEmail({
+      to: client.email,
+      client,
+      project,
+      update,
+      milestone: milestones.find(m => m.id === update.milestoneId),
+      milestones,
+      imageCount,
+      portalUrl: createPortalLink(project)
+    });
+    await update.update({ emailSentAt: new Date() });
+    emailSent = true;
+  } catch (emailError) {
+    console.warn(`⚠️ Progress update email failed for update ${update.id}:`, emailError.message);
+  }
+
+  return { update, emailSent };
+}
+
+// Clients only see images from published updates
+async function visibleToClient(attachment) {
+  const { ProgressUpdate } = require('../models');
+  if (!attachment.progressUpdateId) return true;
+  const update = await ProgressUpdate.findByPk(attachment.progressUpdateId);
+  return Boolean(update && update.status === 'published');
+}
+
+// ---- Timeline ----
+
+function serializeMilestone(milestone, { forClient = false } = {}) {
+  return {
+    id: milestone.id,
+    title: milestone.title,
+    description: milestone.description,
+    dueDate: milestone.dueDate,
+    status: milestone.status,
+    completedAt: milestone.completedAt,
+    sortOrder: milestone.sortOrder,
+    notes: forClient ? undefined : milestone.notes
+  };
+}
+
+function serializeUpdate(update, { images = [], imageUrl = serializeAttachment, forClient = false } = {}) {
+  return {
+    id: update.id,
+    milestoneId: update.milestoneId,
+    title: update.title,
+    body: update.body,
+    status: forClient ? undefined : update.status,
+    publishedAt: update.publishedAt,
+    emailSentAt: forClient ? undefined : update.emailSentAt,
+    createdBy: forClient ? undefined : update.createdBy,
+    createdAt: update.createdAt,
+    images: images.map(imageUrl)
+  };
+}
+
+/**
+ * Milestones plus updates (newest first) for a project.
+ * forClient hides drafts and internal notes; serializeImage lets the portal
+ * point image links at its own download route.
+ */
+async function buildTimeline(projectId, { forClient = false, serializeImage = serializeAttachment } = {}) {
+  const { Milestone, ProgressUpdate, Attachment } = require('../models');
+
+  const [milestones, updates] = await Promise.all([
+    Milestone.findAll({ where: { projectId }, order: [['sortOrder', 'ASC'], ['id', 'ASC']] }),
+    ProgressUpdate.findAll({
+      where: forClient ? { projectId, status: 'published' } : { projectId },
+      include: [{ model: Attachment, as: 'images' }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    })
+  ]);
+
+  const completed = milestones.filter(m => m.status === 'completed').length;
+  return {
+    progress: {
+      completed,
+      total: milestones.length,
+      percent: milestones.length ? Math.round(completed / milestones.length * 100) : 0
+    },
+    milestones: milestones.map(m => serializeMilestone(m, { forClient })),
+    updates: updates.map(u => serializeUpdate(u, {
+      images: (u.images || []).sort((a, b) => a.id - b.id),
+      imageUrl: serializeImage,
+      forClient
+    }))
+  };
+}
+
+module.exports = {
+  MILESTONE_STATUSES,
+  createMilestone,
+  updateMilestone,
+  createUpdate,
+  editUpdate,
+  publishUpdate,
+  visibleToClient,
+  serializeMilestone,
+  serializeUpdate,
+  buildTimeline
+};
@@ -0,0 +1,124 @@
+// projectStatus.js
+// ------------------------------------------------------------
+// Booking (Project) status state machine
+//
+//   pending ──► approved ──► in_progress ──► completed
+//      │            │             │
+//      ├──► declined└──► cancelled◄┘
+//      └──► cancelled
+//
+// - Every change goes through transitionProject(), which rejects illegal
+//   moves with a 409 and records a ProjectStatusHistory row
+// - projectEvents emits 'transition' after the change is committed so other
+//   subsystems can react without the routes knowing about them
+// ------------------------------------------------------------
+
+const EventEmitter = require('events');
+
+const STATUSES = ['pending', 'approved', 'declined', 'in_progress', 'completed', 'cancelled'];
+
+const TRANSITIONS = {
+  pending: ['approved', 'declined', 'cancelled'],
+  approved: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  declined: [],
+  cancelled: []
+};
+
+const projectEvents = new EventEmitter();
+
+function allowedTransitions(fromStatus) {
+  return TRANSITIONS[fromStatus] || [];
+}
+
+function canTransition(fromStatus, toStatus) {
+  return allowedTransitions(fromStatus).includes(toStatus);
+}
+
+function invalidTransitionError(fromStatus, toStatus) {
+  const error = new Error(`Cannot change booking status from '${fromStatus}' to '${toStatus}'`);
+  error.status = 409;
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.from = fromStatus;
+  error.to = toStatus;
+  error.allowed = allowedTransitions(fromStatus);
+  return error;
+}
+
+/**
+ * Move a project to a new status and record who did it and why.
+ * Pass `transaction` to make the change part of a larger unit of work;
+ * listeners are then notified once that transaction commits.
+ */
+async function transitionProject(project, toStatus, { changedBy = 'system', reason = null, transaction } = {}) {
+  const { sequelize, Project, ProjectStatusHistory } = require('../models');
+
+  if (!STATUSES.includes(toStatus)) {
+    const error = new Error(`Unknown booking status '${toStatus}'`);
+    error.status = 400;
+    throw error;
+  }
+
+  const apply = async (t) => {
+    // Re-read under lock so concurrent admins cannot both move the same booking
+    const current = await Project.findByPk(project.id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!current) {
+      const error = new Error('Booking not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const fromStatus = current.status;
+    if (!canTransition(fromStatus, toStatus)) {
+      throw invalidTransitionError(fromStatus, toStatus);
+    }
+
+    await current.update({ status: toStatus }, { transaction: t });
+    const entry = await ProjectStatusHistory.create({
+      projectId: current.id,
+      fromStatus,
+      toStatus,
+      changedBy: changedBy || 'system',
+      reason
+    }, { transaction: t });
+
+    return { fromStatus, entry };
+  };
+
+  let result;
+  if (transaction) {
+    result = await apply(transaction);
+  } else {
+    result = await sequelize.transaction(apply);
+  }
+
+  project.status = toStatus;
+  console.log(`🔁 Project ${project.id}: ${result.fromStatus} -> ${toStatus} (by ${changedBy || 'system'})`);
+
+  const payload = { project, from: result.fromStatus, to: toStatus, changedBy, reason };
+  const notify = () => {
+    try {
+      projectEvents.emit('transition', payload);
+    } catch (listenerError) {
+      console.error('⚠️ Status transition listener failed:', listenerError.message);
+    }
+  };
+
+  if (transaction) {
+    transaction.afterCommit(notify);
+  } else {
+    notify();
+  }
+
+  return result.entry;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  projectEvents,
+  allowedTransitions,
+  canTransition,
+  transitionProject
+};
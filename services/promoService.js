@@ -0,0 +1,197 @@
+// promoService.js
+// ------------------------------------------------------------
+// Promo codes for launch discounts and referrals
+// - A code is usable when it is active, inside its start/expiry window,
+//   eligible for the project type and under its total and per-client caps
+// - Redeeming records a PromoRedemption against the booking; redemptions
+//   for bookings that are later declined or cancelled are released so they
+//   stop counting towards the caps
+// ------------------------------------------------------------
+
+const { projectEvents } = require('./projectStatus');
+
+function promoError(message, reason, promoCode) {
+  const error = new Error(message);
+  error.status = 422;
+  error.promoCode = promoCode;
+  error.reason = reason;
+  return error;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// The part of a code the pricing engine needs
+function discountFor(promo) {
+  return { code: promo.code, type: promo.discountType, value: Number(promo.discountValue) };
+}
+
+async function countRedemptions(where, transaction) {
+  const { PromoRedemption } = require('../models');
+  return PromoRedemption.count({ where: { ...where, status: 'applied' }, transaction });
+}
+
+/**
+ * Find a code and check it can be used for this booking.
+ * Pass clientId (or clientEmail) to enforce the per-client limit, and a
+ * transaction to lock the code while the booking is created.
+ * Throws a 422 with `reason` when the code cannot be used.
+ */
+async function findUsablePromo(code, { projectType, clientId, clientEmail, transaction } = {}) {
+  const { Client, PromoCode } = require('../models');
+  const normalized = normalizeCode(code);
+
+  const promo = normalized && await PromoCode.findOne({
+    where: { code: normalized },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!promo || !promo.active) {
+    throw promoError(`Promo code "${normalized}" is not valid`, 'not_found', normalized);
+  }
+
+  const now = new Date();
+  if (promo.startsAt && promo.startsAt > now) {
+    throw promoError(`Promo code "${normalized}" is not active yet`, 'not_started', normalized);
+  }
+  if (promo.expiresAt && promo.expiresAt <= now) {
+    throw promoError(`Promo code "${normalized}" has expired`, 'expired', normalized);
+  }
+
+  const eligible = promo.eligibleProjectTypes;
+  if (eligible && !eligible.includes(projectType)) {
+    throw promoError(`Promo code "${normalized}" does not apply to ${projectType} projects`, 'ineligible_project_type', normalized);
+  }
+
+  if (promo.maxRedemptions && await countRedemptions({ promoCodeId: promo.id }, transaction) >= promo.maxRedemptions) {
+    throw promoError(`Promo code "${normalized}" has been fully redeemed`, 'exhausted', normalized);
+  }
+
+  if (!clientId && clientEmail) {
+    const client = await Client.findOne({ where: { email: clientEmail }, transaction });
+    clientId = client && client.id;
+  }
+  if (clientId && promo.perClientLimit &&
+      await countRedemptions({ promoCodeId: promo.id, clientId }, transaction) >= promo.perClientLimit) {
+    throw promoError(`You have already used promo code "${normalized}"`, 'client_limit', normalized);
+  }
+
+  return promo;
+}
+
+async function redeemPromo(promo, { clientId, projectId, discountAmount, transaction }) {
+  const { PromoRedemption } = require('../models');
+  const redemption = await PromoRedemption.create({
+    promoCodeId: promo.id,
+    clientId,
+    projectId,
+    discountAmount
+  }, { transaction });
+
+  console.log(`🏷️ Promo ${promo.code} redeemed on project ${projectId} (-$${discountAmount})`);
+  return redemption;
+}
+
+async function releaseRedemptions(projectId) {
+  const { PromoRedemption } = require('../models');
+  const [count] = await PromoRedemption.update({ status: 'released' }, {
+    where: { projectId, status: 'applied' }
+  });
+  if (count) console.log(`🏷️ Released ${count} promo redemption(s) for project ${projectId}`);
+  return count;
+}
+
+// Declined and cancelled bookings give their redemption back
+function watchProjectEvents() {
+  projectEvents.on('transition', ({ project, to }) => {
+    if (!['declined', 'cancelled'].includes(to) || !project.promoCode) return;
+    releaseRedemptions(project.id).catch(error => {
+      console.error(`❌ Releasing promo redemption for project ${project.id} failed:`, error.message);
+    });
+  });
+}
+
+// Admin input -> PromoCode attributes
+function readPromoInput(body = {}, { partial = false } = {}) {
+  const attrs = {};
+  const fields = ['code', 'description', 'discountType', 'discountValue', 'startsAt', 'expiresAt',
+    'maxRedemptions', 'perClientLimit', 'eligibleProjectTypes', 'active'];
+  fields.forEach(field => {
+    if (body[field] !== undefined) attrs[field] = body[field] === '' ? null : body[field];
+  });
+
+  if (!partial) {
+    if (!attrs.code) throw promoError('code is required', 'invalid');
+    if (!attrs.discountType) throw promoError('discountType is required (percent or fixed)', 'invalid');
+    if (attrs.discountValue === undefined) throw promoError('discountValue is required', 'invalid');
+  }
+  if (attrs.discountType !== undefined && !['percent', 'fixed'].includes(attrs.discountType)) {
+    throw promoError('discountType must be percent or fixed', 'invalid');
+  }
+  if (attrs.discountValue !== undefined) {
+    const value = Number(attrs.discountValue);
+    const type = attrs.discountType;
+    if (isNaN(value) || value <= 0 || (type === 'percent' && value > 100)) {
+      throw promoError('discountValue must be a positive amount (percentages at most 100)', 'invalid');
+    }
+  }
+  if (attrs.eligibleProjectTypes !== undefined && attrs.eligibleProjectTypes !== null) {
+    const { catalog } = require('./pricingService');
+    const types = Array.isArray(attrs.eligibleProjectTypes)
+      ? attrs.eligibleProjectTypes
+      : String(attrs.eligibleProjectTypes).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = types.filter(t => !catalog.projectTypes[t]);
+    if (unknown.length) {
+      throw promoError(`Unknown project type(s): ${unknown.join(', ')}`, 'invalid');
+    }
+    attrs.eligibleProjectTypes = types;
+  }
+  return attrs;
+}
+
+async function serializePromo(promo, { withRedemptions = false } = {}) {
+  const { PromoRedemption } = require('../models');
+  const result = {
+    id: promo.id,
+    code: promo.code,
+    description: promo.description,
+    discountType: promo.discountType,
+    discountValue: promo.discountValue,
+    startsAt: promo.startsAt,
+    expiresAt: promo.expiresAt,
+    maxRedemptions: promo.maxRedemptions,
+    perClientLimit: promo.perClientLimit,
+    eligibleProjectTypes: promo.eligibleProjectTypes,
+    active: promo.active,
+    redemptionCount: await countRedemptions({ promoCodeId: promo.id }),
+    createdAt: promo.createdAt
+  };
+
+  if (withRedemptions) {
+    const redemptions = await PromoRedemption.findAll({
+      where: { promoCodeId: promo.id },
+      order: [['createdAt', 'DESC']]
+    });
+    result.redemptions = redemptions.map(r => ({
+      id: r.id,
+      clientId: r.clientId,
+      projectId: r.projectId,
+      discountAmount: r.discountAmount,
+      status: r.status,
+      createdAt: r.createdAt
+    }));
+  }
+  return result;
+}
+
+module.exports = {
+  normalizeCode,
+  discountFor,
+  findUsablePromo,
+  redeemPromo,
+  releaseRedemptions,
+  watchProjectEvents,
+  readPromoInput,
+  serializePromo
+};
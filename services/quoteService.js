@@ -0,0 +1,380 @@
+// quoteService.js
+// ------------------------------------------------------------
+// Custom quotes for leads who need a price before they book
+// - Admin drafts a quote with line items, validity date and terms, then
+//   sends it; the email carries a signed link to view and respond
+// - Line items may reference catalog ids (priced from config/pricing.js
+//   unless a unitPrice is given) or be free-form custom lines
+// - Accepting creates a pending Project prefilled from the quote
+//
+// - QUOTE_URL          frontend page that reads ?token=
+// - QUOTE_VALID_DAYS   default validity for new quotes (default 30)
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const { signToken, verifyToken } = require('./tokenService');
+const { catalog, toCents, fromCents } = require('./pricingService');
+const { checkMonth, normalizeMonth } = require('./availabilityService');
+
+const QUOTE_URL = process.env.QUOTE_URL || 'https://www.cocoacode.dev/quote';
+const QUOTE_VALID_DAYS = Number(process.env.QUOTE_VALID_DAYS) || 30;
+const QUOTE_PURPOSE = 'quote';
+
+const DEFAULT_TERMS = [
+  'Prices are in AUD and include GST.',
+  'This quote is valid until the date shown.',
+  'Accepting the quote creates a booking request; work is scheduled once it is approved and paid.'
+].join('\n');
+
+// Fields an admin may change while a quote is still a draft
+const EDITABLE_FIELDS = ['title', 'projectType', 'lines', 'validUntil', 'terms', 'notes', 'bookingMonth'];
+
+function quoteError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function quoteNumber(quote) {
+  return `Q-${String(quote.id).padStart(5, '0')}`;
+}
+
+function todayKey() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function defaultValidUntil() {
+  return new Date(Date.now() + QUOTE_VALID_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function isExpired(quote) {
+  return String(quote.validUntil) < todayKey();
+}
+
+// Normalise submitted lines and total them in cents
+function buildLines(projectType, lines) {
+  if (!catalog.projectTypes[projectType]) {
+    throw quoteError(`Unknown project type "${projectType}"`, 400, {
+      availableTypes: Object.keys(catalog.projectTypes)
+    });
+  }
+
+  // No lines means the standard package price for the project type
+  const input = Array.isArray(lines) && lines.length ? lines : [{ id: projectType }];
+
+  let totalCents = 0;
+  const built = input.map((line, index) => {
+    const ref = typeof line === 'string' ? { id: line } : (line || {});
+    const type = ref.id === projectType ? catalog.projectTypes[projectType] : null;
+    const addOn = ref.id ? catalog.addOns[ref.id] : null;
+    const catalogItem = type || addOn;
+
+    if (ref.id && !catalogItem && ref.unitPrice === undefined) {
+      throw quoteError(`Line ${index + 1}: unknown catalog item "${ref.id}" - give a unitPrice for custom lines`);
+    }
+
+    const name = ref.name || (catalogItem && catalogItem.name);
+    if (!name) throw quoteError(`Line ${index + 1}: name is required`);
+
+    const quantity = ref.quantity === undefined ? 1 : parseInt(ref.quantity, 10);
+    if (isNaN(quantity) || quantity < 1 || quantity > 1000) {
+      throw quoteError(`Line ${index + 1}: invalid quantity`);
+    }
+
+    const unitPrice = ref.unitPrice === undefined ? catalogItem.price : Number(ref.unitPrice);
+    if (isNaN(unitPrice) || unitPrice < 0) {
+      throw quoteError(`Line ${index + 1}: invalid unitPrice`);
+    }
+
+    const amountCents = toCents(unitPrice) * quantity;
+    totalCents += amountCents;
+    return {
+      kind: type ? 'base' : (addOn ? 'addon' : 'custom'),
+      id: ref.id || `custom-${index + 1}`,
+      name: String(name).slice(0, 200),
+      description: ref.description ? String(ref.description).slice(0, 1000) : null,
+      quantity,
+      unitPrice: fromCents(toCents(unitPrice)),
+      amount: fromCents(amountCents)
+    };
+  });
+
+  return { lines: built, total: fromCents(totalCents) };
+}
+
+function readValidUntil(value) {
+  if (value === undefined || value === null || value === '') return defaultValidUntil();
+  const match = String(value).match(/^\d{4}-\d{2}-\d{2}/);
+  if (!match || isNaN(Date.parse(match[0]))) {
+    throw quoteError('validUntil must be a date like 2025-09-30');
+  }
+  if (match[0] < todayKey()) {
+    throw quoteError('validUntil cannot be in the past');
+  }
+  return match[0];
+}
+
+function readBookingMonth(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const monthKey = normalizeMonth(value);
+  if (!monthKey) {
+    throw quoteError(`Unrecognised month "${value}" - use YYYY-MM or "Month YYYY"`);
+  }
+  return monthKey;
+}
+
+/**
+ * Draft a quote. The client is found by clientId or by clientEmail
+ * (created with clientName if new).
+ */
+async function createQuote(body = {}, { createdBy = 'admin' } = {}) {
+  const { Client, Quote } = require('../models');
+
+  let client;
+  if (body.clientId) {
+    client = await Client.findByPk(body.clientId);
+    if (!client) throw quoteError('Client not found', 404);
+  } else {
+    if (!body.clientEmail || !body.clientName) {
+      throw quoteError('clientId, or clientName and clientEmail, are required');
+    }
+    [client] = await Client.findOrCreate({
+      where: { email: body.clientEmail },
+      defaults: { name: body.clientName, email: body.clientEmail }
+    });
+  }
+
+  const projectType = body.projectType || 'custom';
+  const { lines, total } = buildLines(projectType, body.lines || body.items);
+
+  const quote = await Quote.create({
+    clientId: client.id,
+    title: body.title || `${catalog.projectTypes[projectType].name} quote`,
+    projectType,
+    lines,
+    total,
+    currency: catalog.currency,
+    validUntil: readValidUntil(body.validUntil),
+    terms: body.terms || DEFAULT_TERMS,
+    notes: body.notes || null,
+    bookingMonth: readBookingMonth(body.bookingMonth),
+    createdBy
+  });
+
+  quote.client = client;
+  console.log(`🧾 Quote ${quoteNumber(quote)} drafted for client ${client.id} ($${total})`);
+  return quote;
+}
+
+async function updateQuote(quote, body = {}) {
+  if (quote.status !== 'draft') {
+    throw quoteError(`Only draft quotes can be edited (this one is ${quote.status})`, 409);
+  }
+
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+  if (!Object.keys(updates).length) {
+    throw quoteError('Nothing to update', 400, { editableFields: EDITABLE_FIELDS });
+  }
+
+  if (updates.lines !== undefined || updates.projectType !== undefined) {
+    const built = buildLines(updates.projectType || quote.projectType, updates.lines || quote.lines);
+    updates.lines = built.lines;
+    updates.total = built.total;
+  }
+  if (updates.validUntil !== undefined) updates.validUntil = readValidUntil(updates.validUntil);
+  if (updates.bookingMonth !== undefined) updates.bookingMonth = readBookingMonth(updates.bookingMonth);
+
+  await quote.update(updates);
+  return quote;
+}
+
+// Signed link valid until the end of the quote's last valid day
+function createQuoteLink(quote) {
+  const expiresAt = Date.parse(`${quote.validUntil}T23:59:59Z`);
+  const ttlSeconds = Math.max(Math.floor((expiresAt - Date.now()) / 1000), 60);
+  const token = signToken(QUOTE_PURPOSE, { qid: quote.id, cid: quote.clientId }, ttlSeconds);
+  return `${QUOTE_URL}?token=${encodeURIComponent(token)}`;
+}
+
+// Mark a draft (or re-send a sent) quote; returns the link to email
+async function markSent(quote) {
+  if (!['draft', 'sent'].includes(quote.status)) {
+    throw quoteError(`A ${quote.status} quote cannot be sent`, 409);
+  }
+  if (isExpired(quote)) {
+    throw quoteError('This quote has passed its validity date - extend validUntil first', 409);
+  }
+
+  await quote.update({ status: 'sent', sentAt: new Date() });
+  return createQuoteLink(quote);
+}
+
+async function quoteFromToken(token, { transaction } = {}) {
+  const { Client, Quote } = require('../models');
+  const payload = verifyToken(token, QUOTE_PURPOSE);
+
+  const quote = await Quote.findByPk(payload.qid, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!quote || quote.clientId !== payload.cid) {
+    throw quoteError('Quote not found', 404);
+  }
+  quote.client = await Client.findByPk(quote.clientId, { transaction });
+  return quote;
+}
+
+// Pass the transaction the quote was locked in - an update outside it
+// would wait on our own lock
+async function assertOpen(quote, { transaction } = {}) {
+  if (quote.status === 'sent' && isExpired(quote)) {
+    await quote.update({ status: 'expired' }, { transaction });
+  }
+  if (quote.status !== 'sent') {
+    throw quoteError(`This quote is ${quote.status} and can no longer be answered`, quote.status === 'expired' ? 410 : 409, {
+      quoteStatus: quote.status,
+      projectId: quote.projectId
+    });
+  }
+}
+
+// Project fields prefilled from the quote
+function projectFromQuote(quote) {
+  const baseCents = quote.lines
+    .filter(line => line.kind === 'base')
+    .reduce((sum, line) => sum + toCents(line.amount), 0);
+  const totalCents = toCents(quote.total);
+
+  return {
+    clientId: quote.clientId,
+    projectType: quote.projectType,
+    specifications: [quote.title, quote.notes].filter(Boolean).join('\n\n'),
+    websiteType: 'other',
+    basePrice: fromCents(baseCents),
+    totalPrice: quote.total,
+    priceBreakdown: {
+      catalogVersion: catalog.version,
+      currency: quote.currency,
+      projectType: quote.projectType,
+      quoteId: quote.id,
+      rush: false,
+      lines: quote.lines,
+      basePrice: fromCents(baseCents),
+      addOnsTotal: fromCents(totalCents - baseCents),
+      rushFee: 0,
+      subtotal: quote.total,
+      total: quote.total
+    },
+    items: quote.lines
+      .filter(line => line.kind !== 'base')
+      .map(line => ({
+        id: line.id,
+        name: line.name,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        price: line.amount
+      })),
+    bookingMonth: quote.bookingMonth,
+    status: 'pending'
+  };
+}
+
+/**
+ * Client accepts through the emailed link.
+ * Returns { quote, project }.
+ */
+async function acceptQuote(token, { note = null } = {}) {
+  const { sequelize, Project } = require('../models');
+
+  // Checked (and marked expired) before the transaction too, since
+  // the 410 below would roll the expiry back
+  await assertOpen(await quoteFromToken(token));
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const quote = await quoteFromToken(token, { transaction });
+    await assertOpen(quote, { transaction });
+
+    if (quote.bookingMonth) {
+      const availability = await checkMonth(quote.bookingMonth, { transaction });
+      if (!availability.available) {
+        throw quoteError(`${availability.label} is now fully booked - please contact us to pick another month`, 409, { availability });
+      }
+    }
+
+    const project = await Project.create(projectFromQuote(quote), { transaction });
+    await quote.update({
+      status: 'accepted',
+      respondedAt: new Date(),
+      responseNote: note,
+      projectId: project.id
+    }, { transaction });
+
+    return { quote, project };
+  });
+
+  console.log(`🧾 Quote ${quoteNumber(result.quote)} accepted -> project ${result.project.id}`);
+  return result;
+}
+
+async function rejectQuote(token, { note = null } = {}) {
+  const quote = await quoteFromToken(token);
+  await assertOpen(quote);
+
+  await quote.update({ status: 'rejected', respondedAt: new Date(), responseNote: note });
+  console.log(`🧾 Quote ${quoteNumber(quote)} rejected`);
+  return quote;
+}
+
+// Sent quotes past their validity date
+async function expireQuotes() {
+  const { Quote } = require('../models');
+  const [count] = await Quote.update({ status: 'expired' }, {
+    where: { status: 'sent', validUntil: { [Op.lt]: todayKey() } }
+  });
+  return count;
+}
+
+function serializeQuote(q) {
+  return {
+    id: q.id,
+    number: quoteNumber(q),
+    title: q.title,
+    status: q.status,
+    projectType: q.projectType,
+    lines: q.lines,
+    total: q.total,
+    currency: q.currency,
+    validUntil: q.validUntil,
+    terms: q.terms,
+    notes: q.notes,
+    bookingMonth: q.bookingMonth,
+    sentAt: q.sentAt,
+    respondedAt: q.respondedAt,
+    responseNote: q.responseNote,
+    projectId: q.projectId,
+    createdAt: q.createdAt,
+    client: q.client
+      ? { id: q.client.id, name: q.client.name, email: q.client.email }
+      : undefined
+  };
+}
+
+module.exports = {
+  QUOTE_PURPOSE,
+  DEFAULT_TERMS,
+  quoteNumber,
+  buildLines,
+  createQuote,
+  updateQuote,
+  markSent,
+  createQuoteLink,
+  quoteFromToken,
+  acceptQuote,
+  rejectQuote,
+  expireQuotes,
+  serializeQuote
+};
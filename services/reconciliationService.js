@@ -0,0 +1,458 @@
+// reconciliationService.js
+// ------------------------------------------------------------
+// Compare Stripe with our Payment rows for a date range
+// - Pages through the PaymentIntents and charges Stripe created in the
+//   range, plus every Stripe payment of ours still waiting on Stripe
+//   (however old), and records a ReconciliationReport of every mismatch:
+//     missing_payment    money taken with no Payment row pointing at it
+//     missing_in_stripe  our row points at a PaymentIntent Stripe doesn't
+//                        have
+//     status_drift       e.g. succeeded in Stripe, still pending here
+//     amount_mismatch    charged (or about to charge) a different amount
+//     refund_mismatch    refunded amount differs from our Refund rows
+//     dispute_mismatch   disputed in Stripe with no Dispute here
+// - With fix, whatever can be fixed safely is: payments are recorded (same
+//   receipt and invoice as a live payment), recovered rows created, stale
+//   PaymentIntents unlinked and refunds re-synced. Anything that would take
+//   money or change what the client owes by guesswork (e.g. paid here but
+//   not in Stripe) is only reported.
+// - Amount mismatches change what the client owes, so they are only fixed
+//   when asked for on top of fix (fixAmounts / --fix-amounts /
+//   RECONCILE_FIX_AMOUNTS=true): a paid row takes Stripe's amount and the
+//   rest is spread over the unpaid installments; an open PaymentIntent for
+//   the wrong amount is cancelled and unlinked
+// - Run from the admin API, `npm run reconcile` or nightly
+//   (RECONCILE_NIGHTLY=true, see runNightlyReconciliation)
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const stripe = require('../config/stripe');
+const { toCents, fromCents } = require('./pricingService');
+const { isPaid, recordPayment, rebalanceInstallments } = require('./paymentScheduleService');
+const { getProvider, providerPaymentId, findProviderPayment } = require('./payments');
+const { syncRefundsFromStripe } = require('./refundService');
+const { handlePaymentEvent } = require('./webhookEventService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 90;
+const NIGHTLY_HOUR = Number(process.env.RECONCILE_HOUR_UTC || 3);
+const NIGHTLY_LOOKBACK_DAYS = Number(process.env.RECONCILE_LOOKBACK_DAYS) || 2;
+const NIGHTLY_AUTO_FIX = process.env.RECONCILE_AUTO_FIX === 'true';
+const NIGHTLY_FIX_AMOUNTS = process.env.RECONCILE_FIX_AMOUNTS === 'true';
+
+// Unpaid statuses a Stripe PaymentIntent can still be attached to
+const WAITING_STATUSES = ['pending', 'processing'];
+
+function reconciliationError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function toUnix(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+function readDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw reconciliationError(`${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+  }
+  return date;
+}
+
+// Default: the last day
+function readRange(from, to) {
+  const end = to ? readDate(to, 'to') : new Date();
+  const start = from ? readDate(from, 'from') : new Date(end.getTime() - DAY_MS);
+  if (start >= end) {
+    throw reconciliationError('from must be before to');
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw reconciliationError(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { start, end };
+}
+
+// succeeded, processing, canceled, failed or open (still waiting on the
+// client)
+function intentOutcome(intent) {
+  if (['succeeded', 'processing', 'canceled'].includes(intent.status)) return intent.status;
+  if (intent.status === 'requires_payment_method' && intent.last_payment_error) return 'failed';
+  return 'open';
+}
+
+// Event that brings a Payment in line with the PaymentIntent
+const OUTCOME_EVENTS = {
+  succeeded: 'payment.succeeded',
+  processing: 'payment.processing',
+  canceled: 'payment.canceled',
+  failed: 'payment.failed'
+};
+
+// Whether our status already agrees with the PaymentIntent the payment
+// points at
+function statusAgrees(payment, outcome) {
+  switch (outcome) {
+    case 'succeeded': return isPaid(payment);
+    case 'processing': return payment.paymentStatus === 'processing';
+    case 'failed': return payment.paymentStatus === 'failed';
+    // Should have been unlinked when it was canceled
+    case 'canceled': return false;
+    default: return !isPaid(payment);
+  }
+}
+
+function mismatch(kind, { payment, projectId, stripeId, local, stripe: remote, message, fix }) {
+  return {
+    kind,
+    paymentId: payment ? payment.id : null,
+    projectId: payment ? payment.projectId : projectId || null,
+    stripeId,
+    local,
+    stripe: remote,
+    message,
+    fixable: Boolean(fix),
+    fixed: false,
+    fixError: null,
+    fix
+  };
+}
+
+// Money taken with no row for it: fill in the row it was meant for, or
+// record it as a one-off payment on the project
+async function recoverPayment(intent) {
+  const { Payment, Project } = require('../models');
+  const metadata = intent.metadata || {};
+
+  const intended = metadata.paymentId && await Payment.findByPk(metadata.paymentId);
+  if (intended && !isPaid(intended)) {
+    await intended.update({
+      paymentMethod: 'stripe',
+      providerPaymentId: intent.id,
+      stripePaymentId: intent.id
+    });
+    await recordPayment(intended, { source: 'reconciliation' });
+    return intended;
+  }
+
+  const projectId = metadata.projectId || (intended && intended.projectId);
+  const project = projectId && await Project.findByPk(projectId);
+  if (!project) {
+    throw new Error(`Project ${projectId || '(none)'} not found`);
+  }
+  const payment = await Payment.create({
+    projectId: project.id,
+    amount: fromCents(intent.amount_received || intent.amount),
+    paymentMethod: 'stripe',
+    paymentStatus: 'pending',
+    label: 'Payment recovered from Stripe',
+    providerPaymentId: intent.id,
+    stripePaymentId: intent.id
+  });
+  await recordPayment(payment, { source: 'reconciliation' });
+  return payment;
+}
+
+// Amount mismatch fix: Stripe's amount wins for money taken; an open
+// PaymentIntent for the wrong amount is dropped so the next create-intent
+// starts a fresh one for what is due
+async function correctAmount(intent, payment, stripeAmount) {
+  const { Project } = require('../models');
+  if (intentOutcome(intent) === 'succeeded') {
+    await payment.update({ amount: fromCents(stripeAmount) });
+    await rebalanceInstallments(await Project.findByPk(payment.projectId));
+    return;
+  }
+  await stripe.paymentIntents.cancel(intent.id);
+  await payment.update({ providerPaymentId: null, stripePaymentId: null, transactionReference: null });
+}
+
+async function checkIntent(intent, payment, { fixAmounts = false } = {}) {
+  const metadata = intent.metadata || {};
+  const outcome = intentOutcome(intent);
+  payment = payment || await findProviderPayment('stripe', intent.id);
+
+  if (!payment) {
+    // Subscription invoices and anything else that isn't a project payment
+    if (!metadata.paymentId && !metadata.projectId) return null;
+    // Abandoned attempts are replaced by a new PaymentIntent - only money
+    // actually taken matters
+    if (outcome !== 'succeeded') return [];
+    return [mismatch('missing_payment', {
+      projectId: metadata.projectId ? Number(metadata.projectId) : null,
+      stripeId: intent.id,
+      local: null,
+      stripe: { status: intent.status, amount: fromCents(intent.amount_received) },
+      message: `$${fromCents(intent.amount_received).toFixed(2)} was taken in Stripe but no payment points at it`,
+      fix: () => recoverPayment(intent)
+    })];
+  }
+
+  const found = [];
+  if (!statusAgrees(payment, outcome)) {
+    const event = OUTCOME_EVENTS[outcome];
+    // Marking a paid payment unpaid would guess at refunds - report only
+    const fixable = event && !isPaid(payment);
+    found.push(mismatch('status_drift', {
+      payment,
+      stripeId: intent.id,
+      local: payment.paymentStatus,
+      stripe: intent.status,
+      message: `Payment is ${payment.paymentStatus} here but ${intent.status} in Stripe`,
+      fix: fixable ? () => handlePaymentEvent(getProvider('stripe'), {
+        type: event,
+        paymentId: intent.id
+      }) : null
+    }));
+  }
+
+  // Which side is right is a judgement call (a price change, a bad
+  // PaymentIntent, a partial capture) - only fixed with fixAmounts, and
+  // never while the money is still in flight
+  const stripeAmount = outcome === 'succeeded' ? intent.amount_received : intent.amount;
+  if (['succeeded', 'processing', 'open'].includes(outcome) && stripeAmount !== toCents(payment.amount)) {
+    found.push(mismatch('amount_mismatch', {
+      payment,
+      stripeId: intent.id,
+      local: Number(payment.amount),
+      stripe: fromCents(stripeAmount),
+      message: outcome === 'succeeded'
+        ? `Stripe took $${fromCents(stripeAmount).toFixed(2)} but the payment says $${Number(payment.amount).toFixed(2)}`
+        : `The ${outcome} PaymentIntent is for $${fromCents(stripeAmount).toFixed(2)} but $${Number(payment.amount).toFixed(2)} is due`,
+      fix: fixAmounts && outcome !== 'processing' ? () => correctAmount(intent, payment, stripeAmount) : null
+    }));
+  }
+  return found;
+}
+
+async function checkCharge(charge) {
+  const { Refund, Dispute } = require('../models');
+
+  const intentId = charge.payment_intent && (charge.payment_intent.id || charge.payment_intent);
+  const payment = intentId && await findProviderPayment('stripe', intentId);
+  // Unknown charges are covered by the PaymentIntent pass
+  if (!payment) return [];
+
+  const found = [];
+  // Card refunds only - store credit and lost disputes never touch Stripe
+  const refunds = await Refund.findAll({
+    where: {
+      paymentId: payment.id,
+      destination: 'original',
+      source: { [Op.ne]: 'dispute' },
+      status: { [Op.in]: ['pending', 'succeeded'] }
+    }
+  });
+  const refundedHere = refunds.reduce((sum, r) => sum + toCents(r.amount), 0);
+  if (refundedHere !== charge.amount_refunded) {
+    found.push(mismatch('refund_mismatch', {
+      payment,
+      stripeId: charge.id,
+      local: fromCents(refundedHere),
+      stripe: fromCents(charge.amount_refunded),
+      message: `$${fromCents(charge.amount_refunded).toFixed(2)} refunded in Stripe, $${fromCents(refundedHere).toFixed(2)} here`,
+      fix: () => syncRefundsFromStripe(intentId)
+    }));
+  }
+
+  if (charge.disputed && !(await Dispute.findOne({ where: { paymentId: payment.id } }))) {
+    found.push(mismatch('dispute_mismatch', {
+      payment,
+      stripeId: charge.id,
+      local: null,
+      stripe: 'disputed',
+      message: 'Disputed in Stripe but no dispute is recorded - check the Stripe dashboard'
+    }));
+  }
+  return found;
+}
+
+/**
+ * Validate the range and start a report. Body-style options:
+ * { from, to, fix, fixAmounts, triggeredBy } - fixAmounts only counts
+ * with fix.
+ */
+async function createReport({ from, to, fix = false, fixAmounts = false, triggeredBy = 'admin' } = {}) {
+  const { ReconciliationReport } = require('../models');
+  const { start, end } = readRange(from, to);
+  const autoFix = fix === true || fix === 'true';
+  return ReconciliationReport.create({
+    rangeStart: start,
+    rangeEnd: end,
+    autoFix,
+    fixAmounts: autoFix && (fixAmounts === true || fixAmounts === 'true'),
+    triggeredBy
+  });
+}
+
+/**
+ * Compare and (with autoFix) repair, saving the result on the report.
+ * Returns the finished report.
+ */
+async function runReport(report) {
+  const { Payment } = require('../models');
+  const created = { gte: toUnix(report.rangeStart), lt: toUnix(report.rangeEnd) };
+  const summary = { paymentIntents: 0, charges: 0, payments: 0, ignored: 0, mismatches: 0, fixed: 0, unfixed: 0 };
+  const found = [];
+  const seen = new Set();
+
+  const checkOptions = { fixAmounts: report.fixAmounts };
+
+  console.log(`🔎 Reconciling Stripe ${report.rangeStart.toISOString()} - ${report.rangeEnd.toISOString()}${report.autoFix ? ` (fixing${report.fixAmounts ? ' amounts too' : ''})` : ''}`);
+  try {
+    for await (const intent of stripe.paymentIntents.list({ created, limit: 100 })) {
+      summary.paymentIntents++;
+      seen.add(intent.id);
+      const result = await checkIntent(intent, null, checkOptions);
+      if (result === null) summary.ignored++;
+      else found.push(...result);
+    }
+
+    for await (const charge of stripe.charges.list({ created, limit: 100 })) {
+      summary.charges++;
+      found.push(...await checkCharge(charge));
+    }
+
+    // Every row still waiting on Stripe, however long ago it was last
+    // touched - its PaymentIntent may be from before the range
+    const waiting = await Payment.findAll({
+      where: {
+        paymentMethod: 'stripe',
+        paymentStatus: { [Op.in]: WAITING_STATUSES },
+        [Op.or]: [{ providerPaymentId: { [Op.ne]: null } }, { stripePaymentId: { [Op.ne]: null } }]
+      }
+    });
+    for (const payment of waiting) {
+      const intentId = providerPaymentId(payment);
+      if (seen.has(intentId)) continue;
+      summary.payments++;
+
+      let intent;
+      try {
+        intent = await stripe.paymentIntents.retrieve(intentId);
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+        found.push(mismatch('missing_in_stripe', {
+          payment,
+          stripeId: intentId,
+          local: payment.paymentStatus,
+          stripe: null,
+          message: `Stripe has no PaymentIntent ${intentId}`,
+          fix: () => payment.update({ providerPaymentId: null, stripePaymentId: null, transactionReference: null })
+        }));
+        continue;
+      }
+      found.push(...await checkIntent(intent, payment, checkOptions));
+    }
+
+    if (report.autoFix) {
+      for (const item of found) {
+        if (!item.fixable) continue;
+        try {
+          await item.fix();
+          item.fixed = true;
+        } catch (error) {
+          item.fixError = error.message;
+          console.error(`❌ Could not fix ${item.kind} for ${item.stripeId}:`, error.message);
+        }
+      }
+    }
+
+    summary.mismatches = found.length;
+    summary.fixed = found.filter(item => item.fixed).length;
+    summary.unfixed = summary.mismatches - summary.fixed;
+    await report.update({
+      status: 'completed',
+      summary,
+      mismatches: found.map(({ fix, ...item }) => item),
+      finishedAt: new Date()
+    });
+    console.log(`🔎 Reconciliation report ${report.id}: ${summary.mismatches} mismatch(es), ${summary.fixed} fixed`);
+  } catch (error) {
+    await report.update({
+      status: 'failed',
+      summary,
+      mismatches: found.map(({ fix, ...item }) => item),
+      error: error.message,
+      finishedAt: new Date()
+    });
+    console.error(`❌ Reconciliation report ${report.id} failed:`, error.message);
+  }
+  return report;
+}
+
+async function reconcileStripe(options = {}) {
+  return runReport(await createReport(options));
+}
+
+/**
+ * Called hourly by server.js when RECONCILE_NIGHTLY=true: once a day, from
+ * RECONCILE_HOUR_UTC (default 3), checks the last RECONCILE_LOOKBACK_DAYS
+ * days (fixing when RECONCILE_AUTO_FIX=true, amounts too with
+ * RECONCILE_FIX_AMOUNTS=true) and emails the admin about
+ * anything left unfixed.
+ */
+async function runNightlyReconciliation(now = new Date()) {
+  const { ReconciliationReport } = require('../models');
+  if (now.getUTCHours() < NIGHTLY_HOUR) return null;
+
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const alreadyRan = await ReconciliationReport.findOne({
+    where: { triggeredBy: 'nightly', createdAt: { [Op.gte]: today } }
+  });
+  if (alreadyRan) return null;
+
+  const report = await reconcileStripe({
+    from: new Date(now.getTime() - NIGHTLY_LOOKBACK_DAYS * DAY_MS),
+    to: now,
+    fix: NIGHTLY_AUTO_FIX,
+    fixAmounts: NIGHTLY_FIX_AMOUNTS,
+    triggeredBy: 'nightly'
+  });
+
+  const unfixed = report.mismatches.filter(item => !item.fixed);
+  if (report.status === 'failed' || unfixed.length) {
+    const emailService = require('./emailService');
+    const lines = report.status === 'failed'
+      ? [`The nightly Stripe reconciliation failed: ${report.error}`]
+      : unfixed.map(item => `${item.kind}: ${item.message} (payment ${item.paymentId || '—'}, ${item.stripeId})`);
+    try {
+      await emailService.sendAdminNotification({
+        subject: `🔎 Stripe reconciliation: ${report.status === 'failed' ? 'failed' : `${unfixed.length} mismatch(es) need a look`}`,
+        html: `${lines.map(line => `<p>${emailService.escapeHtml(line)}</p>`).join('')}<p>Report #${report.id} - GET /api/admin/reconciliation-reports/${report.id}</p>`,
+        text: [...lines, `Report #${report.id}`].join('\n')
+      });
+    } catch (emailError) {
+      console.warn('⚠️ Reconciliation notification failed:', emailError.message);
+    }
+  }
+  return report;
+}
+
+function serializeReport(report, { withMismatches = false } = {}) {
+  return {
+    id: report.id,
+    provider: report.provider,
+    rangeStart: report.rangeStart,
+    rangeEnd: report.rangeEnd,
+    status: report.status,
+    autoFix: report.autoFix,
+    fixAmounts: report.fixAmounts,
+    triggeredBy: report.triggeredBy,
+    summary: report.summary,
+    error: report.error,
+    createdAt: report.createdAt,
+    finishedAt: report.finishedAt,
+    ...(withMismatches ? { mismatches: report.mismatches } : {})
+  };
+}
+
+module.exports = {
+  createReport,
+  runReport,
+  reconcileStripe,
+  runNightlyReconciliation,
+  serializeReport
+};
@@ -0,0 +1,409 @@
+// refundService.js
+// ------------------------------------------------------------
+// Full and partial refunds of project payments
+// - Admins refund through POST /api/payments/:paymentId/refunds; the money
+//   goes back through the provider the payment was taken with
+//   (services/payments) and a Refund row records how much, why and who
+//   issued it
+// - Refunds made in the Stripe dashboard arrive with the charge.refunded
+//   webhook and are recorded the same way (source 'stripe'), matched by
+//   provider refund id under the payment row lock so overlapping webhooks
+//   record each refund once
+// - Payment.refundedAmount and the payment status (partially_refunded /
+//   refunded) are rebuilt from the Refund rows whenever one changes;
+//   pending refunds count so the same money can't be refunded twice
+// - { toCredit: true } pays the refund out as store credit instead
+//   (creditService); payments made with credit can only go back as credit
+// - A fully refunded payment's invoice is voided, and a booking that has
+//   not launched is cancelled once nothing is left paid on it
+// - A lost dispute is recorded as a refund too (recordDisputeLoss)
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const stripe = require('../config/stripe');
+const business = require('../config/business');
+const { toCents, fromCents } = require('./pricingService');
+const { transitionProject } = require('./projectStatus');
+const { isPaid, scheduleSummary } = require('./paymentScheduleService');
+const { voidInvoice } = require('./invoiceService');
+const { isProvider, getProvider, providerPaymentId, findProviderPayment } = require('./payments');
+const { creditRefund, creditBalance } = require('./creditService');
+
+const STRIPE_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+// Refunds that have taken (or are taking) money back out of a payment
+const ACTIVE_REFUND_STATUSES = ['pending', 'succeeded'];
+// Bookings a full refund cancels; launched work stays completed
+const CANCELLABLE_PROJECT_STATUSES = ['pending', 'approved', 'in_progress'];
+
+function refundError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+// Stripe refund statuses -> ours ('requires_action' is still on its way)
+function refundStatusFrom(stripeStatus) {
+  if (['succeeded', 'failed', 'canceled'].includes(stripeStatus)) return stripeStatus;
+  return 'pending';
+}
+
+function refundableAmount(payment) {
+  return fromCents(Math.max(toCents(payment.amount) - toCents(payment.refundedAmount || 0), 0));
+}
+
+/**
+ * Recompute Payment.refundedAmount and its status from the Refund rows.
+ */
+async function syncPayment(payment, { transaction } = {}) {
+  const { Refund } = require('../models');
+
+  const refunds = await Refund.findAll({
+    where: { paymentId: payment.id, status: { [Op.in]: ACTIVE_REFUND_STATUSES } },
+    transaction
+  });
+  const refundedCents = Math.min(
+    refunds.reduce((sum, r) => sum + toCents(r.amount), 0),
+    toCents(payment.amount)
+  );
+
+  // An open dispute keeps its status until disputeService closes it
+  let paymentStatus = 'completed';
+  if (payment.paymentStatus === 'disputed') paymentStatus = 'disputed';
+  else if (refundedCents >= toCents(payment.amount)) paymentStatus = 'refunded';
+  else if (refundedCents > 0) paymentStatus = 'partially_refunded';
+
+  await payment.update({ refundedAmount: fromCents(refundedCents), paymentStatus }, { transaction });
+  return payment;
+}
+
+// Void the invoice once a payment is fully refunded
+async function voidRefundedInvoice(payment) {
+  const { Invoice } = require('../models');
+  if (payment.paymentStatus !== 'refunded') return;
+
+  const invoice = await Invoice.findOne({ where: { paymentId: payment.id } });
+  if (invoice && invoice.status !== 'void') {
+    await voidInvoice(invoice);
+  }
+}
+
+// Cancel a booking that hasn't launched once every payment on it has been
+// refunded in full
+async function cancelIfFullyRefunded(project, { changedBy, reason }) {
+  const { Payment } = require('../models');
+  if (!CANCELLABLE_PROJECT_STATUSES.includes(project.status)) return;
+
+  const payments = await Payment.findAll({ where: { projectId: project.id } });
+  const paid = payments.filter(isPaid);
+  if (!paid.length || paid.some(p => p.paymentStatus !== 'refunded')) return;
+
+  try {
+    await transitionProject(project, 'cancelled', { changedBy, reason });
+  } catch (error) {
+    if (!error.status) throw error;
+    console.warn(`⚠️ Project ${project.id} left as ${project.status}: ${error.message}`);
+  }
+}
+
+/**
+ * Everything that follows a refund landing: the invoice, the booking's
+ * status and the client's email (sent once per refund).
+ */
+async function afterRefund(refund, payment, { cancelProject = true } = {}) {
+  const { Project, Client } = require('../models');
+  const emailService = require('./emailService');
+
+  if (refund.status !== 'succeeded') return { emailSent: false };
+
+  try {
+    await voidRefundedInvoice(payment);
+  } catch (invoiceError) {
+    console.error(`⚠️ Could not void the invoice for payment ${payment.id}:`, invoiceError.message);
+  }
+
+  const project = await Project.findByPk(payment.projectId, {
+    include: [{ model: Client, as: 'client' }]
+  });
+  if (cancelProject) {
+    await cancelIfFullyRefunded(project, {
+      changedBy: refund.issuedBy || refund.source,
+      reason: `Payments refunded in full${refund.reason ? `: ${refund.reason}` : ''}`
+    });
+  }
+
+  if (refund.notifiedAt) return { emailSent: false };
+  let emailSent = false;
+  try {
+    await emailService.sendRefundEmail({
+      to: project.client.email,
+      client: project.client,
+      project,
+      payment,
+      refund,
+      schedule: await scheduleSummary(project),
+      creditBalance: refund.destination === 'credit' ? await creditBalance(project.clientId) : null
+    });
+    await refund.update({ notifiedAt: new Date() });
+    emailSent = true;
+  } catch (emailError) {
+    console.error('⚠️ Refund email failed but the refund was processed:', emailError.message);
+  }
+  return { emailSent };
+}
+
+function readRefundRequest(payment, body = {}) {
+  const refundable = refundableAmount(payment);
+  const amount = body.amount === undefined || body.amount === null || body.amount === ''
+    ? refundable
+    : Number(body.amount);
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw refundError('amount must be a positive number');
+  }
+  if (toCents(amount) / 100 !== amount) {
+    throw refundError('amount cannot have more than two decimal places');
+  }
+  if (toCents(amount) > toCents(refundable)) {
+    throw refundError('Refund is more than what is left on this payment', 422, {
+      requestedAmount: amount,
+      refundableAmount: refundable
+    });
+  }
+  if (body.stripeReason && !STRIPE_REASONS.includes(body.stripeReason)) {
+    throw refundError(`stripeReason must be one of: ${STRIPE_REASONS.join(', ')}`);
+  }
+
+  return {
+    amount,
+    reason: body.reason ? String(body.reason).trim() : null,
+    stripeReason: body.stripeReason || 'requested_by_customer'
+  };
+}
+
+// Send the money back through the provider the payment was taken with
+async function refundThroughProvider(refund, payment, { issuedBy }) {
+  const provider = getProvider(payment.paymentMethod);
+  let providerRefund;
+  try {
+    providerRefund = await provider.refundPayment(providerPaymentId(payment), {
+      amount: toCents(refund.amount),
+      currency: business.currency,
+      reason: payment.paymentMethod === 'stripe' ? refund.stripeReason : refund.reason,
+      metadata: {
+        refundId: refund.id.toString(),
+        paymentId: payment.id.toString(),
+        projectId: payment.projectId.toString(),
+        issuedBy
+      },
+      idempotencyKey: `refund-${refund.id}`
+    });
+  } catch (error) {
+    await refund.update({ status: 'failed', failureReason: error.message });
+    await syncPayment(await payment.reload());
+    console.error(`❌ ${provider.label} refund for payment ${payment.id} failed:`, error.message);
+    throw refundError(`${provider.label} could not process the refund`, 502, {
+      details: error.message,
+      providerCode: error.code
+    });
+  }
+
+  await refund.update({
+    providerRefundId: providerRefund.id,
+    status: providerRefund.status,
+    failureReason: providerRefund.failureReason
+  });
+}
+
+/**
+ * Refund all (no amount) or part of a payment through its provider, or
+ * as store credit with { toCredit: true }.
+ * Returns { refund, payment, emailSent }.
+ */
+async function issueRefund(payment, body = {}, { issuedBy = 'admin' } = {}) {
+  const { sequelize, Payment, Project, Refund } = require('../models');
+
+  if (!isPaid(payment)) {
+    throw refundError('Only payments that have been received can be refunded', 409, {
+      paymentStatus: payment.paymentStatus
+    });
+  }
+  const toCredit = body.toCredit === true || body.toCredit === 'true' || payment.paymentMethod === 'credit';
+  if (!toCredit && (!isProvider(payment.paymentMethod) || !providerPaymentId(payment))) {
+    throw refundError('This payment was not taken through a payment provider', 409, {
+      paymentMethod: payment.paymentMethod
+    });
+  }
+  if (payment.paymentStatus === 'refunded') {
+    throw refundError('This payment has already been refunded in full', 409);
+  }
+  if (payment.paymentStatus === 'disputed') {
+    throw refundError('This payment is disputed - respond to the dispute in Stripe instead', 409);
+  }
+
+  // Reserve the amount first so two admins can't refund the same money
+  const refund = await sequelize.transaction(async (transaction) => {
+    const locked = await Payment.findByPk(payment.id, { transaction, lock: transaction.LOCK.UPDATE });
+    await syncPayment(locked, { transaction });
+    const request = readRefundRequest(locked, body);
+
+    const created = await Refund.create({
+      paymentId: locked.id,
+      projectId: locked.projectId,
+      ...request,
+      destination: toCredit ? 'credit' : 'original',
+      // Credit lands straight away
+      status: toCredit ? 'succeeded' : 'pending',
+      issuedBy,
+      source: 'admin'
+    }, { transaction });
+    if (toCredit) {
+      const project = await Project.findByPk(locked.projectId, { transaction });
+      await creditRefund(created, locked, project, { recordedBy: issuedBy, transaction });
+    }
+    await syncPayment(locked, { transaction });
+    return created;
+  });
+
+  if (!toCredit) {
+    await refundThroughProvider(refund, payment, { issuedBy });
+  }
+  await syncPayment(await payment.reload());
+  console.log(`💸 Refund ${refund.id} of $${Number(refund.amount).toFixed(2)} on payment ${payment.id} ${toCredit ? 'to store credit ' : ''}by ${issuedBy} (${refund.status})`);
+
+  const { emailSent } = await afterRefund(refund, payment, { cancelProject: body.cancelProject !== false });
+  return { refund, payment, emailSent };
+}
+
+/**
+ * Bring our Refund rows in line with Stripe for one PaymentIntent. Used by
+ * the charge.refunded / charge.refund.updated webhooks, so refunds made in
+ * the dashboard are recorded too.
+ */
+async function syncRefundsFromStripe(paymentIntentId) {
+  const { sequelize, Payment, Refund } = require('../models');
+
+  const payment = await findProviderPayment('stripe', paymentIntentId);
+  if (!payment) {
+    console.warn(`⚠️ Refund for unknown payment intent ${paymentIntentId}`);
+    return [];
+  }
+
+  const { data } = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+
+  // charge.refunded and charge.refund.updated often arrive together; the
+  // payment row lock makes the second webhook wait and find the rows the
+  // first one wrote instead of recording the same refund twice
+  const { refunds, changed } = await sequelize.transaction(async (transaction) => {
+    const locked = await Payment.findByPk(payment.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const refunds = [];
+    const changed = [];
+    for (const stripeRefund of data) {
+      const status = refundStatusFrom(stripeRefund.status);
+      let refund = await Refund.findOne({ where: { providerRefundId: stripeRefund.id }, transaction });
+
+      // Ours, but the webhook beat the response from refunds.create
+      if (!refund && stripeRefund.metadata && stripeRefund.metadata.refundId) {
+        refund = await Refund.findOne({
+          where: { id: stripeRefund.metadata.refundId, paymentId: locked.id, providerRefundId: null },
+          transaction
+        });
+      }
+
+      if (refund) {
+        if (refund.status === status && refund.providerRefundId === stripeRefund.id) {
+          refunds.push(refund);
+          continue;
+        }
+        await refund.update({
+          providerRefundId: stripeRefund.id,
+          status,
+          failureReason: stripeRefund.failure_reason || null
+        }, { transaction });
+      } else {
+        refund = await Refund.create({
+          paymentId: locked.id,
+          projectId: locked.projectId,
+          amount: fromCents(stripeRefund.amount),
+          stripeReason: STRIPE_REASONS.includes(stripeRefund.reason) ? stripeRefund.reason : null,
+          status,
+          providerRefundId: stripeRefund.id,
+          issuedBy: 'stripe',
+          source: 'stripe'
+        }, { transaction });
+        console.log(`💸 Refund ${stripeRefund.id} made outside the app recorded against payment ${locked.id}`);
+      }
+      refunds.push(refund);
+      changed.push(refund);
+    }
+    await syncPayment(locked, { transaction });
+    return { refunds, changed };
+  });
+
+  await payment.reload();
+  for (const refund of changed) {
+    await afterRefund(refund, payment);
+  }
+  return refunds;
+}
+
+/**
+ * Money lost to a chargeback counts as refunded: a Refund row (source
+ * 'dispute', keyed by the dispute id) is recorded once and the invoice and
+ * booking follow as for any other refund. No email - the client's bank has
+ * already told them.
+ */
+async function recordDisputeLoss(payment, dispute) {
+  const { Refund } = require('../models');
+
+  const existing = await Refund.findOne({ where: { providerRefundId: dispute.stripeDisputeId } });
+  if (existing) return existing;
+
+  await syncPayment(payment);
+  const amount = fromCents(Math.min(toCents(dispute.amount), toCents(refundableAmount(payment))));
+  if (!amount) return null;
+
+  const refund = await Refund.create({
+    paymentId: payment.id,
+    projectId: payment.projectId,
+    amount,
+    reason: `Dispute lost${dispute.reason ? ` (${dispute.reason.replace(/_/g, ' ')})` : ''}`,
+    status: 'succeeded',
+    providerRefundId: dispute.stripeDisputeId,
+    issuedBy: 'stripe',
+    source: 'dispute',
+    notifiedAt: new Date()
+  });
+  await syncPayment(payment);
+  await afterRefund(refund, payment);
+  console.log(`⚖️ $${amount.toFixed(2)} lost to dispute ${dispute.stripeDisputeId} recorded against payment ${payment.id}`);
+  return refund;
+}
+
+function serializeRefund(refund) {
+  return {
+    id: refund.id,
+    paymentId: refund.paymentId,
+    projectId: refund.projectId,
+    amount: Number(refund.amount),
+    reason: refund.reason,
+    stripeReason: refund.stripeReason,
+    status: refund.status,
+    providerRefundId: refund.providerRefundId,
+    issuedBy: refund.issuedBy,
+    source: refund.source,
+    destination: refund.destination,
+    failureReason: refund.failureReason,
+    createdAt: refund.createdAt
+  };
+}
+
+module.exports = {
+  STRIPE_REASONS,
+  refundableAmount,
+  syncPayment,
+  issueRefund,
+  syncRefundsFromStripe,
+  recordDisputeLoss,
+  serializeRefund
+};
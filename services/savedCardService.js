@@ -0,0 +1,219 @@
+// savedCardService.js
+// ------------------------------------------------------------
+// Card saved at booking, charged when the booking is approved
+// - POST /api/bookings creates the client's Stripe customer and an
+//   off-session SetupIntent; the booking form confirms it with Stripe.js
+//   using the returned clientSecret
+// - Approving the booking charges the deposit (installment 1) to that card
+//   off-session - never a later installment. Outcomes:
+//     succeeded        recorded like any other payment (receipt, invoice,
+//                      project moves to in_progress)
+//     processing       the payment_intent.* webhook finishes it
+//     requires_action  the bank wants the client to authenticate - the
+//                      PaymentIntent is left on the installment for the
+//                      portal to confirm
+//     declined         the installment is marked failed; the client pays
+//                      from the portal with another card
+//     no_card          nothing was saved - the client pays from the portal
+//     already_paid     the deposit cleared before approval - nothing is
+//                      charged and the project starts
+//     not_due          the deposit can't be taken yet (e.g. tied to a
+//                      milestone, or a payment is still processing)
+// - Declining or cancelling the booking detaches the saved card
+// ------------------------------------------------------------
+
+const stripe = require('../config/stripe');
+const { toCents } = require('./pricingService');
+const { projectEvents } = require('./projectStatus');
+const {
+  isDeposit,
+  isPaid,
+  ensureInstallments,
+  payableInstallment,
+  recordPayment,
+  startIfDepositPaid
+} = require('./paymentScheduleService');
+const { ensureCustomer } = require('./subscriptionService');
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+/**
+ * Start saving a card for a new booking.
+ * Returns { setupIntentId, clientSecret } for Stripe.js.
+ */
+async function setupSavedCard(client, project) {
+  const customerId = await ensureCustomer(client);
+
+  const setupIntent = await stripe.setupIntents.create({
+    customer: customerId,
+    usage: 'off_session',
+    payment_method_types: ['card'],
+    metadata: {
+      projectId: String(project.id),
+      clientId: String(client.id)
+    }
+  }, { idempotencyKey: `booking-setup-${project.id}` });
+
+  await project.update({ stripeSetupIntentId: setupIntent.id, stripePaymentMethodId: null });
+  console.log(`💳 SetupIntent ${setupIntent.id} created for project ${project.id}`);
+  return { setupIntentId: setupIntent.id, clientSecret: setupIntent.client_secret };
+}
+
+// The saved PaymentMethod, read from the SetupIntent the first time it has
+// succeeded. Null when the client never finished saving a card.
+async function savedPaymentMethod(project) {
+  if (project.stripePaymentMethodId) return project.stripePaymentMethodId;
+  if (!project.stripeSetupIntentId) return null;
+
+  const setupIntent = await stripe.setupIntents.retrieve(project.stripeSetupIntentId);
+  if (setupIntent.status !== 'succeeded' || !setupIntent.payment_method) return null;
+
+  const paymentMethodId = idOf(setupIntent.payment_method);
+  await project.update({ stripePaymentMethodId: paymentMethodId });
+  return paymentMethodId;
+}
+
+/**
+ * Charge the deposit to the saved card, off-session.
+ * Returns { status, paymentId, label, amount, providerPaymentId, reason }
+ * with status succeeded, processing, requires_action, declined, no_card,
+ * already_paid or not_due (see the header).
+ */
+async function chargeSavedCard(project) {
+  const { Client } = require('../models');
+
+  const deposit = (await ensureInstallments(project)).find(isDeposit);
+  if (!deposit) return { status: 'not_due', reason: 'This booking has no deposit' };
+  if (isPaid(deposit)) {
+    await startIfDepositPaid(project, [deposit]);
+    return { status: 'already_paid', paymentId: deposit.id, label: deposit.label, amount: Number(deposit.amount) };
+  }
+
+  const paymentMethodId = await savedPaymentMethod(project);
+  if (!paymentMethodId) return { status: 'no_card' };
+
+  let payment;
+  try {
+    payment = await payableInstallment(project, { paymentId: deposit.id });
+  } catch (error) {
+    if (!error.status) throw error;
+    return { status: 'not_due', reason: error.message };
+  }
+
+  const client = await Client.findByPk(project.clientId);
+  const customerId = await ensureCustomer(client);
+  const amount = toCents(payment.amount);
+
+  let intent;
+  let status;
+  let reason = null;
+  try {
+    intent = await stripe.paymentIntents.create({
+      amount,
+      currency: 'aud',
+      customer: customerId,
+      payment_method: paymentMethodId,
+      off_session: true,
+      confirm: true,
+      description: `Cocoa Code - ${payment.label} for ${project.projectType} project (${client.name})`,
+      receipt_email: client.email,
+      metadata: {
+        projectId: String(project.id),
+        paymentId: String(payment.id),
+        installment: String(payment.installment),
+        clientEmail: client.email,
+        source: 'saved_card'
+      }
+    }, { idempotencyKey: `saved-card-${payment.id}-${amount}` });
+    status = intent.status === 'succeeded' || intent.status === 'processing' ? intent.status : 'requires_action';
+  } catch (error) {
+    if (error.type !== 'StripeCardError') throw error;
+    // The failed PaymentIntent comes back on the error
+    intent = error.raw && error.raw.payment_intent;
+    status = error.code === 'authentication_required' ? 'requires_action' : 'declined';
+    reason = error.message;
+  }
+
+  await payment.update({
+    paymentMethod: 'stripe',
+    paymentStatus: status === 'declined' ? 'failed' : 'pending',
+    providerPaymentId: intent ? intent.id : null,
+    stripePaymentId: intent ? intent.id : null,
+    transactionReference: intent ? intent.client_secret || null : null
+  });
+
+  if (status === 'succeeded') {
+    await recordPayment(payment, { source: 'saved card' });
+  }
+
+  const outcome = status === 'succeeded' ? '✅ paid' : status === 'declined' ? `❌ declined (${reason})` : `⏳ ${status}`;
+  console.log(`💳 Saved card charge for project ${project.id} ${payment.label} $${payment.amount}: ${outcome}`);
+
+  return {
+    status,
+    paymentId: payment.id,
+    label: payment.label,
+    amount: Number(payment.amount),
+    providerPaymentId: intent ? intent.id : null,
+    reason
+  };
+}
+
+/**
+ * Detach the saved card (or cancel the unfinished SetupIntent).
+ * Returns true when there was something to release.
+ */
+async function releaseSavedCard(project) {
+  if (!project.stripeSetupIntentId && !project.stripePaymentMethodId) return false;
+
+  let paymentMethodId = project.stripePaymentMethodId;
+  if (!paymentMethodId) {
+    const setupIntent = await stripe.setupIntents.retrieve(project.stripeSetupIntentId);
+    paymentMethodId = idOf(setupIntent.payment_method);
+    if (!paymentMethodId && setupIntent.status !== 'canceled') {
+      await stripe.setupIntents.cancel(setupIntent.id);
+    }
+  }
+  if (paymentMethodId) {
+    await stripe.paymentMethods.detach(paymentMethodId);
+  }
+
+  await project.update({ stripeSetupIntentId: null, stripePaymentMethodId: null });
+  console.log(`🗑️ Saved card released for project ${project.id}`);
+  return true;
+}
+
+// setup_intent.succeeded - remember the card as soon as it is saved
+async function handleSetupIntentEvent(event) {
+  const { Project } = require('../models');
+  const setupIntent = event.data.object;
+
+  const project = await Project.findOne({ where: { stripeSetupIntentId: setupIntent.id } });
+  if (!project) {
+    console.warn(`⚠️ No booking found for SetupIntent ${setupIntent.id}`);
+    return;
+  }
+  await project.update({ stripePaymentMethodId: idOf(setupIntent.payment_method) });
+  console.log(`💳 Card saved for project ${project.id}`);
+}
+
+// No card is kept for bookings that will never be charged
+function watchProjectEvents() {
+  projectEvents.on('transition', ({ project, to }) => {
+    if (!['declined', 'cancelled'].includes(to)) return;
+    releaseSavedCard(project).catch(error => {
+      console.error(`❌ Releasing saved card for project ${project.id} failed:`, error.message);
+    });
+  });
+}
+
+module.exports = {
+  setupSavedCard,
+  savedPaymentMethod,
+  chargeSavedCard,
+  releaseSavedCard,
+  handleSetupIntentEvent,
+  watchProjectEvents
+};
@@ -0,0 +1,100 @@
+// spamFilter.js
+// ------------------------------------------------------------
+// Screens public booking submissions before anything is emailed
+// - Honeypot: a hidden field that only bots fill in
+// - Fill time: forms submitted faster than a person could type, or
+//   without the timestamp the booking form always sends
+// - Disposable email domains (config/disposableDomains.js)
+// Suspicious submissions are quarantined for an admin to release or
+// discard; nothing is created or emailed until then.
+// ------------------------------------------------------------
+
+const antiSpam = require('../config/antiSpam');
+const disposableDomains = require('../config/disposableDomains');
+
+const BLOCKED_DOMAINS = new Set([...disposableDomains, ...antiSpam.extraDisposableDomains]);
+
+function isDisposableEmail(email) {
+  const domain = String(email || '').split('@').pop().trim().toLowerCase();
+  if (!domain) return false;
+  const parts = domain.split('.');
+  // mail.yopmail.com matches yopmail.com
+  return parts.some((_, i) => BLOCKED_DOMAINS.has(parts.slice(i).join('.')));
+}
+
+function parseStartedAt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Check a submission and return { suspicious, reasons: [{ code, detail }] }.
+ * A missing or unreadable formStartedAt counts as suspicious - otherwise a
+ * bot could skip the fill-time check by leaving it out.
+ */
+function screenSubmission(body = {}, { emailField = 'clientEmail', now = Date.now() } = {}) {
+  const reasons = [];
+
+  const honeypot = body[antiSpam.honeypotField];
+  if (honeypot !== undefined && String(honeypot).trim() !== '') {
+    reasons.push({ code: 'honeypot', detail: `${antiSpam.honeypotField} was filled in` });
+  }
+
+  const startedAt = parseStartedAt(body[antiSpam.formStartedField]);
+  if (startedAt === null) {
+    reasons.push({ code: 'no_fill_time', detail: `${antiSpam.formStartedField} was missing or unreadable` });
+  } else {
+    const seconds = (now - startedAt) / 1000;
+    if (seconds < antiSpam.minFillSeconds) {
+      reasons.push({ code: 'too_fast', detail: `Form submitted ${Math.max(seconds, 0).toFixed(1)}s after it was opened` });
+    }
+  }
+
+  if (isDisposableEmail(body[emailField])) {
+    reasons.push({ code: 'disposable_email', detail: `${body[emailField]} uses a disposable email provider` });
+  }
+
+  return { suspicious: reasons.length > 0, reasons };
+}
+
+// Park a submission for review instead of processing it
+async function quarantineSubmission(req, reasons, { source = 'booking', emailField = 'clientEmail' } = {}) {
+  const { QuarantinedSubmission } = require('../models');
+
+  const submission = await QuarantinedSubmission.create({
+    source,
+    clientEmail: req.body[emailField] || null,
+    payload: req.body,
+    reasons,
+    ipAddress: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 255) || null
+  });
+
+  console.warn(`🛑 Submission quarantined (${submission.id}): ${reasons.map(r => r.code).join(', ')}`);
+  return submission;
+}
+
+function serializeSubmission(s) {
+  return {
+    id: s.id,
+    source: s.source,
+    status: s.status,
+    clientEmail: s.clientEmail,
+    reasons: s.reasons,
+    payload: s.payload,
+    ipAddress: s.ipAddress,
+    userAgent: s.userAgent,
+    reviewedBy: s.reviewedBy,
+    reviewedAt: s.reviewedAt,
+    projectId: s.projectId,
+    createdAt: s.createdAt
+  };
+}
+
+module.exports = {
+  isDisposableEmail,
+  screenSubmission,
+  quarantineSubmission,
+  serializeSubmission
+};
@@ -0,0 +1,45 @@
+// storage/index.js
+// ------------------------------------------------------------
+// Pluggable file storage for attachments
+// - STORAGE_DRIVER=local (default) or s3
+// - Every backend exposes the same interface:
+//     put(key, buffer, { contentType }) -> { key, size }
+//     get(key) -> Buffer
+//     remove(key)
+// - Attachments remember which driver stored them, so switching drivers
+//   does not break downloads of older files
+// ------------------------------------------------------------
+
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+const DEFAULT_DRIVER = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+const factories = {
+  local: () => createLocalStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+  }),
+  s3: () => createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE || '').toLowerCase() === 'true'
+  })
+};
+
+const instances = {};
+
+function getStorage(driver = DEFAULT_DRIVER) {
+  if (!factories[driver]) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  if (!instances[driver]) {
+    instances[driver] = factories[driver]();
+  }
+  return instances[driver];
+}
+
+module.exports = { getStorage };
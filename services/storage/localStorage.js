@@ -0,0 +1,46 @@
+// localStorage.js
+// ------------------------------------------------------------
+// Attachment storage on the local disk (default driver)
+// - UPLOAD_DIR  where files are written (default ./uploads)
+// ------------------------------------------------------------
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function createLocalStorage({ root }) {
+  const baseDir = path.resolve(root);
+
+  // Keys are generated by us, but never let one escape the upload directory
+  function resolveKey(key) {
+    const fullPath = path.resolve(baseDir, key);
+    if (!fullPath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  return {
+    driver: 'local',
+
+    async put(key, body) {
+      const fullPath = resolveKey(key);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, body);
+      return { key, size: body.length };
+    },
+
+    async get(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,52 @@
+// s3Storage.js
+// ------------------------------------------------------------
+// Attachment storage on any S3-compatible service
+// - S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+// - S3_ENDPOINT + S3_FORCE_PATH_STYLE=true for MinIO, LocalStack or
+//   Cloudflare R2 (point it at a local MinIO to try it out)
+// ------------------------------------------------------------
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    driver: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+      return { key, size: body.length };
+    },
+
+    async get(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,380 @@
+// subscriptionService.js
+// ------------------------------------------------------------
+// Maintenance and hosting plans billed through Stripe Billing
+// - Plans live in config/subscriptionPlans.js
+// - Starting a plan creates the Stripe customer (once per client) and an
+//   incomplete subscription; the client confirms the first invoice's
+//   PaymentIntent with the returned clientSecret
+// - Plan changes are prorated; cancelling defaults to the end of the
+//   current period
+// - Stripe is the source of truth: customer.subscription.* and invoice.*
+//   webhooks keep the local Subscription row in step
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const stripe = require('../config/stripe');
+const { plans } = require('../config/subscriptionPlans');
+
+// Subscriptions that still bill (or are about to)
+const OPEN_STATUSES = ['incomplete', 'trialing', 'active', 'past_due', 'unpaid', 'paused'];
+
+function subscriptionError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function findPlan(key) {
+  const plan = plans[key];
+  if (!plan) {
+    throw subscriptionError(`Unknown plan "${key}"`, 400, { availablePlans: Object.keys(plans) });
+  }
+  return plan;
+}
+
+function fromUnix(seconds) {
+  return seconds ? new Date(seconds * 1000) : null;
+}
+
+function idOf(value) {
+  return value && typeof value === 'object' ? value.id : value || null;
+}
+
+// Stripe Price for a plan - configured id, else found/created by lookup key
+const priceCache = {};
+async function priceIdFor(key) {
+  const plan = findPlan(key);
+  if (plan.priceId) return plan.priceId;
+  if (priceCache[key]) return priceCache[key];
+
+  const existing = await stripe.prices.list({ lookup_keys: [plan.lookupKey], active: true, limit: 1 });
+  let price = existing.data[0];
+  if (!price) {
+    price = await stripe.prices.create({
+      currency: 'aud',
+      unit_amount: Math.round(plan.amount * 100),
+      recurring: { interval: plan.interval },
+      lookup_key: plan.lookupKey,
+      product_data: { name: `Cocoa Code ${plan.name}` },
+      metadata: { plan: key }
+    });
+    console.log(`💲 Created Stripe price ${price.id} for plan ${key}`);
+  }
+  priceCache[key] = price.id;
+  return price.id;
+}
+
+async function ensureCustomer(client) {
+  if (client.stripeCustomerId) return client.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    email: client.email,
+    name: client.name,
+    phone: client.phone || undefined,
+    metadata: { clientId: String(client.id) }
+  });
+  await client.update({ stripeCustomerId: customer.id });
+  console.log(`👤 Stripe customer ${customer.id} created for client ${client.id}`);
+  return customer.id;
+}
+
+// Copy the fields we track from a Stripe subscription object
+function fieldsFromStripe(stripeSubscription) {
+  const item = stripeSubscription.items && stripeSubscription.items.data && stripeSubscription.items.data[0];
+  return {
+    status: stripeSubscription.status,
+    currentPeriodStart: fromUnix(stripeSubscription.current_period_start),
+    currentPeriodEnd: fromUnix(stripeSubscription.current_period_end),
+    cancelAtPeriodEnd: Boolean(stripeSubscription.cancel_at_period_end),
+    canceledAt: fromUnix(stripeSubscription.canceled_at),
+    latestInvoiceId: idOf(stripeSubscription.latest_invoice),
+    stripePriceId: item && item.price ? item.price.id : undefined
+  };
+}
+
+/**
+ * Start a plan for a client (optionally tied to one of their projects).
+ * The plan defaults to the one picked when the project was booked.
+ * Returns { subscription, clientSecret } - clientSecret confirms the first
+ * payment in the browser.
+ */
+async function createSubscription(body = {}, { createdBy = 'admin' } = {}) {
+  const { Client, Project, Subscription } = require('../models');
+
+  let project = null;
+  if (body.projectId) {
+    project = await Project.findByPk(body.projectId);
+    if (!project) throw subscriptionError('Project not found', 404);
+  }
+
+  const clientId = body.clientId || (project && project.clientId);
+  if (!clientId) throw subscriptionError('clientId or projectId is required');
+  const client = await Client.findByPk(clientId);
+  if (!client) throw subscriptionError('Client not found', 404);
+  if (project && project.clientId !== client.id) {
+    throw subscriptionError('Project belongs to a different client');
+  }
+
+  const planKey = body.plan || (project && project.subscription);
+  if (!planKey || planKey === 'none') {
+    throw subscriptionError('plan is required', 400, { availablePlans: Object.keys(plans) });
+  }
+  const plan = findPlan(planKey);
+
+  const existing = await Subscription.findOne({
+    where: {
+      clientId: client.id,
+      projectId: project ? project.id : null,
+      kind: plan.kind,
+      status: { [Op.in]: OPEN_STATUSES }
+    }
+  });
+  if (existing) {
+    throw subscriptionError(`There is already an open ${plan.kind} plan for this ${project ? 'project' : 'client'}`, 409, {
+      subscriptionId: existing.id
+    });
+  }
+
+  const customerId = await ensureCustomer(client);
+  const priceId = await priceIdFor(planKey);
+
+  const stripeSubscription = await stripe.subscriptions.create({
+    customer: customerId,
+    items: [{ price: priceId }],
+    payment_behavior: 'default_incomplete',
+    payment_settings: { save_default_payment_method: 'on_subscription' },
+    expand: ['latest_invoice.payment_intent'],
+    metadata: {
+      clientId: String(client.id),
+      projectId: project ? String(project.id) : '',
+      plan: planKey
+    }
+  });
+
+  const subscription = await Subscription.create({
+    clientId: client.id,
+    projectId: project ? project.id : null,
+    plan: planKey,
+    kind: plan.kind,
+    amount: plan.amount,
+    interval: plan.interval,
+    stripeSubscriptionId: stripeSubscription.id,
+    stripeCustomerId: customerId,
+    stripePriceId: priceId,
+    createdBy,
+    ...fieldsFromStripe(stripeSubscription)
+  });
+
+  if (project && project.subscription !== planKey) {
+    await project.update({ subscription: planKey });
+  }
+
+  const invoice = stripeSubscription.latest_invoice;
+  const paymentIntent = invoice && typeof invoice === 'object' ? invoice.payment_intent : null;
+  console.log(`🔁 Subscription ${subscription.id} (${planKey}) started for client ${client.id}`);
+
+  return {
+    subscription,
+    clientSecret: paymentIntent && typeof paymentIntent === 'object' ? paymentIntent.client_secret : null
+  };
+}
+
+function assertOpen(subscription) {
+  if (!OPEN_STATUSES.includes(subscription.status)) {
+    throw subscriptionError(`Subscription is ${subscription.status}`, 409);
+  }
+}
+
+// Move to another plan; Stripe prorates the difference on the next invoice
+async function changePlan(subscription, planKey) {
+  assertOpen(subscription);
+  const plan = findPlan(planKey);
+  if (planKey === subscription.plan) {
+    throw subscriptionError(`Subscription is already on the ${plan.name} plan`, 409);
+  }
+
+  const priceId = await priceIdFor(planKey);
+  const current = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+  const item = current.items.data[0];
+
+  const updated = await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+    items: [{ id: item.id, price: priceId }],
+    proration_behavior: 'create_prorations',
+    metadata: { plan: planKey }
+  });
+
+  const fromPlan = subscription.plan;
+  await subscription.update({
+    plan: planKey,
+    kind: plan.kind,
+    amount: plan.amount,
+    interval: plan.interval,
+    ...fieldsFromStripe(updated),
+    stripePriceId: priceId
+  });
+  console.log(`🔁 Subscription ${subscription.id} moved from ${fromPlan} to ${planKey}`);
+  return subscription;
+}
+
+// Cancel at the end of the paid period, or straight away
+async function cancelSubscription(subscription, { immediately = false } = {}) {
+  assertOpen(subscription);
+
+  const updated = immediately
+    ? await stripe.subscriptions.cancel(subscription.stripeSubscriptionId)
+    : await stripe.subscriptions.update(subscription.stripeSubscriptionId, { cancel_at_period_end: true });
+
+  await subscription.update(fieldsFromStripe(updated));
+  console.log(`🔁 Subscription ${subscription.id} ${immediately ? 'cancelled' : 'set to cancel at period end'}`);
+  return subscription;
+}
+
+// Undo a pending cancel-at-period-end
+async function resumeSubscription(subscription) {
+  assertOpen(subscription);
+  if (!subscription.cancelAtPeriodEnd) {
+    throw subscriptionError('Subscription is not scheduled to cancel', 409);
+  }
+
+  const updated = await stripe.subscriptions.update(subscription.stripeSubscriptionId, { cancel_at_period_end: false });
+  await subscription.update(fieldsFromStripe(updated));
+  console.log(`🔁 Subscription ${subscription.id} resumed`);
+  return subscription;
+}
+
+// ---- Webhooks ----
+
+async function findByStripeId(stripeSubscriptionId) {
+  const { Subscription } = require('../models');
+  if (!stripeSubscriptionId) return null;
+  return Subscription.findOne({ where: { stripeSubscriptionId } });
+}
+
+async function syncFromStripe(stripeSubscription) {
+  const subscription = await findByStripeId(stripeSubscription.id);
+  if (!subscription) {
+    console.warn(`⚠️ Webhook for unknown subscription ${stripeSubscription.id}`);
+    return null;
+  }
+  await subscription.update(fieldsFromStripe(stripeSubscription));
+  return subscription;
+}
+
+async function recordInvoicePaid(invoice) {
+  const subscription = await findByStripeId(idOf(invoice.subscription));
+  if (!subscription) return null;
+
+  await subscription.update({
+    latestInvoiceId: invoice.id,
+    lastPaymentAt: fromUnix(invoice.status_transitions && invoice.status_transitions.paid_at) || new Date(),
+    failedPaymentCount: 0
+  });
+  console.log(`💰 Invoice ${invoice.id} paid for subscription ${subscription.id}`);
+  return subscription;
+}
+
+async function recordInvoiceFailed(invoice) {
+  const { Client } = require('../models');
+  const emailService = require('./emailService');
+
+  const subscription = await findByStripeId(idOf(invoice.subscription));
+  if (!subscription) return null;
+
+  await subscription.update({
+    latestInvoiceId: invoice.id,
+    failedPaymentCount: subscription.failedPaymentCount + 1
+  });
+  console.warn(`⚠️ Invoice ${invoice.id} failed for subscription ${subscription.id} (attempt ${invoice.attempt_count || subscription.failedPaymentCount})`);
+
+  try {
+    const client = await Client.findByPk(subscription.clientId);
+    if (client) {
+      await emailService.sendSubscriptionPaymentFailedEmail({
+        to: client.email,
+        client,
+        subscription,
+        planName: plans[subscription.plan] ? plans[subscription.plan].name : subscription.plan,
+        invoiceUrl: invoice.hosted_invoice_url
+      });
+    }
+  } catch (emailError) {
+    console.warn(`⚠️ Payment failure email failed for subscription ${subscription.id}:`, emailError.message);
+  }
+  return subscription;
+}
+
+/**
+ * Apply a Stripe webhook event to local subscriptions.
+ * Returns false for events this service does not handle.
+ */
+async function handleStripeEvent(event) {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed':
+      await syncFromStripe(object);
+      return true;
+    case 'invoice.paid':
+      await recordInvoicePaid(object);
+      return true;
+    case 'invoice.payment_failed':
+      await recordInvoiceFailed(object);
+      return true;
+    default:
+      return false;
+  }
+}
+
+function serializeSubscription(subscription) {
+  const plan = plans[subscription.plan];
+  return {
+    id: subscription.id,
+    clientId: subscription.clientId,
+    projectId: subscription.projectId,
+    plan: subscription.plan,
+    planName: plan ? plan.name : subscription.plan,
+    kind: subscription.kind,
+    amount: subscription.amount,
+    currency: subscription.currency,
+    interval: subscription.interval,
+    status: subscription.status,
+    currentPeriodStart: subscription.currentPeriodStart,
+    currentPeriodEnd: subscription.currentPeriodEnd,
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+    canceledAt: subscription.canceledAt,
+    lastPaymentAt: subscription.lastPaymentAt,
+    failedPaymentCount: subscription.failedPaymentCount,
+    stripeSubscriptionId: subscription.stripeSubscriptionId,
+    createdAt: subscription.createdAt,
+    client: subscription.client
+      ? { id: subscription.client.id, name: subscription.client.name, email: subscription.client.email }
+      : undefined
+  };
+}
+
+function listPlans() {
+  return Object.entries(plans).map(([key, plan]) => ({
+    key,
+    name: plan.name,
+    kind: plan.kind,
+    amount: plan.amount,
+    interval: plan.interval
+  }));
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  findPlan,
+  listPlans,
+  ensureCustomer,
+  createSubscription,
+  changePlan,
+  cancelSubscription,
+  resumeSubscription,
+  handleStripeEvent,
+  serializeSubscription
+};
@@ -0,0 +1,314 @@
+// ticketService.js
+// ------------------------------------------------------------
+// Post-launch bug tickets
+// - Clients file tickets from the booking portal once the site is live;
+//   admins work them from /api/tickets
+// - A ticket filed while the bug-fix warranty is active is covered,
+//   anything later is billable (admins can override either way)
+// - Workflow: open → in_progress ⇄ waiting_on_client → resolved → closed.
+//   Resolved tickets can be reopened; closed is final
+// - Comments and status changes share one thread; internal comments are
+//   admin-only
+// - The client is emailed on every status change and admin reply
+// ------------------------------------------------------------
+
+const { warrantyActive } = require('./entitlementService');
+const { createPortalLink } = require('./portalService');
+const { storeAttachments, serializeAttachment } = require('./attachmentService');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const TICKET_TRANSITIONS = {
+  open: ['in_progress', 'waiting_on_client', 'resolved', 'closed'],
+  in_progress: ['waiting_on_client', 'resolved', 'closed'],
+  waiting_on_client: ['in_progress', 'resolved', 'closed'],
+  resolved: ['in_progress', 'closed'],
+  closed: []
+};
+const TICKET_STATUSES = Object.keys(TICKET_TRANSITIONS);
+const COVERAGE = ['warranty', 'billable'];
+// Tickets can be filed once the site has launched
+const TICKETABLE_PROJECT_STATUSES = ['completed'];
+
+function ticketError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function ticketNumber(ticket) {
+  return `T-${String(ticket.id).padStart(5, '0')}`;
+}
+
+function readSeverity(value) {
+  if (!SEVERITIES.includes(value)) {
+    throw ticketError(`severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  return value;
+}
+
+async function coverageFor(projectId, at = new Date()) {
+  const { ProjectEntitlement } = require('../models');
+  const entitlement = await ProjectEntitlement.findOne({ where: { projectId } });
+  return warrantyActive(entitlement, at) ? 'warranty' : 'billable';
+}
+
+// Email the client about a ticket; failures are logged, never thrown
+async function notifyClient(ticket, { event, comment } = {}) {
+  const { Project, Client } = require('../models');
+  const emailService = require('./emailService');
+
+  try {
+    const project = await Project.findByPk(ticket.projectId);
+    const client = await Client.findByPk(ticket.clientId);
+    await emailService.sendTicketEmail({
+      to: client.email,
+      client,
+      project,
+      ticket,
+      number: ticketNumber(ticket),
+      event,
+      comment,
+      portalUrl: createPortalLink(project)
+    });
+    return true;
+  } catch (emailError) {
+    console.warn(`⚠️ Ticket email failed for ${ticketNumber(ticket)}:`, emailError.message);
+    return false;
+  }
+}
+
+async function notifyAdmin(ticket, subject, message) {
+  const emailService = require('./emailService');
+  try {
+    await emailService.sendAdminNotification({
+      subject: `🐞 ${ticketNumber(ticket)} ${subject}`,
+      html: `<p>${emailService.escapeHtml(message)}</p><p><strong>${emailService.escapeHtml(ticket.title)}</strong> (${ticket.severity}, ${ticket.coverage}) on booking #${ticket.projectId}</p>`,
+      text: `${message}\n${ticket.title} (${ticket.severity}, ${ticket.coverage}) on booking #${ticket.projectId}`
+    });
+  } catch (emailError) {
+    console.warn(`⚠️ Ticket admin notification failed for ${ticketNumber(ticket)}:`, emailError.message);
+  }
+}
+
+/**
+ * File a ticket on a launched project.
+ * files (optional) are stored as the ticket's attachments.
+ */
+async function fileTicket(project, client, body = {}, { files = [] } = {}) {
+  const { Ticket } = require('../models');
+
+  if (!TICKETABLE_PROJECT_STATUSES.includes(project.status)) {
+    throw ticketError('Bug tickets can be filed once your site has launched - please reply to your project emails until then', 409, {
+      projectStatus: project.status
+    });
+  }
+  if (!body.title || !String(body.title).trim()) throw ticketError('title is required');
+  if (!body.description || !String(body.description).trim()) throw ticketError('description is required');
+
+  const ticket = await Ticket.create({
+    projectId: project.id,
+    clientId: client.id,
+    title: String(body.title).trim(),
+    description: body.description,
+    pageUrl: body.pageUrl || null,
+    severity: body.severity ? readSeverity(body.severity) : 'medium',
+    coverage: await coverageFor(project.id)
+  });
+
+  let attachments = [];
+  if (files.length) {
+    try {
+      attachments = await storeAttachments(project, files, {
+        uploadedBy: `client:${client.email}`,
+        uploadedByType: 'client',
+        ticketId: ticket.id
+      });
+    } catch (error) {
+      await ticket.destroy();
+      throw error;
+    }
+  }
+  console.log(`🐞 Ticket ${ticketNumber(ticket)} filed on project ${project.id} (${ticket.severity}, ${ticket.coverage})`);
+
+  const emailSent = await notifyClient(ticket, { event: 'opened' });
+  await notifyAdmin(ticket, 'filed', `${client.name} (${client.email}) filed a ${ticket.severity} bug ticket.`);
+
+  return { ticket, attachments, emailSent };
+}
+
+/**
+ * Move a ticket along the workflow and email the client.
+ * Returns { ticket, emailSent }.
+ */
+async function changeStatus(ticket, to, { changedBy = 'admin', changedByType = 'admin', note, alertAdmin = changedByType === 'client' } = {}) {
+  const { TicketComment } = require('../models');
+
+  if (!TICKET_STATUSES.includes(to)) {
+    throw ticketError(`status must be one of: ${TICKET_STATUSES.join(', ')}`);
+  }
+  const from = ticket.status;
+  if (!TICKET_TRANSITIONS[from].includes(to)) {
+    throw ticketError(`Cannot move a ticket from ${from} to ${to}`, 409, {
+      allowed: TICKET_TRANSITIONS[from]
+    });
+  }
+
+  const attrs = { status: to };
+  if (to === 'resolved') attrs.resolvedAt = new Date();
+  if (to === 'closed') attrs.closedAt = new Date();
+  if (to === 'in_progress' && from === 'resolved') attrs.resolvedAt = null;
+  await ticket.update(attrs);
+
+  const comment = await TicketComment.create({
+    ticketId: ticket.id,
+    type: 'status_change',
+    body: note || null,
+    fromStatus: from,
+    toStatus: to,
+    author: changedBy,
+    authorType: changedByType
+  });
+  console.log(`🐞 Ticket ${ticketNumber(ticket)}: ${from} → ${to} by ${changedBy}`);
+
+  const emailSent = await notifyClient(ticket, { event: 'status', comment });
+  if (alertAdmin) {
+    await notifyAdmin(ticket, `moved to ${to} by the client`, `Ticket moved from ${from} to ${to}.${note ? ` Note: ${note}` : ''}`);
+  }
+  return { ticket, emailSent };
+}
+
+/**
+ * Add a comment (optionally with files). A client reply on a ticket that is
+ * waiting on them puts it back in progress.
+ */
+async function addComment(ticket, { body, author, authorType = 'admin', internal = false, files = [] } = {}) {
+  const { TicketComment, Project } = require('../models');
+
+  if (ticket.status === 'closed') {
+    throw ticketError('This ticket is closed - please file a new one', 409);
+  }
+  if ((!body || !String(body).trim()) && !files.length) {
+    throw ticketError('body is required');
+  }
+  internal = authorType === 'admin' && (internal === true || internal === 'true');
+
+  let attachments = [];
+  if (files.length) {
+    const project = await Project.findByPk(ticket.projectId);
+    attachments = await storeAttachments(project, files, {
+      uploadedBy: author,
+      uploadedByType: authorType,
+      ticketId: ticket.id
+    });
+  }
+
+  const comment = await TicketComment.create({
+    ticketId: ticket.id,
+    type: 'comment',
+    body: body || `Attached ${attachments.map(a => a.originalName).join(', ')}`,
+    author,
+    authorType,
+    internal
+  });
+
+  let emailSent = false;
+  if (authorType === 'client') {
+    await notifyAdmin(ticket, 'has a new client reply', `${author} replied: ${comment.body}`);
+    if (ticket.status === 'waiting_on_client') {
+      ({ emailSent } = await changeStatus(ticket, 'in_progress', {
+        changedBy: author,
+        changedByType: 'client',
+        note: 'Client replied',
+        alertAdmin: false
+      }));
+    }
+  } else if (!internal) {
+    emailSent = await notifyClient(ticket, { event: 'comment', comment });
+  }
+
+  return { comment, attachments, emailSent };
+}
+
+// Admin edits: title, severity, coverage override
+async function updateTicket(ticket, body = {}) {
+  const attrs = {};
+  if (body.title !== undefined) {
+    if (!String(body.title).trim()) throw ticketError('title cannot be empty');
+    attrs.title = String(body.title).trim();
+  }
+  if (body.description !== undefined) attrs.description = body.description;
+  if (body.pageUrl !== undefined) attrs.pageUrl = body.pageUrl || null;
+  if (body.severity !== undefined) attrs.severity = readSeverity(body.severity);
+  if (body.coverage !== undefined) {
+    if (!COVERAGE.includes(body.coverage)) {
+      throw ticketError(`coverage must be one of: ${COVERAGE.join(', ')}`);
+    }
+    attrs.coverage = body.coverage;
+  }
+  if (!Object.keys(attrs).length) {
+    throw ticketError('Nothing to update', 400, {
+      editableFields: ['title', 'description', 'pageUrl', 'severity', 'coverage']
+    });
+  }
+  await ticket.update(attrs);
+  return ticket;
+}
+
+function serializeComment(comment) {
+  return {
+    id: comment.id,
+    type: comment.type,
+    body: comment.body,
+    fromStatus: comment.fromStatus,
+    toStatus: comment.toStatus,
+    author: comment.author,
+    authorType: comment.authorType,
+    internal: comment.internal,
+    createdAt: comment.createdAt
+  };
+}
+
+/**
+ * forClient drops internal comments and admin names; serializeFile lets the
+ * portal point downloads at its own route.
+ */
+function serializeTicket(ticket, { comments, attachments, forClient = false, serializeFile = serializeAttachment } = {}) {
+  const visible = comments && (forClient ? comments.filter(c => !c.internal) : comments);
+  return {
+    id: ticket.id,
+    number: ticketNumber(ticket),
+    projectId: ticket.projectId,
+    clientId: forClient ? undefined : ticket.clientId,
+    title: ticket.title,
+    description: ticket.description,
+    pageUrl: ticket.pageUrl,
+    severity: ticket.severity,
+    status: ticket.status,
+    coverage: ticket.coverage,
+    allowedTransitions: forClient ? undefined : TICKET_TRANSITIONS[ticket.status],
+    resolvedAt: ticket.resolvedAt,
+    closedAt: ticket.closedAt,
+    createdAt: ticket.createdAt,
+    updatedAt: ticket.updatedAt,
+    comments: visible && visible.map(c => ({
+      ...serializeComment(c),
+      author: forClient && c.authorType !== 'client' ? undefined : c.author,
+      internal: forClient ? undefined : c.internal
+    })),
+    attachments: attachments && attachments.map(serializeFile)
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  TICKET_STATUSES,
+  TICKET_TRANSITIONS,
+  ticketNumber,
+  coverageFor,
+  fileTicket,
+  changeStatus,
+  addComment,
+  updateTicket,
+  serializeTicket
+};
@@ -0,0 +1,90 @@
+// tokenService.js
+// ------------------------------------------------------------
+// Signed, expiring tokens for links we email to clients
+// - HMAC-SHA256 over a base64url JSON payload: <payload>.<signature>
+// - Every token carries a `purpose` so a link minted for one feature
+//   cannot be replayed against another
+// - Secret: MAGIC_LINK_SECRET (falls back to a per-process random secret,
+//   which means links stop working after a restart)
+// ------------------------------------------------------------
+
+const crypto = require('crypto');
+
+let SECRET = process.env.MAGIC_LINK_SECRET;
+if (!SECRET) {
+  console.warn('⚠️  MAGIC_LINK_SECRET not set. Emailed links will stop working when the server restarts.');
+  SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+function tokenError(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token.
+ * @param {string} purpose   e.g. 'portal'
+ * @param {object} claims    small JSON-safe payload
+ * @param {number} ttlSeconds lifetime of the token
+ */
+function signToken(purpose, claims, ttlSeconds) {
+  const payload = {
+    ...claims,
+    purpose,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+// Returns the payload, or throws a 401 error for bad, expired or mismatched tokens
+function verifyToken(token, purpose) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    throw tokenError('Missing or malformed link token');
+  }
+
+  const [data, signature] = token.split('.');
+  const expected = sign(data);
+  const valid = signature &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) {
+    throw tokenError('Invalid link token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw tokenError('Invalid link token');
+  }
+
+  if (payload.purpose !== purpose) {
+    throw tokenError('This link is not valid here');
+  }
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+    throw tokenError('This link has expired');
+  }
+
+  return payload;
+}
+
+// Token from ?token=, Authorization: Bearer or the JSON body
+function tokenFromRequest(req) {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.query.token || (req.body && req.body.token);
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  tokenFromRequest
+};
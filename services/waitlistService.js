@@ -0,0 +1,352 @@
+// waitlistService.js
+// ------------------------------------------------------------
+// Waitlist for fully booked months
+// - Clients join with the brief they would have booked
+// - When a slot frees up (decline, cancellation, reschedule or an offer
+//   lapsing) the longest-waiting entry gets an emailed offer
+// - An open offer holds the slot (see availabilityService.checkMonth) until
+//   it is claimed, passed on or expires
+// - Claiming turns the entry into a normal pending booking
+//
+// - WAITLIST_OFFER_HOURS  how long an offer is held (default 48)
+// - WAITLIST_CLAIM_URL    frontend page that reads ?token=
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const { signToken, verifyToken } = require('./tokenService');
+const { calculatePrice, toProjectItems } = require('./pricingService');
+const {
+  ACTIVE_STATUSES,
+  normalizeMonth,
+  monthLabel,
+  checkMonth
+} = require('./availabilityService');
+const { projectEvents } = require('./projectStatus');
+
+const WAITLIST_OFFER_HOURS = Number(process.env.WAITLIST_OFFER_HOURS) || 48;
+const WAITLIST_CLAIM_URL = process.env.WAITLIST_CLAIM_URL || 'https://www.cocoacode.dev/waitlist-claim';
+
+const OFFER_PURPOSE = 'waitlist-offer';
+// Entries still in the queue for their month
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+function waitlistError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function offerLinks(entry) {
+  const token = encodeURIComponent(signToken(OFFER_PURPOSE, { wid: entry.id, cid: entry.clientId }, WAITLIST_OFFER_HOURS * 60 * 60));
+  return {
+    claimUrl: `${WAITLIST_CLAIM_URL}?token=${token}`,
+    declineUrl: `${WAITLIST_CLAIM_URL}?token=${token}&action=decline`
+  };
+}
+
+// 1-based place in the queue for a waiting entry
+async function queuePosition(entry) {
+  const { WaitlistEntry } = require('../models');
+  if (entry.status !== 'waiting') return null;
+  return WaitlistEntry.count({
+    where: {
+      bookingMonth: entry.bookingMonth,
+      status: 'waiting',
+      id: { [Op.lte]: entry.id }
+    }
+  });
+}
+
+/**
+ * Add a client to the waitlist for a month that is currently full.
+ * Returns { entry, created } - joining twice for the same month returns the
+ * existing entry.
+ */
+async function joinWaitlist(body = {}) {
+  const { Client, WaitlistEntry } = require('../models');
+  const { clientName, clientEmail, bookingMonth } = body;
+
+  if (!clientName || !clientEmail) {
+    throw waitlistError('Client name and email are required');
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clientEmail)) {
+    throw waitlistError('Please provide a valid email address');
+  }
+
+  const monthKey = normalizeMonth(bookingMonth);
+  if (!monthKey) {
+    throw waitlistError(`Unrecognised month "${bookingMonth}" - use YYYY-MM or "Month YYYY"`);
+  }
+
+  const availability = await checkMonth(monthKey);
+  if (availability.blackout || availability.past) {
+    throw waitlistError(`${availability.label} is not taking bookings`, 400, { availability });
+  }
+  if (availability.available) {
+    throw waitlistError(`${availability.label} still has space - book it directly`, 409, { availability });
+  }
+
+  // Validates projectType and items now rather than when the offer is claimed
+  const projectType = body.projectType || 'custom';
+  const rush = body.rush === true || body.rush === 'true';
+  calculatePrice({ projectType, items: body.items || [], rush });
+
+  const [client] = await Client.findOrCreate({
+    where: { email: clientEmail },
+    defaults: { name: clientName, email: clientEmail }
+  });
+
+  const existing = await WaitlistEntry.findOne({
+    where: { clientId: client.id, bookingMonth: monthKey, status: { [Op.in]: OPEN_STATUSES } }
+  });
+  if (existing) {
+    return { entry: existing, client, created: false };
+  }
+
+  const entry = await WaitlistEntry.create({
+    clientId: client.id,
+    bookingMonth: monthKey,
+    projectType,
+    specifications: body.projectSpecs || body.specifications || null,
+    websiteType: body.websiteType || null,
+    primaryColor: body.primaryColor || null,
+    secondaryColor: body.secondaryColor || null,
+    accentColor: body.accentColor || null,
+    items: body.items || [],
+    rush
+  });
+
+  console.log(`⏳ Client ${client.id} joined the ${monthKey} waitlist (entry ${entry.id})`);
+  return { entry, client, created: true };
+}
+
+async function sendOffer(entry) {
+  const { Client } = require('../models');
+  const emailService = require('./emailService');
+
+  try {
+    const client = await Client.findByPk(entry.clientId);
+    if (!client) return;
+    await emailService.sendWaitlistOfferEmail({
+      to: client.email,
+      client,
+      entry,
+      monthLabel: monthLabel(entry.bookingMonth),
+      expiresAt: entry.offerExpiresAt,
+      ...offerLinks(entry)
+    });
+    console.log(`📧 Waitlist offer sent for entry ${entry.id}`);
+  } catch (emailError) {
+    console.warn(`⚠️ Waitlist offer email failed for entry ${entry.id}:`, emailError.message);
+  }
+}
+
+/**
+ * Offer every free slot in a month to the next people in line.
+ * Returns the entries that received an offer.
+ */
+async function offerFreedSlots(monthKey) {
+  const { sequelize, WaitlistEntry } = require('../models');
+  if (!monthKey) return [];
+
+  const offered = [];
+  for (;;) {
+    const entry = await sequelize.transaction(async (transaction) => {
+      const availability = await checkMonth(monthKey, { transaction });
+      if (!availability.available) return null;
+
+      const next = await WaitlistEntry.findOne({
+        where: { bookingMonth: monthKey, status: 'waiting' },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!next) return null;
+
+      const now = new Date();
+      await next.update({
+        status: 'offered',
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000)
+      }, { transaction });
+      return next;
+    });
+
+    if (!entry) break;
+    console.log(`⏳ Slot in ${monthKey} offered to waitlist entry ${entry.id}`);
+    await sendOffer(entry);
+    offered.push(entry);
+  }
+  return offered;
+}
+
+// Load the entry behind an emailed offer link
+async function entryFromToken(token, { transaction } = {}) {
+  const { WaitlistEntry } = require('../models');
+  const payload = verifyToken(token, OFFER_PURPOSE);
+
+  const entry = await WaitlistEntry.findByPk(payload.wid, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!entry || entry.clientId !== payload.cid) {
+    throw waitlistError('Waitlist entry not found', 404);
+  }
+  return entry;
+}
+
+function assertOfferOpen(entry) {
+  if (entry.status === 'claimed') {
+    throw waitlistError('This spot has already been claimed', 409, { projectId: entry.projectId });
+  }
+  if (entry.status !== 'offered' || !entry.offerExpiresAt || entry.offerExpiresAt <= new Date()) {
+    throw waitlistError('This offer is no longer available', 410, { entryStatus: entry.status });
+  }
+}
+
+/**
+ * Turn an offered entry into a pending booking.
+ * Returns { entry, project, client }.
+ */
+async function claimOffer(token) {
+  const { sequelize, Client, Project } = require('../models');
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const entry = await entryFromToken(token, { transaction });
+    assertOfferOpen(entry);
+
+    // Release our own hold first so the capacity check sees the real picture
+    await entry.update({ status: 'claimed', claimedAt: new Date() }, { transaction });
+    const availability = await checkMonth(entry.bookingMonth, { transaction });
+    if (!availability.available) {
+      throw waitlistError(`${availability.label} is no longer available`, 409, { availability });
+    }
+
+    const pricing = calculatePrice({
+      projectType: entry.projectType,
+      items: entry.items,
+      rush: entry.rush
+    });
+
+    const project = await Project.create({
+      clientId: entry.clientId,
+      projectType: entry.projectType,
+      specifications: entry.specifications || 'No specifications provided',
+      websiteType: entry.websiteType || 'other',
+      primaryColor: entry.primaryColor || '#8B4513',
+      secondaryColor: entry.secondaryColor || '#D2B48C',
+      accentColor: entry.accentColor || '#CD853F',
+      basePrice: pricing.basePrice,
+      totalPrice: pricing.total,
+      priceBreakdown: pricing,
+      bookingMonth: entry.bookingMonth,
+      status: 'pending',
+      items: toProjectItems(pricing)
+    }, { transaction });
+
+    await entry.update({ projectId: project.id }, { transaction });
+    const client = await Client.findByPk(entry.clientId, { transaction });
+    return { entry, project, client };
+  });
+
+  console.log(`🎟️ Waitlist entry ${result.entry.id} claimed -> project ${result.project.id}`);
+  return result;
+}
+
+// Client passes on an offer; the slot goes to the next person
+async function declineOffer(token) {
+  const entry = await entryFromToken(token);
+  assertOfferOpen(entry);
+
+  await entry.update({ status: 'cancelled' });
+  console.log(`⏳ Waitlist entry ${entry.id} passed on its offer`);
+  await offerFreedSlots(entry.bookingMonth);
+  return entry;
+}
+
+// Admin removes an entry; an open offer is handed on
+async function cancelEntry(entry) {
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    throw waitlistError(`Waitlist entry is already ${entry.status}`, 409);
+  }
+  const hadOffer = entry.status === 'offered';
+  await entry.update({ status: 'cancelled' });
+  if (hadOffer) await offerFreedSlots(entry.bookingMonth);
+  return entry;
+}
+
+// Expire lapsed offers and pass their slots on. Run periodically.
+async function expireStaleOffers() {
+  const { WaitlistEntry } = require('../models');
+
+  const stale = await WaitlistEntry.findAll({
+    where: { status: 'offered', offerExpiresAt: { [Op.lte]: new Date() } }
+  });
+  if (!stale.length) return 0;
+
+  const months = new Set();
+  for (const entry of stale) {
+    await entry.update({ status: 'expired' });
+    months.add(entry.bookingMonth);
+  }
+  console.log(`⌛ Expired ${stale.length} waitlist offer(s)`);
+
+  for (const monthKey of months) {
+    await offerFreedSlots(monthKey);
+  }
+  return stale.length;
+}
+
+function offerSlotsFor(monthKey) {
+  offerFreedSlots(monthKey).catch(error => {
+    console.error(`❌ Waitlist offer for ${monthKey} failed:`, error.message);
+  });
+}
+
+// React to bookings leaving a month
+function watchProjectEvents() {
+  projectEvents.on('transition', ({ project, from, to }) => {
+    if (!['declined', 'cancelled'].includes(to) || !ACTIVE_STATUSES.includes(from)) return;
+    offerSlotsFor(normalizeMonth(project.bookingMonth));
+  });
+
+  projectEvents.on('rescheduled', ({ fromMonth }) => {
+    offerSlotsFor(fromMonth);
+  });
+}
+
+async function serializeEntry(entry) {
+  return {
+    id: entry.id,
+    bookingMonth: entry.bookingMonth,
+    monthLabel: monthLabel(entry.bookingMonth),
+    status: entry.status,
+    position: await queuePosition(entry),
+    projectType: entry.projectType,
+    items: entry.items,
+    rush: entry.rush,
+    offeredAt: entry.offeredAt,
+    offerExpiresAt: entry.offerExpiresAt,
+    claimedAt: entry.claimedAt,
+    projectId: entry.projectId,
+    createdAt: entry.createdAt,
+    client: entry.client
+      ? { id: entry.client.id, name: entry.client.name, email: entry.client.email }
+      : undefined
+  };
+}
+
+module.exports = {
+  WAITLIST_OFFER_HOURS,
+  OFFER_PURPOSE,
+  joinWaitlist,
+  offerFreedSlots,
+  entryFromToken,
+  claimOffer,
+  declineOffer,
+  cancelEntry,
+  expireStaleOffers,
+  watchProjectEvents,
+  serializeEntry
+};
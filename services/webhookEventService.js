@@ -0,0 +1,367 @@
+// webhookEventService.js
+// ------------------------------------------------------------
+// Durable payment webhook processing
+// - Every verified event is stored as a WebhookEvent before we answer the
+//   provider; redeliveries of the same event id are acknowledged and
+//   dropped
+// - Events are processed after the response, one attempt at a time.
+//   Failures are retried with exponential backoff (WEBHOOK_RETRY_DELAY_MS,
+//   doubling, up to WEBHOOK_MAX_ATTEMPTS) by processDueEvents(), which
+//   server.js runs every minute
+// - An event that runs out of attempts is marked failed; admins can list
+//   and replay events once the cause is fixed
+// - Handlers must be safe to run more than once for the same event
+// ------------------------------------------------------------
+
+const { Op } = require('sequelize');
+const { getProvider, findProviderPayment } = require('./payments');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_DELAY_MS = Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// A worker that died mid-event leaves it 'processing'; try again after this
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+const STATUSES = ['pending', 'processing', 'processed', 'failed'];
+
+function webhookError(message, status = 400, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Payment events every provider reports the same way
+async function handlePaymentEvent(provider, event) {
+  const { recordPayment, isPaid } = require('./paymentScheduleService');
+
+  const payment = await findProviderPayment(provider.name, event.paymentId);
+  if (!payment) {
+    console.warn(`⚠️ ${provider.label} ${event.type} for unknown payment ${event.paymentId}`);
+    return;
+  }
+
+  switch (event.type) {
+    // PayPal: the client approved the order but never came back to /confirm
+    case 'payment.approved': {
+      const result = await provider.confirmPayment(event.paymentId, {
+        reference: `project-${payment.projectId}-payment-${payment.id}`
+      });
+      if (result.status === 'succeeded') {
+        await recordPayment(payment, { source: 'webhook' });
+      }
+      break;
+    }
+
+    case 'payment.succeeded':
+      console.log(`🎉 Payment succeeded via ${provider.label} webhook:`, event.paymentId);
+      await recordPayment(payment, { source: 'webhook' });
+      break;
+
+    // Bank debits and the like take a few days to clear
+    case 'payment.processing':
+      if (!isPaid(payment)) {
+        await payment.update({ paymentStatus: 'processing' });
+      }
+      break;
+
+    case 'payment.failed':
+      console.log(`❌ Payment failed via ${provider.label} webhook:`, event.paymentId);
+      if (!isPaid(payment)) {
+        await payment.update({ paymentStatus: 'failed' });
+      }
+      break;
+
+    // Nothing is in flight any more - the installment is simply owed again
+    case 'payment.canceled':
+      console.log(`🚫 Payment canceled via ${provider.label} webhook:`, event.paymentId);
+      if (!isPaid(payment)) {
+        await payment.update({
+          paymentStatus: 'pending',
+          providerPaymentId: null,
+          stripePaymentId: null,
+          transactionReference: null
+        });
+      }
+      break;
+  }
+}
+
+// Stripe Checkout - the session names our Payment in its metadata
+async function handleCheckoutSession(session) {
+  const { Payment } = require('../models');
+  const { recordPayment, isPaid } = require('./paymentScheduleService');
+
+  if (session.mode !== 'payment') {
+    console.log(`Checkout session ${session.id} (${session.mode}) needs no action`);
+    return;
+  }
+  const paymentId = session.metadata && session.metadata.paymentId;
+  const payment = paymentId && await Payment.findByPk(paymentId);
+  if (!payment) {
+    console.warn(`⚠️ Checkout session ${session.id} for unknown payment ${paymentId}`);
+    return;
+  }
+  if (isPaid(payment)) return;
+
+  const intentId = typeof session.payment_intent === 'object' && session.payment_intent
+    ? session.payment_intent.id
+    : session.payment_intent;
+  await payment.update({
+    paymentMethod: 'stripe',
+    providerPaymentId: intentId || payment.providerPaymentId,
+    stripePaymentId: intentId || payment.stripePaymentId
+  });
+
+  // Delayed methods complete later with payment_intent.succeeded
+  if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') {
+    await recordPayment(payment, { source: 'checkout' });
+  } else {
+    await payment.update({ paymentStatus: 'processing' });
+  }
+}
+
+// Stripe events beyond one-off payments
+async function handleStripeEvent(event) {
+  const { syncRefundsFromStripe } = require('./refundService');
+  const { handleStripeEvent: handleSubscriptionEvent } = require('./subscriptionService');
+  const { handleSetupIntentEvent } = require('./savedCardService');
+  const { handleDisputeEvent } = require('./disputeService');
+
+  switch (event.type) {
+    // Refunds, including ones made in the Stripe dashboard
+    case 'charge.refunded':
+    case 'charge.refund.updated': {
+      const refunded = event.data.object;
+      console.log(`💸 ${event.type} via webhook:`, refunded.id);
+      if (refunded.payment_intent) {
+        await syncRefundsFromStripe(refunded.payment_intent);
+      }
+      break;
+    }
+
+    // Chargebacks (disputeService)
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed':
+      await handleDisputeEvent(event);
+      break;
+
+    case 'checkout.session.completed':
+      await handleCheckoutSession(event.data.object);
+      break;
+
+    // Card saved with a booking (savedCardService)
+    case 'setup_intent.succeeded':
+      await handleSetupIntentEvent(event);
+      break;
+
+    // Maintenance / hosting plans (subscriptionService)
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed':
+    case 'invoice.paid':
+    case 'invoice.payment_failed':
+      await handleSubscriptionEvent(event);
+      break;
+
+    default:
+      console.log(`Unhandled event type ${event.type}`);
+  }
+}
+
+/**
+ * Store a verified event from provider.parseWebhook().
+ * Returns { webhookEvent, duplicate }.
+ */
+async function storeEvent(providerName, event) {
+  const { WebhookEvent } = require('../models');
+  const raw = event.raw || {};
+
+  const [webhookEvent, created] = await WebhookEvent.findOrCreate({
+    where: { provider: providerName, eventId: String(event.id) },
+    defaults: {
+      type: raw.type || raw.event_type || null,
+      paymentEventType: event.type || null,
+      providerPaymentId: event.paymentId || null,
+      payload: raw,
+      nextAttemptAt: new Date()
+    }
+  });
+
+  if (!created) {
+    console.log(`🔁 Duplicate ${providerName} webhook ${event.id} ignored (${webhookEvent.status})`);
+  }
+  return { webhookEvent, duplicate: !created };
+}
+
+async function dispatch(webhookEvent) {
+  const provider = getProvider(webhookEvent.provider);
+  if (webhookEvent.paymentEventType) {
+    return handlePaymentEvent(provider, {
+      id: webhookEvent.eventId,
+      type: webhookEvent.paymentEventType,
+      paymentId: webhookEvent.providerPaymentId
+    });
+  }
+  if (webhookEvent.provider === 'stripe') {
+    return handleStripeEvent(webhookEvent.payload);
+  }
+  console.log(`Unhandled ${provider.label} event ${webhookEvent.type || webhookEvent.eventId}`);
+}
+
+/**
+ * Make one attempt at a pending event. Claims the row first so two
+ * workers never run the same event at once; returns the row, or null when
+ * someone else has it.
+ */
+async function processEvent(webhookEvent) {
+  const { WebhookEvent } = require('../models');
+
+  const attempts = webhookEvent.attempts + 1;
+  const [claimed] = await WebhookEvent.update(
+    { status: 'processing', attempts },
+    { where: { id: webhookEvent.id, status: 'pending' } }
+  );
+  if (!claimed) return null;
+  await webhookEvent.reload();
+
+  try {
+    await dispatch(webhookEvent);
+    await webhookEvent.update({
+      status: 'processed',
+      processedAt: new Date(),
+      nextAttemptAt: null,
+      lastError: null
+    });
+  } catch (error) {
+    const givingUp = attempts >= MAX_ATTEMPTS;
+    await webhookEvent.update({
+      status: givingUp ? 'failed' : 'pending',
+      nextAttemptAt: givingUp ? null : new Date(Date.now() + retryDelay(attempts)),
+      lastError: error.message
+    });
+    console.error(`❌ ${webhookEvent.provider} webhook ${webhookEvent.eventId} (${webhookEvent.type}) attempt ${attempts} failed${givingUp ? ' - giving up' : ''}:`, error.message);
+  }
+  return webhookEvent;
+}
+
+/**
+ * Retry pass: every pending event whose next attempt is due, oldest first.
+ * Returns { processed, failed, retrying }.
+ */
+async function processDueEvents({ limit = 50 } = {}) {
+  const { WebhookEvent } = require('../models');
+
+  await WebhookEvent.update(
+    { status: 'pending', nextAttemptAt: new Date() },
+    { where: { status: 'processing', updatedAt: { [Op.lt]: new Date(Date.now() - STALE_PROCESSING_MS) } } }
+  );
+
+  const due = await WebhookEvent.findAll({
+    where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+    order: [['createdAt', 'ASC']],
+    limit
+  });
+
+  const summary = { processed: 0, failed: 0, retrying: 0 };
+  for (const webhookEvent of due) {
+    const result = await processEvent(webhookEvent);
+    if (!result) continue;
+    if (result.status === 'processed') summary.processed++;
+    else if (result.status === 'failed') summary.failed++;
+    else summary.retrying++;
+  }
+  if (due.length) {
+    console.log(`🪝 Webhook retry pass: ${summary.processed} processed, ${summary.retrying} retrying, ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+/**
+ * Run a stored event again now (admin). Failed and processed events can be
+ * replayed; the retry budget starts over.
+ */
+async function replayEvent(webhookEvent, { replayedBy = 'admin' } = {}) {
+  if (['pending', 'processing'].includes(webhookEvent.status)) {
+    throw webhookError(`This event is already ${webhookEvent.status}`, 409, {
+      nextAttemptAt: webhookEvent.nextAttemptAt
+    });
+  }
+
+  await webhookEvent.update({
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    replayedBy,
+    replayedAt: new Date()
+  });
+  console.log(`🔁 ${webhookEvent.provider} webhook ${webhookEvent.eventId} replayed by ${replayedBy}`);
+
+  return (await processEvent(webhookEvent)) || webhookEvent;
+}
+
+/**
+ * Admin listing. Query: { status, provider, type, page, limit }.
+ */
+async function listEvents(query = {}) {
+  const { WebhookEvent } = require('../models');
+
+  const where = {};
+  if (query.status) {
+    if (!STATUSES.includes(query.status)) {
+      throw webhookError(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    where.status = query.status;
+  }
+  if (query.provider) where.provider = String(query.provider).toLowerCase();
+  if (query.type) where.type = query.type;
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  const { rows, count } = await WebhookEvent.findAndCountAll({
+    where,
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+  return { events: rows, total: count, page, limit };
+}
+
+function serializeWebhookEvent(webhookEvent, { withPayload = false } = {}) {
+  return {
+    id: webhookEvent.id,
+    provider: webhookEvent.provider,
+    eventId: webhookEvent.eventId,
+    type: webhookEvent.type,
+    paymentEventType: webhookEvent.paymentEventType,
+    providerPaymentId: webhookEvent.providerPaymentId,
+    status: webhookEvent.status,
+    attempts: webhookEvent.attempts,
+    nextAttemptAt: webhookEvent.nextAttemptAt,
+    lastError: webhookEvent.lastError,
+    processedAt: webhookEvent.processedAt,
+    replayedBy: webhookEvent.replayedBy,
+    replayedAt: webhookEvent.replayedAt,
+    createdAt: webhookEvent.createdAt,
+    ...(withPayload ? { payload: webhookEvent.payload } : {})
+  };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  STATUSES,
+  handlePaymentEvent,
+  storeEvent,
+  processEvent,
+  processDueEvents,
+  replayEvent,
+  listEvents,
+  serializeWebhookEvent
+};
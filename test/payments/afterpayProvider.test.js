@@ -0,0 +1,103 @@
+const { startStandIn } = require('../support/standIn');
+const { createAfterpayProvider } = require('../../services/payments/afterpayProvider');
+const { providerContract } = require('./providerContract');
+
+const MERCHANT_ID = 'afterpay-merchant';
+const SECRET_KEY = 'afterpay-secret';
+
+function notFound() {
+  return { status: 404, body: { errorCode: 'not_found', message: 'Afterpay payment ID not found.' } };
+}
+
+// Just enough of the Online API v2 (checkouts, payments, refunds) for the
+// adapter. Orders only exist once a completed checkout is captured
+function afterpayApi(baseUrl) {
+  const checkouts = new Map();
+  const orders = new Map();
+  let next = 1;
+
+  function handle({ method, path, headers, body }) {
+    const expected = `Basic ${Buffer.from(`${MERCHANT_ID}:${SECRET_KEY}`).toString('base64')}`;
+    if (headers.authorization !== expected) {
+      return { status: 401, body: { errorCode: 'unauthorized', message: 'Credentials are required to access this resource.' } };
+    }
+
+    if (method === 'POST' && path === '/v2/checkouts') {
+      const token = `002.test-token-${next++}`;
+      checkouts.set(token, { token, amount: body.amount, completed: false });
+      return {
+        status: 201,
+        body: {
+          token,
+          expires: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString(),
+          redirectCheckoutUrl: `${baseUrl}/checkout/?token=${token}`
+        }
+      };
+    }
+
+    if (method === 'POST' && path === '/v2/payments/capture') {
+      const checkout = checkouts.get(body.token);
+      if (!checkout) return { status: 412, body: { errorCode: 'invalid_token', message: 'The checkout token is invalid or has expired.' } };
+      if (!checkout.completed) {
+        return { status: 402, body: { errorCode: 'declined', message: 'The consumer has not completed checkout.' } };
+      }
+      const existing = [...orders.values()].find(order => order.token === body.token);
+      if (existing) return { body: existing };
+
+      const order = {
+        id: String(100100 + next++),
+        token: body.token,
+        status: 'APPROVED',
+        merchantReference: body.merchantReference,
+        originalAmount: checkout.amount,
+        refunds: []
+      };
+      orders.set(order.id, order);
+      return { status: 201, body: order };
+    }
+
+    const refundPath = path.match(/^\/v2\/payments\/([^/]+)\/refund$/);
+    if (method === 'POST' && refundPath) {
+      const order = orders.get(decodeURIComponent(refundPath[1]));
+      if (!order) return notFound();
+      const refund = { refundId: String(500 + next++), amount: body.amount, merchantReference: body.merchantReference };
+      order.refunds.push(refund);
+      return { status: 201, body: refund };
+    }
+
+    const orderPath = path.match(/^\/v2\/payments\/([^/]+)$/);
+    if (method === 'GET' && orderPath) {
+      const id = decodeURIComponent(orderPath[1]);
+      const order = id.startsWith('token:')
+        ? [...orders.values()].find(candidate => candidate.token === id.slice('token:'.length))
+        : orders.get(id);
+      return order ? { body: order } : notFound();
+    }
+
+    return null;
+  }
+
+  return { checkouts, handle };
+}
+
+providerContract('afterpay', async () => {
+  let api;
+  const server = await startStandIn(request => api.handle(request));
+  api = afterpayApi(server.url);
+
+  return {
+    provider: createAfterpayProvider({
+      merchantId: MERCHANT_ID,
+      secretKey: SECRET_KEY,
+      apiBase: server.url,
+      userAgent: 'CocoaCodeBackend/test'
+    }),
+    completePayment(id) {
+      api.checkouts.get(id).completed = true;
+    },
+    rejectNext() {
+      server.failNext('/v2/', 400, { errorCode: 'invalid_object', message: 'amount is invalid' });
+    },
+    close: () => server.close()
+  };
+}, { webhooks: false });
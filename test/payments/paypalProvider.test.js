@@ -0,0 +1,135 @@
+const { startStandIn } = require('../support/standIn');
+const { createPaypalProvider } = require('../../services/payments/paypalProvider');
+const { providerContract } = require('./providerContract');
+
+const CLIENT_ID = 'paypal-client';
+const CLIENT_SECRET = 'paypal-secret';
+const WEBHOOK_ID = 'WH-TEST';
+const VALID_SIGNATURE = 'valid-signature';
+
+function notFound() {
+  return { status: 404, body: { name: 'RESOURCE_NOT_FOUND', message: 'The specified resource does not exist.' } };
+}
+
+// Just enough of the OAuth, Orders v2, Payments v2 and webhook
+// verification APIs for the adapter
+function paypalApi(baseUrl) {
+  const orders = new Map();
+  const byRequestId = new Map();
+  let next = 1;
+
+  function authorised(headers) {
+    return headers.authorization === 'Bearer A21-test-token';
+  }
+
+  function handle({ method, path, headers, body }) {
+    if (method === 'POST' && path === '/v1/oauth2/token') {
+      const expected = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+      if (headers.authorization !== expected) {
+        return { status: 401, body: { error: 'invalid_client', error_description: 'Client Authentication failed' } };
+      }
+      return { body: { access_token: 'A21-test-token', token_type: 'Bearer', expires_in: 32400 } };
+    }
+
+    if (!authorised(headers)) {
+      return { status: 401, body: { name: 'AUTHENTICATION_FAILURE', message: 'Authentication failed due to invalid authentication credentials.' } };
+    }
+
+    const requestId = headers['paypal-request-id'];
+    if (requestId && byRequestId.has(requestId)) return { status: 201, body: byRequestId.get(requestId) };
+
+    if (method === 'POST' && path === '/v2/checkout/orders') {
+      const id = `ORDER-${next++}`;
+      const order = {
+        id,
+        intent: body.intent,
+        status: 'PAYER_ACTION_REQUIRED',
+        purchase_units: body.purchase_units.map(unit => ({ ...unit })),
+        links: [{ rel: 'payer-action', href: `${baseUrl}/checkoutnow?token=${id}`, method: 'GET' }]
+      };
+      orders.set(id, order);
+      if (requestId) byRequestId.set(requestId, order);
+      return { status: 201, body: order };
+    }
+
+    const orderPath = path.match(/^\/v2\/checkout\/orders\/([^/]+)(\/capture)?$/);
+    if (orderPath) {
+      const order = orders.get(orderPath[1]);
+      if (!order) return notFound();
+      if (method === 'POST' && orderPath[2]) {
+        if (order.status !== 'APPROVED') {
+          return { status: 422, body: { name: 'UNPROCESSABLE_ENTITY', message: 'The requested action could not be performed.', details: [{ issue: 'ORDER_NOT_APPROVED' }] } };
+        }
+        order.status = 'COMPLETED';
+        order.purchase_units[0].payments = { captures: [{ id: `CAPTURE-${order.id}`, status: 'COMPLETED' }] };
+        if (requestId) byRequestId.set(requestId, order);
+        return { status: 201, body: order };
+      }
+      return { body: order };
+    }
+
+    const refundPath = path.match(/^\/v2\/payments\/captures\/([^/]+)\/refund$/);
+    if (method === 'POST' && refundPath) {
+      const order = [...orders.values()].find(candidate =>
+        ((candidate.purchase_units[0].payments || {}).captures || []).some(capture => capture.id === refundPath[1]));
+      if (!order) return notFound();
+      const refund = { id: `REFUND-${next++}`, status: 'COMPLETED', amount: body.amount };
+      if (requestId) byRequestId.set(requestId, refund);
+      return { status: 201, body: refund };
+    }
+
+    if (method === 'POST' && path === '/v1/notifications/verify-webhook-signature') {
+      const verified = body.webhook_id === WEBHOOK_ID && body.transmission_sig === VALID_SIGNATURE;
+      return { body: { verification_status: verified ? 'SUCCESS' : 'FAILURE' } };
+    }
+
+    return null;
+  }
+
+  return { orders, handle };
+}
+
+function webhook(paymentId, signature) {
+  return {
+    body: Buffer.from(JSON.stringify({
+      id: 'WH-EVENT-1',
+      event_type: 'PAYMENT.CAPTURE.COMPLETED',
+      resource: {
+        id: `CAPTURE-${paymentId}`,
+        status: 'COMPLETED',
+        supplementary_data: { related_ids: { order_id: paymentId } }
+      }
+    })),
+    headers: {
+      'paypal-auth-algo': 'SHA256withRSA',
+      'paypal-cert-url': 'https://api.paypal.com/v1/notifications/certs/CERT-TEST',
+      'paypal-transmission-id': 'transmission-1',
+      'paypal-transmission-sig': signature,
+      'paypal-transmission-time': new Date().toISOString()
+    }
+  };
+}
+
+providerContract('paypal', async () => {
+  let api;
+  const server = await startStandIn(request => api.handle(request));
+  api = paypalApi(server.url);
+
+  const settings = { clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, apiBase: server.url };
+
+  return {
+    provider: createPaypalProvider({ ...settings, webhookId: WEBHOOK_ID }),
+    completePayment(id) {
+      api.orders.get(id).status = 'APPROVED';
+    },
+    rejectNext() {
+      server.failNext('/v2/', 400, { name: 'INVALID_REQUEST', message: 'Request is not well-formed, syntactically incorrect, or violates schema.' });
+    },
+    signedWebhook: paymentId => webhook(paymentId, VALID_SIGNATURE),
+    unsignedWebhook: () => webhook('ORDER-FORGED', 'forged-signature'),
+    providerWithoutWebhookSecret() {
+      return createPaypalProvider(settings);
+    },
+    close: () => server.close()
+  };
+});
@@ -0,0 +1,163 @@
+// providerContract.js
+// ------------------------------------------------------------
+// The behaviour every payment provider adapter promises
+// services/payments/index.js (see the interface comment there)
+// - providerContract(name, setup) registers the shared tests; setup()
+//   starts a stand-in for the provider's API and resolves to
+//   { provider, completePayment(id), rejectNext(), close() } plus, for
+//   providers that take webhooks, signedWebhook(paymentId),
+//   unsignedWebhook() and providerWithoutWebhookSecret()
+// - completePayment(id) plays the client finishing checkout at the
+//   provider, so confirmPayment() has something to confirm
+// ------------------------------------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PAYMENT_STATUSES = ['requires_action', 'processing', 'succeeded', 'failed', 'canceled'];
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed', 'canceled'];
+
+function newPayment(overrides = {}) {
+  return {
+    amount: 12345,
+    currency: 'aud',
+    reference: 'CC-TEST-1',
+    description: 'Deposit for Test Project',
+    customer: { name: 'Test Client', email: 'client@example.com' },
+    metadata: { paymentId: '1', projectId: '1' },
+    returnUrl: 'https://example.com/payment-complete',
+    cancelUrl: 'https://example.com/booking-portal',
+    idempotencyKey: `payment-${Math.random().toString(36).slice(2)}`,
+    ...overrides
+  };
+}
+
+function providerContract(name, setup, { webhooks = true } = {}) {
+  describe(`${name} provider contract`, () => {
+    let standIn;
+
+    before(async () => {
+      standIn = await setup();
+    });
+
+    after(() => standIn.close());
+
+    it('names itself', () => {
+      assert.equal(standIn.provider.name, name);
+      assert.equal(typeof standIn.provider.label, 'string');
+    });
+
+    it('creates a payment the client still has to complete', async () => {
+      const payment = await standIn.provider.createPayment(newPayment());
+
+      assert.equal(typeof payment.id, 'string');
+      assert.equal(payment.status, 'requires_action');
+      assert.equal(payment.amount, 12345);
+      assert.equal(payment.currency, 'aud');
+      assert.ok(payment.clientSecret || payment.redirectUrl, 'needs a client secret or a redirect URL');
+    });
+
+    it('reads a payment back by id', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      const payment = await standIn.provider.retrievePayment(created.id);
+
+      assert.equal(payment.id, created.id);
+      assert.equal(payment.status, 'requires_action');
+    });
+
+    it('does not report an unfinished payment as paid', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      const payment = await standIn.provider.confirmPayment(created.id, { reference: 'CC-TEST-1' }).catch(error => error);
+
+      // Some APIs refuse outright, the rest report it as still open
+      if (!(payment instanceof Error)) {
+        assert.notEqual(payment.status, 'succeeded');
+      }
+    });
+
+    it('confirms a payment once the client has paid', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      await standIn.completePayment(created.id);
+
+      const payment = await standIn.provider.confirmPayment(created.id, { reference: 'CC-TEST-1' });
+      assert.equal(payment.status, 'succeeded');
+      assert.equal(payment.amount, 12345);
+      assert.equal(payment.currency, 'aud');
+
+      // Confirming again (a retried /confirm) must not charge twice
+      const again = await standIn.provider.confirmPayment(payment.id, { reference: 'CC-TEST-1' });
+      assert.equal(again.id, payment.id);
+      assert.equal(again.status, 'succeeded');
+    });
+
+    it('cancels a payment the client has not completed', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      const payment = await standIn.provider.cancelPayment(created.id);
+
+      assert.equal(payment.id, created.id);
+      assert.equal(payment.status, 'canceled');
+    });
+
+    it('refunds part of a completed payment', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      await standIn.completePayment(created.id);
+      const payment = await standIn.provider.confirmPayment(created.id, { reference: 'CC-TEST-1' });
+
+      const refund = await standIn.provider.refundPayment(payment.id, {
+        amount: 2000,
+        currency: 'aud',
+        reason: 'requested_by_customer',
+        metadata: { refundId: '1' },
+        idempotencyKey: `refund-${payment.id}`
+      });
+      assert.equal(typeof refund.id, 'string');
+      assert.ok(REFUND_STATUSES.includes(refund.status), `unexpected refund status ${refund.status}`);
+      assert.ok('failureReason' in refund);
+    });
+
+    it('maps every status to a provider-neutral one', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      const payment = await standIn.provider.retrievePayment(created.id);
+      assert.ok(PAYMENT_STATUSES.includes(payment.status), `unexpected status ${payment.status}`);
+    });
+
+    it('surfaces API errors with their status code', async () => {
+      standIn.rejectNext();
+      await assert.rejects(
+        standIn.provider.createPayment(newPayment()),
+        error => error.statusCode === 400
+      );
+    });
+
+    if (!webhooks) {
+      it('takes no webhooks', () => {
+        assert.equal(standIn.provider.parseWebhook, undefined);
+      });
+      return;
+    }
+
+    it('turns a verified webhook into a payment event', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      const { body, headers } = await standIn.signedWebhook(created.id);
+
+      const event = await standIn.provider.parseWebhook(body, headers);
+      assert.equal(typeof event.id, 'string');
+      assert.equal(event.type, 'payment.succeeded');
+      assert.equal(event.paymentId, created.id);
+      assert.ok(event.raw);
+    });
+
+    it('refuses a webhook it cannot verify', async () => {
+      const { body, headers } = await standIn.unsignedWebhook();
+      await assert.rejects(standIn.provider.parseWebhook(body, headers));
+    });
+
+    it('refuses every webhook when no webhook secret is configured', async () => {
+      const created = await standIn.provider.createPayment(newPayment());
+      const { body, headers } = await standIn.signedWebhook(created.id);
+      await assert.rejects(standIn.providerWithoutWebhookSecret().parseWebhook(body, headers), /not set/);
+    });
+  });
+}
+
+module.exports = { providerContract };
@@ -0,0 +1,111 @@
+const Stripe = require('stripe');
+const { startStandIn } = require('../support/standIn');
+const { createStripeProvider } = require('../../services/payments/stripeProvider');
+const { providerContract } = require('./providerContract');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+function notFound(id) {
+  return { status: 404, body: { error: { type: 'invalid_request_error', code: 'resource_missing', message: `No such payment_intent: '${id}'` } } };
+}
+
+// Just enough of the PaymentIntents and Refunds API for the adapter
+function stripeApi() {
+  const intents = new Map();
+  const byIdempotencyKey = new Map();
+  let next = 1;
+
+  function handle({ method, path, headers, body }) {
+    if (method === 'POST' && path === '/v1/payment_intents') {
+      const key = headers['idempotency-key'];
+      if (key && byIdempotencyKey.has(key)) return { body: byIdempotencyKey.get(key) };
+
+      const id = `pi_test_${next++}`;
+      const intent = {
+        id,
+        object: 'payment_intent',
+        amount: Number(body.amount),
+        currency: body.currency,
+        status: 'requires_payment_method',
+        client_secret: `${id}_secret_test`,
+        description: body.description
+      };
+      intents.set(id, intent);
+      if (key) byIdempotencyKey.set(key, intent);
+      return { body: intent };
+    }
+
+    const intentPath = path.match(/^\/v1\/payment_intents\/([^/]+)(\/cancel)?$/);
+    if (intentPath) {
+      const intent = intents.get(intentPath[1]);
+      if (!intent) return notFound(intentPath[1]);
+      if (method === 'POST' && intentPath[2]) {
+        if (intent.status === 'succeeded') {
+          return { status: 400, body: { error: { type: 'invalid_request_error', message: 'This PaymentIntent has already succeeded' } } };
+        }
+        intent.status = 'canceled';
+      }
+      return { body: intent };
+    }
+
+    if (method === 'POST' && path === '/v1/refunds') {
+      const intent = intents.get(body.payment_intent);
+      if (!intent) return notFound(body.payment_intent);
+      if (intent.status !== 'succeeded') {
+        return { status: 400, body: { error: { type: 'invalid_request_error', message: 'This PaymentIntent has no successful charge to refund' } } };
+      }
+      return { body: { id: `re_test_${next++}`, object: 'refund', amount: Number(body.amount), payment_intent: intent.id, status: 'succeeded' } };
+    }
+
+    return null;
+  }
+
+  return { intents, handle };
+}
+
+providerContract('stripe', async () => {
+  const api = stripeApi();
+  const server = await startStandIn(request => api.handle(request));
+  const client = Stripe('sk_test_standin', {
+    host: '127.0.0.1',
+    port: server.port,
+    protocol: 'http',
+    maxNetworkRetries: 0
+  });
+
+  function signed(payload) {
+    const body = JSON.stringify(payload);
+    return {
+      body: Buffer.from(body),
+      headers: { 'stripe-signature': client.webhooks.generateTestHeaderString({ payload: body, secret: WEBHOOK_SECRET }) }
+    };
+  }
+
+  return {
+    provider: createStripeProvider({ client, webhookSecret: WEBHOOK_SECRET }),
+    completePayment(id) {
+      api.intents.get(id).status = 'succeeded';
+    },
+    rejectNext() {
+      server.failNext('/v1/', 400, { error: { type: 'invalid_request_error', message: 'Invalid currency' } });
+    },
+    signedWebhook(paymentId) {
+      return signed({
+        id: 'evt_test_1',
+        object: 'event',
+        type: 'payment_intent.succeeded',
+        data: { object: { ...api.intents.get(paymentId), status: 'succeeded' } }
+      });
+    },
+    unsignedWebhook() {
+      return {
+        body: Buffer.from(JSON.stringify({ id: 'evt_forged', type: 'payment_intent.succeeded', data: { object: { id: 'pi_forged' } } })),
+        headers: { 'stripe-signature': 't=1,v1=forged' }
+      };
+    },
+    providerWithoutWebhookSecret() {
+      return createStripeProvider({ client });
+    },
+    close: () => server.close()
+  };
+});
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalStorage } = require('../../services/storage/localStorage');
+const { storageContract } = require('./storageContract');
+
+storageContract('local', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'cocoa-uploads-'));
+  return {
+    storage: createLocalStorage({ root }),
+    close: () => fs.rm(root, { recursive: true, force: true })
+  };
+});
+
+it('local storage refuses keys outside the upload directory', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'cocoa-uploads-'));
+  try {
+    const storage = createLocalStorage({ root });
+    await assert.rejects(storage.put('../escaped.pdf', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.get('../../etc/passwd'), /Invalid storage key/);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,69 @@
+const { startStandIn } = require('../support/standIn');
+const { createS3Storage } = require('../../services/storage/s3Storage');
+const { storageContract } = require('./storageContract');
+
+const BUCKET = 'cocoa-attachments';
+const ACCESS_KEY_ID = 'AKIDSTANDIN';
+
+function s3Error(status, code, message) {
+  return {
+    status,
+    headers: { 'Content-Type': 'application/xml' },
+    body: `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`
+  };
+}
+
+// Just enough of a path-style S3 endpoint (as MinIO serves it) for the
+// adapter: put, get and delete objects in one bucket
+function s3Api() {
+  const objects = new Map();
+
+  function handle({ method, path, headers, buffer }) {
+    if (!String(headers.authorization || '').startsWith(`AWS4-HMAC-SHA256 Credential=${ACCESS_KEY_ID}/`)) {
+      return s3Error(403, 'AccessDenied', 'Access Denied');
+    }
+
+    const [, bucket, ...keyParts] = path.split('/');
+    if (bucket !== BUCKET) return s3Error(404, 'NoSuchBucket', 'The specified bucket does not exist');
+    const key = decodeURIComponent(keyParts.join('/'));
+
+    switch (method) {
+      case 'PUT':
+        objects.set(key, { body: buffer, contentType: headers['content-type'] });
+        return { status: 200, headers: { ETag: `"${key.length}-${buffer.length}"` }, body: '' };
+      case 'GET': {
+        const object = objects.get(key);
+        if (!object) return s3Error(404, 'NoSuchKey', 'The specified key does not exist.');
+        return {
+          status: 200,
+          headers: { 'Content-Type': object.contentType || 'application/octet-stream', 'Content-Length': object.body.length },
+          body: object.body
+        };
+      }
+      case 'DELETE':
+        // S3 answers the same whether or not the object existed
+        objects.delete(key);
+        return { status: 204, body: '' };
+      default:
+        return s3Error(405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+    }
+  }
+
+  return { objects, handle };
+}
+
+storageContract('s3', async () => {
+  const api = s3Api();
+  const server = await startStandIn(request => api.handle(request));
+  return {
+    storage: createS3Storage({
+      bucket: BUCKET,
+      region: 'us-east-1',
+      endpoint: server.url,
+      accessKeyId: ACCESS_KEY_ID,
+      secretAccessKey: 'standin-secret',
+      forcePathStyle: true
+    }),
+    close: () => server.close()
+  };
+});
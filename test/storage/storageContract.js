@@ -0,0 +1,63 @@
+// storageContract.js
+// ------------------------------------------------------------
+// The behaviour every attachment storage backend promises
+// services/storage/index.js: put(key, buffer, { contentType }) ->
+// { key, size }, get(key) -> Buffer, remove(key)
+// - storageContract(driver, setup) registers the shared tests; setup()
+//   resolves to { storage, close() }
+// ------------------------------------------------------------
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Not valid UTF-8, so a backend that round-trips through a string fails
+const PDF = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.from([0xff, 0xfe, 0x00, 0x80, 0x9f]), Buffer.from('\n%%EOF')]);
+
+function storageContract(driver, setup) {
+  describe(`${driver} storage contract`, () => {
+    let backend;
+
+    before(async () => {
+      backend = await setup();
+    });
+
+    after(() => backend.close());
+
+    it('names its driver', () => {
+      assert.equal(backend.storage.driver, driver);
+    });
+
+    it('stores a file and reads back the same bytes', async () => {
+      const stored = await backend.storage.put('projects/1/brief.pdf', PDF, { contentType: 'application/pdf' });
+
+      assert.deepEqual(stored, { key: 'projects/1/brief.pdf', size: PDF.length });
+      const read = await backend.storage.get('projects/1/brief.pdf');
+      assert.ok(Buffer.isBuffer(read));
+      assert.ok(read.equals(PDF));
+    });
+
+    it('replaces a file stored under the same key', async () => {
+      await backend.storage.put('projects/2/brief.txt', Buffer.from('first draft'), { contentType: 'text/plain' });
+      await backend.storage.put('projects/2/brief.txt', Buffer.from('final'), { contentType: 'text/plain' });
+
+      assert.equal((await backend.storage.get('projects/2/brief.txt')).toString(), 'final');
+    });
+
+    it('fails to read a file that was never stored', async () => {
+      await assert.rejects(backend.storage.get('projects/3/missing.pdf'));
+    });
+
+    it('removes a file', async () => {
+      await backend.storage.put('projects/4/old.pdf', PDF, { contentType: 'application/pdf' });
+      await backend.storage.remove('projects/4/old.pdf');
+
+      await assert.rejects(backend.storage.get('projects/4/old.pdf'));
+    });
+
+    it('does not mind removing a file that is already gone', async () => {
+      await backend.storage.remove('projects/5/never-stored.pdf');
+    });
+  });
+}
+
+module.exports = { storageContract };
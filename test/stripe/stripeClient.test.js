@@ -0,0 +1,74 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStandIn } = require('../support/standIn');
+
+const CONFIG = require.resolve('../../config/stripe');
+const SETTINGS = ['STRIPE_SECRET_KEY', 'STRIPE_API_HOST', 'STRIPE_API_PORT', 'STRIPE_API_PROTOCOL'];
+
+// config/stripe.js reads the environment once, when it is first required
+function loadClient(env) {
+  SETTINGS.forEach(name => {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  });
+  delete require.cache[CONFIG];
+  return require(CONFIG);
+}
+
+describe('shared Stripe client', () => {
+  const saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+
+  afterEach(() => {
+    loadClient(saved);
+  });
+
+  it('talks to api.stripe.com unless STRIPE_API_HOST is set', () => {
+    const stripe = loadClient({ STRIPE_SECRET_KEY: 'sk_test_123' });
+    assert.equal(stripe.getApiField('host'), 'api.stripe.com');
+    assert.equal(stripe.getApiField('protocol'), 'https');
+  });
+
+  it('defaults to the stripe-mock port over http', () => {
+    const stripe = loadClient({ STRIPE_SECRET_KEY: 'sk_test_123', STRIPE_API_HOST: 'localhost' });
+    assert.equal(stripe.getApiField('host'), 'localhost');
+    assert.equal(Number(stripe.getApiField('port')), 12111);
+    assert.equal(stripe.getApiField('protocol'), 'http');
+  });
+
+  it('sends subscription calls to the configured host', async () => {
+    const server = await startStandIn(({ method, path, body }) => {
+      if (method === 'POST' && path === '/v1/subscriptions') {
+        return {
+          body: {
+            id: 'sub_standin',
+            object: 'subscription',
+            customer: body.customer,
+            status: 'incomplete',
+            cancel_at_period_end: false
+          }
+        };
+      }
+      return null;
+    });
+    try {
+      const stripe = loadClient({
+        STRIPE_SECRET_KEY: 'sk_test_123',
+        STRIPE_API_HOST: '127.0.0.1',
+        STRIPE_API_PORT: String(server.port)
+      });
+
+      const subscription = await stripe.subscriptions.create({
+        customer: 'cus_standin',
+        items: [{ price: 'price_standin' }],
+        payment_behavior: 'default_incomplete'
+      });
+
+      assert.equal(subscription.id, 'sub_standin');
+      assert.equal(server.requests.length, 1);
+      assert.equal(server.requests[0].headers.authorization, 'Bearer sk_test_123');
+      assert.equal(server.requests[0].body['items[0][price]'], 'price_standin');
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,249 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStandIn } = require('../support/standIn');
+
+const PERIOD_START = 1767225600; // 2026-01-01
+const PERIOD_END = 1769904000; // 2026-02-01
+
+// Just enough of Stripe Billing for plan changes, cancels and resumes:
+// prices looked up by lookup key and subscriptions kept in memory
+function billingApi() {
+  const subscriptions = new Map();
+
+  function stripeSubscription(id, fields = {}) {
+    const subscription = {
+      id,
+      object: 'subscription',
+      status: 'active',
+      current_period_start: PERIOD_START,
+      current_period_end: PERIOD_END,
+      cancel_at_period_end: false,
+      canceled_at: null,
+      latest_invoice: 'in_first',
+      items: { object: 'list', data: [{ id: `si_${id}`, price: { id: 'price_basic' } }] },
+      ...fields
+    };
+    subscriptions.set(id, subscription);
+    return subscription;
+  }
+
+  function handle({ method, path, query, body }) {
+    if (method === 'GET' && path === '/v1/prices') {
+      const [, key] = query['lookup_keys[0]'].match(/^cocoa-(.+)-\d+-month$/);
+      return { body: { object: 'list', data: [{ id: `price_${key}`, object: 'price' }], has_more: false } };
+    }
+
+    const match = path.match(/^\/v1\/subscriptions\/([^/]+)$/);
+    const subscription = match && subscriptions.get(match[1]);
+    if (!subscription) return null;
+
+    if (method === 'GET') return { body: subscription };
+    if (method === 'DELETE') {
+      Object.assign(subscription, { status: 'canceled', canceled_at: PERIOD_START + 86400 });
+      return { body: subscription };
+    }
+    if (method === 'POST') {
+      if (body['items[0][price]']) {
+        assert.equal(body['items[0][id]'], subscription.items.data[0].id);
+        subscription.items.data[0].price = { id: body['items[0][price]'] };
+      }
+      if (body.cancel_at_period_end !== undefined) {
+        subscription.cancel_at_period_end = body.cancel_at_period_end === 'true';
+      }
+      return { body: subscription };
+    }
+    return null;
+  }
+
+  return { stripeSubscription, handle };
+}
+
+describe('subscriptionService', () => {
+  const saved = { ...process.env };
+  let server;
+  let api;
+  let service;
+  let Subscription;
+
+  // A real model instance that keeps its changes in memory instead of saving
+  function localSubscription(fields = {}) {
+    const subscription = Subscription.build({
+      id: 7,
+      clientId: 3,
+      plan: 'basic',
+      kind: 'maintenance',
+      amount: 49,
+      interval: 'month',
+      stripeSubscriptionId: 'sub_basic',
+      stripeCustomerId: 'cus_client',
+      stripePriceId: 'price_basic',
+      status: 'active',
+      ...fields
+    });
+    mock.method(subscription, 'save', async function save() {
+      return this;
+    });
+    return subscription;
+  }
+
+  before(async () => {
+    // The service narrates every change; keep it out of the test output
+    mock.method(console, 'log', () => {});
+    api = billingApi();
+    server = await startStandIn(request => api.handle(request));
+    Object.assign(process.env, {
+      STRIPE_SECRET_KEY: 'sk_test_123',
+      STRIPE_API_HOST: '127.0.0.1',
+      STRIPE_API_PORT: String(server.port)
+    });
+    delete require.cache[require.resolve('../../config/stripe')];
+    delete require.cache[require.resolve('../../services/subscriptionService')];
+    service = require('../../services/subscriptionService');
+    ({ Subscription } = require('../../models'));
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    process.env = saved;
+    delete require.cache[require.resolve('../../config/stripe')];
+    delete require.cache[require.resolve('../../services/subscriptionService')];
+    await server.close();
+  });
+
+  describe('changePlan', () => {
+    it('swaps the subscription item to the new plan price and copies the plan', async () => {
+      api.stripeSubscription('sub_basic');
+      const subscription = localSubscription();
+
+      await service.changePlan(subscription, 'premium');
+
+      const update = server.requests.find(r => r.method === 'POST' && r.path === '/v1/subscriptions/sub_basic');
+      assert.equal(update.body['items[0][price]'], 'price_premium');
+      assert.equal(update.body.proration_behavior, 'create_prorations');
+      assert.equal(subscription.plan, 'premium');
+      assert.equal(subscription.kind, 'maintenance');
+      assert.equal(Number(subscription.amount), 199);
+      assert.equal(subscription.stripePriceId, 'price_premium');
+      assert.deepEqual(subscription.currentPeriodEnd, new Date(PERIOD_END * 1000));
+    });
+
+    it('refuses the plan the subscription is already on', async () => {
+      const subscription = localSubscription();
+      await assert.rejects(service.changePlan(subscription, 'basic'), { status: 409 });
+    });
+
+    it('refuses an unknown plan', async () => {
+      const subscription = localSubscription();
+      await assert.rejects(service.changePlan(subscription, 'platinum'), { status: 400 });
+    });
+
+    it('refuses a cancelled subscription', async () => {
+      const subscription = localSubscription({ status: 'canceled' });
+      await assert.rejects(service.changePlan(subscription, 'premium'), { status: 409 });
+    });
+  });
+
+  describe('cancelSubscription', () => {
+    it('cancels at the end of the period by default', async () => {
+      api.stripeSubscription('sub_period_end');
+      const subscription = localSubscription({ stripeSubscriptionId: 'sub_period_end' });
+
+      await service.cancelSubscription(subscription);
+
+      assert.equal(subscription.status, 'active');
+      assert.equal(subscription.cancelAtPeriodEnd, true);
+      assert.equal(subscription.canceledAt, null);
+    });
+
+    it('cancels straight away when asked to', async () => {
+      api.stripeSubscription('sub_now');
+      const subscription = localSubscription({ stripeSubscriptionId: 'sub_now' });
+
+      await service.cancelSubscription(subscription, { immediately: true });
+
+      assert.ok(server.requests.some(r => r.method === 'DELETE' && r.path === '/v1/subscriptions/sub_now'));
+      assert.equal(subscription.status, 'canceled');
+      assert.deepEqual(subscription.canceledAt, new Date((PERIOD_START + 86400) * 1000));
+    });
+  });
+
+  describe('resumeSubscription', () => {
+    it('clears a pending cancel', async () => {
+      api.stripeSubscription('sub_resume', { cancel_at_period_end: true });
+      const subscription = localSubscription({ stripeSubscriptionId: 'sub_resume', cancelAtPeriodEnd: true });
+
+      await service.resumeSubscription(subscription);
+
+      const update = server.requests.find(r => r.method === 'POST' && r.path === '/v1/subscriptions/sub_resume');
+      assert.equal(update.body.cancel_at_period_end, 'false');
+      assert.equal(subscription.cancelAtPeriodEnd, false);
+    });
+
+    it('refuses a subscription that is not set to cancel', async () => {
+      const subscription = localSubscription();
+      await assert.rejects(service.resumeSubscription(subscription), { status: 409 });
+    });
+  });
+
+  describe('webhook status sync', () => {
+    it('copies the Stripe status onto the local subscription', async () => {
+      const subscription = localSubscription({ stripeSubscriptionId: 'sub_webhook' });
+      const findOne = mock.method(Subscription, 'findOne', async () => subscription);
+
+      const handled = await service.handleStripeEvent({
+        type: 'customer.subscription.updated',
+        data: {
+          object: {
+            id: 'sub_webhook',
+            status: 'past_due',
+            current_period_start: PERIOD_START,
+            current_period_end: PERIOD_END,
+            cancel_at_period_end: false,
+            canceled_at: null,
+            latest_invoice: { id: 'in_retry' },
+            items: { data: [{ price: { id: 'price_basic' } }] }
+          }
+        }
+      });
+
+      assert.equal(handled, true);
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], { where: { stripeSubscriptionId: 'sub_webhook' } });
+      assert.equal(subscription.status, 'past_due');
+      assert.equal(subscription.latestInvoiceId, 'in_retry');
+      findOne.mock.restore();
+    });
+
+    it('marks a deleted subscription as cancelled', async () => {
+      const subscription = localSubscription({ stripeSubscriptionId: 'sub_deleted' });
+      const findOne = mock.method(Subscription, 'findOne', async () => subscription);
+
+      await service.handleStripeEvent({
+        type: 'customer.subscription.deleted',
+        data: { object: { id: 'sub_deleted', status: 'canceled', canceled_at: PERIOD_END, items: { data: [] } } }
+      });
+
+      assert.equal(subscription.status, 'canceled');
+      assert.deepEqual(subscription.canceledAt, new Date(PERIOD_END * 1000));
+      findOne.mock.restore();
+    });
+
+    it('ignores a subscription it does not know', async () => {
+      const findOne = mock.method(Subscription, 'findOne', async () => null);
+      const warn = mock.method(console, 'warn', () => {});
+
+      const handled = await service.handleStripeEvent({
+        type: 'customer.subscription.updated',
+        data: { object: { id: 'sub_elsewhere', status: 'active' } }
+      });
+
+      assert.equal(handled, true);
+      assert.equal(warn.mock.callCount(), 1);
+      findOne.mock.restore();
+      warn.mock.restore();
+    });
+
+    it('leaves other events alone', async () => {
+      assert.equal(await service.handleStripeEvent({ type: 'charge.refunded', data: { object: {} } }), false);
+    });
+  });
+});
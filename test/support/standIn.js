@@ -0,0 +1,87 @@
+// standIn.js
+// ------------------------------------------------------------
+// Local HTTP stand-ins for the third-party APIs the adapters talk to
+// - startStandIn(handler) listens on a free localhost port and calls
+//   handler({ method, path, query, headers, body, rawBody, buffer }) for
+//   every request; the handler returns { status, body, headers } - a
+//   string or Buffer body is sent as-is, anything else as JSON
+// - Every request is kept in `requests` so tests can check what the
+//   adapter actually sent
+// - failNext(pathPrefix, status, body) answers the next matching request
+//   with an error instead of calling the handler
+// ------------------------------------------------------------
+
+const http = require('http');
+
+function parseBody(rawBody, contentType = '') {
+  if (!rawBody) return {};
+  if (contentType.includes('application/json')) return JSON.parse(rawBody);
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(rawBody));
+  }
+  return rawBody;
+}
+
+async function startStandIn(handler) {
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const buffer = Buffer.concat(chunks);
+      const rawBody = buffer.toString('utf8');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        buffer,
+        rawBody,
+        body: parseBody(rawBody, req.headers['content-type'])
+      };
+      requests.push(request);
+
+      let reply;
+      const failure = failures.findIndex(f => request.path.startsWith(f.pathPrefix));
+      if (failure >= 0) {
+        const [{ status, body }] = failures.splice(failure, 1);
+        reply = { status, body };
+      } else {
+        try {
+          reply = await handler(request);
+        } catch (error) {
+          reply = { status: 500, body: { message: error.message } };
+        }
+      }
+      reply = reply || { status: 404, body: { message: `No stand-in route for ${req.method} ${url.pathname}` } };
+
+      if (typeof reply.body === 'string' || Buffer.isBuffer(reply.body)) {
+        res.writeHead(reply.status || 200, reply.headers || {});
+        res.end(reply.body);
+        return;
+      }
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(JSON.stringify(reply.body === undefined ? {} : reply.body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    port,
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    failNext(pathPrefix, status, body) {
+      failures.push({ pathPrefix, status, body });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startStandIn };